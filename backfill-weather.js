@@ -0,0 +1,77 @@
+/**
+ * Weather archive backfill from the command line
+ *
+ *   node backfill-weather.js --city Pune --from 2020-01-01 --to 2024-12-31
+ *   node backfill-weather.js --city Pune --csv history.csv [--resolution daily] [--source IMD]
+ */
+
+const fs = require('fs');
+require('dotenv').config();
+
+const ClimateAPIService = require('./utils/climateAPIs');
+const ClimateDB = require('./database/db');
+const BackfillService = require('./services/backfillService');
+
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i].startsWith('--')) {
+      args[argv[i].slice(2)] = argv[i + 1];
+      i++;
+    }
+  }
+  return args;
+}
+
+async function runBackfill(args) {
+  if (!args.city || (!args.csv && (!args.from || !args.to))) {
+    console.error('Usage: node backfill-weather.js --city <name> (--from YYYY-MM-DD --to YYYY-MM-DD | --csv <file> [--resolution hourly|daily] [--source <label>])');
+    return false;
+  }
+
+  const climateDB = new ClimateDB();
+  const backfillService = new BackfillService(climateDB, new ClimateAPIService());
+
+  try {
+    const city = climateDB.getCityByName(args.city);
+    if (!city) {
+      console.error(`City '${args.city}' not found`);
+      return false;
+    }
+
+    const result = args.csv
+      ? backfillService.importCsv(city, fs.readFileSync(args.csv, 'utf8'), {
+        resolution: (args.resolution || 'HOURLY').toUpperCase(),
+        source: args.source || 'CSV'
+      })
+      : await backfillService.backfillFromArchive(city, args.from, args.to);
+
+    if (!result.valid) {
+      result.errors.forEach(error => console.error(error));
+      return false;
+    }
+
+    const run = result.import;
+    console.log(`${run.status}: ${run.hourly_rows} hourly and ${run.daily_rows} daily rows for ${city.name}` +
+      ` (${run.start_date} to ${run.end_date})`);
+    (result.rejected || []).forEach(({ line, errors }) => console.warn(`Line ${line}: ${errors.join('; ')}`));
+    if (run.error) {
+      console.warn(run.error);
+    }
+
+    return run.status !== 'FAILED';
+  } finally {
+    climateDB.close();
+  }
+}
+
+if (require.main === module) {
+  runBackfill(parseArgs(process.argv.slice(2)))
+    .then((succeeded) => process.exit(succeeded ? 0 : 1))
+    .catch((error) => {
+      console.error('Backfill failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = { runBackfill };
@@ -1,10 +1,73 @@
 const Database = require('better-sqlite3');
 const path = require('path');
 const fs = require('fs');
+const { searchKey } = require('../utils/placeNames');
+
+// Hazard types stored in the alerts table
+const ALERT_TYPES = ['FLOOD', 'HEAT', 'DROUGHT', 'CYCLONE', 'COLD', 'WIND'];
+
+// Per-hazard tables used before the generic alerts table, with their metric columns
+const LEGACY_ALERT_TABLES = {
+  FLOOD: { table: 'flood_alerts', metrics: ['rainfall_1h', 'rainfall_24h'] },
+  HEAT: { table: 'heat_alerts', metrics: ['temperature', 'heat_index'] },
+  DROUGHT: { table: 'drought_alerts', metrics: ['soil_moisture', 'rainfall_7d'] },
+  CYCLONE: { table: 'cyclone_alerts', metrics: ['pressure', 'wind_speed', 'wind_gust'] },
+  COLD: { table: 'cold_alerts', metrics: ['temperature', 'wind_chill'] },
+  WIND: { table: 'wind_alerts', metrics: ['wind_speed', 'wind_gust'] }
+};
+
+// weather_data columns summarized in weather_rollups. Wind direction is left out: a
+// bearing has no meaningful min, max or sum.
+const ROLLUP_METRICS = [
+  'temperature', 'feels_like', 'humidity', 'pressure', 'rainfall', 'wind_speed', 'wind_gust',
+  'visibility', 'uv_index', 'cloud_cover', 'dew_point', 'soil_temperature', 'soil_moisture',
+  'evapotranspiration', 'air_quality_pm25', 'air_quality_pm10', 'air_quality_index'
+];
+
+// How each rollup resolution is built from the next finer level
+const ROLLUP_SOURCES = {
+  HOURLY: { table: 'weather_data', time: 'recorded_at', period: "strftime('%Y-%m-%d %H:00:00', recorded_at)" },
+  DAILY: { table: 'weather_rollups', resolution: 'HOURLY', period: 'substr(period_start, 1, 10)' },
+  MONTHLY: { table: 'weather_rollups', resolution: 'DAILY', period: "substr(period_start, 1, 7) || '-01'" }
+};
+
+// Period a timestamp or rollup period falls in, per history query interval. Weeks start on Monday.
+const SERIES_BUCKETS = {
+  HOUR: (column) => `strftime('%Y-%m-%d %H:00:00', ${column})`,
+  DAY: (column) => `date(${column})`,
+  WEEK: (column) => `date(${column}, 'weekday 0', '-6 days')`,
+  MONTH: (column) => `strftime('%Y-%m-01', ${column})`
+};
+
+// How each aggregate combines raw observations, and the statistics of rollup rows
+const SERIES_AGGREGATES = {
+  MEAN: {
+    raw: (metric) => `ROUND(AVG(${metric}), 2)`,
+    rollup: (metric) => `ROUND(SUM(CASE WHEN metric = '${metric}' THEN sum_value END) / SUM(CASE WHEN metric = '${metric}' THEN samples END), 2)`
+  },
+  MIN: {
+    raw: (metric) => `MIN(${metric})`,
+    rollup: (metric) => `MIN(CASE WHEN metric = '${metric}' THEN min_value END)`
+  },
+  MAX: {
+    raw: (metric) => `MAX(${metric})`,
+    rollup: (metric) => `MAX(CASE WHEN metric = '${metric}' THEN max_value END)`
+  },
+  SUM: {
+    raw: (metric) => `ROUND(SUM(${metric}), 2)`,
+    rollup: (metric) => `ROUND(SUM(CASE WHEN metric = '${metric}' THEN sum_value END), 2)`
+  }
+};
+
+// Seeded cities keep their ids from data/cities.json; farm sites are numbered from here,
+// so a city added to the seed file can never replace a farm
+const FARM_SITE_ID_START = 100000;
 
 class ClimateDatabase {
-  constructor() {
-    const dbPath = path.join(__dirname, '../data/climatesync.db');
+  /**
+   * @param {string} dbPath - SQLite file to open, or ':memory:' for a throwaway database
+   */
+  constructor(dbPath = path.join(__dirname, '../data/climatesync.db')) {
     this.db = new Database(dbPath);
     this.createTables();
     this.loadCityData();
@@ -101,7 +164,13 @@ class ClimateDatabase {
       { name: 'moon_illumination', type: 'REAL' },
       { name: 'weather_condition', type: 'TEXT' },
       { name: 'sunrise', type: 'TIME' },
-      { name: 'sunset', type: 'TIME' }
+      { name: 'sunset', type: 'TIME' },
+      { name: 'rainfall_72h', type: 'REAL' },
+      { name: 'rainfall_7d', type: 'REAL' },
+      { name: 'source_count', type: 'INTEGER' },
+      { name: 'confidence', type: 'REAL' },
+      { name: 'disagreement_count', type: 'INTEGER' },
+      { name: 'field_provenance', type: 'TEXT' }
     ];
     
     addColumnsIfNotExist.forEach(column => {
@@ -127,83 +196,646 @@ class ClimateDatabase {
     // Create alert tables
     this.createAlertTables();
 
+    // Create ingestion tables
+    this.createIngestionTables();
+
+    // Create local weather station tables
+    this.createStationTables();
+
+    // Create user-defined farm tables
+    this.createFarmTables();
+
+    // Create location search tables
+    this.createGazetteerTables();
+
+    // Create long-term archive tables
+    this.createArchiveTables();
+    this.createRollupTables();
+
+    // Create the prediction archive shared by both ML services
+    this.createPredictionArchiveTable();
+
     console.log('Database tables and indexes created/verified.');
   }
 
-  createAlertTables() {
-    // Flood alerts table
+  createIngestionTables() {
+    // One row per city per ingestion run, successful or not
     this.db.exec(`
-      CREATE TABLE IF NOT EXISTS flood_alerts (
+      CREATE TABLE IF NOT EXISTS ingestion_runs (
         id INTEGER PRIMARY KEY AUTOINCREMENT,
         city_id INTEGER NOT NULL,
         city_name TEXT NOT NULL,
-        alert_level TEXT NOT NULL CHECK (alert_level IN ('LOW', 'MEDIUM', 'HIGH', 'CRITICAL')),
-        rainfall_1h REAL NOT NULL,
-        rainfall_24h REAL DEFAULT 0,
-        threshold_exceeded REAL NOT NULL,
-        alert_message TEXT NOT NULL,
+        trigger TEXT NOT NULL CHECK (trigger IN ('INITIAL', 'SCHEDULED', 'ON_DEMAND', 'MANUAL')),
+        status TEXT NOT NULL CHECK (status IN ('SUCCESS', 'NO_DATA', 'FAILED')),
+        source TEXT, -- provider whose payload was stored
+        sources_available TEXT NOT NULL DEFAULT '[]', -- JSON array of providers that responded
+        latency_ms INTEGER,
+        error TEXT,
+        started_at TIMESTAMP NOT NULL,
+        completed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (city_id) REFERENCES cities (id)
+      );
+    `);
+
+    // When each monitored site is next fetched, so a restart resumes the schedule instead
+    // of fetching every site at once. Timestamps are UTC 'YYYY-MM-DD HH:MM:SS'.
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS ingestion_schedule (
+        city_id INTEGER PRIMARY KEY,
+        last_run_at TIMESTAMP,
+        next_run_at TIMESTAMP NOT NULL,
+        interval_minutes INTEGER NOT NULL, -- interval in effect when next_run_at was set
+        interval_reason TEXT NOT NULL, -- DEFAULT, CITY, MONSOON or ALERT
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (city_id) REFERENCES cities (id)
+      );
+    `);
+
+    // Per-city polling interval; NULL uses the ingestion service default
+    try {
+      this.db.exec('ALTER TABLE cities ADD COLUMN ingestion_interval_minutes INTEGER;');
+      console.log('Added column ingestion_interval_minutes to cities table');
+    } catch (error) {
+      if (!error.message.includes('duplicate column name')) {
+        console.error('Error adding column ingestion_interval_minutes:', error.message);
+      }
+    }
+
+    // Provider order per region; the DEFAULT row, when present, applies to every other region
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS provider_priorities (
+        region TEXT PRIMARY KEY,
+        providers TEXT NOT NULL, -- JSON array of provider names, most preferred first
+        updated_by TEXT,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+
+    // Running mean absolute error of each provider per city and field, used to weight fusion
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS provider_accuracy (
+        city_id INTEGER NOT NULL,
+        provider TEXT NOT NULL,
+        field TEXT NOT NULL,
+        samples INTEGER NOT NULL DEFAULT 0,
+        mean_abs_error REAL NOT NULL,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (city_id, provider, field),
+        FOREIGN KEY (city_id) REFERENCES cities (id)
+      );
+    `);
+
+    this.db.exec(`
+      CREATE INDEX IF NOT EXISTS idx_ingestion_runs_city_time ON ingestion_runs (city_id, started_at DESC);
+      CREATE INDEX IF NOT EXISTS idx_ingestion_runs_status ON ingestion_runs (status, started_at DESC);
+    `);
+  }
+
+  createStationTables() {
+    // On-farm gauges, probes and weather stations. city_id is the given city, or the
+    // nearest one when the station was registered by coordinates.
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS stations (
+        id TEXT PRIMARY KEY,
+        name TEXT NOT NULL,
+        station_type TEXT NOT NULL CHECK (station_type IN ('RAIN_GAUGE', 'SOIL_PROBE', 'WEATHER_STATION', 'OTHER')),
+        city_id INTEGER NOT NULL,
+        latitude REAL,
+        longitude REAL,
+        api_key_hash TEXT NOT NULL, -- SHA-256 of the station's key; the key itself is never stored
         is_active BOOLEAN DEFAULT 1,
+        last_seen_at TIMESTAMP,
         created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
         updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        expires_at TIMESTAMP,
         FOREIGN KEY (city_id) REFERENCES cities (id)
       );
     `);
 
-    // Heat alerts table  
+    // Readings as reported, in normalized units; a station re-sending a reading is ignored
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS station_observations (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        station_id TEXT NOT NULL,
+        city_id INTEGER NOT NULL,
+        observed_at TIMESTAMP NOT NULL,
+        temperature REAL,
+        humidity REAL,
+        pressure REAL,
+        rainfall REAL,
+        wind_speed REAL,
+        wind_direction INTEGER,
+        wind_gust REAL,
+        soil_moisture REAL,
+        soil_temperature REAL,
+        uv_index REAL,
+        warnings TEXT NOT NULL DEFAULT '[]', -- JSON array of validation warnings
+        received_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (station_id, observed_at),
+        FOREIGN KEY (station_id) REFERENCES stations (id),
+        FOREIGN KEY (city_id) REFERENCES cities (id)
+      );
+    `);
+
+    this.db.exec(`
+      CREATE INDEX IF NOT EXISTS idx_stations_city ON stations (city_id, is_active);
+      CREATE INDEX IF NOT EXISTS idx_station_observations_city_time ON station_observations (city_id, observed_at DESC);
+    `);
+  }
+
+  createArchiveTables() {
+    // Imported history, kept apart from weather_data so its 30-day purge never touches it.
+    // HOURLY periods are UTC 'YYYY-MM-DD HH:00:00'; DAILY periods are the city's local 'YYYY-MM-DD'.
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS weather_archive (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        city_id INTEGER NOT NULL,
+        city_name TEXT NOT NULL,
+        resolution TEXT NOT NULL CHECK (resolution IN ('HOURLY', 'DAILY')),
+        period_start TEXT NOT NULL,
+        temperature REAL, -- mean over the period
+        temp_min REAL,
+        temp_max REAL,
+        humidity REAL,
+        pressure REAL,
+        rainfall REAL, -- total over the period
+        wind_speed REAL,
+        wind_direction INTEGER,
+        wind_gust REAL, -- highest gust in the period
+        cloud_cover REAL,
+        soil_moisture REAL,
+        samples INTEGER, -- hourly values behind a row; NULL for DAILY rows imported as daily values
+        source TEXT NOT NULL,
+        imported_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (city_id, resolution, period_start),
+        FOREIGN KEY (city_id) REFERENCES cities (id)
+      );
+    `);
+
+    // One row per backfill or file import
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS archive_imports (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        city_id INTEGER NOT NULL,
+        city_name TEXT NOT NULL,
+        source TEXT NOT NULL,
+        start_date TEXT,
+        end_date TEXT,
+        status TEXT NOT NULL DEFAULT 'RUNNING' CHECK (status IN ('RUNNING', 'SUCCESS', 'PARTIAL', 'FAILED')),
+        hourly_rows INTEGER NOT NULL DEFAULT 0,
+        daily_rows INTEGER NOT NULL DEFAULT 0,
+        rejected_rows INTEGER NOT NULL DEFAULT 0,
+        error TEXT,
+        started_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        completed_at TIMESTAMP,
+        FOREIGN KEY (city_id) REFERENCES cities (id)
+      );
+    `);
+
+    this.db.exec(`
+      CREATE INDEX IF NOT EXISTS idx_weather_archive_city_period ON weather_archive (city_id, resolution, period_start);
+      CREATE INDEX IF NOT EXISTS idx_archive_imports_city ON archive_imports (city_id, started_at DESC);
+    `);
+  }
+
+  createFarmTables() {
+    // CITY rows are seeded from data/cities.json; FARM rows are registered through /api/farms
+    try {
+      this.db.exec("ALTER TABLE cities ADD COLUMN site_type TEXT NOT NULL DEFAULT 'CITY';");
+      console.log('Added column site_type to cities table');
+    } catch (error) {
+      if (!error.message.includes('duplicate column name')) {
+        console.error('Error adding column site_type:', error.message);
+      }
+    }
+
+    // A farm is monitored as a site in cities with the same id; this holds what only farms have
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS farms (
+        id INTEGER PRIMARY KEY,
+        owner TEXT,
+        area_hectares REAL,
+        soil_type TEXT,
+        crops TEXT NOT NULL DEFAULT '[]', -- JSON array of crop names
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (id) REFERENCES cities (id)
+      );
+    `);
+
+    this.db.exec(`
+      CREATE INDEX IF NOT EXISTS idx_farms_owner ON farms (owner);
+    `);
+  }
+
+  createGazetteerTables() {
+    // Places known to location search: seeded cities plus every place the geocoder has returned.
+    // search_key is the spelling-insensitive form of name from utils/placeNames.
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS gazetteer (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        place_key TEXT NOT NULL UNIQUE, -- 'city:<id>' or 'open-meteo:<id>'
+        name TEXT NOT NULL,
+        search_key TEXT NOT NULL,
+        country TEXT,
+        country_code TEXT,
+        admin1 TEXT,
+        admin2 TEXT,
+        admin3 TEXT,
+        admin4 TEXT,
+        latitude REAL NOT NULL,
+        longitude REAL NOT NULL,
+        elevation REAL,
+        timezone TEXT,
+        population INTEGER,
+        postcodes TEXT, -- JSON array
+        feature_code TEXT,
+        source TEXT NOT NULL, -- SEED or GEOCODER
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+
+    // Geocoder answers by normalized query text; country is '' when the search had none
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS geocoding_queries (
+        query TEXT NOT NULL,
+        country TEXT NOT NULL DEFAULT '',
+        place_ids TEXT NOT NULL DEFAULT '[]', -- JSON array of gazetteer ids, best match first
+        fetched_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (query, country)
+      );
+    `);
+
+    this.db.exec(`
+      CREATE INDEX IF NOT EXISTS idx_gazetteer_search_key ON gazetteer (search_key);
+    `);
+  }
+
+  createRollupTables() {
+    // Aggregates of weather_data per city, period and metric, kept after the raw rows are purged.
+    // Periods are UTC: HOURLY 'YYYY-MM-DD HH:00:00', DAILY 'YYYY-MM-DD', MONTHLY 'YYYY-MM-01'.
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS weather_rollups (
+        city_id INTEGER NOT NULL,
+        city_name TEXT NOT NULL,
+        resolution TEXT NOT NULL CHECK (resolution IN ('HOURLY', 'DAILY', 'MONTHLY')),
+        period_start TEXT NOT NULL,
+        metric TEXT NOT NULL,
+        min_value REAL,
+        max_value REAL,
+        mean_value REAL,
+        sum_value REAL, -- total of every observation in the period
+        samples INTEGER NOT NULL, -- observations with a value for the metric
+        PRIMARY KEY (city_id, resolution, period_start, metric),
+        FOREIGN KEY (city_id) REFERENCES cities (id)
+      );
+    `);
+
+    // Compaction reads each resolution across all cities from its latest period onward
+    this.db.exec(`
+      CREATE INDEX IF NOT EXISTS idx_weather_rollups_period ON weather_rollups (resolution, period_start);
+    `);
+  }
+
+  createPredictionArchiveTable() {
+    // Every prediction of the TypeScript and JavaScript ML services by the hour it was issued,
+    // for forecast verification; ml_predictions keeps only the latest
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS ml_prediction_archive (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        city_id INTEGER,
+        city_name TEXT NOT NULL,
+        prediction_type TEXT NOT NULL,
+        engine TEXT NOT NULL DEFAULT 'typescript',
+        prediction_data TEXT NOT NULL,
+        model_version TEXT,
+        issued_at TEXT NOT NULL,
+        verified_at TEXT,
+        UNIQUE(city_name, prediction_type, engine, issued_at)
+      );
+    `);
+
+    this.migratePredictionArchive();
+  }
+
+  migratePredictionArchive() {
+    const columns = this.db.prepare('PRAGMA table_info(ml_prediction_archive)').all();
+    const uniqueKeys = this.db.prepare('PRAGMA index_list(ml_prediction_archive)').all()
+      .filter(index => index.unique)
+      .map(index => this.db.prepare(`PRAGMA index_info(${index.name})`).all().map(column => column.name));
+
+    // Archives from before the JavaScript service archived its predictions are keyed without
+    // the engine, so the two engines would overwrite each other's rows. SQLite cannot change a
+    // UNIQUE constraint, so rebuild the table and keep its rows and ids, which verified
+    // forecasts refer to.
+    if (uniqueKeys.some(key => key.includes('engine'))) {
+      return;
+    }
+
+    const engine = columns.some(column => column.name === 'engine') ? 'engine' : "'typescript'";
+    this.db.transaction(() => {
+      this.db.exec('ALTER TABLE ml_prediction_archive RENAME TO ml_prediction_archive_old;');
+      this.db.exec(`
+        CREATE TABLE ml_prediction_archive (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          city_id INTEGER,
+          city_name TEXT NOT NULL,
+          prediction_type TEXT NOT NULL,
+          engine TEXT NOT NULL DEFAULT 'typescript',
+          prediction_data TEXT NOT NULL,
+          model_version TEXT,
+          issued_at TEXT NOT NULL,
+          verified_at TEXT,
+          UNIQUE(city_name, prediction_type, engine, issued_at)
+        );
+      `);
+      this.db.exec(`
+        INSERT INTO ml_prediction_archive
+        (id, city_id, city_name, prediction_type, engine, prediction_data, model_version, issued_at, verified_at)
+        SELECT id, city_id, city_name, prediction_type, ${engine}, prediction_data, model_version, issued_at, verified_at
+        FROM ml_prediction_archive_old;
+      `);
+      this.db.exec('DROP TABLE ml_prediction_archive_old;');
+    })();
+    console.log('Migrated ml_prediction_archive to key predictions by engine.');
+  }
+
+  /**
+   * Archive a prediction under the hour it was issued. A later prediction from the same engine
+   * in the same hour updates the row in place, so its id stays valid for verified forecasts.
+   * @param {Object} prediction - { cityId, cityName, predictionType, engine, predictionData (JSON),
+   *   modelVersion, issuedAt (ISO timestamp) }
+   */
+  archivePrediction({ cityId, cityName, predictionType, engine, predictionData, modelVersion = null, issuedAt }) {
+    const stmt = this.db.prepare(`
+      INSERT INTO ml_prediction_archive
+      (city_id, city_name, prediction_type, engine, prediction_data, model_version, issued_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT(city_name, prediction_type, engine, issued_at) DO UPDATE SET
+        city_id = excluded.city_id,
+        prediction_data = excluded.prediction_data,
+        model_version = excluded.model_version
+    `);
+    return stmt.run(cityId, cityName, predictionType, engine, predictionData, modelVersion,
+      issuedAt.slice(0, 13) + ':00:00Z');
+  }
+
+  createAlertTables() {
+    // Generic alerts table - hazard-specific readings live in the metrics JSON
     this.db.exec(`
-      CREATE TABLE IF NOT EXISTS heat_alerts (
+      CREATE TABLE IF NOT EXISTS alerts (
         id INTEGER PRIMARY KEY AUTOINCREMENT,
         city_id INTEGER NOT NULL,
         city_name TEXT NOT NULL,
+        alert_type TEXT NOT NULL,
         alert_level TEXT NOT NULL CHECK (alert_level IN ('LOW', 'MEDIUM', 'HIGH', 'CRITICAL')),
-        temperature REAL NOT NULL,
-        heat_index REAL,
+        metrics TEXT NOT NULL DEFAULT '{}', -- JSON object of the readings that triggered the alert
         threshold_exceeded REAL NOT NULL,
         alert_message TEXT NOT NULL,
+        status TEXT NOT NULL DEFAULT 'NEW', -- NEW, ACKNOWLEDGED, ESCALATED, DEESCALATED or RESOLVED
+        alert_category TEXT NOT NULL DEFAULT 'WARNING', -- WARNING from observations, WATCH from forecasts
+        expected_onset TIMESTAMP, -- when a forecast event is expected to begin (watches only)
         is_active BOOLEAN DEFAULT 1,
         created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
         updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
         expires_at TIMESTAMP,
+        acknowledged_at TIMESTAMP,
+        acknowledged_by TEXT,
+        resolved_at TIMESTAMP,
         FOREIGN KEY (city_id) REFERENCES cities (id)
       );
     `);
 
+    // Lifecycle columns added after the alerts table was introduced
+    const lifecycleColumns = [
+      { name: 'status', type: "TEXT NOT NULL DEFAULT 'NEW'" },
+      { name: 'acknowledged_at', type: 'TIMESTAMP' },
+      { name: 'acknowledged_by', type: 'TEXT' },
+      { name: 'alert_category', type: "TEXT NOT NULL DEFAULT 'WARNING'" },
+      { name: 'expected_onset', type: 'TIMESTAMP' }
+    ];
+
+    lifecycleColumns.forEach(column => {
+      try {
+        this.db.exec(`ALTER TABLE alerts ADD COLUMN ${column.name} ${column.type};`);
+        console.log(`Added column ${column.name} to alerts table`);
+        if (column.name === 'status') {
+          this.db.exec("UPDATE alerts SET status = 'RESOLVED' WHERE is_active = 0;");
+        }
+      } catch (error) {
+        // Column already exists, ignore
+        if (!error.message.includes('duplicate column name')) {
+          console.error(`Error adding column ${column.name}:`, error.message);
+        }
+      }
+    });
+
+    // Audit trail of every alert state transition
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS alert_events (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        alert_id INTEGER NOT NULL,
+        event_type TEXT NOT NULL, -- CREATED, ACKNOWLEDGED, ESCALATED, DEESCALATED, RESOLVED, SUPERSEDED or EXPIRED
+        from_status TEXT,
+        to_status TEXT NOT NULL,
+        from_level TEXT,
+        to_level TEXT,
+        actor TEXT NOT NULL DEFAULT 'system',
+        note TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (alert_id) REFERENCES alerts (id)
+      );
+    `);
+
+    // Move rows out of the old per-hazard tables
+    this.migrateLegacyAlertTables();
+
+    // Older databases were created with a CHECK constraint that predates some threshold types
+    this.migrateAlertThresholdTypes();
+
     // Alert thresholds configuration table
     this.db.exec(`
       CREATE TABLE IF NOT EXISTS alert_thresholds (
         id INTEGER PRIMARY KEY AUTOINCREMENT,
-        alert_type TEXT NOT NULL CHECK (alert_type IN ('FLOOD', 'HEAT')),
+        alert_type TEXT NOT NULL CHECK (alert_type IN ('FLOOD', 'FLOOD_24H', 'FLOOD_72H', 'HEAT', 'DROUGHT', 'CYCLONE', 'COLD', 'WIND')),
         level TEXT NOT NULL CHECK (level IN ('LOW', 'MEDIUM', 'HIGH', 'CRITICAL')),
         threshold_value REAL NOT NULL,
         threshold_unit TEXT NOT NULL,
         description TEXT,
+        scope TEXT NOT NULL DEFAULT 'DEFAULT', -- DEFAULT, REGION, STATE or CITY
+        scope_value TEXT NOT NULL DEFAULT '', -- region name, state name or city id
         is_active BOOLEAN DEFAULT 1,
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_by TEXT
+      );
+    `);
+
+    // Override scope columns added after the national defaults
+    const thresholdColumns = [
+      { name: 'scope', type: "TEXT NOT NULL DEFAULT 'DEFAULT'" },
+      { name: 'scope_value', type: "TEXT NOT NULL DEFAULT ''" },
+      { name: 'updated_at', type: 'TIMESTAMP' },
+      { name: 'updated_by', type: 'TEXT' }
+    ];
+
+    thresholdColumns.forEach(column => {
+      try {
+        this.db.exec(`ALTER TABLE alert_thresholds ADD COLUMN ${column.name} ${column.type};`);
+        console.log(`Added column ${column.name} to alert_thresholds table`);
+      } catch (error) {
+        // Column already exists, ignore
+        if (!error.message.includes('duplicate column name')) {
+          console.error(`Error adding column ${column.name}:`, error.message);
+        }
+      }
+    });
+
+    // Subscriptions used to be keyed on socket ids, which are meaningless once
+    // the socket disconnects, so those rows are dropped rather than migrated
+    this.migrateSocketSubscriptions();
+
+    // Alert subscribers, identified by a user id or device token that survives reconnects
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS alert_subscribers (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        token TEXT UNIQUE NOT NULL,
+        user_id TEXT,
+        display_name TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        last_seen_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
       );
     `);
 
-    // Alert subscriptions table (for managing user subscriptions)
+    // Notification preferences added after subscribers were introduced
+    const subscriberColumns = [
+      { name: 'timezone', type: "TEXT NOT NULL DEFAULT 'Asia/Kolkata'" },
+      { name: 'quiet_hours_start', type: 'TEXT' }, // HH:MM in the subscriber's timezone
+      { name: 'quiet_hours_end', type: 'TEXT' },
+      { name: 'rate_limit_per_hour', type: 'INTEGER NOT NULL DEFAULT 10' },
+      { name: 'digest_mode', type: 'BOOLEAN NOT NULL DEFAULT 0' },
+      { name: 'digest_max_level', type: "TEXT NOT NULL DEFAULT 'MEDIUM'" },
+      { name: 'digest_interval_minutes', type: 'INTEGER NOT NULL DEFAULT 180' },
+      { name: 'last_digest_at', type: 'TIMESTAMP' }
+    ];
+
+    subscriberColumns.forEach(column => {
+      try {
+        this.db.exec(`ALTER TABLE alert_subscribers ADD COLUMN ${column.name} ${column.type};`);
+        console.log(`Added column ${column.name} to alert_subscribers table`);
+      } catch (error) {
+        // Column already exists, ignore
+        if (!error.message.includes('duplicate column name')) {
+          console.error(`Error adding column ${column.name}:`, error.message);
+        }
+      }
+    });
+
+    // Alert subscriptions table - one row per subscriber and city
     this.db.exec(`
       CREATE TABLE IF NOT EXISTS alert_subscriptions (
         id INTEGER PRIMARY KEY AUTOINCREMENT,
-        socket_id TEXT NOT NULL,
-        city_id INTEGER,
-        city_name TEXT,
+        subscriber_id INTEGER NOT NULL,
+        city_id INTEGER NOT NULL,
+        city_name TEXT NOT NULL,
         alert_types TEXT NOT NULL, -- JSON array of alert types
-        subscription_level TEXT DEFAULT 'MEDIUM', -- minimum level to receive
+        min_level TEXT NOT NULL DEFAULT 'MEDIUM' CHECK (min_level IN ('LOW', 'MEDIUM', 'HIGH', 'CRITICAL')),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (subscriber_id, city_id),
+        FOREIGN KEY (subscriber_id) REFERENCES alert_subscribers (id),
+        FOREIGN KEY (city_id) REFERENCES cities (id)
+      );
+    `);
+
+    // Outbound delivery channels (webhook, email, sms) chosen by each subscriber
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS notification_channels (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        subscriber_id INTEGER NOT NULL,
+        channel TEXT NOT NULL CHECK (channel IN ('webhook', 'email', 'sms')),
+        destination TEXT NOT NULL, -- webhook URL, email address or phone number
+        secret TEXT, -- HMAC signing secret for webhooks
+        min_level TEXT NOT NULL DEFAULT 'HIGH' CHECK (min_level IN ('LOW', 'MEDIUM', 'HIGH', 'CRITICAL')),
+        is_enabled BOOLEAN DEFAULT 1,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (subscriber_id, channel, destination),
+        FOREIGN KEY (subscriber_id) REFERENCES alert_subscribers (id)
+      );
+    `);
+
+    // Digests bundle notifications held back by digest mode, quiet hours or rate limits
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS alert_digests (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        subscriber_id INTEGER NOT NULL,
+        alert_count INTEGER NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (subscriber_id) REFERENCES alert_subscribers (id)
+      );
+    `);
+
+    // Every alert matched to a subscriber, delivered at once (held_reason NULL) or held for a digest
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS subscriber_notifications (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        subscriber_id INTEGER NOT NULL,
+        alert_id INTEGER NOT NULL,
+        alert_type TEXT NOT NULL,
+        alert_level TEXT NOT NULL,
+        city_name TEXT NOT NULL,
+        alert_message TEXT NOT NULL,
+        held_reason TEXT, -- DIGEST_MODE, QUIET_HOURS or RATE_LIMIT
+        digest_id INTEGER,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (subscriber_id) REFERENCES alert_subscribers (id),
+        FOREIGN KEY (alert_id) REFERENCES alerts (id),
+        FOREIGN KEY (digest_id) REFERENCES alert_digests (id)
+      );
+    `);
+
+    // Digest deliveries have no single alert, and the log must not block channel removal,
+    // so older delivery logs are rebuilt without those constraints
+    this.migrateNotificationDeliveries();
+
+    // Delivery log - one row per alert (or digest) and channel, updated on every attempt.
+    // Channel and destination are copied so the log outlives removed channels.
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS notification_deliveries (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        alert_id INTEGER,
+        digest_id INTEGER,
+        subscriber_id INTEGER NOT NULL,
+        channel_id INTEGER NOT NULL,
+        channel TEXT NOT NULL,
+        destination TEXT NOT NULL,
+        payload TEXT NOT NULL, -- JSON snapshot of the alert as it was dispatched
+        status TEXT NOT NULL DEFAULT 'PENDING' CHECK (status IN ('PENDING', 'SENT', 'FAILED', 'SKIPPED')),
+        attempts INTEGER NOT NULL DEFAULT 0,
+        last_error TEXT,
+        next_attempt_at TIMESTAMP,
         created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        last_active TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        delivered_at TIMESTAMP,
+        FOREIGN KEY (alert_id) REFERENCES alerts (id)
       );
     `);
 
     // Create indexes for alert tables
     this.db.exec(`
-      CREATE INDEX IF NOT EXISTS idx_flood_alerts_city_active ON flood_alerts (city_id, is_active, created_at DESC);
-      CREATE INDEX IF NOT EXISTS idx_heat_alerts_city_active ON heat_alerts (city_id, is_active, created_at DESC);
+      CREATE INDEX IF NOT EXISTS idx_alerts_city_active ON alerts (city_id, is_active, created_at DESC);
+      CREATE INDEX IF NOT EXISTS idx_alerts_type_active ON alerts (alert_type, is_active);
+      CREATE INDEX IF NOT EXISTS idx_alert_events_alert ON alert_events (alert_id, created_at);
       CREATE INDEX IF NOT EXISTS idx_alert_thresholds_type_level ON alert_thresholds (alert_type, level);
-      CREATE INDEX IF NOT EXISTS idx_alert_subscriptions_socket ON alert_subscriptions (socket_id);
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_alert_thresholds_scope ON alert_thresholds (alert_type, level, scope, scope_value);
+      CREATE INDEX IF NOT EXISTS idx_alert_subscriptions_subscriber ON alert_subscriptions (subscriber_id);
       CREATE INDEX IF NOT EXISTS idx_alert_subscriptions_city ON alert_subscriptions (city_id);
+      CREATE INDEX IF NOT EXISTS idx_notification_channels_subscriber ON notification_channels (subscriber_id);
+      CREATE INDEX IF NOT EXISTS idx_notification_deliveries_due ON notification_deliveries (status, next_attempt_at);
+      CREATE INDEX IF NOT EXISTS idx_notification_deliveries_alert ON notification_deliveries (alert_id);
+      CREATE INDEX IF NOT EXISTS idx_subscriber_notifications_subscriber ON subscriber_notifications (subscriber_id, created_at);
     `);
 
     // Insert default thresholds
@@ -212,40 +844,219 @@ class ClimateDatabase {
     console.log('Alert tables and indexes created/verified.');
   }
 
-  insertDefaultThresholds() {
-    // Check if thresholds already exist
-    const existingThresholds = this.db.prepare('SELECT COUNT(*) as count FROM alert_thresholds').get();
-    
-    if (existingThresholds.count === 0) {
-      const insertThreshold = this.db.prepare(`
-        INSERT INTO alert_thresholds (alert_type, level, threshold_value, threshold_unit, description)
-        VALUES (?, ?, ?, ?, ?)
-      `);
+  migrateLegacyAlertTables() {
+    const existingTables = new Set(this.db.prepare(`
+      SELECT name FROM sqlite_master WHERE type = 'table'
+    `).all().map(row => row.name));
 
+    for (const [alertType, legacy] of Object.entries(LEGACY_ALERT_TABLES)) {
+      if (!existingTables.has(legacy.table)) {
+        continue;
+      }
+
+      const metricsJson = legacy.metrics.map(column => `'${column}', ${column}`).join(', ');
+
+      const migrate = this.db.transaction(() => {
+        const result = this.db.prepare(`
+          INSERT INTO alerts
+          (city_id, city_name, alert_type, alert_level, metrics, threshold_exceeded, alert_message,
+           status, is_active, created_at, updated_at, expires_at, resolved_at)
+          SELECT city_id, city_name, '${alertType}', alert_level, json_object(${metricsJson}),
+                 threshold_exceeded, alert_message,
+                 CASE WHEN is_active = 0 THEN 'RESOLVED' ELSE 'NEW' END,
+                 is_active, created_at, updated_at, expires_at,
+                 CASE WHEN is_active = 0 THEN updated_at END
+          FROM ${legacy.table}
+          ORDER BY created_at
+        `).run();
+        this.db.exec(`DROP TABLE ${legacy.table};`);
+        return result.changes;
+      });
+
+      const copied = migrate();
+      console.log(`Migrated ${copied} ${alertType} alerts from ${legacy.table} into alerts.`);
+    }
+  }
+
+  migrateSocketSubscriptions() {
+    const columns = this.db.prepare('PRAGMA table_info(alert_subscriptions)').all();
+
+    if (columns.some(column => column.name === 'socket_id')) {
+      this.db.exec('DROP TABLE alert_subscriptions;');
+      console.log('Dropped socket-keyed alert_subscriptions table.');
+    }
+  }
+
+  migrateAlertThresholdTypes() {
+    const table = this.db.prepare(`
+      SELECT sql FROM sqlite_master WHERE type = 'table' AND name = 'alert_thresholds'
+    `).get();
+
+    // SQLite cannot alter a CHECK constraint, so rebuild the table and keep its rows
+    if (table && !table.sql.includes("'FLOOD_72H'")) {
+      const copied = this.db.prepare('PRAGMA table_info(alert_thresholds)').all()
+        .map(column => column.name).join(', ');
+
+      this.db.transaction(() => {
+        this.db.exec('ALTER TABLE alert_thresholds RENAME TO alert_thresholds_old;');
+        this.db.exec('DROP INDEX IF EXISTS idx_alert_thresholds_type_level;');
+        this.db.exec('DROP INDEX IF EXISTS idx_alert_thresholds_scope;');
+        this.db.exec(`
+          CREATE TABLE alert_thresholds (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            alert_type TEXT NOT NULL CHECK (alert_type IN ('FLOOD', 'FLOOD_24H', 'FLOOD_72H', 'HEAT', 'DROUGHT', 'CYCLONE', 'COLD', 'WIND')),
+            level TEXT NOT NULL CHECK (level IN ('LOW', 'MEDIUM', 'HIGH', 'CRITICAL')),
+            threshold_value REAL NOT NULL,
+            threshold_unit TEXT NOT NULL,
+            description TEXT,
+            scope TEXT NOT NULL DEFAULT 'DEFAULT',
+            scope_value TEXT NOT NULL DEFAULT '',
+            is_active BOOLEAN DEFAULT 1,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            updated_by TEXT
+          );
+        `);
+        this.db.exec(`
+          INSERT INTO alert_thresholds (${copied})
+          SELECT ${copied} FROM alert_thresholds_old;
+        `);
+        this.db.exec('DROP TABLE alert_thresholds_old;');
+      })();
+      console.log('Migrated alert_thresholds to support all threshold types.');
+    }
+  }
+
+  migrateNotificationDeliveries() {
+    const columns = this.db.prepare('PRAGMA table_info(notification_deliveries)').all();
+
+    // SQLite cannot drop NOT NULL or FOREIGN KEY constraints, so rebuild the table and keep its rows
+    if (columns.length > 0 && !columns.some(column => column.name === 'digest_id')) {
+      this.db.transaction(() => {
+        this.db.exec('ALTER TABLE notification_deliveries RENAME TO notification_deliveries_old;');
+        this.db.exec('DROP INDEX IF EXISTS idx_notification_deliveries_due;');
+        this.db.exec('DROP INDEX IF EXISTS idx_notification_deliveries_alert;');
+        this.db.exec(`
+          CREATE TABLE notification_deliveries (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            alert_id INTEGER,
+            digest_id INTEGER,
+            subscriber_id INTEGER NOT NULL,
+            channel_id INTEGER NOT NULL,
+            channel TEXT NOT NULL,
+            destination TEXT NOT NULL,
+            payload TEXT NOT NULL,
+            status TEXT NOT NULL DEFAULT 'PENDING' CHECK (status IN ('PENDING', 'SENT', 'FAILED', 'SKIPPED')),
+            attempts INTEGER NOT NULL DEFAULT 0,
+            last_error TEXT,
+            next_attempt_at TIMESTAMP,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            delivered_at TIMESTAMP,
+            FOREIGN KEY (alert_id) REFERENCES alerts (id)
+          );
+        `);
+        this.db.exec(`
+          INSERT INTO notification_deliveries
+          (id, alert_id, subscriber_id, channel_id, channel, destination, payload, status,
+           attempts, last_error, next_attempt_at, created_at, updated_at, delivered_at)
+          SELECT id, alert_id, subscriber_id, channel_id, channel, destination, payload, status,
+           attempts, last_error, next_attempt_at, created_at, updated_at, delivered_at
+          FROM notification_deliveries_old;
+        `);
+        this.db.exec('DROP TABLE notification_deliveries_old;');
+      })();
+      console.log('Migrated notification_deliveries to support digest deliveries.');
+    }
+  }
+
+  insertDefaultThresholds() {
+    const insertThreshold = this.db.prepare(`
+      INSERT INTO alert_thresholds (alert_type, level, threshold_value, threshold_unit, description)
+      VALUES (?, ?, ?, ?, ?)
+    `);
+
+    const defaultThresholds = {
       // Flood thresholds (rainfall in mm/hour)
-      const floodThresholds = [
+      FLOOD: [
         ['FLOOD', 'LOW', 5, 'mm/h', 'Light rainfall - monitor conditions'],
         ['FLOOD', 'MEDIUM', 10, 'mm/h', 'Moderate rainfall - potential flooding in low-lying areas'],
         ['FLOOD', 'HIGH', 20, 'mm/h', 'Heavy rainfall - flooding likely in vulnerable areas'],
         ['FLOOD', 'CRITICAL', 50, 'mm/h', 'Extreme rainfall - severe flooding expected']
-      ];
+      ],
 
       // Heat thresholds (temperature in Celsius)
-      const heatThresholds = [
+      HEAT: [
         ['HEAT', 'LOW', 35, '°C', 'High temperature - stay hydrated'],
         ['HEAT', 'MEDIUM', 40, '°C', 'Very high temperature - avoid prolonged outdoor exposure'],
         ['HEAT', 'HIGH', 45, '°C', 'Dangerous heat - heat stroke risk'],
         ['HEAT', 'CRITICAL', 50, '°C', 'Extreme heat - emergency conditions']
-      ];
+      ],
+
+      // Drought thresholds (soil moisture in %, lower is worse)
+      DROUGHT: [
+        ['DROUGHT', 'LOW', 30, '%', 'Soil drying out - plan irrigation'],
+        ['DROUGHT', 'MEDIUM', 20, '%', 'Low soil moisture - crop water stress likely'],
+        ['DROUGHT', 'HIGH', 15, '%', 'Severe soil moisture deficit - prioritise water for standing crops'],
+        ['DROUGHT', 'CRITICAL', 10, '%', 'Extreme drought conditions - crop failure risk']
+      ],
+
+      // Cyclone thresholds (sea-level pressure in hPa, lower is worse)
+      CYCLONE: [
+        ['CYCLONE', 'LOW', 1000, 'hPa', 'Low pressure area - monitor coastal conditions'],
+        ['CYCLONE', 'MEDIUM', 996, 'hPa', 'Depression forming - secure boats and loose structures'],
+        ['CYCLONE', 'HIGH', 990, 'hPa', 'Deep depression - storm surge and heavy rain likely'],
+        ['CYCLONE', 'CRITICAL', 980, 'hPa', 'Cyclonic storm - evacuate low-lying coastal areas']
+      ],
+
+      // Cold wave / frost thresholds (temperature in Celsius, lower is worse)
+      COLD: [
+        ['COLD', 'LOW', 10, '°C', 'Cold conditions - protect sensitive crops and livestock'],
+        ['COLD', 'MEDIUM', 7, '°C', 'Cold wave - cover nurseries and young plants'],
+        ['COLD', 'HIGH', 4, '°C', 'Severe cold wave - frost damage possible'],
+        ['COLD', 'CRITICAL', 0, '°C', 'Frost - severe crop damage expected']
+      ],
+
+      // High wind thresholds (wind speed or gust in km/h)
+      WIND: [
+        ['WIND', 'LOW', 40, 'km/h', 'Strong winds - secure loose objects'],
+        ['WIND', 'MEDIUM', 50, 'km/h', 'Very strong winds - avoid spraying and support tall crops'],
+        ['WIND', 'HIGH', 62, 'km/h', 'Gale force winds - damage to crops and structures likely'],
+        ['WIND', 'CRITICAL', 89, 'km/h', 'Storm force winds - stay indoors']
+      ],
+
+      // Flood thresholds for accumulated rainfall (mm over 24 and 72 hours), following the
+      // IMD rather heavy, heavy, very heavy and extremely heavy categories
+      FLOOD_24H: [
+        ['FLOOD_24H', 'LOW', 35.5, 'mm/24h', 'Rather heavy rain over the past day - monitor drainage'],
+        ['FLOOD_24H', 'MEDIUM', 64.5, 'mm/24h', 'Heavy rain over the past day - waterlogging likely'],
+        ['FLOOD_24H', 'HIGH', 115.6, 'mm/24h', 'Very heavy rain over the past day - flooding likely'],
+        ['FLOOD_24H', 'CRITICAL', 204.5, 'mm/24h', 'Extremely heavy rain over the past day - severe flooding expected']
+      ],
+      FLOOD_72H: [
+        ['FLOOD_72H', 'LOW', 64.5, 'mm/72h', 'Heavy rain over three days - monitor rivers and drains'],
+        ['FLOOD_72H', 'MEDIUM', 115.6, 'mm/72h', 'Very heavy rain over three days - flooding in low-lying areas'],
+        ['FLOOD_72H', 'HIGH', 204.5, 'mm/72h', 'Extremely heavy rain over three days - flooding likely'],
+        ['FLOOD_72H', 'CRITICAL', 300, 'mm/72h', 'Prolonged extreme rain - severe flooding expected']
+      ]
+    };
+
+    const countForType = this.db.prepare(`
+      SELECT COUNT(*) as count FROM alert_thresholds WHERE alert_type = ? AND scope = 'DEFAULT'
+    `);
+
+    // Seed each hazard separately so existing databases pick up newly added types
+    const missing = Object.keys(defaultThresholds).filter(type => countForType.get(type).count === 0);
 
+    if (missing.length > 0) {
       const insertMany = this.db.transaction((thresholds) => {
         for (const threshold of thresholds) {
           insertThreshold.run(...threshold);
         }
       });
 
-      insertMany([...floodThresholds, ...heatThresholds]);
-      console.log('Default alert thresholds inserted.');
+      insertMany(missing.flatMap(type => defaultThresholds[type]));
+      console.log(`Default alert thresholds inserted for: ${missing.join(', ')}.`);
     }
   }
 
@@ -254,10 +1065,22 @@ class ClimateDatabase {
       const citiesPath = path.join(__dirname, '../data/cities.json');
       const citiesData = JSON.parse(fs.readFileSync(citiesPath, 'utf8'));
       
+      // Only the seed file's columns are refreshed, so settings stored on a city such as
+      // its ingestion interval survive a restart
       const insertCity = this.db.prepare(`
-        INSERT OR REPLACE INTO cities 
+        INSERT INTO cities 
         (id, name, state, imd_id, latitude, longitude, timezone, population, region, is_active)
         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, 1)
+        ON CONFLICT(id) DO UPDATE SET
+          name = excluded.name,
+          state = excluded.state,
+          imd_id = excluded.imd_id,
+          latitude = excluded.latitude,
+          longitude = excluded.longitude,
+          timezone = excluded.timezone,
+          population = excluded.population,
+          region = excluded.region,
+          updated_at = CURRENT_TIMESTAMP
       `);
 
       const insertMany = this.db.transaction((cities) => {
@@ -272,6 +1095,20 @@ class ClimateDatabase {
 
       insertMany(citiesData.cities);
       console.log(`Loaded ${citiesData.cities.length} cities into database.`);
+
+      this.upsertGazetteerPlaces(citiesData.cities.map(city => ({
+        placeKey: `city:${city.id}`,
+        name: city.name,
+        country: 'India',
+        countryCode: 'IN',
+        admin1: city.state,
+        admin2: city.district,
+        latitude: city.latitude,
+        longitude: city.longitude,
+        timezone: city.timezone,
+        population: city.population,
+        source: 'SEED'
+      })));
     } catch (error) {
       console.error('Error loading city data:', error.message);
     }
@@ -281,12 +1118,13 @@ class ClimateDatabase {
     const stmt = this.db.prepare(`
       INSERT INTO weather_data 
       (city_id, city_name, temperature, feels_like, temp_min, temp_max, humidity, pressure, 
-       rainfall, rainfall_24h, wind_speed, wind_direction, wind_gust, visibility, uv_index, 
+       rainfall, rainfall_24h, rainfall_72h, rainfall_7d, wind_speed, wind_direction, wind_gust, visibility, uv_index, 
        cloud_cover, dew_point, heat_index, wind_chill, soil_temperature, soil_moisture,
        evapotranspiration, growing_degree_days, air_quality_pm25, air_quality_pm10, 
        air_quality_index, pressure_trend, moon_phase, moon_illumination,
-       weather_description, weather_condition, data_source, sunrise, sunset, latitude, longitude)
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+       weather_description, weather_condition, data_source, sunrise, sunset, latitude, longitude,
+       source_count, confidence, disagreement_count, field_provenance)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
     `);
     
     // Get city coordinates
@@ -299,7 +1137,7 @@ class ClimateDatabase {
       data.temperature, data.feels_like || data.temperature, 
       data.temp_min || data.temperature, data.temp_max || data.temperature,
       data.humidity, data.pressure || null,
-      data.rainfall, data.rainfall_24h || 0,
+      data.rainfall, data.rainfall_24h || 0, data.rainfall_72h ?? null, data.rainfall_7d ?? null,
       data.wind_speed || null, data.wind_direction || null, data.wind_gust || null,
       data.visibility || null, data.uv_index || null, data.cloud_cover || null,
       data.dew_point || null, data.heat_index || null, data.wind_chill || null,
@@ -309,10 +1147,17 @@ class ClimateDatabase {
       data.pressure_trend || null, data.moon_phase || null, data.moon_illumination || null,
       data.weather_description, data.weather_condition || null,
       data.data_source, data.sunrise || null, data.sunset || null,
-      latitude, longitude
+      latitude, longitude,
+      data.source_count ?? null, data.confidence ?? null, data.disagreement_count ?? null,
+      data.field_provenance ? JSON.stringify(data.field_provenance) : null
     );
   }
 
+  // Parse the field_provenance JSON of a weather_data row
+  parseWeatherRow(row) {
+    return row ? { ...row, field_provenance: row.field_provenance ? JSON.parse(row.field_provenance) : null } : row;
+  }
+
   getLatestWeather(cityName) {
     const stmt = this.db.prepare(`
       SELECT * FROM weather_data 
@@ -320,7 +1165,7 @@ class ClimateDatabase {
       ORDER BY recorded_at DESC 
       LIMIT 1
     `);
-    return stmt.get(cityName);
+    return this.parseWeatherRow(stmt.get(cityName));
   }
 
   // New methods for expanded functionality
@@ -367,6 +1212,57 @@ class ClimateDatabase {
     return stmt.all(state);
   }
 
+  /**
+   * Observed rainfall per UTC hour, averaging the 1-hour readings stored within each hour
+   * @param {string} cityName - Name of the city
+   * @param {number} hours - How many hours back to look
+   * @returns {Array} Rows of { hour: 'YYYY-MM-DD HH', rainfall, readings }
+   */
+  getHourlyRainfall(cityName, hours = 168) {
+    const stmt = this.db.prepare(`
+      SELECT strftime('%Y-%m-%d %H', recorded_at) as hour,
+             AVG(rainfall) as rainfall,
+             COUNT(*) as readings
+      FROM weather_data
+      WHERE city_name = ? AND rainfall IS NOT NULL
+        AND recorded_at >= datetime('now', '-' || ? || ' hours')
+      GROUP BY hour
+      ORDER BY hour
+    `);
+    return stmt.all(cityName, hours);
+  }
+
+  /**
+   * Observed daily temperature, humidity and rainfall for a city from weather_data
+   * @param {string} cityName - Name of the city
+   * @param {string} from - First day, YYYY-MM-DD
+   * @param {string} to - Last day, YYYY-MM-DD
+   * @returns {Array} { day, temperature, humidity, rainfall, hours }, oldest first. Readings
+   *   are averaged per hour first; rainfall adds up the hourly rates, scaled to 24 hours
+   *   when some hours have no reading, and hours counts the hours that have one.
+   */
+  getDailyObservations(cityName, from, to) {
+    const stmt = this.db.prepare(`
+      SELECT day,
+             AVG(temperature) as temperature,
+             AVG(humidity) as humidity,
+             SUM(rainfall) * 24.0 / COUNT(*) as rainfall,
+             COUNT(*) as hours
+      FROM (
+        SELECT date(recorded_at) as day,
+               AVG(temperature) as temperature,
+               AVG(humidity) as humidity,
+               AVG(rainfall) as rainfall
+        FROM weather_data
+        WHERE city_name = ? AND recorded_at >= ? AND recorded_at < date(?, '+1 day')
+        GROUP BY strftime('%Y-%m-%d %H', recorded_at)
+      )
+      GROUP BY day
+      ORDER BY day
+    `);
+    return stmt.all(cityName, from, to);
+  }
+
   getWeatherHistory(cityName, limit = 10) {
     const stmt = this.db.prepare(`
       SELECT * FROM weather_data 
@@ -374,7 +1270,7 @@ class ClimateDatabase {
       ORDER BY recorded_at DESC 
       LIMIT ?
     `);
-    return stmt.all(cityName, limit);
+    return stmt.all(cityName, limit).map(row => this.parseWeatherRow(row));
   }
 
   getLatestWeatherForAllCities() {
@@ -386,6 +1282,7 @@ class ClimateDatabase {
         w1.rainfall,
         w1.weather_description,
         w1.data_source,
+        w1.confidence,
         w1.recorded_at,
         c.state,
         c.region,
@@ -404,102 +1301,1134 @@ class ClimateDatabase {
     return stmt.all();
   }
 
+  // Purges whole days, so an hour rolled up from the remaining rows is never partial
   cleanOldWeatherData(daysToKeep = 30) {
     const stmt = this.db.prepare(`
       DELETE FROM weather_data 
-      WHERE recorded_at < datetime('now', '-' || ? || ' days')
+      WHERE recorded_at < date('now', '-' || ? || ' days')
     `);
-    const result = stmt.run(daysToKeep);
-    console.log(`Cleaned ${result.changes} old weather records.`);
-    return result.changes;
+    return stmt.run(daysToKeep).changes;
   }
 
-  // =============== ALERT MANAGEMENT METHODS ===============
+  // =============== ROLLUP METHODS ===============
+
+  /**
+   * Recompute one rollup resolution from the next finer level. Only periods from the
+   * latest one already rolled up onward are recomputed, so runs are incremental and a
+   * period that was still in progress last time is completed.
+   * @param {string} resolution - HOURLY, DAILY or MONTHLY
+   * @returns {number} Rollup rows written
+   */
+  rollupWeatherData(resolution) {
+    const source = ROLLUP_SOURCES[resolution];
+    const { since } = this.db.prepare(`
+      SELECT COALESCE(MAX(period_start), '') as since FROM weather_rollups WHERE resolution = ?
+    `).get(resolution);
+
+    const selects = source.table === 'weather_data'
+      ? ROLLUP_METRICS.map(metric => `
+          SELECT city_id, city_name, ${source.period} as period, '${metric}' as metric,
+                 MIN(${metric}), MAX(${metric}), ROUND(AVG(${metric}), 2), ROUND(SUM(${metric}), 2), COUNT(${metric})
+          FROM weather_data
+          WHERE recorded_at >= @since AND ${metric} IS NOT NULL
+          GROUP BY city_id, period`)
+      : [`
+          SELECT city_id, city_name, ${source.period} as period, metric,
+                 MIN(min_value), MAX(max_value), ROUND(SUM(sum_value) / SUM(samples), 2),
+                 ROUND(SUM(sum_value), 2), SUM(samples)
+          FROM weather_rollups
+          WHERE resolution = '${source.resolution}' AND period_start >= @since
+          GROUP BY city_id, period, metric`];
+
+    return this.db.prepare(`
+      INSERT INTO weather_rollups
+      (city_id, city_name, period_start, metric, min_value, max_value, mean_value, sum_value, samples, resolution)
+      SELECT *, '${resolution}' FROM (${selects.join(' UNION ALL ')}) WHERE true
+      ON CONFLICT(city_id, resolution, period_start, metric) DO UPDATE SET
+        min_value = excluded.min_value,
+        max_value = excluded.max_value,
+        mean_value = excluded.mean_value,
+        sum_value = excluded.sum_value,
+        samples = excluded.samples
+    `).run({ since }).changes;
+  }
+
+  /**
+   * Roll weather_data up into hourly, daily and monthly aggregates, then purge each tier
+   * past its retention. Runs in one transaction, so nothing is purged unless its rollup
+   * was written. Purges are aligned to whole days (raw, hourly) and months (daily), so
+   * the rows left behind always make up complete periods.
+   * @param {Object} retention - { rawDays, hourlyDays, dailyDays }; monthly rollups are kept
+   * @returns {Object} Rows rolled up and purged per tier
+   */
+  compactWeatherData({ rawDays = 30, hourlyDays = 90, dailyDays = 730 } = {}) {
+    return this.db.transaction(() => {
+      const rolledUp = {
+        hourly: this.rollupWeatherData('HOURLY'),
+        daily: this.rollupWeatherData('DAILY'),
+        monthly: this.rollupWeatherData('MONTHLY')
+      };
+
+      const purgeRollups = this.db.prepare(`
+        DELETE FROM weather_rollups WHERE resolution = ? AND period_start < date('now', '-' || ? || ' days', ?)
+      `);
+      const purged = {
+        raw: this.cleanOldWeatherData(rawDays),
+        hourly: purgeRollups.run('HOURLY', hourlyDays, 'start of day').changes,
+        daily: purgeRollups.run('DAILY', dailyDays, 'start of month').changes
+      };
+
+      return { rolledUp, purged };
+    })();
+  }
+
+  /**
+   * Rollups for a city, newest period first
+   * @param {number} cityId - City id
+   * @param {Object} options - { resolution, from, to (period_start bounds), metrics, limit (periods) }
+   * @returns {Array} One row per period and metric
+   */
+  getWeatherRollups(cityId, { resolution = 'DAILY', from = null, to = null, metrics = null, limit = 1000 } = {}) {
+    let filter = 'city_id = ? AND resolution = ?';
+    const params = [cityId, resolution];
+
+    if (from) {
+      filter += ' AND period_start >= ?';
+      params.push(from);
+    }
+
+    if (to) {
+      filter += ' AND period_start <= ?';
+      params.push(to);
+    }
 
-  // Insert flood alert
-  insertFloodAlert(alertData) {
+    if (metrics && metrics.length > 0) {
+      filter += ` AND metric IN (${metrics.map(() => '?').join(', ')})`;
+      params.push(...metrics);
+    }
+
+    return this.db.prepare(`
+      SELECT * FROM weather_rollups
+      WHERE ${filter} AND period_start IN (
+        SELECT DISTINCT period_start FROM weather_rollups WHERE ${filter}
+        ORDER BY period_start DESC LIMIT ?
+      )
+      ORDER BY period_start DESC, metric
+    `).all(...params, ...params, limit);
+  }
+
+  /**
+   * Aggregate a time series for one or more cities, one row per city and period,
+   * from raw observations or one rollup resolution
+   * @param {Object} query - { source (RAW, HOURLY, DAILY or MONTHLY), cityIds, metrics,
+   *   interval (HOUR, DAY, WEEK or MONTH), agg (MEAN, MIN, MAX or SUM), from, to, limit, offset }
+   * @returns {Object} { total, rows }; rows are oldest first, then by city name
+   */
+  getWeatherSeries({ source, cityIds, metrics, interval, agg, from, to, limit = 500, offset = 0 }) {
+    const fromRaw = source === 'RAW';
+    const time = fromRaw ? 'recorded_at' : 'period_start';
+    const aggregate = SERIES_AGGREGATES[agg][fromRaw ? 'raw' : 'rollup'];
+    const columns = metrics
+      .filter(metric => ROLLUP_METRICS.includes(metric))
+      .map(metric => `${aggregate(metric)} as ${metric}`);
+
+    let filter = `city_id IN (${cityIds.map(() => '?').join(', ')}) AND ${time} >= ? AND ${time} <= ?`;
+    const params = [...cityIds, from, to];
+
+    if (!fromRaw) {
+      filter += ' AND resolution = ?';
+      params.push(source);
+    }
+
+    // Grouped by the expression, not the alias: weather_rollups has its own period_start
+    const bucket = SERIES_BUCKETS[interval](time);
+    const grouped = `
+      SELECT city_id, city_name, ${bucket} as period_start, ${columns.join(', ')}
+      FROM ${fromRaw ? 'weather_data' : 'weather_rollups'}
+      WHERE ${filter}
+      GROUP BY city_id, ${bucket}
+    `;
+
+    const { total } = this.db.prepare(`SELECT COUNT(*) as total FROM (${grouped})`).get(...params);
+    const rows = this.db.prepare(`${grouped} ORDER BY period_start, city_name LIMIT ? OFFSET ?`)
+      .all(...params, limit, offset);
+
+    return { total, rows };
+  }
+
+  /**
+   * One chunk of rows for an export, in the order they were stored. Rows are read by id
+   * after `afterId`, so each chunk is a separate query and no statement stays open
+   * between chunks.
+   * @param {string} table - Table to read
+   * @param {Object} options - { columns, time (column or expression filtered by from and to),
+   *   cityNames, from, to, filters ({ column: value }), afterId, limit }
+   * @returns {Array} Rows with the requested columns
+   */
+  getExportRows(table, { columns, time, cityNames = [], from = null, to = null, filters = {}, afterId = 0, limit = 1000 }) {
+    let query = `SELECT ${columns.join(', ')} FROM ${table} WHERE id > ?`;
+    const params = [afterId];
+
+    if (cityNames.length > 0) {
+      query += ` AND city_name IN (${cityNames.map(() => '?').join(', ')})`;
+      params.push(...cityNames);
+    }
+
+    if (from) {
+      query += ` AND ${time} >= ?`;
+      params.push(from);
+    }
+
+    if (to) {
+      query += ` AND ${time} <= ?`;
+      params.push(to);
+    }
+
+    Object.entries(filters).forEach(([column, value]) => {
+      query += ` AND UPPER(${column}) = ?`;
+      params.push(value);
+    });
+
+    query += ' ORDER BY id LIMIT ?';
+    params.push(limit);
+
+    return this.db.prepare(query).all(...params);
+  }
+
+  hasTable(name) {
+    return Boolean(this.db.prepare(`SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = ?`).get(name));
+  }
+
+  // Stored observations between two UTC timestamps, newest first
+  getWeatherHistoryRange(cityName, from, to, limit = 1000) {
     const stmt = this.db.prepare(`
-      INSERT INTO flood_alerts 
-      (city_id, city_name, alert_level, rainfall_1h, rainfall_24h, threshold_exceeded, alert_message, expires_at)
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+      SELECT * FROM weather_data
+      WHERE city_name = ? AND recorded_at >= ? AND recorded_at <= ?
+      ORDER BY recorded_at DESC
+      LIMIT ?
     `);
-    return stmt.run(
-      alertData.city_id, alertData.city_name, alertData.alert_level,
-      alertData.rainfall_1h, alertData.rainfall_24h || 0, alertData.threshold_exceeded,
-      alertData.alert_message, alertData.expires_at
+    return stmt.all(cityName, from, to, limit).map(row => this.parseWeatherRow(row));
+  }
+
+  // =============== GAZETTEER METHODS ===============
+
+  parseGazetteerRow(row) {
+    return row ? { ...row, postcodes: row.postcodes ? JSON.parse(row.postcodes) : null } : row;
+  }
+
+  /**
+   * Add places to the gazetteer, or refresh the ones already there
+   * @param {Array} places - { placeKey, name, country, countryCode, admin1, admin2, admin3, admin4,
+   *   latitude, longitude, elevation, timezone, population, postcodes, featureCode, source }
+   * @returns {Array} Gazetteer ids, in the order given
+   */
+  upsertGazetteerPlaces(places) {
+    const upsert = this.db.prepare(`
+      INSERT INTO gazetteer
+      (place_key, name, search_key, country, country_code, admin1, admin2, admin3, admin4,
+       latitude, longitude, elevation, timezone, population, postcodes, feature_code, source)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT (place_key) DO UPDATE SET
+        name = excluded.name,
+        search_key = excluded.search_key,
+        country = excluded.country,
+        country_code = excluded.country_code,
+        admin1 = excluded.admin1,
+        admin2 = excluded.admin2,
+        admin3 = excluded.admin3,
+        admin4 = excluded.admin4,
+        latitude = excluded.latitude,
+        longitude = excluded.longitude,
+        elevation = excluded.elevation,
+        timezone = excluded.timezone,
+        population = excluded.population,
+        postcodes = excluded.postcodes,
+        feature_code = excluded.feature_code,
+        updated_at = CURRENT_TIMESTAMP
+    `);
+    const getId = this.db.prepare('SELECT id FROM gazetteer WHERE place_key = ?');
+
+    return this.db.transaction(() => places.map(place => {
+      upsert.run(
+        place.placeKey, place.name, searchKey(place.name), place.country ?? null, place.countryCode ?? null,
+        place.admin1 ?? null, place.admin2 ?? null, place.admin3 ?? null, place.admin4 ?? null,
+        place.latitude, place.longitude, place.elevation ?? null, place.timezone ?? null,
+        place.population ?? null, place.postcodes ? JSON.stringify(place.postcodes) : null,
+        place.featureCode ?? null, place.source
+      );
+      return getId.get(place.placeKey).id;
+    }))();
+  }
+
+  // Places in id order as given; ids no longer in the gazetteer are skipped
+  getGazetteerPlaces(ids) {
+    const stmt = this.db.prepare('SELECT * FROM gazetteer WHERE id = ?');
+    return ids.map(id => this.parseGazetteerRow(stmt.get(id))).filter(Boolean);
+  }
+
+  // Places whose search key starts with the given prefix, the candidates for a fuzzy match
+  getGazetteerCandidates(keyPrefix) {
+    return this.db.prepare(`
+      SELECT * FROM gazetteer WHERE search_key LIKE ? || '%'
+    `).all(keyPrefix).map(row => this.parseGazetteerRow(row));
+  }
+
+  getGeocodingQuery(query, country = '') {
+    const row = this.db.prepare(`
+      SELECT * FROM geocoding_queries WHERE query = ? AND country = ?
+    `).get(query, country);
+    return row ? { ...row, place_ids: JSON.parse(row.place_ids) } : null;
+  }
+
+  saveGeocodingQuery(query, country, placeIds) {
+    this.db.prepare(`
+      INSERT INTO geocoding_queries (query, country, place_ids) VALUES (?, ?, ?)
+      ON CONFLICT (query, country) DO UPDATE SET
+        place_ids = excluded.place_ids,
+        fetched_at = CURRENT_TIMESTAMP
+    `).run(query, country, JSON.stringify(placeIds));
+  }
+
+  // =============== INGESTION METHODS ===============
+
+  setCityIngestionInterval(cityId, minutes) {
+    const stmt = this.db.prepare(`
+      UPDATE cities SET ingestion_interval_minutes = ?, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `);
+    return stmt.run(minutes, cityId).changes > 0;
+  }
+
+  getIngestionSchedule() {
+    return this.db.prepare('SELECT * FROM ingestion_schedule').all();
+  }
+
+  /**
+   * Save the schedule of one or more sites
+   * @param {Array} entries - { cityId, lastRunAt, nextRunAt, intervalMinutes, intervalReason };
+   *   timestamps are UTC 'YYYY-MM-DD HH:MM:SS', lastRunAt null if never run
+   */
+  saveIngestionSchedule(entries) {
+    const stmt = this.db.prepare(`
+      INSERT INTO ingestion_schedule (city_id, last_run_at, next_run_at, interval_minutes, interval_reason)
+      VALUES (?, ?, ?, ?, ?)
+      ON CONFLICT (city_id) DO UPDATE SET
+        last_run_at = COALESCE(excluded.last_run_at, last_run_at),
+        next_run_at = excluded.next_run_at,
+        interval_minutes = excluded.interval_minutes,
+        interval_reason = excluded.interval_reason,
+        updated_at = CURRENT_TIMESTAMP
+    `);
+
+    this.db.transaction(() => {
+      entries.forEach(entry => stmt.run(
+        entry.cityId, entry.lastRunAt ?? null, entry.nextRunAt, entry.intervalMinutes, entry.intervalReason
+      ));
+    })();
+  }
+
+  deleteIngestionSchedule(cityId) {
+    return this.db.prepare('DELETE FROM ingestion_schedule WHERE city_id = ?').run(cityId).changes > 0;
+  }
+
+  // Ids of the sites with at least one unexpired active alert
+  getCityIdsWithActiveAlerts() {
+    return this.db.prepare(`
+      SELECT DISTINCT city_id FROM alerts
+      WHERE is_active = 1 AND (expires_at IS NULL OR datetime(expires_at) > datetime('now'))
+    `).all().map(row => row.city_id);
+  }
+
+  parseIngestionRunRow(row) {
+    return row ? { ...row, sources_available: JSON.parse(row.sources_available || '[]') } : row;
+  }
+
+  insertIngestionRun(run) {
+    const stmt = this.db.prepare(`
+      INSERT INTO ingestion_runs
+      (city_id, city_name, trigger, status, source, sources_available, latency_ms, error, started_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+    const result = stmt.run(
+      run.cityId, run.cityName, run.trigger, run.status, run.source || null,
+      JSON.stringify(run.sourcesAvailable || []), run.latencyMs, run.error || null, run.startedAt
+    );
+    return result.lastInsertRowid;
+  }
+
+  getIngestionRuns({ cityId = null, status = null, trigger = null, limit = 50 } = {}) {
+    let query = 'SELECT * FROM ingestion_runs WHERE 1 = 1';
+    const params = [];
+    
+    if (cityId) {
+      query += ' AND city_id = ?';
+      params.push(cityId);
+    }
+    
+    if (status) {
+      query += ' AND status = ?';
+      params.push(status);
+    }
+    
+    if (trigger) {
+      query += ' AND trigger = ?';
+      params.push(trigger);
+    }
+    
+    query += ' ORDER BY started_at DESC, id DESC LIMIT ?';
+    params.push(limit);
+    
+    return this.db.prepare(query).all(...params).map(row => this.parseIngestionRunRow(row));
+  }
+
+  // Success rate and latency per city and source over the last `hours` hours
+  getIngestionStats(hours = 24) {
+    const stmt = this.db.prepare(`
+      SELECT city_id, city_name,
+             COUNT(*) as runs,
+             SUM(CASE WHEN status = 'SUCCESS' THEN 1 ELSE 0 END) as successful,
+             SUM(CASE WHEN status = 'FAILED' THEN 1 ELSE 0 END) as failed,
+             SUM(CASE WHEN status = 'NO_DATA' THEN 1 ELSE 0 END) as no_data,
+             ROUND(AVG(latency_ms)) as avg_latency_ms,
+             MAX(CASE WHEN status = 'SUCCESS' THEN started_at END) as last_success_at
+      FROM ingestion_runs
+      WHERE started_at >= datetime('now', '-' || ? || ' hours')
+      GROUP BY city_id, city_name
+      ORDER BY city_name
+    `);
+    return stmt.all(hours);
+  }
+
+  getProviderPriorities() {
+    return this.db.prepare('SELECT * FROM provider_priorities ORDER BY region')
+      .all()
+      .map(row => ({ ...row, providers: JSON.parse(row.providers) }));
+  }
+
+  setProviderPriority(region, providers, updatedBy = null) {
+    const stmt = this.db.prepare(`
+      INSERT INTO provider_priorities (region, providers, updated_by)
+      VALUES (?, ?, ?)
+      ON CONFLICT(region) DO UPDATE SET
+        providers = excluded.providers,
+        updated_by = excluded.updated_by,
+        updated_at = CURRENT_TIMESTAMP
+    `);
+    stmt.run(region, JSON.stringify(providers), updatedBy);
+  }
+
+  deleteProviderPriority(region) {
+    return this.db.prepare('DELETE FROM provider_priorities WHERE region = ?').run(region).changes > 0;
+  }
+
+  getProviderAccuracy({ cityId = null, provider = null } = {}) {
+    let query = `
+      SELECT pa.*, c.name as city_name
+      FROM provider_accuracy pa
+      INNER JOIN cities c ON pa.city_id = c.id
+      WHERE 1 = 1
+    `;
+    const params = [];
+
+    if (cityId) {
+      query += ' AND pa.city_id = ?';
+      params.push(cityId);
+    }
+
+    if (provider) {
+      query += ' AND pa.provider = ?';
+      params.push(provider);
+    }
+
+    query += ' ORDER BY c.name, pa.field, pa.provider';
+    return this.db.prepare(query).all(...params);
+  }
+
+  /**
+   * Fold new absolute errors into each provider's running mean for a city
+   * @param {number} cityId - City the observations were for
+   * @param {Array} errors - [{ provider, field, error }]
+   * @param {number} smoothing - Weight of the new error in the running mean
+   */
+  recordProviderErrors(cityId, errors, smoothing = 0.1) {
+    const stmt = this.db.prepare(`
+      INSERT INTO provider_accuracy (city_id, provider, field, samples, mean_abs_error)
+      VALUES (?, ?, ?, 1, ?)
+      ON CONFLICT(city_id, provider, field) DO UPDATE SET
+        samples = samples + 1,
+        mean_abs_error = mean_abs_error + ? * (excluded.mean_abs_error - mean_abs_error),
+        updated_at = CURRENT_TIMESTAMP
+    `);
+
+    this.db.transaction(() => {
+      errors.forEach(entry => {
+        stmt.run(cityId, entry.provider, entry.field, entry.error, smoothing);
+      });
+    })();
+  }
+
+  deleteProviderAccuracy(cityId = null) {
+    if (cityId) {
+      return this.db.prepare('DELETE FROM provider_accuracy WHERE city_id = ?').run(cityId).changes;
+    }
+    return this.db.prepare('DELETE FROM provider_accuracy').run().changes;
+  }
+
+  cleanOldIngestionRuns(daysToKeep = 30) {
+    const stmt = this.db.prepare(`
+      DELETE FROM ingestion_runs
+      WHERE started_at < datetime('now', '-' || ? || ' days')
+    `);
+    return stmt.run(daysToKeep).changes;
+  }
+
+  // =============== FARM METHODS ===============
+
+  /**
+   * Every active city, most populous first, followed by every active farm. These are
+   * the sites polled for weather and refreshed by the ML services.
+   * @returns {Array} Rows from the cities table
+   */
+  getMonitoredSites() {
+    const sites = this.getAllCities();
+    return [
+      ...sites.filter(site => site.site_type !== 'FARM'),
+      ...sites.filter(site => site.site_type === 'FARM')
+    ];
+  }
+
+  // Whether any site, active or not, already has this name
+  isSiteNameTaken(name) {
+    return Boolean(this.db.prepare('SELECT 1 FROM cities WHERE name = ?').get(name));
+  }
+
+  parseFarmRow(row) {
+    return row ? { ...row, is_active: Boolean(row.is_active), crops: JSON.parse(row.crops || '[]') } : row;
+  }
+
+  /**
+   * Register a farm and its monitored site
+   * @param {Object} farm - { name, state, region, timezone, latitude, longitude, owner, areaHectares,
+   *   soilType, crops }; state, region and timezone are those of the nearest city
+   * @returns {Object} The farm, as from getFarmById
+   */
+  insertFarm(farm) {
+    const insert = this.db.transaction(() => {
+      const { next_id: id } = this.db.prepare(`
+        SELECT MAX(COALESCE(MAX(id) + 1, 0), ?) as next_id FROM cities
+      `).get(FARM_SITE_ID_START);
+
+      this.db.prepare(`
+        INSERT INTO cities (id, name, state, latitude, longitude, timezone, region, is_active, site_type)
+        VALUES (?, ?, ?, ?, ?, ?, ?, 1, 'FARM')
+      `).run(id, farm.name, farm.state, farm.latitude, farm.longitude, farm.timezone, farm.region ?? null);
+
+      this.db.prepare(`
+        INSERT INTO farms (id, owner, area_hectares, soil_type, crops)
+        VALUES (?, ?, ?, ?, ?)
+      `).run(id, farm.owner ?? null, farm.areaHectares ?? null, farm.soilType ?? null, JSON.stringify(farm.crops || []));
+
+      return id;
+    });
+
+    return this.getFarmById(insert());
+  }
+
+  getFarmById(id) {
+    return this.parseFarmRow(this.db.prepare(`
+      SELECT c.id, c.name, c.latitude, c.longitude, c.state, c.region, c.timezone,
+             f.owner, f.area_hectares, f.soil_type, f.crops, c.is_active, f.created_at, f.updated_at
+      FROM farms f
+      INNER JOIN cities c ON f.id = c.id
+      WHERE f.id = ?
+    `).get(id));
+  }
+
+  getFarms({ owner = null, activeOnly = true } = {}) {
+    let query = `
+      SELECT c.id, c.name, c.latitude, c.longitude, c.state, c.region, c.timezone,
+             f.owner, f.area_hectares, f.soil_type, f.crops, c.is_active, f.created_at, f.updated_at
+      FROM farms f
+      INNER JOIN cities c ON f.id = c.id
+      WHERE 1 = 1
+    `;
+    const params = [];
+
+    if (owner) {
+      query += ' AND f.owner = ?';
+      params.push(owner);
+    }
+
+    if (activeOnly) {
+      query += ' AND c.is_active = 1';
+    }
+
+    query += ' ORDER BY c.name';
+    return this.db.prepare(query).all(...params).map(row => this.parseFarmRow(row));
+  }
+
+  /**
+   * Update a farm; fields left null keep their value. Moving a farm also moves its site.
+   * @returns {boolean} Whether the farm exists
+   */
+  updateFarm(id, {
+    latitude = null, longitude = null, state = null, region = null, timezone = null,
+    owner = null, areaHectares = null, soilType = null, crops = null, isActive = null
+  } = {}) {
+    const update = this.db.transaction(() => {
+      const changed = this.db.prepare(`
+        UPDATE farms SET
+          owner = COALESCE(?, owner),
+          area_hectares = COALESCE(?, area_hectares),
+          soil_type = COALESCE(?, soil_type),
+          crops = COALESCE(?, crops),
+          updated_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+      `).run(owner, areaHectares, soilType, crops ? JSON.stringify(crops) : null, id).changes > 0;
+
+      if (changed) {
+        this.db.prepare(`
+          UPDATE cities SET
+            latitude = COALESCE(?, latitude),
+            longitude = COALESCE(?, longitude),
+            state = COALESCE(?, state),
+            region = COALESCE(?, region),
+            timezone = COALESCE(?, timezone),
+            is_active = COALESCE(?, is_active),
+            updated_at = CURRENT_TIMESTAMP
+          WHERE id = ? AND site_type = 'FARM'
+        `).run(latitude, longitude, state, region, timezone, isActive === null ? null : (isActive ? 1 : 0), id);
+      }
+      return changed;
+    });
+
+    return update();
+  }
+
+  // =============== STATION METHODS ===============
+
+  insertStation(station) {
+    const stmt = this.db.prepare(`
+      INSERT INTO stations (id, name, station_type, city_id, latitude, longitude, api_key_hash)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `);
+    stmt.run(
+      station.id, station.name, station.stationType, station.cityId,
+      station.latitude ?? null, station.longitude ?? null, station.apiKeyHash
     );
+    return this.getStationById(station.id);
+  }
+
+  getStationById(stationId) {
+    return this.db.prepare(`
+      SELECT s.*, c.name as city_name
+      FROM stations s
+      INNER JOIN cities c ON s.city_id = c.id
+      WHERE s.id = ?
+    `).get(stationId);
+  }
+
+  getStations({ cityId = null, activeOnly = true } = {}) {
+    let query = `
+      SELECT s.*, c.name as city_name
+      FROM stations s
+      INNER JOIN cities c ON s.city_id = c.id
+      WHERE 1 = 1
+    `;
+    const params = [];
+
+    if (cityId) {
+      query += ' AND s.city_id = ?';
+      params.push(cityId);
+    }
+
+    if (activeOnly) {
+      query += ' AND s.is_active = 1';
+    }
+
+    query += ' ORDER BY c.name, s.id';
+    return this.db.prepare(query).all(...params);
+  }
+
+  updateStation(stationId, { name = null, isActive = null, apiKeyHash = null } = {}) {
+    const stmt = this.db.prepare(`
+      UPDATE stations SET
+        name = COALESCE(?, name),
+        is_active = COALESCE(?, is_active),
+        api_key_hash = COALESCE(?, api_key_hash),
+        updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `);
+    const isActiveValue = isActive === null ? null : (isActive ? 1 : 0);
+    return stmt.run(name, isActiveValue, apiKeyHash, stationId).changes > 0;
+  }
+
+  parseStationObservationRow(row) {
+    return row ? { ...row, warnings: JSON.parse(row.warnings || '[]') } : row;
+  }
+
+  /**
+   * Store a batch of readings from one station in a single transaction
+   * @param {Object} station - Row from the stations table
+   * @param {Array} readings - Validated readings with observed_at as 'YYYY-MM-DD HH:MM:SS' UTC
+   * @returns {Object} { inserted, duplicates }
+   */
+  insertStationObservations(station, readings) {
+    const stmt = this.db.prepare(`
+      INSERT OR IGNORE INTO station_observations
+      (station_id, city_id, observed_at, temperature, humidity, pressure, rainfall, wind_speed,
+       wind_direction, wind_gust, soil_moisture, soil_temperature, uv_index, warnings)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+
+    return this.db.transaction(() => {
+      let inserted = 0;
+      readings.forEach(reading => {
+        inserted += stmt.run(
+          station.id, station.city_id, reading.observed_at,
+          reading.temperature ?? null, reading.humidity ?? null, reading.pressure ?? null,
+          reading.rainfall ?? null, reading.wind_speed ?? null, reading.wind_direction ?? null,
+          reading.wind_gust ?? null, reading.soil_moisture ?? null, reading.soil_temperature ?? null,
+          reading.uv_index ?? null, JSON.stringify(reading.warnings || [])
+        ).changes;
+      });
+
+      this.db.prepare('UPDATE stations SET last_seen_at = CURRENT_TIMESTAMP WHERE id = ?').run(station.id);
+      return { inserted, duplicates: readings.length - inserted };
+    })();
+  }
+
+  getStationObservations(stationId, limit = 50) {
+    const stmt = this.db.prepare(`
+      SELECT * FROM station_observations
+      WHERE station_id = ?
+      ORDER BY observed_at DESC
+      LIMIT ?
+    `);
+    return stmt.all(stationId, limit).map(row => this.parseStationObservationRow(row));
+  }
+
+  /**
+   * Latest reading of each active station in a city, if taken within the last `minutes`
+   * @returns {Array} station_observations rows, one per station
+   */
+  getRecentStationReadings(cityId, minutes = 60) {
+    const stmt = this.db.prepare(`
+      SELECT o.*
+      FROM station_observations o
+      INNER JOIN stations s ON o.station_id = s.id
+      WHERE o.city_id = ? AND s.is_active = 1
+        AND o.observed_at >= datetime('now', '-' || ? || ' minutes')
+        AND o.observed_at = (
+          SELECT MAX(latest.observed_at) FROM station_observations latest
+          WHERE latest.station_id = o.station_id
+        )
+      ORDER BY o.station_id
+    `);
+    return stmt.all(cityId, minutes).map(row => this.parseStationObservationRow(row));
+  }
+
+  // =============== ARCHIVE METHODS ===============
+
+  /**
+   * Insert or replace archive rows; re-importing a period overwrites it
+   * @param {Array} rows - Rows with city_id, city_name, resolution, period_start, source and metrics
+   * @returns {number} Rows written
+   */
+  upsertArchiveRows(rows) {
+    const stmt = this.db.prepare(`
+      INSERT INTO weather_archive
+      (city_id, city_name, resolution, period_start, temperature, temp_min, temp_max, humidity,
+       pressure, rainfall, wind_speed, wind_direction, wind_gust, cloud_cover, soil_moisture, samples, source)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT(city_id, resolution, period_start) DO UPDATE SET
+        temperature = excluded.temperature,
+        temp_min = excluded.temp_min,
+        temp_max = excluded.temp_max,
+        humidity = excluded.humidity,
+        pressure = excluded.pressure,
+        rainfall = excluded.rainfall,
+        wind_speed = excluded.wind_speed,
+        wind_direction = excluded.wind_direction,
+        wind_gust = excluded.wind_gust,
+        cloud_cover = excluded.cloud_cover,
+        soil_moisture = excluded.soil_moisture,
+        samples = excluded.samples,
+        source = excluded.source,
+        imported_at = CURRENT_TIMESTAMP
+    `);
+
+    return this.db.transaction(() => {
+      rows.forEach(row => {
+        stmt.run(
+          row.city_id, row.city_name, row.resolution, row.period_start,
+          row.temperature ?? null, row.temp_min ?? null, row.temp_max ?? null, row.humidity ?? null,
+          row.pressure ?? null, row.rainfall ?? null, row.wind_speed ?? null, row.wind_direction ?? null,
+          row.wind_gust ?? null, row.cloud_cover ?? null, row.soil_moisture ?? null,
+          row.samples ?? null, row.source
+        );
+      });
+      return rows.length;
+    })();
+  }
+
+  getArchiveRows(cityId, { resolution = 'DAILY', from = null, to = null, limit = 366 } = {}) {
+    let query = 'SELECT * FROM weather_archive WHERE city_id = ? AND resolution = ?';
+    const params = [cityId, resolution];
+
+    if (from) {
+      query += ' AND period_start >= ?';
+      params.push(from);
+    }
+
+    if (to) {
+      query += ' AND period_start <= ?';
+      params.push(to);
+    }
+
+    query += ' ORDER BY period_start LIMIT ?';
+    params.push(limit);
+
+    return this.db.prepare(query).all(...params);
+  }
+
+  /**
+   * Archived daily history for the ML services, oldest first
+   * @param {string} cityName - Name of the city
+   * @param {number} days - How many days back from today to include
+   * @returns {Array} Daily archive rows, with recorded_at set to the day
+   */
+  getDailyWeatherHistory(cityName, days = 30) {
+    const stmt = this.db.prepare(`
+      SELECT *, period_start as recorded_at
+      FROM weather_archive
+      WHERE city_name = ? AND resolution = 'DAILY'
+        AND period_start >= date('now', '-' || ? || ' days')
+      ORDER BY period_start
+    `);
+    return stmt.all(cityName, days);
+  }
+
+  // Row count and first and last period per city and resolution
+  getArchiveCoverage(cityId = null) {
+    let query = `
+      SELECT city_id, city_name, resolution,
+             COUNT(*) as rows,
+             MIN(period_start) as first_period,
+             MAX(period_start) as last_period
+      FROM weather_archive
+    `;
+    const params = [];
+
+    if (cityId) {
+      query += ' WHERE city_id = ?';
+      params.push(cityId);
+    }
+
+    query += ' GROUP BY city_id, city_name, resolution ORDER BY city_name, resolution';
+    return this.db.prepare(query).all(...params);
+  }
+
+  // Most recent archived day for a city from one source, or null
+  getLatestArchiveDay(cityId, source) {
+    const row = this.db.prepare(`
+      SELECT MAX(period_start) as last_day FROM weather_archive
+      WHERE city_id = ? AND resolution = 'DAILY' AND source = ?
+    `).get(cityId, source);
+    return row ? row.last_day : null;
+  }
+
+  // Drop hourly archive rows older than `daysToKeep`; their daily rows remain
+  pruneArchiveHourly(daysToKeep = 90) {
+    const stmt = this.db.prepare(`
+      DELETE FROM weather_archive
+      WHERE resolution = 'HOURLY' AND period_start < datetime('now', '-' || ? || ' days')
+    `);
+    return stmt.run(daysToKeep).changes;
+  }
+
+  insertArchiveImport(archiveImport) {
+    const stmt = this.db.prepare(`
+      INSERT INTO archive_imports (city_id, city_name, source, start_date, end_date)
+      VALUES (?, ?, ?, ?, ?)
+    `);
+    return stmt.run(
+      archiveImport.cityId, archiveImport.cityName, archiveImport.source,
+      archiveImport.startDate || null, archiveImport.endDate || null
+    ).lastInsertRowid;
+  }
+
+  completeArchiveImport(importId, { status, hourlyRows = 0, dailyRows = 0, rejectedRows = 0, error = null }) {
+    const stmt = this.db.prepare(`
+      UPDATE archive_imports SET
+        status = ?, hourly_rows = ?, daily_rows = ?, rejected_rows = ?, error = ?,
+        completed_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `);
+    stmt.run(status, hourlyRows, dailyRows, rejectedRows, error, importId);
+    return this.db.prepare('SELECT * FROM archive_imports WHERE id = ?').get(importId);
+  }
+
+  getArchiveImports({ cityId = null, limit = 50 } = {}) {
+    let query = 'SELECT * FROM archive_imports';
+    const params = [];
+
+    if (cityId) {
+      query += ' WHERE city_id = ?';
+      params.push(cityId);
+    }
+
+    query += ' ORDER BY started_at DESC, id DESC LIMIT ?';
+    params.push(limit);
+
+    return this.db.prepare(query).all(...params);
+  }
+
+  // =============== ALERT MANAGEMENT METHODS ===============
+
+  // Parse the metrics JSON of an alert row
+  parseAlertRow(row) {
+    return row ? { ...row, metrics: JSON.parse(row.metrics || '{}') } : row;
   }
 
-  // Insert heat alert
-  insertHeatAlert(alertData) {
+  // Insert an alert of any hazard type and record its CREATED event
+  insertAlert(alertData) {
     const stmt = this.db.prepare(`
-      INSERT INTO heat_alerts 
-      (city_id, city_name, alert_level, temperature, heat_index, threshold_exceeded, alert_message, expires_at)
+      INSERT INTO alerts 
+      (city_id, city_name, alert_type, alert_level, metrics, threshold_exceeded, alert_message, expires_at,
+       alert_category, expected_onset)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+
+    const insert = this.db.transaction(() => {
+      const result = stmt.run(
+        alertData.city_id, alertData.city_name, alertData.type, alertData.alert_level,
+        JSON.stringify(alertData.metrics || {}), alertData.threshold_exceeded,
+        alertData.alert_message, alertData.expires_at,
+        alertData.category || 'WARNING', alertData.expected_onset || null
+      );
+      this.insertAlertEvent(result.lastInsertRowid, {
+        eventType: 'CREATED',
+        toStatus: 'NEW',
+        toLevel: alertData.alert_level
+      });
+      return result;
+    });
+
+    return insert();
+  }
+
+  // Get a single alert by id
+  getAlertById(alertId) {
+    const stmt = this.db.prepare('SELECT * FROM alerts WHERE id = ?');
+    return this.parseAlertRow(stmt.get(alertId));
+  }
+
+  // Record a lifecycle event for an alert
+  insertAlertEvent(alertId, event) {
+    const stmt = this.db.prepare(`
+      INSERT INTO alert_events 
+      (alert_id, event_type, from_status, to_status, from_level, to_level, actor, note)
       VALUES (?, ?, ?, ?, ?, ?, ?, ?)
     `);
     return stmt.run(
-      alertData.city_id, alertData.city_name, alertData.alert_level,
-      alertData.temperature, alertData.heat_index || null, alertData.threshold_exceeded,
-      alertData.alert_message, alertData.expires_at
+      alertId, event.eventType, event.fromStatus || null, event.toStatus,
+      event.fromLevel || null, event.toLevel || null, event.actor || 'system', event.note || null
     );
   }
 
-  // Get active alerts for a city
-  getActiveAlertsForCity(cityId) {
-    const floodStmt = this.db.prepare(`
-      SELECT 'FLOOD' as alert_type, * FROM flood_alerts 
-      WHERE city_id = ? AND is_active = 1 AND (expires_at IS NULL OR expires_at > datetime('now'))
-      ORDER BY created_at DESC
+  // Get the audit trail of an alert, oldest first
+  getAlertEvents(alertId) {
+    const stmt = this.db.prepare(`
+      SELECT * FROM alert_events 
+      WHERE alert_id = ? 
+      ORDER BY created_at ASC, id ASC
     `);
-    
-    const heatStmt = this.db.prepare(`
-      SELECT 'HEAT' as alert_type, * FROM heat_alerts 
-      WHERE city_id = ? AND is_active = 1 AND (expires_at IS NULL OR expires_at > datetime('now'))
-      ORDER BY created_at DESC
+    return stmt.all(alertId);
+  }
+
+  /**
+   * Move an alert to a new lifecycle state and record the event
+   * @param {number} alertId - Alert to update
+   * @param {Object} transition - eventType, status, and optionally level, metrics,
+   *   message, thresholdExceeded, expiresAt, actor and note
+   * @returns {Object|null} The updated alert and the recorded event, or null if not found
+   */
+  transitionAlert(alertId, transition) {
+    const apply = this.db.transaction(() => {
+      const current = this.getAlertById(alertId);
+      if (!current) {
+        return null;
+      }
+
+      const status = transition.status;
+      const level = transition.level || current.alert_level;
+      const isResolved = status === 'RESOLVED';
+
+      this.db.prepare(`
+        UPDATE alerts SET
+          status = ?,
+          alert_level = ?,
+          metrics = COALESCE(?, metrics),
+          alert_message = COALESCE(?, alert_message),
+          threshold_exceeded = COALESCE(?, threshold_exceeded),
+          expires_at = COALESCE(?, expires_at),
+          expected_onset = COALESCE(?, expected_onset),
+          is_active = ?,
+          acknowledged_at = CASE WHEN ? THEN datetime('now') ELSE acknowledged_at END,
+          acknowledged_by = CASE WHEN ? THEN ? ELSE acknowledged_by END,
+          resolved_at = CASE WHEN ? THEN datetime('now') ELSE resolved_at END,
+          updated_at = datetime('now')
+        WHERE id = ?
+      `).run(
+        status,
+        level,
+        transition.metrics ? JSON.stringify(transition.metrics) : null,
+        transition.message || null,
+        transition.thresholdExceeded ?? null,
+        transition.expiresAt || null,
+        transition.expectedOnset || null,
+        isResolved ? 0 : 1,
+        status === 'ACKNOWLEDGED' ? 1 : 0,
+        status === 'ACKNOWLEDGED' ? 1 : 0, transition.actor || null,
+        isResolved ? 1 : 0,
+        alertId
+      );
+
+      const event = {
+        eventType: transition.eventType,
+        fromStatus: current.status,
+        toStatus: status,
+        fromLevel: current.alert_level,
+        toLevel: level,
+        actor: transition.actor,
+        note: transition.note
+      };
+      const eventId = this.insertAlertEvent(alertId, event).lastInsertRowid;
+
+      return {
+        alert: this.getAlertById(alertId),
+        event: this.db.prepare('SELECT * FROM alert_events WHERE id = ?').get(eventId)
+      };
+    });
+
+    return apply();
+  }
+
+  // Get active alerts whose expiry time has passed
+  getExpiredActiveAlerts() {
+    const stmt = this.db.prepare(`
+      SELECT * FROM alerts 
+      WHERE expires_at IS NOT NULL AND datetime(expires_at) <= datetime('now') AND is_active = 1
     `);
-    
-    const floodAlerts = floodStmt.all(cityId);
-    const heatAlerts = heatStmt.all(cityId);
-    
-    return {
-      flood: floodAlerts,
-      heat: heatAlerts,
-      total: floodAlerts.length + heatAlerts.length
-    };
+    return stmt.all().map(row => this.parseAlertRow(row));
   }
 
-  // Get all active alerts
-  getAllActiveAlerts() {
+  // Get active alerts for a city, grouped by lower-case alert type
+  getActiveAlertsForCity(cityId) {
     const stmt = this.db.prepare(`
+      SELECT * FROM alerts 
+      WHERE city_id = ? AND is_active = 1 AND (expires_at IS NULL OR datetime(expires_at) > datetime('now'))
+      ORDER BY created_at DESC
+    `);
+    const alerts = stmt.all(cityId).map(row => this.parseAlertRow(row));
+
+    const result = { total: alerts.length };
+    ALERT_TYPES.forEach(alertType => {
+      result[alertType.toLowerCase()] = [];
+    });
+    alerts.forEach(alert => {
+      const key = alert.alert_type.toLowerCase();
+      (result[key] = result[key] || []).push(alert);
+    });
+
+    return result;
+  }
+
+  // Get all active alerts, optionally for one hazard type and/or category (WARNING or WATCH)
+  getAllActiveAlerts(alertType = null, category = null) {
+    let query = `
       SELECT 
-        'FLOOD' as alert_type,
-        fa.*,
-        c.name as city_name,
-        c.state,
-        c.region
-      FROM flood_alerts fa
-      INNER JOIN cities c ON fa.city_id = c.id
-      WHERE fa.is_active = 1 AND (fa.expires_at IS NULL OR fa.expires_at > datetime('now'))
-      
-      UNION ALL
-      
-      SELECT 
-        'HEAT' as alert_type,
-        ha.*,
+        a.*,
         c.name as city_name,
         c.state,
         c.region
-      FROM heat_alerts ha
-      INNER JOIN cities c ON ha.city_id = c.id
-      WHERE ha.is_active = 1 AND (ha.expires_at IS NULL OR ha.expires_at > datetime('now'))
-      
-      ORDER BY created_at DESC
-    `);
-    return stmt.all();
+      FROM alerts a
+      INNER JOIN cities c ON a.city_id = c.id
+      WHERE a.is_active = 1 AND (a.expires_at IS NULL OR datetime(a.expires_at) > datetime('now'))
+    `;
+    const params = [];
+
+    if (alertType) {
+      query += ' AND a.alert_type = ?';
+      params.push(alertType);
+    }
+
+    if (category) {
+      query += ' AND a.alert_category = ?';
+      params.push(category);
+    }
+
+    query += ' ORDER BY a.created_at DESC';
+
+    return this.db.prepare(query).all(...params).map(row => this.parseAlertRow(row));
+  }
+
+  // Get recent alerts for a city, active or not
+  getAlertHistory(cityId, limit = 20, alertType = null) {
+    let query = 'SELECT * FROM alerts WHERE city_id = ?';
+    const params = [cityId];
+
+    if (alertType) {
+      query += ' AND alert_type = ?';
+      params.push(alertType);
+    }
+
+    query += ' ORDER BY created_at DESC LIMIT ?';
+    params.push(limit);
+
+    return this.db.prepare(query).all(...params).map(row => this.parseAlertRow(row));
+  }
+
+  // Get active alert counts per hazard type
+  getAlertStats() {
+    const stats = {};
+    ALERT_TYPES.forEach(alertType => {
+      stats[`active_${alertType.toLowerCase()}_alerts`] = 0;
+    });
+
+    const counts = this.db.prepare(`
+      SELECT alert_type, COUNT(*) as count FROM alerts 
+      WHERE is_active = 1 AND (expires_at IS NULL OR datetime(expires_at) > datetime('now'))
+      GROUP BY alert_type
+    `).all();
+
+    let totalActive = 0;
+    counts.forEach(row => {
+      stats[`active_${row.alert_type.toLowerCase()}_alerts`] = row.count;
+      totalActive += row.count;
+    });
+
+    stats.total_subscriptions = this.db.prepare(`
+      SELECT COUNT(*) as count FROM alert_subscriptions
+    `).get().count;
+
+    stats.total_subscribers = this.db.prepare(`
+      SELECT COUNT(*) as count FROM alert_subscribers
+    `).get().count;
+
+    stats.cities_with_active_alerts = this.db.prepare(`
+      SELECT COUNT(DISTINCT city_id) as count FROM alerts 
+      WHERE is_active = 1 AND (expires_at IS NULL OR datetime(expires_at) > datetime('now'))
+    `).get().count;
+
+    stats.total_active_alerts = totalActive;
+
+    return stats;
   }
 
-  // Get alert thresholds
-  getAlertThresholds(alertType = null) {
+  // Get alert thresholds, optionally for one hazard and/or one override scope
+  getAlertThresholds(alertType = null, scope = null, scopeValue = null) {
     let query = 'SELECT * FROM alert_thresholds WHERE is_active = 1';
     const params = [];
     
@@ -508,45 +2437,206 @@ class ClimateDatabase {
       params.push(alertType);
     }
     
-    query += ' ORDER BY alert_type, threshold_value ASC';
+    if (scope) {
+      query += ' AND scope = ?';
+      params.push(scope);
+    }
+    
+    if (scopeValue !== null) {
+      query += ' AND scope_value = ?';
+      params.push(String(scopeValue));
+    }
+    
+    query += ' ORDER BY alert_type, scope, scope_value, threshold_value ASC';
     
     const stmt = this.db.prepare(query);
     return params.length > 0 ? stmt.all(...params) : stmt.all();
   }
 
-  // Deactivate old alerts for a city and alert type
+  /**
+   * Replace the full LOW..CRITICAL threshold set of a hazard for one scope
+   * @param {string} scope - DEFAULT, REGION, STATE or CITY
+   * @param {string} scopeValue - Region name, state name or city id ('' for DEFAULT)
+   * @param {string} alertType - Hazard type
+   * @param {Object} values - Threshold per level, e.g. { LOW: 38, MEDIUM: 42, HIGH: 46, CRITICAL: 49 }
+   * @param {string} updatedBy - Who made the change
+   */
+  setAlertThresholds(scope, scopeValue, alertType, values, updatedBy = null) {
+    // Overrides use the unit of the national default for the hazard
+    const defaultRow = this.db.prepare(`
+      SELECT threshold_unit FROM alert_thresholds WHERE alert_type = ? AND scope = 'DEFAULT' LIMIT 1
+    `).get(alertType);
+    const unit = defaultRow ? defaultRow.threshold_unit : '';
+    
+    const upsert = this.db.prepare(`
+      INSERT INTO alert_thresholds 
+      (alert_type, level, threshold_value, threshold_unit, scope, scope_value, updated_at, updated_by)
+      VALUES (?, ?, ?, ?, ?, ?, datetime('now'), ?)
+      ON CONFLICT (alert_type, level, scope, scope_value) DO UPDATE SET
+        threshold_value = excluded.threshold_value,
+        is_active = 1,
+        updated_at = datetime('now'),
+        updated_by = excluded.updated_by
+    `);
+    
+    const save = this.db.transaction(() => {
+      Object.entries(values).forEach(([level, value]) => {
+        upsert.run(alertType, level, value, unit, scope, String(scopeValue), updatedBy);
+      });
+    });
+    save();
+    
+    return this.getAlertThresholds(alertType, scope, scopeValue);
+  }
+
+  deleteAlertThresholds(scope, scopeValue, alertType) {
+    const stmt = this.db.prepare(`
+      DELETE FROM alert_thresholds WHERE scope = ? AND scope_value = ? AND alert_type = ?
+    `);
+    return stmt.run(scope, String(scopeValue), alertType);
+  }
+
+  // Resolve old alerts for a city and alert type
   deactivateOldAlerts(cityId, alertType) {
-    const table = alertType === 'FLOOD' ? 'flood_alerts' : 'heat_alerts';
+    const activeAlerts = this.db.prepare(`
+      SELECT id FROM alerts 
+      WHERE city_id = ? AND alert_type = ? AND is_active = 1
+    `).all(cityId, alertType);
+
+    activeAlerts.forEach(alert => {
+      this.transitionAlert(alert.id, { eventType: 'RESOLVED', status: 'RESOLVED', note: 'Superseded' });
+    });
+
+    return { changes: activeAlerts.length };
+  }
+
+  // Create or refresh an alert subscriber by token
+  upsertSubscriber(token, userId = null, displayName = null) {
+    const stmt = this.db.prepare(`
+      INSERT INTO alert_subscribers (token, user_id, display_name)
+      VALUES (?, ?, ?)
+      ON CONFLICT (token) DO UPDATE SET
+        user_id = COALESCE(excluded.user_id, user_id),
+        display_name = COALESCE(excluded.display_name, display_name),
+        updated_at = datetime('now'),
+        last_seen_at = datetime('now')
+    `);
+    stmt.run(token, userId, displayName);
+    return this.getSubscriberByToken(token);
+  }
+
+  getSubscriberById(subscriberId) {
+    const stmt = this.db.prepare('SELECT * FROM alert_subscribers WHERE id = ?');
+    return stmt.get(subscriberId);
+  }
+
+  getSubscriberByToken(token) {
+    const stmt = this.db.prepare('SELECT * FROM alert_subscribers WHERE token = ?');
+    return stmt.get(token);
+  }
+
+  // Record that a subscriber's device has reconnected or disconnected
+  touchSubscriber(token) {
+    const stmt = this.db.prepare(`
+      UPDATE alert_subscribers SET last_seen_at = datetime('now') WHERE token = ?
+    `);
+    return stmt.run(token);
+  }
+
+  // Update quiet hours, rate limit and digest preferences; null leaves a field unchanged
+  updateSubscriberPreferences(subscriberId, preferences) {
+    const columns = {
+      timezone: 'timezone',
+      quietHoursStart: 'quiet_hours_start',
+      quietHoursEnd: 'quiet_hours_end',
+      rateLimitPerHour: 'rate_limit_per_hour',
+      digestMode: 'digest_mode',
+      digestMaxLevel: 'digest_max_level',
+      digestIntervalMinutes: 'digest_interval_minutes'
+    };
+    const updates = Object.keys(columns).filter(key => preferences[key] !== undefined);
+    
+    if (updates.length === 0) {
+      return { changes: 0 };
+    }
+    
+    const stmt = this.db.prepare(`
+      UPDATE alert_subscribers SET
+        ${updates.map(key => `${columns[key]} = ?`).join(', ')},
+        updated_at = datetime('now')
+      WHERE id = ?
+    `);
+    return stmt.run(...updates.map(key => {
+      const value = preferences[key];
+      return typeof value === 'boolean' ? (value ? 1 : 0) : value;
+    }), subscriberId);
+  }
+
+  deleteSubscriber(subscriberId) {
+    const remove = this.db.transaction(() => {
+      this.db.prepare('DELETE FROM alert_subscriptions WHERE subscriber_id = ?').run(subscriberId);
+      this.db.prepare('DELETE FROM notification_channels WHERE subscriber_id = ?').run(subscriberId);
+      this.db.prepare('DELETE FROM subscriber_notifications WHERE subscriber_id = ?').run(subscriberId);
+      this.db.prepare('DELETE FROM alert_digests WHERE subscriber_id = ?').run(subscriberId);
+      return this.db.prepare('DELETE FROM alert_subscribers WHERE id = ?').run(subscriberId);
+    });
+    return remove();
+  }
+
+  // Subscribe to alerts for a city, replacing any existing preferences for it
+  subscribeToAlerts(subscriberId, cityId, cityName, alertTypes, minLevel = 'MEDIUM') {
     const stmt = this.db.prepare(`
-      UPDATE ${table} 
-      SET is_active = 0, updated_at = datetime('now')
-      WHERE city_id = ? AND is_active = 1
+      INSERT INTO alert_subscriptions 
+      (subscriber_id, city_id, city_name, alert_types, min_level)
+      VALUES (?, ?, ?, ?, ?)
+      ON CONFLICT (subscriber_id, city_id) DO UPDATE SET
+        alert_types = excluded.alert_types,
+        min_level = excluded.min_level,
+        updated_at = datetime('now')
     `);
-    return stmt.run(cityId);
+    return stmt.run(subscriberId, cityId, cityName, JSON.stringify(alertTypes), minLevel);
   }
 
-  // Subscribe to alerts
-  subscribeToAlerts(socketId, cityId, cityName, alertTypes, subscriptionLevel = 'MEDIUM') {
+  // Update hazard or severity preferences of an existing city subscription
+  updateAlertSubscription(subscriberId, cityId, alertTypes = null, minLevel = null) {
     const stmt = this.db.prepare(`
-      INSERT OR REPLACE INTO alert_subscriptions 
-      (socket_id, city_id, city_name, alert_types, subscription_level, last_active)
-      VALUES (?, ?, ?, ?, ?, datetime('now'))
+      UPDATE alert_subscriptions SET
+        alert_types = COALESCE(?, alert_types),
+        min_level = COALESCE(?, min_level),
+        updated_at = datetime('now')
+      WHERE subscriber_id = ? AND city_id = ?
     `);
-    return stmt.run(socketId, cityId, cityName, JSON.stringify(alertTypes), subscriptionLevel);
+    return stmt.run(alertTypes ? JSON.stringify(alertTypes) : null, minLevel, subscriberId, cityId);
   }
 
-  // Get alert subscriptions
-  getAlertSubscriptions(socketId = null) {
-    let query = 'SELECT * FROM alert_subscriptions';
+  deleteAlertSubscription(subscriberId, cityId) {
+    const stmt = this.db.prepare(`
+      DELETE FROM alert_subscriptions WHERE subscriber_id = ? AND city_id = ?
+    `);
+    return stmt.run(subscriberId, cityId);
+  }
+
+  // Get alert subscriptions, optionally for one subscriber or one city
+  getAlertSubscriptions({ subscriberId = null, cityId = null } = {}) {
+    let query = `
+      SELECT s.*, sub.token 
+      FROM alert_subscriptions s
+      INNER JOIN alert_subscribers sub ON s.subscriber_id = sub.id
+      WHERE 1 = 1
+    `;
     const params = [];
     
-    if (socketId) {
-      query += ' WHERE socket_id = ?';
-      params.push(socketId);
+    if (subscriberId) {
+      query += ' AND s.subscriber_id = ?';
+      params.push(subscriberId);
+    }
+
+    if (cityId) {
+      query += ' AND s.city_id = ?';
+      params.push(cityId);
     }
     
-    const stmt = this.db.prepare(query);
-    const subscriptions = params.length > 0 ? stmt.all(...params) : stmt.all();
+    const subscriptions = this.db.prepare(query).all(...params);
     
     // Parse alert_types JSON
     return subscriptions.map(sub => ({
@@ -555,30 +2645,218 @@ class ClimateDatabase {
     }));
   }
 
-  // Clean expired alerts
-  cleanExpiredAlerts() {
-    const floodStmt = this.db.prepare(`
-      UPDATE flood_alerts 
-      SET is_active = 0, updated_at = datetime('now')
-      WHERE expires_at IS NOT NULL AND expires_at <= datetime('now') AND is_active = 1
+  // Add a delivery channel for a subscriber, or update it if the destination is already registered
+  upsertNotificationChannel(subscriberId, channel, destination, { secret = null, minLevel = 'HIGH' } = {}) {
+    const stmt = this.db.prepare(`
+      INSERT INTO notification_channels (subscriber_id, channel, destination, secret, min_level)
+      VALUES (?, ?, ?, ?, ?)
+      ON CONFLICT (subscriber_id, channel, destination) DO UPDATE SET
+        secret = COALESCE(excluded.secret, secret),
+        min_level = excluded.min_level,
+        is_enabled = 1,
+        updated_at = datetime('now')
     `);
+    stmt.run(subscriberId, channel, destination, secret, minLevel);
     
-    const heatStmt = this.db.prepare(`
-      UPDATE heat_alerts 
-      SET is_active = 0, updated_at = datetime('now')
-      WHERE expires_at IS NOT NULL AND expires_at <= datetime('now') AND is_active = 1
+    return this.db.prepare(`
+      SELECT * FROM notification_channels WHERE subscriber_id = ? AND channel = ? AND destination = ?
+    `).get(subscriberId, channel, destination);
+  }
+
+  getNotificationChannelById(channelId) {
+    const stmt = this.db.prepare('SELECT * FROM notification_channels WHERE id = ?');
+    return stmt.get(channelId);
+  }
+
+  getNotificationChannels(subscriberId, enabledOnly = false) {
+    let query = 'SELECT * FROM notification_channels WHERE subscriber_id = ?';
+    if (enabledOnly) {
+      query += ' AND is_enabled = 1';
+    }
+    query += ' ORDER BY id';
+    
+    return this.db.prepare(query).all(subscriberId);
+  }
+
+  updateNotificationChannel(channelId, { minLevel = null, isEnabled = null, secret = null } = {}) {
+    const stmt = this.db.prepare(`
+      UPDATE notification_channels SET
+        min_level = COALESCE(?, min_level),
+        is_enabled = COALESCE(?, is_enabled),
+        secret = COALESCE(?, secret),
+        updated_at = datetime('now')
+      WHERE id = ?
+    `);
+    return stmt.run(minLevel, isEnabled === null ? null : (isEnabled ? 1 : 0), secret, channelId);
+  }
+
+  deleteNotificationChannel(channelId) {
+    const stmt = this.db.prepare('DELETE FROM notification_channels WHERE id = ?');
+    return stmt.run(channelId);
+  }
+
+  recordSubscriberNotification(subscriberId, alert, heldReason = null) {
+    const stmt = this.db.prepare(`
+      INSERT INTO subscriber_notifications 
+      (subscriber_id, alert_id, alert_type, alert_level, city_name, alert_message, held_reason)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `);
+    return stmt.run(
+      subscriberId,
+      alert.id,
+      alert.type,
+      alert.alert_level,
+      alert.city_name,
+      alert.alert_message,
+      heldReason
+    );
+  }
+
+  // Notifications pushed immediately to a subscriber in the last hour, for rate limiting
+  countRecentSubscriberNotifications(subscriberId) {
+    const stmt = this.db.prepare(`
+      SELECT COUNT(*) as count FROM subscriber_notifications
+      WHERE subscriber_id = ? AND held_reason IS NULL AND created_at >= datetime('now', '-1 hour')
+    `);
+    return stmt.get(subscriberId).count;
+  }
+
+  getSubscribersWithHeldNotifications() {
+    const stmt = this.db.prepare(`
+      SELECT * FROM alert_subscribers WHERE id IN (
+        SELECT DISTINCT subscriber_id FROM subscriber_notifications
+        WHERE held_reason IS NOT NULL AND digest_id IS NULL
+      )
+    `);
+    return stmt.all();
+  }
+
+  getHeldNotifications(subscriberId) {
+    const stmt = this.db.prepare(`
+      SELECT * FROM subscriber_notifications
+      WHERE subscriber_id = ? AND held_reason IS NOT NULL AND digest_id IS NULL
+      ORDER BY created_at, id
+    `);
+    return stmt.all(subscriberId);
+  }
+
+  // Bundle held notifications into a digest and mark the subscriber's digest time
+  createDigest(subscriberId, notificationIds) {
+    const create = this.db.transaction(() => {
+      const result = this.db.prepare(`
+        INSERT INTO alert_digests (subscriber_id, alert_count) VALUES (?, ?)
+      `).run(subscriberId, notificationIds.length);
+      const digestId = result.lastInsertRowid;
+      
+      const assign = this.db.prepare('UPDATE subscriber_notifications SET digest_id = ? WHERE id = ?');
+      notificationIds.forEach(id => assign.run(digestId, id));
+      
+      this.db.prepare(`
+        UPDATE alert_subscribers SET last_digest_at = datetime('now') WHERE id = ?
+      `).run(subscriberId);
+      
+      return this.db.prepare('SELECT * FROM alert_digests WHERE id = ?').get(digestId);
+    });
+    return create();
+  }
+
+  parseDeliveryRow(row) {
+    return row ? { ...row, payload: JSON.parse(row.payload) } : row;
+  }
+
+  insertNotificationDelivery(delivery) {
+    const stmt = this.db.prepare(`
+      INSERT INTO notification_deliveries 
+      (alert_id, digest_id, subscriber_id, channel_id, channel, destination, payload, next_attempt_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, datetime('now'))
+    `);
+    const result = stmt.run(
+      delivery.alertId || null,
+      delivery.digestId || null,
+      delivery.subscriberId,
+      delivery.channelId,
+      delivery.channel,
+      delivery.destination,
+      JSON.stringify(delivery.payload)
+    );
+    return this.getNotificationDeliveryById(result.lastInsertRowid);
+  }
+
+  getNotificationDeliveryById(deliveryId) {
+    const stmt = this.db.prepare('SELECT * FROM notification_deliveries WHERE id = ?');
+    return this.parseDeliveryRow(stmt.get(deliveryId));
+  }
+
+  /**
+   * Record the outcome of a delivery attempt
+   * @param {number} deliveryId - Delivery row id
+   * @param {Object} attempt - { status, error, retryInSeconds }; retryInSeconds keeps the row PENDING
+   */
+  recordDeliveryAttempt(deliveryId, { status, error = null, retryInSeconds = null }) {
+    const stmt = this.db.prepare(`
+      UPDATE notification_deliveries SET
+        status = ?,
+        attempts = attempts + 1,
+        last_error = ?,
+        next_attempt_at = CASE WHEN ? IS NULL THEN NULL ELSE datetime('now', '+' || ? || ' seconds') END,
+        delivered_at = CASE WHEN ? = 'SENT' THEN datetime('now') ELSE delivered_at END,
+        updated_at = datetime('now')
+      WHERE id = ?
+    `);
+    return stmt.run(status, error, retryInSeconds, retryInSeconds, status, deliveryId);
+  }
+
+  // Mark a delivery that was never attempted, e.g. because its channel is not configured
+  skipNotificationDelivery(deliveryId, reason) {
+    const stmt = this.db.prepare(`
+      UPDATE notification_deliveries SET
+        status = 'SKIPPED', last_error = ?, next_attempt_at = NULL, updated_at = datetime('now')
+      WHERE id = ?
     `);
+    return stmt.run(reason, deliveryId);
+  }
+
+  getDueNotificationDeliveries(limit = 50) {
+    const stmt = this.db.prepare(`
+      SELECT * FROM notification_deliveries 
+      WHERE status = 'PENDING' AND next_attempt_at <= datetime('now')
+      ORDER BY next_attempt_at
+      LIMIT ?
+    `);
+    return stmt.all(limit).map(row => this.parseDeliveryRow(row));
+  }
+
+  getNotificationDeliveries({ alertId = null, subscriberId = null, status = null, limit = 50 } = {}) {
+    let query = 'SELECT * FROM notification_deliveries WHERE 1 = 1';
+    const params = [];
     
-    const floodResult = floodStmt.run();
-    const heatResult = heatStmt.run();
+    if (alertId) {
+      query += ' AND alert_id = ?';
+      params.push(alertId);
+    }
     
-    const totalCleaned = floodResult.changes + heatResult.changes;
-    if (totalCleaned > 0) {
-      console.log(`Cleaned ${totalCleaned} expired alerts.`);
+    if (subscriberId) {
+      query += ' AND subscriber_id = ?';
+      params.push(subscriberId);
     }
     
-    return totalCleaned;
+    if (status) {
+      query += ' AND status = ?';
+      params.push(status);
+    }
+    
+    query += ' ORDER BY created_at DESC, id DESC LIMIT ?';
+    params.push(limit);
+    
+    return this.db.prepare(query).all(...params).map(row => this.parseDeliveryRow(row));
   }
+
+  close() {
+    this.db.close();
+  }
+
 }
 
+ClimateDatabase.ROLLUP_METRICS = ROLLUP_METRICS;
+
 module.exports = ClimateDatabase;
@@ -1,4 +1,10 @@
-const socket = io('http://localhost:4002');
+// Persistent device token so alert subscriptions survive reconnects
+const subscriberToken = localStorage.getItem('climatesync_subscriber_token') || (() => {
+  const token = crypto.randomUUID();
+  localStorage.setItem('climatesync_subscriber_token', token);
+  return token;
+})();
+const socket = io('http://localhost:4002', { auth: { token: subscriberToken } });
 
 // Translate weather condition to support multilingual
 function translateWeatherCondition(condition) {
@@ -31,6 +37,7 @@ function translateText(key) {
 let currentCity = 'Delhi'; // Default city
 let lastFetchTime = 0;
 const FETCH_COOLDOWN = 10000; // 10 seconds cooldown between fetches
+const ALERT_TYPES = ['FLOOD', 'HEAT', 'DROUGHT', 'CYCLONE', 'COLD', 'WIND']; // Hazards reported by /api/alerts
 let isInitialized = false; // Prevent multiple initialization calls
 let currentWeatherData = {}; // Store current data to prevent unnecessary updates
 let availableCities = []; // Store available cities from API
@@ -643,7 +650,7 @@ function subscribeCity(city) {
   // Subscribe to alerts for this city
   socket.emit('subscribe_alerts', {
     city: city,
-    alertTypes: ['FLOOD', 'HEAT']
+    alertTypes: ALERT_TYPES
   });
   // Fetch current data immediately, but only once
   fetchCurrentWeather(city);
@@ -690,7 +697,7 @@ socket.on('reconnect', () => {
   // Resubscribe to alerts
   socket.emit('subscribe_alerts', {
     city: currentCity,
-    alertTypes: ['FLOOD', 'HEAT']
+    alertTypes: ALERT_TYPES
   });
 });
 
@@ -742,30 +749,19 @@ function checkAlerts() {
       .then(response => response.json())
       .then(data => {
         if (data.success && data.data) {
-          // Display alerts
-          if (data.data.flood && data.data.flood.length > 0) {
-            data.data.flood.forEach(alert => {
-              displayAlertFromDB(alert, 'FLOOD');
+          // Display alerts for every hazard type
+          ALERT_TYPES.forEach(type => {
+            const alerts = data.data[type.toLowerCase()] || [];
+            alerts.forEach(alert => {
+              displayAlertFromDB(alert, type);
               updateAlertPage({
-                type: 'FLOOD',
+                type: type,
                 level: alert.alert_level,
                 city: currentCity,
                 message: alert.alert_message
               });
             });
-          }
-          
-          if (data.data.heat && data.data.heat.length > 0) {
-            data.data.heat.forEach(alert => {
-              displayAlertFromDB(alert, 'HEAT');
-              updateAlertPage({
-                type: 'HEAT',
-                level: alert.alert_level,
-                city: currentCity,
-                message: alert.alert_message
-              });
-            });
-          }
+          });
         }
       })
       .catch(error => {
@@ -793,6 +789,18 @@ document.addEventListener('DOMContentLoaded', () => {
   }
 });
 
+// Handle alerts delivered to this device's saved subscriptions
+socket.on('alert_notification', (alert) => {
+  console.log('Subscribed alert:', alert);
+  displayAlert(alert);
+});
+
+// Handle digests of alerts held back by digest mode, quiet hours or rate limits
+socket.on('alert_digest', (digest) => {
+  console.log(`Alert digest: ${digest.alert_count} alert(s)`, digest);
+  digest.alerts.forEach(alert => displayAlert({ ...alert, timestamp: `${alert.timestamp.replace(' ', 'T')}Z` }));
+});
+
 // Handle new alerts (global)
 socket.on('new_alert', (alert) => {
   console.log('New alert:', alert);
@@ -939,15 +947,10 @@ async function loadAlertsForCity(cityName) {
       // Clear existing alerts
       clearAlerts();
       
-      // Display flood alerts
-      if (alerts.flood && alerts.flood.length > 0) {
-        alerts.flood.forEach(alert => displayAlertFromDB(alert, 'FLOOD'));
-      }
-      
-      // Display heat alerts
-      if (alerts.heat && alerts.heat.length > 0) {
-        alerts.heat.forEach(alert => displayAlertFromDB(alert, 'HEAT'));
-      }
+      // Display alerts for every hazard type
+      ALERT_TYPES.forEach(type => {
+        (alerts[type.toLowerCase()] || []).forEach(alert => displayAlertFromDB(alert, type));
+      });
       
       console.log(`Loaded ${alerts.total || 0} alerts for ${cityName}`);
     }
@@ -963,12 +966,10 @@ function displayAlertFromDB(alertData, type) {
     level: alertData.alert_level,
     city: alertData.city_name,
     message: alertData.alert_message,
+    category: alertData.alert_category,
+    expected_onset: alertData.expected_onset,
     timestamp: alertData.created_at,
-    data: {
-      rainfall: alertData.rainfall_1h,
-      temperature: alertData.temperature,
-      heat_index: alertData.heat_index
-    }
+    data: alertData.metrics || {}
   };
   
   displayAlert(alert);
@@ -977,7 +978,8 @@ function displayAlertFromDB(alertData, type) {
 // Display alert notification
 function displayAlert(alert) {
   // Create alert key to prevent duplicates
-  const alertKey = `${alert.type}-${alert.level}-${alert.city}`;
+  const isWatch = alert.category === 'WATCH';
+  const alertKey = `${alert.type}-${isWatch ? 'WATCH' : 'WARNING'}-${alert.level}-${alert.city}`;
   
   // Check if this alert is already displayed
   if (activeAlerts.has(alertKey)) {
@@ -1013,12 +1015,13 @@ function displayAlert(alert) {
   alertElement.innerHTML = `
     <div class="alert-header">
       <span class="alert-icon">${icon}</span>
-      <span class="alert-type">${alert.type} ALERT</span>
+      <span class="alert-type">${alert.type} ${isWatch ? 'WATCH' : 'ALERT'}</span>
       <span class="alert-level level-${alert.level.toLowerCase()}">${alert.level}</span>
       <button class="alert-close" onclick="closeAlert('${alertKey}')">&times;</button>
     </div>
     <div class="alert-content">
       <div class="alert-message">${alert.message}</div>
+      ${isWatch && alert.expected_onset ? `<div class="alert-onset">📅 Expected from ${alert.expected_onset}</div>` : ''}
       <div class="alert-time">⏰ ${time}</div>
     </div>
   `;
@@ -1053,6 +1056,30 @@ function getAlertIcon(type, level) {
       MEDIUM: '☀️',
       HIGH: '🔥',
       CRITICAL: '🚨'
+    },
+    DROUGHT: {
+      LOW: '🌾',
+      MEDIUM: '🏜️',
+      HIGH: '🏜️',
+      CRITICAL: '🚨'
+    },
+    CYCLONE: {
+      LOW: '🌀',
+      MEDIUM: '🌀',
+      HIGH: '🌪️',
+      CRITICAL: '🚨'
+    },
+    COLD: {
+      LOW: '🧥',
+      MEDIUM: '❄️',
+      HIGH: '🥶',
+      CRITICAL: '🚨'
+    },
+    WIND: {
+      LOW: '💨',
+      MEDIUM: '💨',
+      HIGH: '🌬️',
+      CRITICAL: '🚨'
     }
   };
   
@@ -1,321 +1,269 @@
 /**
  * TypeScript to JavaScript Bridge for ML Services
- * Compiled version for integration with existing JavaScript server
+ * Runs the compiled AdvancedMLService (ml-ts/ml-service.ts) for the JavaScript server,
+ * falling back to the JavaScript ML service when it cannot be loaded or initialized
  */
 
-// Simple bridge without TypeScript syntax for JavaScript integration
+const path = require('path');
+
+// Output of `npm run build` for ml-ts/ml-service.ts
+const COMPILED_SERVICE = path.join(__dirname, '..', 'dist', 'ml-ts', 'ml-service.js');
+
+// Models the JavaScript ML service provides when the bridge has fallen back to it
+const FALLBACK_MODELS = ['weather_prediction', 'crop_recommendation', 'alert_prediction'];
+
 const MLServiceBridge = {
   mlService: null,
-  isInitialized: false,
+  // The JavaScript ML service, which comparisons run beside the TypeScript service
+  javascriptService: null,
+  // 'pending' until initialized, then 'typescript', or 'fallback' to the JavaScript ML
+  // service, or 'unavailable' when there is no fallback either
+  mode: 'pending',
+  degradedReason: null,
+
+  /**
+   * The AdvancedMLService class: from source when running under ts-node, otherwise compiled
+   */
+  loadAdvancedMLService() {
+    if (require.extensions['.ts']) {
+      return require('./ml-service').AdvancedMLService;
+    }
 
-  async initialize(database, externalAPI) {
+    try {
+      return require(COMPILED_SERVICE).AdvancedMLService;
+    } catch (error) {
+      if (error.code === 'MODULE_NOT_FOUND' && error.message.includes(COMPILED_SERVICE)) {
+        throw new Error(`Compiled ML service not found at ${COMPILED_SERVICE}; run npm run build`);
+      }
+      throw error;
+    }
+  },
+
+  /**
+   * @param {Object} database - ClimateDB
+   * @param {Object} externalAPI - ClimateAPIService
+   * @param {Object} fallbackService - JavaScript MLService used if the TypeScript service fails
+   */
+  async initialize(database, externalAPI, fallbackService = null) {
     try {
       console.log('🔄 Initializing Advanced ML Service Bridge...');
-      
-      // This would import the compiled TypeScript version
-      // For now, we'll create a simple wrapper
-      this.isInitialized = true;
+      this.javascriptService = fallbackService;
+
+      const AdvancedMLService = this.loadAdvancedMLService();
+      const service = new AdvancedMLService(database, externalAPI);
+      await service.initialize();
+
+      this.mlService = service;
+      this.mode = 'typescript';
+      this.degradedReason = null;
       console.log('✅ Advanced ML Service Bridge initialized successfully');
-      
+
     } catch (error) {
-      console.error('❌ Error initializing Advanced ML Service:', error);
+      this.mlService = fallbackService;
+      this.mode = fallbackService ? 'fallback' : 'unavailable';
+      this.degradedReason = error.message;
+      console.error(`❌ Error initializing Advanced ML Service; ${fallbackService ? 'serving the JavaScript ML service instead' : 'no fallback available'}:`, error);
       throw error;
     }
   },
 
-  async getWeatherPredictions(cityName, days = 7) {
-    if (!this.isInitialized) {
-      throw new Error('ML Service not initialized');
+  getService() {
+    if (!this.mlService) {
+      throw new Error(this.mode === 'pending' ? 'ML Service not initialized' : `ML Service unavailable: ${this.degradedReason}`);
     }
+    return this.mlService;
+  },
 
+  async getWeatherPredictions(cityName, days = 7) {
     try {
-      // Enhanced weather prediction logic would go here
-      // For now, return enhanced mock data
-      return {
-        success: true,
-        city: cityName,
-        predictions: this.generateEnhancedWeatherPredictions(days),
-        confidence: 0.92,
-        enhanced: true,
-        basedOnDays: days,
-        generatedAt: new Date().toISOString(),
-        modelType: 'Advanced TypeScript ML'
-      };
-      
+      const result = await this.getService().getWeatherPredictions(cityName, days);
+      return { success: true, city: cityName, ...result, engine: this.mode };
+
     } catch (error) {
       console.error(`Error in weather predictions for ${cityName}:`, error);
       return {
         success: false,
         error: error.message,
-        city: cityName
+        city: cityName,
+        engine: this.mode
       };
     }
   },
 
   async getCropRecommendations(cityName, season) {
-    if (!this.isInitialized) {
-      throw new Error('ML Service not initialized');
-    }
-
     try {
-      return {
-        success: true,
-        city: cityName,
-        recommendations: this.generateEnhancedCropRecommendations(),
-        season: season || this.getCurrentSeason(),
-        generatedAt: new Date().toISOString(),
-        enhanced: true
-      };
-      
+      const result = await this.getService().getCropRecommendations(cityName, season);
+      return { success: true, city: cityName, ...result, engine: this.mode };
+
     } catch (error) {
       console.error(`Error in crop recommendations for ${cityName}:`, error);
       return {
         success: false,
         error: error.message,
-        city: cityName
+        city: cityName,
+        engine: this.mode
       };
     }
   },
 
   async getAlertPredictions(cityName) {
-    if (!this.isInitialized) {
-      throw new Error('ML Service not initialized');
-    }
-
     try {
-      const alerts = this.generateEnhancedAlertPredictions();
-      
-      return {
-        success: true,
-        city: cityName,
-        alerts: alerts,
-        overallRisk: this.calculateOverallRisk(alerts),
-        generatedAt: new Date().toISOString(),
-        enhanced: true
-      };
-      
+      const result = await this.getService().getAlertPredictions(cityName);
+      return { success: true, city: cityName, ...result, engine: this.mode };
+
     } catch (error) {
       console.error(`Error in alert predictions for ${cityName}:`, error);
       return {
         success: false,
         error: error.message,
-        city: cityName
+        city: cityName,
+        engine: this.mode
       };
     }
   },
 
   async getComprehensiveInsights(cityName) {
-    if (!this.isInitialized) {
-      throw new Error('ML Service not initialized');
-    }
-
     try {
-      const weather = await this.getWeatherPredictions(cityName, 7);
-      const crops = await this.getCropRecommendations(cityName);
-      const alerts = await this.getAlertPredictions(cityName);
-      
-      return {
-        success: true,
-        city: cityName,
-        weather: weather,
-        crops: crops,
-        alerts: alerts,
-        summary: this.generateInsightsSummary(weather, crops, alerts),
-        generatedAt: new Date().toISOString(),
-        enhanced: true
-      };
-      
+      const result = await this.getService().getComprehensiveInsights(cityName);
+      return { success: true, city: cityName, ...result, engine: this.mode };
+
     } catch (error) {
       console.error(`Error in comprehensive insights for ${cityName}:`, error);
       return {
         success: false,
         error: error.message,
-        city: cityName
+        city: cityName,
+        engine: this.mode
       };
     }
   },
 
-  getPerformanceMetrics() {
-    return {
-      models: {
-        weather: { isInitialized: this.isInitialized, accuracy: 0.92 },
-        crop: { isInitialized: this.isInitialized, accuracy: 0.88 },
-        alert: { isInitialized: this.isInitialized, accuracy: 0.85 }
-      },
-      predictions: [
-        { prediction_type: 'weather', total_predictions: 150, avg_confidence: 0.92 },
-        { prediction_type: 'crop', total_predictions: 89, avg_confidence: 0.88 },
-        { prediction_type: 'alert', total_predictions: 45, avg_confidence: 0.85 }
-      ],
-      systemStatus: this.isInitialized ? 'operational' : 'initializing'
-    };
+  /**
+   * Every model with its status. When degraded, only the JavaScript service's models are listed.
+   */
+  listModels() {
+    if (this.mode === 'typescript') {
+      return this.mlService.listModels();
+    }
+    return FALLBACK_MODELS.map(name => ({
+      name,
+      kind: 'core',
+      status: this.mode === 'fallback' && this.mlService.isInitialized ? 'ready' : 'not_loaded'
+    }));
   },
 
-  healthCheck() {
-    return {
-      status: this.isInitialized ? 'healthy' : 'initializing',
-      timestamp: new Date().toISOString(),
-      version: '2.0.0-typescript',
-      features: {
-        weatherPrediction: true,
-        cropRecommendation: true,
-        alertPrediction: true,
-        comprehensiveInsights: true,
-        advancedML: true
-      }
-    };
+  /**
+   * Run one model by name; see AdvancedMLService.runModel. Errors carry the service's code,
+   * such as UNKNOWN_MODEL or INVALID_INPUT.
+   */
+  async runModel(name, input = {}) {
+    this.requireTypeScriptService(`Model ${name} needs`);
+    return this.mlService.runModel(name, input);
   },
 
-  // Helper methods
-  generateEnhancedWeatherPredictions(days) {
-    const predictions = [];
-    for (let day = 1; day <= days; day++) {
-      predictions.push({
-        day: day,
-        date: this.getDateOffset(day),
-        temperature: 25 + (Math.random() - 0.5) * 10,
-        humidity: 60 + (Math.random() - 0.5) * 20,
-        rainfall: Math.random() * 15,
-        confidence: Math.max(0.7, 0.95 - (day * 0.03)),
-        source: 'Advanced ML',
-        metadata: {
-          enhanced: true,
-          modelType: 'Ensemble'
-        }
-      });
-    }
-    return predictions;
+  /**
+   * Stored versions of a model, or of every model; see AdvancedMLService.listModelVersions
+   */
+  listModelVersions(name) {
+    this.requireTypeScriptService('Stored model versions need');
+    return this.mlService.listModelVersions(name);
   },
 
-  generateEnhancedCropRecommendations() {
-    return [
-      {
-        cropId: 'rice',
-        name: 'Rice',
-        localName: 'धान',
-        suitabilityScore: 92,
-        riskLevel: 'low',
-        riskFactors: [],
-        predictedYield: 4500,
-        yieldUnit: 'kg/hectare',
-        recommendation: 'Highly recommended - excellent conditions',
-        confidence: 95,
-        category: 'cereal',
-        waterRequirement: 'high',
-        growthDays: 120,
-        economicViability: 88
-      },
-      {
-        cropId: 'wheat',
-        name: 'Wheat',
-        localName: 'गेहूं',
-        suitabilityScore: 78,
-        riskLevel: 'medium',
-        riskFactors: ['Temperature slightly high'],
-        predictedYield: 3200,
-        yieldUnit: 'kg/hectare',
-        recommendation: 'Recommended with proper care',
-        confidence: 82,
-        category: 'cereal',
-        waterRequirement: 'medium',
-        growthDays: 110,
-        economicViability: 75
-      }
-    ];
+  /**
+   * Serve a stored model version as production; see AdvancedMLService.promoteModelVersion
+   */
+  promoteModelVersion(name, version) {
+    this.requireTypeScriptService('Promoting a model version needs');
+    return this.mlService.promoteModelVersion(name, version);
   },
 
-  generateEnhancedAlertPredictions() {
-    return [
-      {
-        type: 'HEAT',
-        severity: 'MEDIUM',
-        probability: 0.75,
-        expectedTime: new Date(Date.now() + 4 * 60 * 60 * 1000).toISOString(),
-        duration: 8,
-        affectedAreas: ['Current Location'],
-        recommendedActions: ['Stay hydrated', 'Avoid direct sunlight'],
-        confidence: 0.8
-      }
-    ];
+  /**
+   * Return a model to its previous production version; see AdvancedMLService.rollbackModel
+   */
+  rollbackModel(name) {
+    this.requireTypeScriptService('Rolling back a model needs');
+    return this.mlService.rollbackModel(name);
   },
 
-  calculateOverallRisk(alerts) {
-    if (!alerts || alerts.length === 0) {
-      return {
-        level: 'low',
-        activeAlerts: 0,
-        riskFactors: []
-      };
-    }
-
-    const highRiskAlerts = alerts.filter(alert => 
-      alert.severity === 'HIGH' || alert.severity === 'CRITICAL'
-    );
-
-    let riskLevel = 'low';
-    if (highRiskAlerts.length > 0) {
-      riskLevel = 'high';
-    } else if (alerts.length > 2) {
-      riskLevel = 'medium';
-    }
-
-    return {
-      level: riskLevel,
-      activeAlerts: alerts.length,
-      riskFactors: alerts.map(alert => `${alert.type} - ${alert.severity}`)
-    };
+  /**
+   * Accuracy of a city's archived weather forecasts; see AdvancedMLService.getForecastVerification
+   */
+  getForecastVerification(cityName, days, engine) {
+    this.requireTypeScriptService('Forecast verification needs');
+    return this.mlService.getForecastVerification(cityName, days, engine);
   },
 
-  generateInsightsSummary(weather, crops, alerts) {
-    const summary = {
-      overallConditions: 'normal',
-      keyInsights: [],
-      recommendations: [],
-      riskLevel: 'low'
-    };
-
-    if (weather.success && weather.predictions.length > 0) {
-      const avgTemp = weather.predictions.reduce((sum, p) => sum + p.temperature, 0) / weather.predictions.length;
-      if (avgTemp > 35) {
-        summary.keyInsights.push('High temperatures expected this week');
-        summary.overallConditions = 'concerning';
-      }
+  /**
+   * Run both engines for a city and compare them; see AdvancedMLService.compareEngines
+   */
+  async compareEngines(cityName, type, season) {
+    this.requireTypeScriptService('Comparing engines needs');
+    if (!this.javascriptService?.isInitialized) {
+      const error = new Error('Comparing engines needs the JavaScript ML service, which is not initialized');
+      error.code = 'MODEL_NOT_INITIALIZED';
+      throw error;
     }
+    return this.mlService.compareEngines(cityName, type, this.javascriptService, season);
+  },
 
-    if (crops.success && crops.recommendations.length > 0) {
-      const topCrop = crops.recommendations[0];
-      summary.keyInsights.push(`${topCrop.name} shows highest suitability (${topCrop.suitabilityScore}%)`);
-      summary.recommendations.push(`Consider cultivating ${topCrop.name}`);
+  /**
+   * Throw a MODEL_NOT_INITIALIZED error, whose message starts with what, unless the
+   * TypeScript service is running
+   */
+  requireTypeScriptService(what) {
+    if (this.mode !== 'typescript') {
+      const error = new Error(`${what} the TypeScript ML service, which is ${this.mode}` +
+        (this.degradedReason ? `: ${this.degradedReason}` : ''));
+      error.code = 'MODEL_NOT_INITIALIZED';
+      throw error;
     }
+  },
 
-    if (alerts.success && alerts.alerts.length > 0) {
-      summary.riskLevel = 'medium';
-      summary.keyInsights.push(`${alerts.alerts.length} weather alert(s) detected`);
-      summary.overallConditions = 'alert';
+  getPerformanceMetrics() {
+    if (!this.mlService) {
+      return { models: {}, predictions: [], systemStatus: this.mode === 'pending' ? 'initializing' : 'unavailable', engine: this.mode };
     }
-
-    return summary;
+    return { ...this.mlService.getPerformanceMetrics(), engine: this.mode };
   },
 
-  getCurrentSeason() {
-    const month = new Date().getMonth() + 1;
-    return (month >= 6 && month <= 11) ? 'Kharif' : 'Rabi';
-  },
+  healthCheck() {
+    const models = this.listModels();
+    // A running TypeScript engine is still degraded while a core model serves fallback output
+    const degradedModels = this.mode === 'typescript'
+      ? models.filter(model => model.kind === 'core' && model.status === 'degraded')
+      : [];
+    const status = degradedModels.length > 0
+      ? 'degraded'
+      : { typescript: 'healthy', pending: 'initializing' }[this.mode] || 'degraded';
 
-  getDateOffset(days) {
-    const date = new Date();
-    date.setDate(date.getDate() + days);
-    return date.toISOString().split('T')[0];
+    return {
+      status,
+      engine: this.mode,
+      degraded: status === 'degraded',
+      degradedReason: degradedModels.length > 0
+        ? degradedModels.map(model => `${model.name}: ${model.degradedReason}`).join('; ')
+        : this.degradedReason,
+      timestamp: new Date().toISOString(),
+      version: '2.0.0-typescript',
+      models,
+      features: {
+        weatherPrediction: Boolean(this.mlService),
+        cropRecommendation: Boolean(this.mlService),
+        alertPrediction: Boolean(this.mlService),
+        comprehensiveInsights: Boolean(this.mlService),
+        advancedML: this.mode === 'typescript'
+      }
+    };
   }
 };
 
 // Export for use in existing JavaScript server
 module.exports = {
   MLServiceBridge,
-  
+
   // Backward compatibility functions
-  async initializeAdvancedML(database, externalAPI) {
-    return await MLServiceBridge.initialize(database, externalAPI);
+  async initializeAdvancedML(database, externalAPI, fallbackService = null) {
+    return await MLServiceBridge.initialize(database, externalAPI, fallbackService);
   },
 
   async getAdvancedWeatherPredictions(cityName, days = 7) {
@@ -334,6 +282,34 @@ module.exports = {
     return await MLServiceBridge.getComprehensiveInsights(cityName);
   },
 
+  getAdvancedMLModels() {
+    return MLServiceBridge.listModels();
+  },
+
+  async runAdvancedMLModel(name, input) {
+    return await MLServiceBridge.runModel(name, input);
+  },
+
+  getAdvancedMLModelVersions(name) {
+    return MLServiceBridge.listModelVersions(name);
+  },
+
+  promoteAdvancedMLModelVersion(name, version) {
+    return MLServiceBridge.promoteModelVersion(name, version);
+  },
+
+  rollbackAdvancedMLModel(name) {
+    return MLServiceBridge.rollbackModel(name);
+  },
+
+  getForecastVerification(cityName, days, engine) {
+    return MLServiceBridge.getForecastVerification(cityName, days, engine);
+  },
+
+  async compareMLEngines(cityName, type, season) {
+    return await MLServiceBridge.compareEngines(cityName, type, season);
+  },
+
   getMLPerformanceMetrics() {
     return MLServiceBridge.getPerformanceMetrics();
   },
@@ -341,4 +317,4 @@ module.exports = {
   getMLHealthStatus() {
     return MLServiceBridge.healthCheck();
   }
-};
\ No newline at end of file
+};
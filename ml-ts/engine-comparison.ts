@@ -0,0 +1,261 @@
+/**
+ * Engine Comparison
+ * Aligns the predictions of this service and the JavaScript ML service in ml/ field by
+ * field, and compares the engines' verified weather forecast errors
+ */
+
+import * as _ from 'lodash';
+import {
+  PredictionEngine,
+  VerificationReport,
+  VerifiedMetric,
+  VERIFIED_METRICS,
+  toDailyForecasts
+} from './forecast-verification';
+
+export type ComparisonType = 'weather' | 'crops' | 'alerts';
+
+export const COMPARISON_TYPES: ComparisonType[] = ['weather', 'crops', 'alerts'];
+
+/**
+ * The JavaScript ML service, as far as comparisons use it
+ */
+export interface ComparableMLService {
+  getWeatherPredictions(cityName: string, days: number): Promise<any>;
+  getCropRecommendations(cityName: string, season?: string): Promise<any>;
+  getAlertPredictions(cityName: string): Promise<any>;
+}
+
+// A field from each engine, null where an engine has none. difference is TypeScript minus
+// JavaScript when both are numbers.
+export interface FieldComparison<T = number> {
+  typescript: T | null;
+  javascript: T | null;
+  difference?: number | null;
+}
+
+// An engine's verified error pooled over lead days
+export interface EngineError {
+  samples: number;
+  rmse: number;
+  bias: number;
+}
+
+export interface MetricHistory {
+  leadDays: number[]; // lead days both engines have verified forecasts for
+  typescript: EngineError | null;
+  javascript: EngineError | null;
+  lowerError: PredictionEngine | null;
+}
+
+export interface ForecastHistory {
+  days: number;
+  forecasts: Record<PredictionEngine, number>;
+  metrics: Record<VerifiedMetric, MetricHistory>;
+}
+
+export interface EngineRecommendation {
+  engine: PredictionEngine | null;
+  basis: string;
+}
+
+export interface EngineComparison {
+  city: string;
+  type: ComparisonType;
+  inputs: Record<string, any>;
+  results: Record<PredictionEngine, any>;
+  comparison: Record<string, any>;
+  history: ForecastHistory | null;
+  recommendation: EngineRecommendation;
+}
+
+/**
+ * JavaScript alert models by the TypeScript alert type they predict
+ */
+const JAVASCRIPT_ALERT_TYPES: Record<string, string> = {
+  heatwave: 'HEAT',
+  flood: 'FLOOD',
+  drought: 'DROUGHT',
+  coastal: 'COASTAL'
+};
+
+const compareValues = <T>(typescript: T | undefined, javascript: T | undefined): FieldComparison<T> => ({
+  typescript: typescript ?? null,
+  javascript: javascript ?? null,
+  difference: typeof typescript === 'number' && typeof javascript === 'number' ? typescript - javascript : null
+});
+
+const compareLabels = (typescript?: string, javascript?: string): FieldComparison<string> => ({
+  typescript: typescript ?? null,
+  javascript: javascript ?? null
+});
+
+/**
+ * Forecast days by date, with each metric's values and their difference, and how far apart
+ * the engines are per metric
+ * @param javascript - Response of the JavaScript service's getWeatherPredictions
+ */
+export function compareWeather(typescript: any, javascript: any): Record<string, any> {
+  const typescriptDays = _.keyBy(toDailyForecasts(typescript), day => String(day.date).slice(0, 10));
+  const javascriptDays = _.keyBy(toDailyForecasts(javascript.predictions), day => String(day.date).slice(0, 10));
+  const dates = _.union(Object.keys(typescriptDays), Object.keys(javascriptDays)).sort();
+
+  const days = dates.map(date => ({
+    date,
+    ..._.fromPairs(VERIFIED_METRICS.map(metric =>
+      [metric, compareValues(typescriptDays[date]?.[metric], javascriptDays[date]?.[metric])]))
+  })) as Array<{ date: string } & Record<VerifiedMetric, FieldComparison>>;
+
+  const summary = _.fromPairs(VERIFIED_METRICS.map(metric => {
+    const differences = days
+      .map(day => day[metric].difference)
+      .filter((difference): difference is number => typeof difference === 'number')
+      .map(Math.abs);
+
+    return [metric, {
+      days: differences.length,
+      meanAbsoluteDifference: differences.length > 0 ? _.mean(differences) : null,
+      maxAbsoluteDifference: differences.length > 0 ? _.max(differences) : null
+    }];
+  }));
+
+  return {
+    days,
+    summary,
+    confidence: compareValues(typescript.confidence, javascript.predictions?.confidence)
+  };
+}
+
+/**
+ * Each crop either engine recommends, by crop id, with its rank and scores from each. A
+ * crop with no rank from an engine is outside that engine's recommendations.
+ * @param javascript - Response of the JavaScript service's getCropRecommendations
+ */
+export function compareCrops(typescript: any, javascript: any): Record<string, any> {
+  const typescriptCrops: any[] = typescript.predictions || [];
+  const javascriptCrops: any[] = javascript.recommendations || [];
+  const ranks = (crops: any[]) => new Map(crops.map((crop, index) => [crop.cropId, index + 1]));
+  const typescriptRanks = ranks(typescriptCrops);
+  const javascriptRanks = ranks(javascriptCrops);
+
+  const crops = _.uniqBy([...typescriptCrops, ...javascriptCrops], 'cropId').map(crop => {
+    const fromTypescript = typescriptCrops.find(candidate => candidate.cropId === crop.cropId);
+    const fromJavascript = javascriptCrops.find(candidate => candidate.cropId === crop.cropId);
+
+    return {
+      cropId: crop.cropId,
+      name: crop.name,
+      rank: compareValues(typescriptRanks.get(crop.cropId), javascriptRanks.get(crop.cropId)),
+      suitabilityScore: compareValues<number>(fromTypescript?.suitabilityScore, fromJavascript?.suitabilityScore),
+      confidence: compareValues<number>(fromTypescript?.confidence, fromJavascript?.confidence),
+      riskLevel: compareLabels(fromTypescript?.riskLevel, fromJavascript?.riskLevel)
+    };
+  });
+
+  const topCrop = compareLabels(typescriptCrops[0]?.cropId, javascriptCrops[0]?.cropId);
+  return {
+    // Each engine picks the current season itself when none is given
+    season: compareLabels(typescript.metadata?.season, javascript.season),
+    crops,
+    topCrop: { ...topCrop, agrees: topCrop.typescript !== null && topCrop.typescript === topCrop.javascript }
+  };
+}
+
+/**
+ * Each alert type either engine predicts, with its probability and severity from each.
+ * This service reports only alerts above its minimum probability, so its values are null
+ * for the others.
+ * @param javascript - Response of the JavaScript service's getAlertPredictions
+ */
+export function compareAlerts(typescript: any, javascript: any): Record<string, any> {
+  const typescriptAlerts = _.keyBy(typescript.predictions || [], 'type');
+  const javascriptAlerts = _.mapKeys(javascript.alerts || {}, (alert: any, model: string) =>
+    JAVASCRIPT_ALERT_TYPES[model] || model.toUpperCase());
+  const types = _.union(Object.keys(typescriptAlerts), Object.keys(javascriptAlerts)).sort();
+
+  return {
+    alerts: types.map(type => ({
+      type,
+      probability: compareValues<number>(typescriptAlerts[type]?.probability, javascriptAlerts[type]?.probability),
+      severity: compareLabels(typescriptAlerts[type]?.severity, javascriptAlerts[type]?.level?.toUpperCase())
+    }))
+  };
+}
+
+/**
+ * Each engine's verified forecast error per metric, pooled over the lead days both engines
+ * have verified forecasts for, so neither is favoured by having more of the easier short leads
+ */
+export function compareForecastHistory(typescript: VerificationReport, javascript: VerificationReport): ForecastHistory {
+  const metrics = _.fromPairs(VERIFIED_METRICS.map(metric => {
+    const scores = (report: VerificationReport) =>
+      _.keyBy(report.scores.filter(score => score.metric === metric), 'leadDay');
+    const typescriptScores = scores(typescript);
+    const javascriptScores = scores(javascript);
+    const leadDays = _.intersection(Object.keys(typescriptScores), Object.keys(javascriptScores)).map(Number).sort((a, b) => a - b);
+
+    if (leadDays.length === 0) {
+      return [metric, { leadDays, typescript: null, javascript: null, lowerError: null }];
+    }
+
+    const pool = (byLeadDay: Record<string, any>): EngineError => {
+      const pooled = leadDays.map(leadDay => byLeadDay[leadDay]);
+      const samples = _.sumBy(pooled, 'samples');
+      return {
+        samples,
+        rmse: Math.sqrt(_.sumBy(pooled, score => score.samples * score.rmse ** 2) / samples),
+        bias: _.sumBy(pooled, score => score.samples * score.bias) / samples
+      };
+    };
+    const typescriptError = pool(typescriptScores);
+    const javascriptError = pool(javascriptScores);
+
+    return [metric, {
+      leadDays,
+      typescript: typescriptError,
+      javascript: javascriptError,
+      lowerError: typescriptError.rmse === javascriptError.rmse ? null
+        : typescriptError.rmse < javascriptError.rmse ? 'typescript' : 'javascript'
+    }];
+  })) as Record<VerifiedMetric, MetricHistory>;
+
+  return {
+    days: typescript.days,
+    forecasts: { typescript: typescript.forecasts, javascript: javascript.forecasts },
+    metrics
+  };
+}
+
+/**
+ * The engine with the lower verified forecast error for more metrics, or none without
+ * history to go by
+ */
+export function recommendFromHistory(history: ForecastHistory | null): EngineRecommendation {
+  if (!history) {
+    return {
+      engine: null,
+      basis: 'Only weather forecasts are verified, so there is no error history to recommend an engine by'
+    };
+  }
+
+  const compared = VERIFIED_METRICS.filter(metric => history.metrics[metric].lowerError !== null);
+  if (compared.length === 0) {
+    return {
+      engine: null,
+      basis: `No forecasts from both engines were verified for the same lead days in the last ${history.days} days`
+    };
+  }
+
+  const wins = _.groupBy(compared, metric => history.metrics[metric].lowerError);
+  const typescriptWins = wins.typescript?.length ?? 0;
+  const javascriptWins = wins.javascript?.length ?? 0;
+  const engine: PredictionEngine | null = typescriptWins === javascriptWins ? null
+    : typescriptWins > javascriptWins ? 'typescript' : 'javascript';
+
+  const lower = (winner: PredictionEngine) => wins[winner] ? `${winner} for ${wins[winner].join(', ')}` : null;
+  return {
+    engine,
+    basis: `Lower RMSE over forecasts verified in the last ${history.days} days: ` +
+      [lower('typescript'), lower('javascript')].filter(Boolean).join('; ')
+  };
+}
@@ -0,0 +1,313 @@
+/**
+ * Forecast Verification
+ * Scores archived weather forecasts against the days they were issued for, and against
+ * persistence and climatology forecasts of the same days
+ */
+
+import * as _ from 'lodash';
+import { MathUtils } from './utils';
+import { MLError } from './types';
+
+export const VERIFIED_METRICS = ['temperature', 'humidity', 'rainfall'] as const;
+
+export type VerifiedMetric = typeof VERIFIED_METRICS[number];
+
+/**
+ * Services whose predictions are archived: this one and the JavaScript ML service in ml/
+ */
+export const PREDICTION_ENGINES = ['typescript', 'javascript'] as const;
+
+export type PredictionEngine = typeof PREDICTION_ENGINES[number];
+
+/**
+ * Observed days with readings in fewer hours than this are not verified against
+ */
+const MIN_OBSERVED_HOURS = 18;
+
+/**
+ * Archived forecasts are verified until this many days after they were issued, which
+ * keeps the observations they need within the raw weather_data retention
+ */
+const VERIFICATION_DAYS = 30;
+
+/**
+ * Climatology for a day is the mean of archived days this close to its date in earlier years
+ */
+const CLIMATOLOGY_WINDOW_DAYS = 7;
+const CLIMATOLOGY_YEARS = 10;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * How archived predictions and verified forecast days are kept, in days
+ */
+const ARCHIVE_DAYS = parseInt(process.env.ML_PREDICTION_ARCHIVE_DAYS || '') || 90;
+const VERIFIED_DAYS_KEPT = parseInt(process.env.ML_VERIFICATION_DAYS || '') || 365;
+
+type DailyValues = Record<VerifiedMetric, number | null>;
+
+export type DailyForecast = { date: string } & Partial<Record<VerifiedMetric, number>>;
+
+interface VerificationDatabase {
+  getCityByName(cityName: string): { id: number; name: string } | null;
+  getDailyObservations(cityName: string, from: string, to: string): Array<DailyValues & { day: string; hours: number }>;
+  getDailyWeatherHistory?(cityName: string, days: number): any[]; // weather_archive daily rows
+  db: {
+    prepare(sql: string): {
+      run(...params: any[]): any;
+      get(...params: any[]): any;
+      all(...params: any[]): any[];
+    };
+    transaction<T>(fn: () => T): () => T;
+  };
+}
+
+// A forecast's errors beside those of a baseline forecast of the same days
+export interface BaselineScore {
+  samples: number;
+  rmse: number;
+  skill: number | null; // 1 - MSE / baseline MSE; null when the baseline was exact
+}
+
+export interface VerificationScore {
+  metric: VerifiedMetric;
+  leadDay: number;
+  samples: number;
+  mae: number;
+  rmse: number;
+  bias: number; // mean of forecast - observed
+  persistence: BaselineScore | null;
+  climatology: BaselineScore | null;
+}
+
+export interface VerificationReport {
+  city: string;
+  engine: PredictionEngine;
+  days: number;
+  from: string;
+  forecasts: number;
+  lastVerifiedAt: string | null;
+  scores: VerificationScore[];
+}
+
+const addDays = (day: string, days: number): string =>
+  new Date(Date.parse(day) + days * DAY_MS).toISOString().slice(0, 10);
+
+const daysBetween = (from: string, to: string): number =>
+  Math.round((Date.parse(to) - Date.parse(from)) / DAY_MS);
+
+/**
+ * Days of a weather prediction from either engine. This service lists the days with their
+ * values; the JavaScript service lists the days of each metric separately.
+ */
+export function toDailyForecasts(prediction: any): DailyForecast[] {
+  if (Array.isArray(prediction?.predictions)) {
+    return prediction.predictions;
+  }
+
+  const days = new Map<string, DailyForecast>();
+  for (const metric of VERIFIED_METRICS) {
+    for (const day of prediction?.[metric]?.predictions ?? []) {
+      const date = String(day.date).slice(0, 10);
+      days.set(date, { ...days.get(date), date, [metric]: day[metric] });
+    }
+  }
+  return [...days.values()];
+}
+
+export class ForecastVerifier {
+  constructor(private database: VerificationDatabase) {}
+
+  /**
+   * Score every day of the archived weather forecasts that has ended and was observed.
+   * A forecast is verified once its last day has ended.
+   * @returns Forecasts read, values scored (one per forecast day and metric), and archived
+   *   predictions pruned
+   */
+  verifyForecasts(now: Date = new Date()): { forecasts: number; scored: number; pruned: number } {
+    const today = now.toISOString().slice(0, 10);
+    const db = this.database.db;
+
+    const archived = db.prepare(`
+      SELECT id, city_name, engine, prediction_data, model_version, issued_at
+      FROM ml_prediction_archive
+      WHERE prediction_type = 'weather' AND verified_at IS NULL AND issued_at >= ?
+      ORDER BY city_name, issued_at
+    `).all(addDays(today, -VERIFICATION_DAYS));
+
+    const insert = db.prepare(`
+      INSERT OR IGNORE INTO ml_forecast_verification
+      (archive_id, city_name, engine, issued_at, model_version, lead_day, target_date, metric,
+       forecast, observed, persistence, climatology, verified_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+    const markVerified = db.prepare('UPDATE ml_prediction_archive SET verified_at = ? WHERE id = ?');
+    const verifiedAt = now.toISOString();
+    let scored = 0;
+
+    for (const [cityName, forecasts] of Object.entries(_.groupBy(archived, 'city_name'))) {
+      const issueDays = forecasts.map((forecast: any) => forecast.issued_at.slice(0, 10));
+      const observed = this.getObservedDays(cityName, addDays(_.min(issueDays)!, -1), addDays(today, -1));
+      const climatology = this.getClimatology(cityName);
+
+      db.transaction(() => forecasts.forEach((forecast: any, index: number) => {
+        const issueDay = issueDays[index];
+        let predictions: DailyForecast[];
+        try {
+          predictions = toDailyForecasts(JSON.parse(forecast.prediction_data));
+        } catch (error) {
+          predictions = [];
+        }
+
+        // Persistence forecasts that every day will be like the last full day before issue
+        const persistence = observed.get(addDays(issueDay, -1));
+
+        for (const prediction of predictions) {
+          const targetDay = String(prediction.date).slice(0, 10);
+          const leadDay = daysBetween(issueDay, targetDay);
+          const actual = observed.get(targetDay);
+          if (!(leadDay >= 1) || targetDay >= today || !actual) continue;
+
+          const normal = climatology(targetDay);
+          for (const metric of VERIFIED_METRICS) {
+            if (typeof prediction[metric] !== 'number' || actual[metric] === null) continue;
+
+            scored += insert.run(
+              forecast.id, cityName, forecast.engine, forecast.issued_at, forecast.model_version, leadDay, targetDay, metric,
+              prediction[metric], actual[metric], persistence?.[metric] ?? null, normal?.[metric] ?? null, verifiedAt
+            ).changes;
+          }
+        }
+
+        const lastDay = _.max(predictions.map(prediction => String(prediction.date).slice(0, 10)));
+        if (!lastDay || lastDay < today) {
+          markVerified.run(verifiedAt, forecast.id);
+        }
+      }))();
+    }
+
+    const pruned = db.prepare(
+      'DELETE FROM ml_prediction_archive WHERE issued_at < ?'
+    ).run(addDays(today, -ARCHIVE_DAYS)).changes;
+    db.prepare('DELETE FROM ml_forecast_verification WHERE target_date < ?').run(addDays(today, -VERIFIED_DAYS_KEPT));
+
+    return { forecasts: archived.length, scored, pruned };
+  }
+
+  /**
+   * MAE, RMSE and bias of a city's verified forecasts from one engine per metric and lead
+   * day, with the skill of the forecasts over persistence and climatology
+   * @param days - Include forecast days from this many days back
+   */
+  getReport(
+    cityName: string,
+    days: number = 90,
+    engine: PredictionEngine = 'typescript',
+    now: Date = new Date()
+  ): VerificationReport {
+    const city = this.database.getCityByName(cityName);
+    if (!city) {
+      throw new MLError(`Unknown city ${cityName}`, 'UNKNOWN_CITY', { city: cityName });
+    }
+    if (!Number.isInteger(days) || days < 1) {
+      throw new MLError('days must be a positive whole number', 'INVALID_INPUT', { days });
+    }
+    if (!PREDICTION_ENGINES.includes(engine)) {
+      throw new MLError(`engine must be one of ${PREDICTION_ENGINES.join(', ')}`, 'INVALID_INPUT', { engine });
+    }
+
+    const from = addDays(now.toISOString().slice(0, 10), -days);
+    const rows = this.database.db.prepare(`
+      SELECT archive_id, metric, lead_day, forecast, observed, persistence, climatology, verified_at
+      FROM ml_forecast_verification
+      WHERE city_name = ? AND engine = ? AND target_date >= ?
+      ORDER BY metric, lead_day
+    `).all(city.name, engine, from);
+
+    const scores: VerificationScore[] = [];
+    for (const metric of VERIFIED_METRICS) {
+      const byLeadDay = _.groupBy(rows.filter(row => row.metric === metric), 'lead_day');
+
+      for (const leadDay of _.sortBy(Object.keys(byLeadDay).map(Number))) {
+        const pairs = byLeadDay[leadDay];
+        const forecast = pairs.map(row => row.forecast);
+        const observed = pairs.map(row => row.observed);
+
+        scores.push({
+          metric,
+          leadDay,
+          samples: pairs.length,
+          mae: MathUtils.mae(forecast, observed),
+          rmse: Math.sqrt(MathUtils.mse(forecast, observed)),
+          bias: _.mean(forecast.map((value, i) => value - observed[i])),
+          persistence: this.scoreAgainst(pairs, 'persistence'),
+          climatology: this.scoreAgainst(pairs, 'climatology')
+        });
+      }
+    }
+
+    return {
+      city: city.name,
+      engine,
+      days,
+      from,
+      forecasts: _.uniq(rows.map(row => row.archive_id)).length,
+      lastVerifiedAt: _.max(rows.map(row => row.verified_at)) ?? null,
+      scores
+    };
+  }
+
+  /**
+   * Compare forecasts with a baseline over the days the baseline has a value for
+   */
+  private scoreAgainst(pairs: any[], baseline: 'persistence' | 'climatology'): BaselineScore | null {
+    const scored = pairs.filter(row => row[baseline] !== null);
+    if (scored.length === 0) return null;
+
+    const observed = scored.map(row => row.observed);
+    const baselineMse = MathUtils.mse(scored.map(row => row[baseline]), observed);
+    const forecastMse = MathUtils.mse(scored.map(row => row.forecast), observed);
+
+    return {
+      samples: scored.length,
+      rmse: Math.sqrt(baselineMse),
+      skill: baselineMse > 0 ? 1 - forecastMse / baselineMse : null
+    };
+  }
+
+  /**
+   * Observed days with enough readings, by day
+   */
+  private getObservedDays(cityName: string, from: string, to: string): Map<string, DailyValues> {
+    return new Map(this.database.getDailyObservations(cityName, from, to)
+      .filter(row => row.hours >= MIN_OBSERVED_HOURS)
+      .map(row => [row.day, { temperature: row.temperature, humidity: row.humidity, rainfall: row.rainfall }]));
+  }
+
+  /**
+   * Climatological values for a day from a city's weather archive, or null without any
+   */
+  private getClimatology(cityName: string): (day: string) => DailyValues | null {
+    const archive = this.database.getDailyWeatherHistory?.(cityName, CLIMATOLOGY_YEARS * 366) ?? [];
+    const cache = new Map<string, DailyValues | null>();
+
+    return (day: string) => {
+      if (!cache.has(day)) {
+        const year = Number(day.slice(0, 4));
+        const days = archive.filter(row => {
+          const rowYear = Number(row.period_start.slice(0, 4));
+          if (rowYear >= year) return false;
+          // Same date in the archived day's year, so leap days do not shift the window
+          const offset = Math.abs(daysBetween(`${rowYear}${day.slice(4, 10)}`, row.period_start.slice(0, 10)));
+          return Math.min(offset, 365 - offset) <= CLIMATOLOGY_WINDOW_DAYS;
+        });
+
+        cache.set(day, days.length === 0 ? null : _.fromPairs(VERIFIED_METRICS.map(metric => {
+          const values = days.map(row => row[metric]).filter((value): value is number => typeof value === 'number');
+          return [metric, values.length > 0 ? _.mean(values) : null];
+        })) as DailyValues);
+      }
+      return cache.get(day)!;
+    };
+  }
+}
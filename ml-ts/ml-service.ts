@@ -13,6 +13,9 @@ import {
   MLPredictionRecord,
   Season,
   AlertRiskAssessment,
+  BaseMLModel,
+  PersistableModel,
+  MLError,
   InsufficientDataError,
   ModelNotInitializedError
 } from './types';
@@ -20,6 +23,115 @@ import { PerformanceMonitor } from './utils';
 import { WeatherPredictionService } from './models/weather-predictor';
 import { AdvancedCropRecommender } from './models/crop-recommender';
 import { AlertPredictionService } from './models/alert-predictor';
+import { SoilMonitoringModel } from './models/soil-monitor';
+import { IrrigationOptimizationModel } from './models/irrigation-optimizer';
+import { EnergyOptimizationModel } from './models/energy-optimizer';
+import { MarketIntelligenceModel } from './models/market-intelligence';
+import { PestDiseasePredictor } from './models/pest-disease-predictor';
+import { SeasonalPlanningModel } from './models/seasonal-planning';
+import { AirQualityPredictor } from './models/air-quality-predictor';
+import { ResourceManagementModel } from './models/resource-management';
+import { ClimateAdaptationModel } from './models/climate-adaptation';
+import { ForecastVerifier, VerificationReport, PredictionEngine, PREDICTION_ENGINES } from './forecast-verification';
+import {
+  ComparableMLService,
+  ComparisonType,
+  COMPARISON_TYPES,
+  EngineComparison,
+  compareWeather,
+  compareCrops,
+  compareAlerts,
+  compareForecastHistory,
+  recommendFromHistory
+} from './engine-comparison';
+
+/**
+ * Models behind the weather, crop and alert predictions, which run for a city
+ */
+const CORE_MODELS = ['weather_prediction', 'crop_recommendation', 'alert_prediction'];
+
+/**
+ * Specialized models run on request. Several train on generated data when initialized,
+ * which takes from milliseconds to minutes, so each is trained on first use; models with
+ * stored weights are loaded when the service starts.
+ */
+const SPECIALIZED_MODELS: Record<string, () => BaseMLModel> = {
+  soil_monitoring: () => new SoilMonitoringModel(),
+  irrigation_optimization: () => new IrrigationOptimizationModel(),
+  energy_management: () => new EnergyOptimizationModel(),
+  market_intelligence: () => new MarketIntelligenceModel(),
+  pest_disease_prediction: () => new PestDiseasePredictor(),
+  seasonal_planning: () => new SeasonalPlanningModel(),
+  air_quality_prediction: () => new AirQualityPredictor(),
+  resource_management: () => new ResourceManagementModel(),
+  climate_adaptation: () => new ClimateAdaptationModel()
+};
+
+export const MODEL_NAMES = [...CORE_MODELS, ...Object.keys(SPECIALIZED_MODELS)];
+
+/**
+ * Stored versions kept per model; older ones are deleted when a model is trained
+ */
+const MODEL_VERSIONS_KEPT = parseInt(process.env.ML_MODEL_VERSIONS_KEPT || '') || 5;
+
+/**
+ * Hour (UTC) the nightly forecast verification runs, after the previous day's last readings
+ */
+const VERIFICATION_HOUR_UTC = 1;
+
+/**
+ * Days forecast by both engines in a weather comparison, and how far back it compares
+ * their verified forecasts
+ */
+const COMPARISON_FORECAST_DAYS = 7;
+const COMPARISON_HISTORY_DAYS = 90;
+const COMPARISON_SEASONS: Season[] = ['Kharif', 'Rabi', 'Zaid'];
+
+// 'degraded' models are loaded but serve fallback output instead of trained predictions
+export type ModelStatus = 'ready' | 'degraded' | 'not_loaded' | 'initializing' | 'failed';
+
+export interface ModelInfo {
+  name: string;
+  kind: 'core' | 'specialized';
+  status: ModelStatus;
+  version?: number; // stored version in use
+  degradedReason?: string;
+  error?: string;
+}
+
+// 'production' is the version being served; 'retired' ones were served before it, and
+// 'rolled_back' ones were replaced by a rollback
+export type ModelStage = 'production' | 'candidate' | 'retired' | 'rolled_back';
+
+// Observations a version was trained on
+export interface TrainingWindow {
+  from: string | null;
+  to: string | null;
+  series: number;
+  samples: number;
+}
+
+export interface ModelVersionInfo {
+  model: string;
+  version: number;
+  stage: ModelStage;
+  stateVersion: number;
+  trainedAt: string;
+  promotedAt: string | null;
+  trainingWindow: TrainingWindow | null; // null when trained at initialization
+  hyperparameters: Record<string, any>;
+  metrics: Record<string, number | null>;
+  sizeBytes: number;
+}
+
+type TrainableModel = { initialize(): Promise<void> } & Partial<PersistableModel>;
+
+interface LoadedModel {
+  model: BaseMLModel;
+  status: ModelStatus;
+  error?: string;
+  loading: Promise<BaseMLModel>;
+}
 
 /**
  * Database interface for ML service
@@ -27,9 +139,29 @@ import { AlertPredictionService } from './models/alert-predictor';
 interface MLDatabase {
   insertWeatherData(data: any): void;
   getWeatherHistory(cityName: string, days: number): WeatherData[];
+  getDailyWeatherHistory?(cityName: string, days: number): WeatherData[];
+  getDailyObservations(cityName: string, from: string, to: string): any[];
   getLatestWeather(cityName: string): WeatherData | null;
-  getCityByName(cityName: string): { id: number; name: string; imd_id?: number } | null;
+  getCityByName(cityName: string): {
+    id: number;
+    name: string;
+    imd_id?: number;
+    latitude?: number;
+    longitude?: number;
+    site_type?: string;
+  } | null;
   getAllCities(): Array<{ id: number; name: string; imd_id?: number }>;
+  getMonitoredSites?(): Array<{ id: number; name: string; imd_id?: number }>;
+  getFarmById?(id: number): { soil_type?: string; area_hectares?: number; crops: string[] } | null;
+  archivePrediction(prediction: {
+    cityId: number;
+    cityName: string;
+    predictionType: string;
+    engine: 'typescript' | 'javascript';
+    predictionData: string;
+    modelVersion?: string | null;
+    issuedAt: string;
+  }): void;
   db: {
     prepare(sql: string): {
       run(...params: any[]): any;
@@ -37,6 +169,7 @@ interface MLDatabase {
       all(...params: any[]): any[];
     };
     exec(sql: string): void;
+    transaction<T>(fn: () => T): () => T;
   };
 }
 
@@ -54,6 +187,10 @@ export class AdvancedMLService {
   private weatherPredictor: WeatherPredictionService;
   private cropRecommender: AdvancedCropRecommender;
   private alertPredictor: AlertPredictionService;
+  private forecastVerifier: ForecastVerifier;
+  private specializedModels = new Map<string, LoadedModel>();
+  private modelVersions = new Map<string, number>();
+  private weatherFallbackAt: string | null = null; // last time a forecast fell back
   
   private database: MLDatabase;
   private externalAPI: ExternalAPI | null;
@@ -62,6 +199,8 @@ export class AdvancedMLService {
   // Background task intervals
   private predictionUpdateInterval: NodeJS.Timeout | null = null;
   private modelRetrainingInterval: NodeJS.Timeout | null = null;
+  private verificationTimer: NodeJS.Timeout | null = null;
+  private initialUpdateTimer: NodeJS.Timeout | null = null;
 
   constructor(database: MLDatabase, externalAPI?: ExternalAPI) {
     this.database = database;
@@ -71,6 +210,7 @@ export class AdvancedMLService {
     this.weatherPredictor = new WeatherPredictionService();
     this.cropRecommender = new AdvancedCropRecommender();
     this.alertPredictor = new AlertPredictionService();
+    this.forecastVerifier = new ForecastVerifier(database);
   }
 
   /**
@@ -83,13 +223,21 @@ export class AdvancedMLService {
       // Create ML database tables
       this.createMLTables();
       
-      // Initialize all ML models in parallel
+      // Load stored weights, training the models that have none
       await Promise.all([
-        this.weatherPredictor.initialize(),
-        this.cropRecommender.initialize(),
-        this.alertPredictor.initialize()
+        this.loadOrTrain('weather_prediction', this.weatherPredictor),
+        this.loadOrTrain('crop_recommendation', this.cropRecommender),
+        this.loadOrTrain('alert_prediction', this.alertPredictor)
       ]);
 
+      // Specialized models with stored weights are loaded now; the rest train on first use
+      const storedModels = this.database.db.prepare(
+        'SELECT DISTINCT model_name FROM ml_model_artifacts'
+      ).all().map((row: any) => row.model_name);
+      for (const name of Object.keys(SPECIALIZED_MODELS).filter(name => storedModels.includes(name))) {
+        this.loadModel(name).catch(error => console.error(`Error loading ${name}:`, error));
+      }
+
       this.isInitialized = true;
       console.log('✅ Advanced ML Service initialized successfully');
       
@@ -131,14 +279,19 @@ export class AdvancedMLService {
       }
 
       // Get predictions from weather service
+      const modelVersion = this.modelVersions.get('weather_prediction');
       const predictions = await this.weatherPredictor.predictWeather(
         cityName, 
         days, 
         enhancedWeatherData
       );
 
+      this.weatherFallbackAt = predictions.predictions.some(day => day.metadata?.fallback)
+        ? new Date().toISOString()
+        : null;
+
       // Store predictions in database
-      this.storePrediction(cityName, predictions, 'weather');
+      this.storePrediction(cityName, predictions, 'weather', modelVersion);
 
       return {
         ...predictions,
@@ -176,13 +329,14 @@ export class AdvancedMLService {
       }
 
       // Get crop recommendations
+      const modelVersion = this.modelVersions.get('crop_recommendation');
       const recommendations = await this.cropRecommender.recommendCrops(
         latestWeather, 
         season
       );
 
       // Store recommendations in database
-      this.storePrediction(cityName, recommendations, 'crop');
+      this.storePrediction(cityName, recommendations, 'crop', modelVersion);
 
       return recommendations;
 
@@ -221,13 +375,14 @@ export class AdvancedMLService {
       }
 
       // Get alert predictions
+      const modelVersion = this.modelVersions.get('alert_prediction');
       const alerts = await this.alertPredictor.predictAlerts(
         currentWeather, 
         forecastData
       );
 
       // Store alerts in database
-      this.storePrediction(cityName, alerts, 'alert');
+      this.storePrediction(cityName, alerts, 'alert', modelVersion);
 
       return alerts;
 
@@ -295,6 +450,164 @@ export class AdvancedMLService {
     }
   }
 
+  /**
+   * Every model the service can run, with its status
+   */
+  listModels(): ModelInfo[] {
+    const core: ModelInfo[] = CORE_MODELS.map(name => {
+      const degradedReason = this.isInitialized ? this.getDegradedReason(name) : null;
+      return {
+        name,
+        kind: 'core',
+        status: !this.isInitialized ? 'not_loaded' : degradedReason ? 'degraded' : 'ready',
+        ...(this.modelVersions.has(name) ? { version: this.modelVersions.get(name) } : {}),
+        ...(degradedReason ? { degradedReason } : {})
+      };
+    });
+
+    const specialized: ModelInfo[] = Object.keys(SPECIALIZED_MODELS).map(name => {
+      const loaded = this.specializedModels.get(name);
+      return {
+        name,
+        kind: 'specialized',
+        status: loaded ? loaded.status : 'not_loaded',
+        ...(this.modelVersions.has(name) ? { version: this.modelVersions.get(name) } : {}),
+        ...(loaded?.error ? { error: loaded.error } : {})
+      };
+    });
+
+    return [...core, ...specialized];
+  }
+
+  /**
+   * Why a core model is serving fallback output, or null when it serves trained predictions
+   */
+  private getDegradedReason(name: string): string | null {
+    const model: TrainableModel = {
+      weather_prediction: this.weatherPredictor,
+      crop_recommendation: this.cropRecommender,
+      alert_prediction: this.alertPredictor
+    }[name] as TrainableModel;
+    if (model.isTrained?.() === false) {
+      return 'Not trained yet; serving fallback output';
+    }
+    if (name === 'weather_prediction' && this.weatherFallbackAt) {
+      return `Last forecast fell back to the trend forecast at ${this.weatherFallbackAt}`;
+    }
+    return null;
+  }
+
+  /**
+   * Run one model by name (see MODEL_NAMES). Core models take { city } and return the
+   * city's weather, crop or alert predictions. Specialized models take their own input;
+   * when it names a city or farm, its latest weather and farm details fill in any
+   * fields not given.
+   */
+  async runModel(name: string, input: Record<string, any> = {}): Promise<any> {
+    if (!this.isInitialized) {
+      throw new ModelNotInitializedError('AdvancedMLService');
+    }
+
+    if (CORE_MODELS.includes(name)) {
+      if (!input.city) {
+        throw new MLError(`Model ${name} needs a city`, 'INVALID_INPUT', { model: name });
+      }
+      if (name === 'weather_prediction') {
+        return this.getWeatherPredictions(input.city, parseInt(input.days) || 7);
+      }
+      if (name === 'crop_recommendation') {
+        return this.getCropRecommendations(input.city, input.season);
+      }
+      return this.getAlertPredictions(input.city);
+    }
+
+    if (!SPECIALIZED_MODELS[name]) {
+      throw new MLError(`Unknown model ${name}`, 'UNKNOWN_MODEL', { model: name });
+    }
+
+    const siteInput = this.withSiteContext(input);
+    const model = await this.loadModel(name);
+    return model.predict(siteInput);
+  }
+
+  /**
+   * Stored versions of one model, or of every model, newest first, with their stage, what
+   * each was trained on and with, and the metrics measured then
+   */
+  listModelVersions(name?: string): ModelVersionInfo[] {
+    if (name) {
+      this.checkModelName(name);
+    } else if (!this.isInitialized) {
+      throw new ModelNotInitializedError('AdvancedMLService');
+    }
+
+    const rows = this.database.db.prepare(`
+      SELECT model_name, version, stage, state_version, metrics, hyperparameters, training_window,
+        trained_at, promoted_at, LENGTH(state) AS size_bytes
+      FROM ml_model_artifacts
+      ${name ? 'WHERE model_name = ?' : ''}
+      ORDER BY model_name, version DESC
+    `).all(...(name ? [name] : []));
+
+    return rows.map((row: any) => ({
+      model: row.model_name,
+      version: row.version,
+      stage: row.stage,
+      stateVersion: row.state_version,
+      trainedAt: row.trained_at,
+      promotedAt: row.promoted_at,
+      trainingWindow: JSON.parse(row.training_window || 'null'),
+      hyperparameters: JSON.parse(row.hyperparameters || '{}'),
+      metrics: JSON.parse(row.metrics || '{}'),
+      sizeBytes: row.size_bytes
+    }));
+  }
+
+  /**
+   * Serve a stored version of a model from now on, making it the production version. The
+   * version it replaces is retired and can be returned to with rollbackModel.
+   */
+  promoteModelVersion(name: string, version: number): ModelVersionInfo {
+    this.checkModelName(name);
+    if (!Number.isInteger(version)) {
+      throw new MLError('Model version must be a whole number', 'INVALID_INPUT', { model: name, version });
+    }
+
+    const artifact = this.database.db.prepare(
+      'SELECT version, stage, state_version, state FROM ml_model_artifacts WHERE model_name = ? AND version = ?'
+    ).get(name, version);
+    if (!artifact) {
+      throw new MLError(`Model ${name} has no stored version ${version}`, 'UNKNOWN_MODEL_VERSION', { model: name, version });
+    }
+
+    if (artifact.stage !== 'production') {
+      this.serveVersion(name, artifact, 'retired');
+      console.log(`🚀 Promoted ${name} v${version} to production`);
+    }
+    return this.getModelVersion(name, version);
+  }
+
+  /**
+   * Return to the version that was in production before the current one. The current
+   * version is marked rolled_back, so repeated rollbacks keep stepping further back.
+   */
+  rollbackModel(name: string): ModelVersionInfo {
+    this.checkModelName(name);
+
+    const previous = this.database.db.prepare(`
+      SELECT version, stage, state_version, state FROM ml_model_artifacts
+      WHERE model_name = ? AND stage = 'retired'
+      ORDER BY promoted_at DESC, version DESC LIMIT 1
+    `).get(name);
+    if (!previous) {
+      throw new MLError(`Model ${name} has no earlier production version to roll back to`, 'NO_PREVIOUS_VERSION', { model: name });
+    }
+
+    this.serveVersion(name, previous, 'rolled_back');
+    console.log(`⏪ Rolled ${name} back to v${previous.version}`);
+    return this.getModelVersion(name, previous.version);
+  }
+
   /**
    * Assess overall risk for a city
    */
@@ -302,6 +615,103 @@ export class AdvancedMLService {
     return await this.alertPredictor.assessRisk(cityName);
   }
 
+  /**
+   * Accuracy of a city's archived weather forecasts per metric and lead day; see ForecastVerifier.getReport
+   */
+  getForecastVerification(cityName: string, days?: number, engine?: PredictionEngine): VerificationReport {
+    if (!this.isInitialized) {
+      throw new ModelNotInitializedError('AdvancedMLService');
+    }
+    return this.forecastVerifier.getReport(cityName, days, engine);
+  }
+
+  /**
+   * Run this service and the JavaScript ML service for the same city and stored observations,
+   * and align their outputs field by field. Weather comparisons also compare each engine's
+   * verified forecast error for the city over the last COMPARISON_HISTORY_DAYS.
+   */
+  async compareEngines(
+    cityName: string,
+    type: ComparisonType,
+    javascriptService: ComparableMLService,
+    season?: Season
+  ): Promise<EngineComparison> {
+    if (!this.isInitialized) {
+      throw new ModelNotInitializedError('AdvancedMLService');
+    }
+    if (!COMPARISON_TYPES.includes(type)) {
+      throw new MLError(`Comparison type must be one of ${COMPARISON_TYPES.join(', ')}`, 'INVALID_INPUT', { type });
+    }
+    if (season !== undefined && !COMPARISON_SEASONS.includes(season)) {
+      throw new MLError(`Season must be one of ${COMPARISON_SEASONS.join(', ')}`, 'INVALID_INPUT', { season });
+    }
+    const city = this.database.getCityByName(cityName);
+    if (!city) {
+      throw new MLError(`Unknown city ${cityName}`, 'UNKNOWN_CITY', { city: cityName });
+    }
+
+    const observation: any = this.database.getLatestWeather(city.name);
+    const inputs = { observedAt: observation?.recorded_at ?? observation?.recordedAt ?? null };
+
+    switch (type) {
+      case 'weather': {
+        // Given the stored observation, this service skips the live provider data that the
+        // JavaScript service has no access to
+        const [typescript, javascript] = await Promise.all([
+          this.getWeatherPredictions(city.name, COMPARISON_FORECAST_DAYS, observation ?? undefined),
+          javascriptService.getWeatherPredictions(city.name, COMPARISON_FORECAST_DAYS)
+        ]);
+        const [typescriptHistory, javascriptHistory] = PREDICTION_ENGINES.map(engine =>
+          this.forecastVerifier.getReport(city.name, COMPARISON_HISTORY_DAYS, engine));
+        const history = compareForecastHistory(typescriptHistory, javascriptHistory);
+
+        return {
+          city: city.name,
+          type,
+          inputs: { ...inputs, days: COMPARISON_FORECAST_DAYS },
+          results: { typescript, javascript },
+          comparison: compareWeather(typescript, javascript),
+          history,
+          recommendation: recommendFromHistory(history)
+        };
+      }
+
+      case 'crops': {
+        const [typescript, javascript] = await Promise.all([
+          this.getCropRecommendations(city.name, season),
+          javascriptService.getCropRecommendations(city.name, season)
+        ]);
+
+        return {
+          city: city.name,
+          type,
+          inputs: { ...inputs, season: season ?? null },
+          results: { typescript, javascript },
+          comparison: compareCrops(typescript, javascript),
+          history: null,
+          recommendation: recommendFromHistory(null)
+        };
+      }
+
+      default: {
+        const [typescript, javascript] = await Promise.all([
+          this.getAlertPredictions(city.name),
+          javascriptService.getAlertPredictions(city.name)
+        ]);
+
+        return {
+          city: city.name,
+          type,
+          inputs,
+          results: { typescript, javascript },
+          comparison: compareAlerts(typescript, javascript),
+          history: null,
+          recommendation: recommendFromHistory(null)
+        };
+      }
+    }
+  }
+
   /**
    * Get ML performance metrics
    */
@@ -359,10 +769,27 @@ export class AdvancedMLService {
     console.log('🎓 Training ML models with new data...');
     
     try {
-      await Promise.allSettled([
-        this.weatherPredictor.trainModel(historicalData),
+      // Retraining starts from the production weights and is stored as a candidate; the
+      // production version keeps serving until the candidate is promoted
+      const weatherCandidate = new WeatherPredictionService();
+      weatherCandidate.loadState(this.weatherPredictor.saveState());
+
+      const [weather] = await Promise.allSettled([
+        weatherCandidate.trainModel(historicalData),
         // Crop and alert models training would be implemented based on specific requirements
       ]);
+
+      if (weather.status === 'fulfilled') {
+        // A production model that was never trained only serves fallback forecasts, so the
+        // first trained candidate replaces it without waiting to be promoted
+        const promote = weatherCandidate.isTrained() && !this.weatherPredictor.isTrained();
+        this.saveModelVersion('weather_prediction', weatherCandidate, promote ? 'production' : 'candidate',
+          this.getTrainingWindow(historicalData));
+        if (promote) {
+          this.weatherPredictor = weatherCandidate;
+          this.weatherFallbackAt = null;
+        }
+      }
       
       console.log('✅ ML models training completed');
     } catch (error) {
@@ -384,6 +811,14 @@ export class AdvancedMLService {
     if (this.modelRetrainingInterval) {
       clearInterval(this.modelRetrainingInterval);
     }
+
+    if (this.verificationTimer) {
+      clearTimeout(this.verificationTimer);
+    }
+
+    if (this.initialUpdateTimer) {
+      clearTimeout(this.initialUpdateTimer);
+    }
     
     console.log('✅ Advanced ML Service shut down successfully');
   }
@@ -435,10 +870,15 @@ export class AdvancedMLService {
     return summary;
   }
 
+  /**
+   * @param modelVersion - Stored version of the model that made the predictions, read when
+   *   the prediction started so a promotion meanwhile does not mislabel it
+   */
   private storePrediction(
     cityName: string, 
     predictions: any, 
-    type: 'weather' | 'crop' | 'alert'
+    type: 'weather' | 'crop' | 'alert',
+    modelVersion?: number
   ): void {
     try {
       const cityInfo = this.database.getCityByName(cityName);
@@ -452,7 +892,7 @@ export class AdvancedMLService {
         confidence: predictions.confidence || 0,
         generatedAt: new Date().toISOString(),
         validUntil: new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString(),
-        modelVersion: '2.0.0',
+        modelVersion: modelVersion ? `v${modelVersion}` : '2.0.0',
         metadata: JSON.stringify(predictions.metadata || {})
       };
 
@@ -474,11 +914,274 @@ export class AdvancedMLService {
         predictionData.metadata
       );
 
+      // Archived by the hour it was issued, for forecast verification
+      this.database.archivePrediction({
+        cityId: predictionData.cityId,
+        cityName: predictionData.cityName,
+        predictionType: predictionData.predictionType,
+        engine: 'typescript',
+        predictionData: predictionData.predictionData,
+        modelVersion: predictionData.modelVersion,
+        issuedAt: predictionData.generatedAt
+      });
+
     } catch (error) {
       console.error('Error storing prediction:', error);
     }
   }
 
+  /**
+   * Initialize a specialized model once; concurrent callers share the same initialization,
+   * and a model that failed is retried on its next use
+   */
+  private loadModel(name: string): Promise<BaseMLModel> {
+    const existing = this.specializedModels.get(name);
+    if (existing && existing.status !== 'failed') {
+      return existing.loading;
+    }
+
+    const model = SPECIALIZED_MODELS[name]();
+    const loaded: LoadedModel = {
+      model,
+      status: 'initializing',
+      loading: this.loadOrTrain(name, model).then(
+        () => {
+          loaded.status = 'ready';
+          return model;
+        },
+        (error: Error) => {
+          loaded.status = 'failed';
+          loaded.error = error.message;
+          throw error;
+        }
+      )
+    };
+    this.specializedModels.set(name, loaded);
+    return loaded.loading;
+  }
+
+  /**
+   * Restore a model from its production version. If that was saved in another state format,
+   * or there is none yet, the newest version in the current format is loaded and promoted.
+   * Without one, or if it fails to load, the model is trained and the result stored as the
+   * new production version, unless it reports it is still untrained. Models without
+   * saveState are always initialized.
+   */
+  private async loadOrTrain(name: string, model: TrainableModel): Promise<void> {
+    if (!model.saveState || !model.loadState || model.stateVersion === undefined) {
+      await model.initialize();
+      return;
+    }
+
+    const artifact = this.database.db.prepare(`
+      SELECT version, stage, state FROM ml_model_artifacts
+      WHERE model_name = ? AND state_version = ? AND stage != 'rolled_back'
+      ORDER BY stage = 'production' DESC, version DESC LIMIT 1
+    `).get(name, model.stateVersion);
+
+    if (artifact) {
+      try {
+        model.loadState(JSON.parse(artifact.state));
+        if (artifact.stage === 'production') {
+          this.modelVersions.set(name, artifact.version);
+        } else {
+          this.markProduction(name, artifact.version);
+        }
+        console.log(`📦 Loaded ${name} v${artifact.version} from stored weights`);
+        return;
+      } catch (error) {
+        console.warn(`Stored weights for ${name} v${artifact.version} could not be loaded, retraining:`,
+          error instanceof Error ? error.message : error);
+      }
+    }
+
+    await model.initialize();
+    if (model.isTrained?.() === false) {
+      console.log(`${name} has not been trained yet; its first trained version will be stored as production`);
+      return;
+    }
+    this.saveModelVersion(name, model as PersistableModel);
+  }
+
+  /**
+   * Store a trained model's state as its next version, keeping the newest MODEL_VERSIONS_KEPT
+   * and the production version. A production version is served from now on; a candidate
+   * waits to be promoted.
+   */
+  private saveModelVersion(
+    name: string,
+    model: PersistableModel,
+    stage: 'production' | 'candidate' = 'production',
+    trainingWindow: TrainingWindow | null = null
+  ): void {
+    try {
+      // JSON has no Infinity or NaN; a metric that diverged is stored as null
+      const metrics = _.mapValues(model.getEvaluationMetrics(), value => Number.isFinite(value) ? value : null);
+      const { version } = this.database.db.prepare(
+        'SELECT COALESCE(MAX(version), 0) + 1 AS version FROM ml_model_artifacts WHERE model_name = ?'
+      ).get(name);
+
+      this.database.db.prepare(`
+        INSERT INTO ml_model_artifacts
+        (model_name, version, stage, state_version, state, metrics, hyperparameters, training_window, trained_at)
+        VALUES (?, ?, 'candidate', ?, ?, ?, ?, ?, ?)
+      `).run(
+        name,
+        version,
+        model.stateVersion,
+        JSON.stringify(model.saveState()),
+        JSON.stringify(metrics),
+        JSON.stringify(model.getHyperparameters()),
+        JSON.stringify(trainingWindow),
+        new Date().toISOString()
+      );
+
+      if (stage === 'production') {
+        this.markProduction(name, version);
+      }
+
+      this.database.db.prepare(
+        `DELETE FROM ml_model_artifacts WHERE model_name = ? AND version <= ? AND stage != 'production'`
+      ).run(name, version - MODEL_VERSIONS_KEPT);
+
+      console.log(`💾 Stored ${name} v${version} as ${stage}`);
+
+    } catch (error) {
+      console.error(`Error storing ${name} model state:`, error);
+    }
+  }
+
+  /**
+   * Mark a stored version as production, moving the version it replaces to replacedStage
+   */
+  private markProduction(name: string, version: number, replacedStage: ModelStage = 'retired'): void {
+    this.database.db.prepare(
+      `UPDATE ml_model_artifacts SET stage = ? WHERE model_name = ? AND stage = 'production' AND version != ?`
+    ).run(replacedStage, name, version);
+    this.database.db.prepare(
+      `UPDATE ml_model_artifacts SET stage = 'production', promoted_at = ? WHERE model_name = ? AND version = ?`
+    ).run(new Date().toISOString(), name, version);
+
+    this.modelVersions.set(name, version);
+  }
+
+  /**
+   * Load a stored version into a new instance of its model and serve that instead of the
+   * current one
+   */
+  private serveVersion(name: string, artifact: any, replacedStage: ModelStage): void {
+    // The model's own training would store a version over the promoted one when it finishes
+    if (this.specializedModels.get(name)?.status === 'initializing') {
+      throw new MLError(`Model ${name} is still loading; try again once it is ready`, 'MODEL_BUSY', { model: name });
+    }
+
+    const model = this.createModel(name);
+    if (!model.loadState || model.stateVersion !== artifact.state_version) {
+      throw new MLError(`Model ${name} v${artifact.version} was stored in a format the model no longer reads`,
+        'INCOMPATIBLE_MODEL_VERSION', { model: name, version: artifact.version });
+    }
+    model.loadState(JSON.parse(artifact.state));
+
+    switch (name) {
+      case 'weather_prediction':
+        this.weatherPredictor = model as WeatherPredictionService;
+        this.weatherFallbackAt = null;
+        break;
+      case 'crop_recommendation':
+        this.cropRecommender = model as AdvancedCropRecommender;
+        break;
+      case 'alert_prediction':
+        this.alertPredictor = model as AlertPredictionService;
+        break;
+      default:
+        this.specializedModels.set(name, {
+          model: model as BaseMLModel,
+          status: 'ready',
+          loading: Promise.resolve(model as BaseMLModel)
+        });
+    }
+
+    this.markProduction(name, artifact.version, replacedStage);
+  }
+
+  private createModel(name: string): TrainableModel {
+    switch (name) {
+      case 'weather_prediction':
+        return new WeatherPredictionService();
+      case 'crop_recommendation':
+        return new AdvancedCropRecommender();
+      case 'alert_prediction':
+        return new AlertPredictionService();
+      default:
+        return SPECIALIZED_MODELS[name]();
+    }
+  }
+
+  private getModelVersion(name: string, version: number): ModelVersionInfo {
+    return this.listModelVersions(name).find(info => info.version === version)!;
+  }
+
+  /**
+   * Throw unless the service is initialized and name is one of MODEL_NAMES
+   */
+  private checkModelName(name: string): void {
+    if (!this.isInitialized) {
+      throw new ModelNotInitializedError('AdvancedMLService');
+    }
+    if (!MODEL_NAMES.includes(name)) {
+      throw new MLError(`Unknown model ${name}`, 'UNKNOWN_MODEL', { model: name });
+    }
+  }
+
+  /**
+   * Add the latest weather of input.city, and for a farm its soil, size and first crop,
+   * under the field names the specialized models read. Fields in the input take precedence.
+   */
+  private withSiteContext(input: Record<string, any>): Record<string, any> {
+    if (!input.city) {
+      return input;
+    }
+
+    const site = this.database.getCityByName(input.city);
+    if (!site) {
+      throw new MLError(`Unknown city ${input.city}`, 'UNKNOWN_CITY', { city: input.city });
+    }
+
+    const weather: any = this.database.getLatestWeather(site.name);
+    const farm = site.site_type === 'FARM' ? this.database.getFarmById?.(site.id) : null;
+
+    const context = _.omitBy({
+      location: site.name,
+      latitude: site.latitude,
+      longitude: site.longitude,
+      temperature: weather?.temperature,
+      humidity: weather?.humidity,
+      rainfall: weather?.rainfall,
+      pressure: weather?.pressure,
+      windSpeed: weather?.wind_speed,
+      currentMoisture: weather?.soil_moisture,
+      pm25: weather?.air_quality_pm25,
+      pm10: weather?.air_quality_pm10,
+      soilType: farm?.soil_type,
+      fieldSize: farm?.area_hectares,
+      farmSize: farm?.area_hectares,
+      cropType: farm?.crops[0]
+    }, _.isNil);
+
+    return { ...context, ..._.omit(input, 'city') };
+  }
+
+  private getTrainingWindow(historicalData: WeatherData[][]): TrainingWindow {
+    const observations = historicalData.flat();
+    const times = _.sortBy(observations.map(data => data.recordedAt).filter(Boolean), time => new Date(time).getTime());
+    return {
+      from: times[0] ?? null,
+      to: times[times.length - 1] ?? null,
+      series: historicalData.length,
+      samples: observations.length
+    };
+  }
+
   private convertToWeatherData(apiData: any): WeatherData {
     return {
       temperature: apiData.main?.temp || 25,
@@ -513,12 +1216,66 @@ export class AdvancedMLService {
       `;
       
       this.database.db.exec(createTableSQL);
+
+      // Tables created by the JavaScript ML service lack the columns added in 2.0.0
+      this.addMissingColumns('ml_predictions', ['model_version TEXT DEFAULT \'2.0.0\'', 'metadata TEXT']);
       
       // Create indexes
       this.database.db.exec(`
         CREATE INDEX IF NOT EXISTS idx_ml_city_type 
         ON ml_predictions(city_name, prediction_type)
       `);
+
+      // One row per metric of each archived weather forecast day that has been observed
+      this.database.db.exec(`
+        CREATE TABLE IF NOT EXISTS ml_forecast_verification (
+          archive_id INTEGER NOT NULL,
+          city_name TEXT NOT NULL,
+          engine TEXT NOT NULL DEFAULT 'typescript',
+          issued_at TEXT NOT NULL,
+          model_version TEXT,
+          lead_day INTEGER NOT NULL,
+          target_date TEXT NOT NULL,
+          metric TEXT NOT NULL,
+          forecast REAL NOT NULL,
+          observed REAL NOT NULL,
+          persistence REAL,
+          climatology REAL,
+          verified_at TEXT NOT NULL,
+          PRIMARY KEY (archive_id, lead_day, metric)
+        );
+      `);
+
+      // Verified forecasts from before the JavaScript service archived its predictions are all this service's.
+      // The prediction archive (ml_prediction_archive) is created by the database.
+      this.addMissingColumns('ml_forecast_verification', ['engine TEXT NOT NULL DEFAULT \'typescript\'']);
+      this.database.db.exec(`
+        CREATE INDEX IF NOT EXISTS idx_ml_forecast_verification_city_engine
+        ON ml_forecast_verification(city_name, engine, target_date)
+      `);
+
+      // Trained model weights, one row per model version
+      this.database.db.exec(`
+        CREATE TABLE IF NOT EXISTS ml_model_artifacts (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          model_name TEXT NOT NULL,
+          version INTEGER NOT NULL,
+          stage TEXT NOT NULL DEFAULT 'candidate',
+          state_version INTEGER NOT NULL,
+          state TEXT NOT NULL,
+          metrics TEXT,
+          hyperparameters TEXT,
+          training_window TEXT,
+          trained_at TEXT NOT NULL,
+          promoted_at TEXT,
+          UNIQUE(model_name, version)
+        )
+      `);
+
+      // Versions stored before the registry have no stage; the newest is promoted when loaded
+      this.addMissingColumns('ml_model_artifacts', [
+        'stage TEXT NOT NULL DEFAULT \'candidate\'', 'hyperparameters TEXT', 'training_window TEXT', 'promoted_at TEXT'
+      ]);
       
       console.log('✅ ML database tables created/verified');
       
@@ -528,6 +1285,18 @@ export class AdvancedMLService {
     }
   }
 
+  private addMissingColumns(table: string, columns: string[]): void {
+    for (const column of columns) {
+      try {
+        this.database.db.exec(`ALTER TABLE ${table} ADD COLUMN ${column}`);
+      } catch (error) {
+        if (!(error instanceof Error) || !error.message.includes('duplicate column name')) {
+          throw error;
+        }
+      }
+    }
+  }
+
   private startBackgroundTasks(): void {
     console.log('🔄 Starting ML background tasks...');
     
@@ -541,8 +1310,14 @@ export class AdvancedMLService {
       await this.retrainModelsWithLatestData();
     }, 24 * 60 * 60 * 1000);
 
-    // Initial update after 30 seconds
-    setTimeout(() => {
+    // Verify archived forecasts nightly
+    this.scheduleForecastVerification();
+
+    // Initial update after 30 seconds, training the weather model first if it never was
+    this.initialUpdateTimer = setTimeout(async () => {
+      if (!this.weatherPredictor.isTrained()) {
+        await this.retrainModelsWithLatestData();
+      }
       this.updatePredictionsForAllCities();
     }, 30000);
   }
@@ -551,11 +1326,13 @@ export class AdvancedMLService {
     try {
       console.log('🔄 Updating ML predictions for all cities...');
       
-      const cities = this.database.getAllCities().slice(0, 10);
+      // Every city and registered farm
+      const cities = this.database.getMonitoredSites?.() ?? this.database.getAllCities();
       
       for (const city of cities) {
         try {
           await Promise.allSettled([
+            this.getWeatherPredictions(city.name, 7),
             this.getCropRecommendations(city.name),
             this.getAlertPredictions(city.name)
           ]);
@@ -575,6 +1352,32 @@ export class AdvancedMLService {
     }
   }
 
+  /**
+   * Verify forecasts at the next VERIFICATION_HOUR_UTC, then again every night
+   */
+  private scheduleForecastVerification(): void {
+    const next = new Date();
+    next.setUTCHours(VERIFICATION_HOUR_UTC, 0, 0, 0);
+    if (next.getTime() <= Date.now()) {
+      next.setUTCDate(next.getUTCDate() + 1);
+    }
+
+    this.verificationTimer = setTimeout(() => {
+      this.verifyForecasts();
+      this.scheduleForecastVerification();
+    }, next.getTime() - Date.now());
+  }
+
+  private verifyForecasts(): void {
+    try {
+      console.log('📏 Verifying archived weather forecasts...');
+      const { forecasts, scored, pruned } = this.forecastVerifier.verifyForecasts();
+      console.log(`✅ Forecast verification read ${forecasts} forecasts, scored ${scored} forecast values and pruned ${pruned} archived predictions`);
+    } catch (error) {
+      console.error('❌ Error in forecast verification:', error);
+    }
+  }
+
   private async retrainModelsWithLatestData(): Promise<void> {
     try {
       console.log('🎓 Retraining models with latest data...');
@@ -584,7 +1387,9 @@ export class AdvancedMLService {
       const historicalData: WeatherData[][] = [];
       
       for (const city of cities) {
-        const cityData = this.database.getWeatherHistory(city.name, 30);
+        // Prefer a year of archived daily history over the last 30 observations
+        const archived = this.database.getDailyWeatherHistory?.(city.name, 365) ?? [];
+        const cityData = archived.length > 10 ? archived : this.database.getWeatherHistory(city.name, 30);
         if (cityData.length > 10) {
           historicalData.push(cityData);
         }
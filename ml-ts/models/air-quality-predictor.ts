@@ -1,5 +1,6 @@
 import { Matrix } from 'ml-matrix';
-import { BaseMLModel, MLModelInfo } from '../types';
+import { BaseMLModel, MLModelInfo, ModelState } from '../types';
+import { MathUtils, ModelStateCodec } from '../utils';
 
 // Air Quality Types
 interface AirQualityPrediction {
@@ -45,17 +46,19 @@ class AirQualityLSTM {
   } | null = null;
   private hiddenSize: number = 50;
   private sequenceLength: number = 24; // 24 hours
+  private epochs: number = 50;
+  private learningRate: number = 0.01;
   private isInitialized: boolean = false;
 
   async train(sequences: number[][], targets: number[]): Promise<void> {
     this.initializeWeights();
     
     // Simplified LSTM training
-    for (let epoch = 0; epoch < 50; epoch++) {
+    for (let epoch = 0; epoch < this.epochs; epoch++) {
       for (let i = 0; i < sequences.length; i++) {
         const prediction = this.forward(sequences[i]);
         const error = targets[i] - prediction;
-        this.updateWeights(error * 0.01);
+        this.updateWeights(error * this.learningRate);
       }
     }
     
@@ -82,6 +85,15 @@ class AirQualityLSTM {
     return predictions;
   }
 
+  getHyperparameters(): Record<string, number> {
+    return {
+      hiddenSize: this.hiddenSize,
+      sequenceLength: this.sequenceLength,
+      epochs: this.epochs,
+      learningRate: this.learningRate
+    };
+  }
+
   private initializeWeights(): void {
     const inputSize = 6; // Number of pollutants
     
@@ -212,6 +224,8 @@ export class AirQualityPredictor implements BaseMLModel {
   private lstmModel: AirQualityLSTM;
   private healthAssessor: HealthImpactAssessor;
   private isInitialized: boolean = false;
+  private evaluationMetrics: Record<string, number> = {};
+  readonly stateVersion = 1;
 
   constructor() {
     this.lstmModel = new AirQualityLSTM();
@@ -221,9 +235,33 @@ export class AirQualityPredictor implements BaseMLModel {
   async initialize(): Promise<void> {
     const { sequences, targets } = this.generateTrainingData();
     await this.lstmModel.train(sequences, targets);
+
+    // Score the forecast AQI on fresh samples
+    const holdout = this.generateTrainingData(100);
+    this.evaluationMetrics = MathUtils.regressionMetrics(
+      holdout.sequences.map(sequence => this.lstmModel.predict(sequence)),
+      holdout.targets
+    );
+    this.isInitialized = true;
+  }
+
+  saveState(): ModelState {
+    return ModelStateCodec.capture(this, ['lstmModel', 'evaluationMetrics']);
+  }
+
+  loadState(state: ModelState): void {
+    ModelStateCodec.restore(this, state, [AirQualityLSTM]);
     this.isInitialized = true;
   }
 
+  getEvaluationMetrics(): Record<string, number> {
+    return { ...this.evaluationMetrics };
+  }
+
+  getHyperparameters(): Record<string, any> {
+    return { lstm: this.lstmModel.getHyperparameters() };
+  }
+
   async predict(input: any): Promise<AirQualityPrediction> {
     if (!this.isInitialized) {
       await this.initialize();
@@ -341,8 +379,7 @@ export class AirQualityPredictor implements BaseMLModel {
     return result;
   }
 
-  private generateTrainingData() {
-    const numSamples = 500;
+  private generateTrainingData(numSamples: number = 500) {
     const sequences: number[][] = [];
     const targets: number[] = [];
 
@@ -15,10 +15,12 @@ import {
   AlertType,
   AlertSeverity,
   RiskLevel,
+  ModelState,
+  PersistableModel,
   InsufficientDataError,
   ModelNotInitializedError
 } from '../types';
-import { MathUtils, PerformanceMonitor } from '../utils';
+import { MathUtils, ModelStateCodec, PerformanceMonitor } from '../utils';
 
 /**
  * Ensemble Alert Prediction Model
@@ -28,9 +30,11 @@ export class EnsembleAlertPredictor implements MLModel<WeatherData, AlertPredict
   version = '1.0.0';
   isInitialized = false;
   accuracy = 0;
+  readonly stateVersion = 1;
 
   private thresholds: Map<AlertType, { [key in AlertSeverity]: number }> = new Map();
   private weights: Map<AlertType, number> = new Map();
+  private minProbability = 0.3; // alerts below this probability are not reported
   private metrics: ModelMetrics;
 
   constructor() {
@@ -74,7 +78,7 @@ export class EnsembleAlertPredictor implements MLModel<WeatherData, AlertPredict
     // Check each alert type
     for (const alertType of ['FLOOD', 'HEAT', 'COLD', 'DROUGHT'] as AlertType[]) {
       const prediction = this.predictAlertType(input, alertType);
-      if (prediction.probability > 0.3) {
+      if (prediction.probability > this.minProbability) {
         predictions.push(prediction);
       }
     }
@@ -102,6 +106,23 @@ export class EnsembleAlertPredictor implements MLModel<WeatherData, AlertPredict
     return { ...this.metrics };
   }
 
+  saveState(): ModelState {
+    return ModelStateCodec.capture(this, ['thresholds', 'weights', 'metrics', 'accuracy']);
+  }
+
+  loadState(state: ModelState): void {
+    ModelStateCodec.restore(this, state);
+    this.isInitialized = true;
+  }
+
+  getEvaluationMetrics(): Record<string, number> {
+    return { trainedSamples: this.metrics.trainedSamples, accuracy: this.accuracy };
+  }
+
+  getHyperparameters(): Record<string, number> {
+    return { minProbability: this.minProbability };
+  }
+
   private initializeThresholds(): void {
     this.thresholds.set('FLOOD', {
       LOW: 50,
@@ -297,7 +318,7 @@ export class EnsembleAlertPredictor implements MLModel<WeatherData, AlertPredict
 /**
  * Alert Prediction Service
  */
-export class AlertPredictionService {
+export class AlertPredictionService implements PersistableModel {
   private predictor: EnsembleAlertPredictor;
 
   constructor() {
@@ -308,6 +329,26 @@ export class AlertPredictionService {
     await this.predictor.initialize();
   }
 
+  get stateVersion(): number {
+    return this.predictor.stateVersion;
+  }
+
+  saveState(): ModelState {
+    return this.predictor.saveState();
+  }
+
+  loadState(state: ModelState): void {
+    this.predictor.loadState(state);
+  }
+
+  getEvaluationMetrics(): Record<string, number> {
+    return this.predictor.getEvaluationMetrics();
+  }
+
+  getHyperparameters(): Record<string, any> {
+    return this.predictor.getHyperparameters();
+  }
+
   async predictAlerts(
     weatherData: WeatherData,
     forecastData?: WeatherPrediction[]
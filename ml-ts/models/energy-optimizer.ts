@@ -3,7 +3,8 @@
  * Smart energy management using reinforcement learning
  */
 
-import { BaseMLModel } from '../types/index';
+import { BaseMLModel, ModelState } from '../types/index';
+import { ModelStateCodec } from '../utils';
 
 export interface EnergyData {
   currentUsage: number;
@@ -95,6 +96,14 @@ class EnergyQLearning {
     this.qTable.get(stateKey)!.set(action, newQ);
   }
 
+  getStateCount(): number {
+    return this.qTable.size;
+  }
+
+  getHyperparameters(): Record<string, number> {
+    return { learningRate: this.learningRate, discountFactor: this.discountFactor, explorationRate: this.explorationRate };
+  }
+
   calculateReward(state: any, action: string): number {
     let reward = 0;
     
@@ -133,6 +142,9 @@ export class EnergyOptimizationModel implements BaseMLModel {
   private qLearning: EnergyQLearning;
   private solarPredictor: SolarPredictor;
   private isInitialized: boolean = false;
+  private trainingEpisodes = 50;
+  private evaluationMetrics: Record<string, number> = {};
+  readonly stateVersion = 1;
 
   constructor() {
     this.qLearning = new EnergyQLearning();
@@ -141,7 +153,8 @@ export class EnergyOptimizationModel implements BaseMLModel {
 
   async initialize(): Promise<void> {
     try {
-      await this.trainWithSyntheticData();
+      const averageReward = await this.trainWithSyntheticData();
+      this.evaluationMetrics = { episodes: this.trainingEpisodes, averageReward, learnedStates: this.qLearning.getStateCount() };
       this.isInitialized = true;
       console.log('✅ Energy Optimization ML Model initialized successfully');
     } catch (error) {
@@ -185,6 +198,23 @@ export class EnergyOptimizationModel implements BaseMLModel {
     }
   }
 
+  saveState(): ModelState {
+    return ModelStateCodec.capture(this, ['qLearning', 'solarPredictor', 'evaluationMetrics']);
+  }
+
+  loadState(state: ModelState): void {
+    ModelStateCodec.restore(this, state, [EnergyQLearning, SolarPredictor]);
+    this.isInitialized = true;
+  }
+
+  getEvaluationMetrics(): Record<string, number> {
+    return { ...this.evaluationMetrics };
+  }
+
+  getHyperparameters(): Record<string, any> {
+    return { trainingEpisodes: this.trainingEpisodes, qLearning: this.qLearning.getHyperparameters() };
+  }
+
   async evaluate(testData: any[]): Promise<{ accuracy: number; mse: number; r2: number }> {
     let totalError = 0;
     let correct = 0;
@@ -203,15 +233,19 @@ export class EnergyOptimizationModel implements BaseMLModel {
     return { accuracy: correct / testData.length, mse: totalError / testData.length, r2: 0.79 };
   }
 
-  private async trainWithSyntheticData(): Promise<void> {
-    for (let episode = 0; episode < 50; episode++) {
+  // Returns the average reward over the training episodes
+  private async trainWithSyntheticData(): Promise<number> {
+    let totalReward = 0;
+    for (let episode = 0; episode < this.trainingEpisodes; episode++) {
       const state = { usage: Math.random() * 100, solarPotential: Math.random() * 50, peakHour: Math.random() > 0.5, equipmentCount: Math.floor(Math.random() * 10) + 5 };
       const action = this.qLearning.getAction(state);
       const reward = this.qLearning.calculateReward(state, action);
       const nextState = { ...state, usage: Math.max(0, state.usage - 10) };
       
       this.qLearning.updateQValue(state, action, reward, nextState);
+      totalReward += reward;
     }
+    return totalReward / this.trainingEpisodes;
   }
 
   private createState(energyData: EnergyData): any {
@@ -4,7 +4,8 @@
  */
 
 import { Matrix } from 'ml-matrix';
-import { BaseMLModel, IrrigationData, IrrigationRecommendation } from '../types/index';
+import { BaseMLModel, IrrigationData, IrrigationRecommendation, ModelState } from '../types/index';
+import { MathUtils, ModelStateCodec } from '../utils';
 
 /**
  * Q-Learning Agent for irrigation decision making
@@ -98,6 +99,15 @@ class QLearningAgent {
     return reward;
   }
 
+  getStateCount(): number {
+    return this.qTable.size;
+  }
+
+  // The exploration rate decays as the agent learns, so it is state rather than a setting
+  getHyperparameters(): Record<string, number> {
+    return { learningRate: this.learningRate, discountFactor: this.discountFactor };
+  }
+
   private getWaterUsage(action: string): number {
     const usage = { 'no_irrigation': 0, 'light_irrigation': 25, 'medium_irrigation': 50, 'heavy_irrigation': 100 };
     return usage[action as keyof typeof usage] || 0;
@@ -110,6 +120,8 @@ class QLearningAgent {
 class WaterDemandPredictor {
   private weights: number[] = [];
   private bias: number = 0;
+  private learningRate: number = 0.01;
+  private epochs: number = 100;
   private isInitialized: boolean = false;
 
   initialize(): void {
@@ -130,8 +142,6 @@ class WaterDemandPredictor {
   }
 
   train(X: number[][], y: number[]): void {
-    const learningRate = 0.01;
-    const epochs = 100;
     const m = X.length;
 
     if (X.length === 0) return;
@@ -139,20 +149,24 @@ class WaterDemandPredictor {
     this.weights = new Array(X[0].length).fill(0);
     this.bias = 0;
 
-    for (let epoch = 0; epoch < epochs; epoch++) {
+    for (let epoch = 0; epoch < this.epochs; epoch++) {
       for (let i = 0; i < m; i++) {
         const prediction = this.predict(X[i]);
         const error = prediction - y[i];
 
         for (let j = 0; j < this.weights.length; j++) {
-          this.weights[j] -= learningRate * error * X[i][j] / m;
+          this.weights[j] -= this.learningRate * error * X[i][j] / m;
         }
-        this.bias -= learningRate * error / m;
+        this.bias -= this.learningRate * error / m;
       }
     }
 
     this.isInitialized = true;
   }
+
+  getHyperparameters(): Record<string, number> {
+    return { learningRate: this.learningRate, epochs: this.epochs };
+  }
 }
 
 /**
@@ -162,6 +176,8 @@ export class IrrigationOptimizationModel implements BaseMLModel {
   private qLearningAgent: QLearningAgent;
   private waterDemandPredictor: WaterDemandPredictor;
   private isInitialized: boolean = false;
+  private evaluationMetrics: Record<string, number> = {};
+  readonly stateVersion = 1;
 
   constructor() {
     this.qLearningAgent = new QLearningAgent();
@@ -172,6 +188,16 @@ export class IrrigationOptimizationModel implements BaseMLModel {
     try {
       this.waterDemandPredictor.initialize();
       await this.trainWithSyntheticData();
+
+      // Score the water demand model on fresh samples
+      const holdout = this.generateSyntheticTrainingData(100);
+      this.evaluationMetrics = {
+        ...MathUtils.regressionMetrics(
+          holdout.map(data => this.waterDemandPredictor.predict(data.features)),
+          holdout.map(data => data.waterDemand)
+        ),
+        learnedStates: this.qLearningAgent.getStateCount()
+      };
       this.isInitialized = true;
       console.log('✅ Irrigation Optimization ML Model initialized successfully');
     } catch (error) {
@@ -200,6 +226,26 @@ export class IrrigationOptimizationModel implements BaseMLModel {
     }
   }
 
+  saveState(): ModelState {
+    return ModelStateCodec.capture(this, ['qLearningAgent', 'waterDemandPredictor', 'evaluationMetrics']);
+  }
+
+  loadState(state: ModelState): void {
+    ModelStateCodec.restore(this, state, [QLearningAgent, WaterDemandPredictor]);
+    this.isInitialized = true;
+  }
+
+  getEvaluationMetrics(): Record<string, number> {
+    return { ...this.evaluationMetrics };
+  }
+
+  getHyperparameters(): Record<string, any> {
+    return {
+      qLearning: this.qLearningAgent.getHyperparameters(),
+      waterDemand: this.waterDemandPredictor.getHyperparameters()
+    };
+  }
+
   async evaluate(testData: any[]): Promise<{ accuracy: number; mse: number; r2: number }> {
     let totalError = 0;
     let correct = 0;
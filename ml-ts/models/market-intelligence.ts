@@ -4,7 +4,8 @@
  */
 
 import { Matrix } from 'ml-matrix';
-import { BaseMLModel } from '../types/index';
+import { BaseMLModel, ModelState } from '../types/index';
+import { MathUtils, ModelStateCodec } from '../utils';
 
 // Market Data Types
 export interface MarketData {
@@ -95,6 +96,8 @@ class LSTMTimeSeriesPredictor {
   } | null = null;
   private hiddenSize: number = 64;
   private sequenceLength: number = 30;
+  private epochs: number = 100;
+  private learningRate: number = 0.001;
   private isInitialized: boolean = false;
 
   constructor() {
@@ -117,10 +120,7 @@ class LSTMTimeSeriesPredictor {
   }
 
   async train(sequences: number[][], targets: number[]): Promise<void> {
-    const epochs = 100;
-    const learningRate = 0.001;
-
-    for (let epoch = 0; epoch < epochs; epoch++) {
+    for (let epoch = 0; epoch < this.epochs; epoch++) {
       let totalError = 0;
 
       for (let i = 0; i < sequences.length; i++) {
@@ -133,7 +133,7 @@ class LSTMTimeSeriesPredictor {
         totalError += error * error;
 
         // Backward pass (simplified)
-        this.updateWeights(sequence, error, learningRate);
+        this.updateWeights(sequence, error, this.learningRate);
       }
 
       if (epoch % 20 === 0) {
@@ -164,6 +164,15 @@ class LSTMTimeSeriesPredictor {
     return this.forward(sequence);
   }
 
+  getHyperparameters(): Record<string, number> {
+    return {
+      hiddenSize: this.hiddenSize,
+      sequenceLength: this.sequenceLength,
+      epochs: this.epochs,
+      learningRate: this.learningRate
+    };
+  }
+
   private updateWeights(sequence: number[], error: number, learningRate: number): void {
     // Simplified weight update
     const gradientScale = learningRate * error;
@@ -199,6 +208,9 @@ class PriceSVR {
   private alphas: number[];
   private bias: number;
   private kernel: (x1: number[], x2: number[]) => number;
+  private gamma = 0.1; // RBF kernel width
+  private C = 1.0; // Regularization parameter
+  private epsilon = 0.1; // Epsilon-insensitive loss
 
   constructor() {
     this.supportVectors = [];
@@ -208,19 +220,15 @@ class PriceSVR {
   }
 
   private rbfKernel(x1: number[], x2: number[]): number {
-    const gamma = 0.1;
     let sum = 0;
     for (let i = 0; i < x1.length; i++) {
       sum += (x1[i] - x2[i]) ** 2;
     }
-    return Math.exp(-gamma * sum);
+    return Math.exp(-this.gamma * sum);
   }
 
   async train(X: number[][], y: number[]): Promise<void> {
     // Simplified SVR training
-    const C = 1.0; // Regularization parameter
-    const epsilon = 0.1; // Epsilon-insensitive loss
-    
     // For simplicity, select a subset of training data as support vectors
     const numSupportVectors = Math.min(50, X.length);
     this.supportVectors = [];
@@ -238,9 +246,9 @@ class PriceSVR {
         const prediction = this.predict([X[i % X.length]]);
         const error = y[i % y.length] - prediction;
         
-        if (Math.abs(error) > epsilon) {
+        if (Math.abs(error) > this.epsilon) {
           this.alphas[i] += 0.01 * error;
-          this.alphas[i] = Math.max(-C, Math.min(C, this.alphas[i]));
+          this.alphas[i] = Math.max(-this.C, Math.min(this.C, this.alphas[i]));
         }
       }
     }
@@ -257,6 +265,10 @@ class PriceSVR {
     
     return result / X.length;
   }
+
+  getHyperparameters(): Record<string, number> {
+    return { gamma: this.gamma, C: this.C, epsilon: this.epsilon };
+  }
 }
 
 /**
@@ -338,6 +350,8 @@ export class MarketIntelligenceModel implements BaseMLModel {
   private svrPredictor: PriceSVR;
   private technicalAnalyzer: TechnicalAnalyzer;
   private isInitialized: boolean = false;
+  private evaluationMetrics: Record<string, number> = {};
+  readonly stateVersion = 1;
 
   constructor() {
     this.lstmPredictor = new LSTMTimeSeriesPredictor();
@@ -406,6 +420,23 @@ export class MarketIntelligenceModel implements BaseMLModel {
     }
   }
 
+  saveState(): ModelState {
+    return ModelStateCodec.capture(this, ['lstmPredictor', 'svrPredictor', 'evaluationMetrics']);
+  }
+
+  loadState(state: ModelState): void {
+    ModelStateCodec.restore(this, state, [LSTMTimeSeriesPredictor, PriceSVR]);
+    this.isInitialized = true;
+  }
+
+  getEvaluationMetrics(): Record<string, number> {
+    return { ...this.evaluationMetrics };
+  }
+
+  getHyperparameters(): Record<string, any> {
+    return { lstm: this.lstmPredictor.getHyperparameters(), svr: this.svrPredictor.getHyperparameters() };
+  }
+
   async evaluate(testData: any[]): Promise<{ accuracy: number; mse: number; r2: number }> {
     let totalError = 0;
     let correct = 0;
@@ -433,37 +464,49 @@ export class MarketIntelligenceModel implements BaseMLModel {
 
   private async trainWithSyntheticData(): Promise<void> {
     // Generate synthetic price data
-    const syntheticData = this.generateSyntheticMarketData(1000);
-    
-    // Prepare LSTM training data
+    const training = this.prepareTrainingSets(this.generateSyntheticMarketData(1000).prices);
+
+    // Train LSTM
+    await this.lstmPredictor.train(training.sequences, training.targets);
+
+    // Train SVR
+    await this.svrPredictor.train(training.features, training.priceTargets);
+
+    // Score both price models on a fresh series
+    const holdout = this.prepareTrainingSets(this.generateSyntheticMarketData(130).prices);
+    this.evaluationMetrics = {
+      ...MathUtils.regressionMetrics(holdout.sequences.map(sequence => this.lstmPredictor.predict(sequence)), holdout.targets, 'lstm'),
+      ...MathUtils.regressionMetrics(holdout.features.map(feature => this.svrPredictor.predict([feature])), holdout.priceTargets, 'svr')
+    };
+  }
+
+  /**
+   * LSTM sequences of 30 prices, and SVR features of the 5 prices before each target
+   */
+  private prepareTrainingSets(prices: number[]) {
     const sequences = [];
     const targets = [];
     
-    for (let i = 30; i < syntheticData.prices.length; i++) {
-      sequences.push(syntheticData.prices.slice(i - 30, i));
-      targets.push(syntheticData.prices[i]);
+    for (let i = 30; i < prices.length; i++) {
+      sequences.push(prices.slice(i - 30, i));
+      targets.push(prices[i]);
     }
     
-    // Train LSTM
-    await this.lstmPredictor.train(sequences, targets);
-    
-    // Prepare SVR training data
     const features = [];
     const priceTargets = [];
     
-    for (let i = 5; i < syntheticData.prices.length; i++) {
-      const recent5 = syntheticData.prices.slice(i - 5, i);
+    for (let i = 5; i < prices.length; i++) {
+      const recent5 = prices.slice(i - 5, i);
       const avg = recent5.reduce((a, b) => a + b, 0) / 5;
       const trend = recent5[4] - recent5[0];
       const volatility = this.technicalAnalyzer.calculateVolatility(recent5);
       const seasonal = Math.sin(2 * Math.PI * (i % 365) / 365);
       
       features.push([avg, trend, volatility, seasonal]);
-      priceTargets.push(syntheticData.prices[i]);
+      priceTargets.push(prices[i]);
     }
-    
-    // Train SVR
-    await this.svrPredictor.train(features, priceTargets);
+
+    return { sequences, targets, features, priceTargets };
   }
 
   private generateSyntheticMarketData(length: number): { prices: number[]; dates: string[] } {
@@ -1,5 +1,6 @@
 import { Matrix } from 'ml-matrix';
-import { BaseMLModel, PestRiskPrediction, DiseaseRiskPrediction, MLModelInfo } from '../types';
+import { BaseMLModel, PestRiskPrediction, DiseaseRiskPrediction, MLModelInfo, ModelState } from '../types';
+import { MathUtils, ModelStateCodec } from '../utils';
 
 /**
  * Enhanced Pest Prediction using Random Forest and Environmental Factor Analysis
@@ -61,6 +62,10 @@ class PestRiskAnalyzer {
   getFeatureImportance(): Map<string, number> {
     return this.featureImportance;
   }
+
+  getHyperparameters(): Record<string, number> {
+    return { numTrees: this.numTrees, ...new DecisionTree().getHyperparameters() };
+  }
 }
 
 /**
@@ -85,6 +90,10 @@ class DecisionTree {
     return Math.random() * 0.1;
   }
 
+  getHyperparameters(): Record<string, number> {
+    return { maxDepth: this.maxDepth, minSamplesSplit: this.minSamplesSplit };
+  }
+
   private buildTree(features: number[][], labels: number[], depth: number): TreeNode | null {
     if (depth >= this.maxDepth || features.length < this.minSamplesSplit) {
       const average = labels.reduce((sum, label) => sum + label, 0) / labels.length;
@@ -286,6 +295,16 @@ class DiseaseRiskAnalyzer {
     return weightedSum / totalWeight;
   }
 
+  getHyperparameters(): Record<string, any> {
+    return {
+      ensemble: this.models.map(({ model, weight }) => ({
+        model: model.constructor.name,
+        weight,
+        ...(model.getHyperparameters ? model.getHyperparameters() : {})
+      }))
+    };
+  }
+
   analyzeRiskFactors(features: number[]): Map<string, number> {
     const factorNames = [
       'humidity', 'temperature', 'rainfall', 'windSpeed', 'soilMoisture',
@@ -349,6 +368,10 @@ class SimpleLogisticRegression {
   private sigmoid(x: number): number {
     return 1 / (1 + Math.exp(-x));
   }
+
+  getHyperparameters(): Record<string, number> {
+    return { learningRate: this.learningRate, epochs: this.epochs };
+  }
 }
 
 /**
@@ -387,6 +410,10 @@ class SimpleKNN {
     }
     return Math.sqrt(sum);
   }
+
+  getHyperparameters(): Record<string, number> {
+    return { k: this.k };
+  }
 }
 
 /**
@@ -460,6 +487,8 @@ export class PestDiseasePredictor implements BaseMLModel {
   private pestAnalyzer: PestRiskAnalyzer;
   private diseaseAnalyzer: DiseaseRiskAnalyzer;
   private isInitialized: boolean = false;
+  private evaluationMetrics: Record<string, number> = {};
+  readonly stateVersion = 1;
 
   constructor() {
     this.pestAnalyzer = new PestRiskAnalyzer();
@@ -471,10 +500,37 @@ export class PestDiseasePredictor implements BaseMLModel {
     
     await this.pestAnalyzer.train(pestFeatures, pestLabels);
     await this.diseaseAnalyzer.train(diseaseFeatures, diseaseLabels);
+
+    // Score both risk models on fresh samples
+    const holdout = this.generateTrainingData(200);
+    this.evaluationMetrics = {
+      ...MathUtils.regressionMetrics(holdout.pestFeatures.map(features => this.pestAnalyzer.predict(features)), holdout.pestLabels, 'pest'),
+      ...MathUtils.regressionMetrics(holdout.diseaseFeatures.map(features => this.diseaseAnalyzer.predict(features)), holdout.diseaseLabels, 'disease')
+    };
     
     this.isInitialized = true;
   }
 
+  saveState(): ModelState {
+    return ModelStateCodec.capture(this, ['pestAnalyzer', 'diseaseAnalyzer', 'evaluationMetrics']);
+  }
+
+  loadState(state: ModelState): void {
+    ModelStateCodec.restore(this, state, [
+      PestRiskAnalyzer, DecisionTree, TreeNode,
+      DiseaseRiskAnalyzer, SimpleLogisticRegression, SimpleKNN, SimpleNaiveBayes
+    ]);
+    this.isInitialized = true;
+  }
+
+  getEvaluationMetrics(): Record<string, number> {
+    return { ...this.evaluationMetrics };
+  }
+
+  getHyperparameters(): Record<string, any> {
+    return { pest: this.pestAnalyzer.getHyperparameters(), disease: this.diseaseAnalyzer.getHyperparameters() };
+  }
+
   // BaseMLModel interface implementation
   async predict(input: any): Promise<any> {
     const pestRisk = await this.predictPestRisk(input);
@@ -672,8 +728,7 @@ export class PestDiseasePredictor implements BaseMLModel {
     return obj;
   }
 
-  private generateTrainingData() {
-    const numSamples = 1000;
+  private generateTrainingData(numSamples: number = 1000) {
     const pestFeatures: number[][] = [];
     const pestLabels: number[] = [];
     const diseaseFeatures: number[][] = [];
@@ -1,5 +1,6 @@
 import { Matrix } from 'ml-matrix';
-import { BaseMLModel, MLModelInfo } from '../types';
+import { BaseMLModel, MLModelInfo, ModelState } from '../types';
+import { ModelStateCodec } from '../utils';
 
 // Resource Management Types
 interface ResourceOptimization {
@@ -124,6 +125,8 @@ class FertilizerOptimizer {
 export class ResourceManagementModel implements BaseMLModel {
   private fertilizerOptimizer: FertilizerOptimizer;
   private isInitialized: boolean = false;
+  private evaluationMetrics: Record<string, number> = {};
+  readonly stateVersion = 1;
 
   constructor() {
     this.fertilizerOptimizer = new FertilizerOptimizer();
@@ -132,6 +135,8 @@ export class ResourceManagementModel implements BaseMLModel {
   async initialize(): Promise<void> {
     const { soilData, yieldData } = this.generateTrainingData();
     await this.fertilizerOptimizer.train(soilData, yieldData);
+    // The soil-yield coefficients are fixed, so there is nothing to score beyond the samples seen
+    this.evaluationMetrics = { trainedSamples: soilData.length };
     this.isInitialized = true;
   }
 
@@ -164,6 +169,24 @@ export class ResourceManagementModel implements BaseMLModel {
     };
   }
 
+  saveState(): ModelState {
+    return ModelStateCodec.capture(this, ['fertilizerOptimizer', 'evaluationMetrics']);
+  }
+
+  loadState(state: ModelState): void {
+    ModelStateCodec.restore(this, state, [FertilizerOptimizer]);
+    this.isInitialized = true;
+  }
+
+  getEvaluationMetrics(): Record<string, number> {
+    return { ...this.evaluationMetrics };
+  }
+
+  // Fixed coefficients have no training settings
+  getHyperparameters(): Record<string, any> {
+    return {};
+  }
+
   async evaluate(testData: any[]): Promise<{ accuracy: number; mse: number; r2: number }> {
     let totalError = 0;
     for (const data of testData) {
@@ -1,5 +1,6 @@
 import { Matrix } from 'ml-matrix';
-import { BaseMLModel, MLModelInfo } from '../types';
+import { BaseMLModel, MLModelInfo, ModelState } from '../types';
+import { MathUtils, ModelStateCodec } from '../utils';
 
 // Seasonal Planning Types
 interface SeasonalPlan {
@@ -91,6 +92,10 @@ class YieldPredictor {
       uncertainty: Math.sqrt(variance) * this.learningRate
     };
   }
+
+  getHyperparameters(): Record<string, number> {
+    return { learningRate: this.learningRate, nEstimators: this.nEstimators, ...new DecisionTree().getHyperparameters() };
+  }
 }
 
 /**
@@ -110,6 +115,10 @@ class DecisionTree {
     return this.traverseTree(this.root, features);
   }
 
+  getHyperparameters(): Record<string, number> {
+    return { maxDepth: this.maxDepth, minSamplesSplit: this.minSamplesSplit };
+  }
+
   private buildTree(features: number[][], targets: number[], depth: number): TreeNode | null {
     if (depth >= this.maxDepth || features.length < this.minSamplesSplit) {
       const average = targets.reduce((sum, target) => sum + target, 0) / targets.length;
@@ -460,6 +469,8 @@ export class SeasonalPlanningModel implements BaseMLModel {
   private yieldPredictor: YieldPredictor;
   private calendarOptimizer: CropCalendarOptimizer;
   private isInitialized: boolean = false;
+  private evaluationMetrics: Record<string, number> = {};
+  readonly stateVersion = 1;
 
   constructor() {
     this.yieldPredictor = new YieldPredictor();
@@ -469,6 +480,13 @@ export class SeasonalPlanningModel implements BaseMLModel {
   async initialize(): Promise<void> {
     const { features, targets } = this.generateTrainingData();
     await this.yieldPredictor.train(features, targets);
+
+    // Score the yield model on fresh samples
+    const holdout = this.generateTrainingData(100);
+    this.evaluationMetrics = MathUtils.regressionMetrics(
+      holdout.features.map(feature => this.yieldPredictor.predict(feature)),
+      holdout.targets
+    );
     this.isInitialized = true;
   }
 
@@ -496,6 +514,23 @@ export class SeasonalPlanningModel implements BaseMLModel {
     };
   }
 
+  saveState(): ModelState {
+    return ModelStateCodec.capture(this, ['yieldPredictor', 'evaluationMetrics']);
+  }
+
+  loadState(state: ModelState): void {
+    ModelStateCodec.restore(this, state, [YieldPredictor, DecisionTree, TreeNode]);
+    this.isInitialized = true;
+  }
+
+  getEvaluationMetrics(): Record<string, number> {
+    return { ...this.evaluationMetrics };
+  }
+
+  getHyperparameters(): Record<string, any> {
+    return { yield: this.yieldPredictor.getHyperparameters() };
+  }
+
   async evaluate(testData: any[]): Promise<{ accuracy: number; mse: number; r2: number }> {
     let totalError = 0;
     let totalSamples = testData.length;
@@ -642,8 +677,7 @@ export class SeasonalPlanningModel implements BaseMLModel {
     return 'Winter';
   }
 
-  private generateTrainingData() {
-    const numSamples = 800;
+  private generateTrainingData(numSamples: number = 800) {
     const features: number[][] = [];
     const targets: number[] = [];
 
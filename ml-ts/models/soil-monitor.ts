@@ -4,7 +4,8 @@
  */
 
 import { Matrix } from 'ml-matrix';
-import { BaseMLModel, SoilData, SoilHealthPrediction, SoilNutrientAnalysis } from '../types/index';
+import { BaseMLModel, SoilData, SoilHealthPrediction, SoilNutrientAnalysis, ModelState } from '../types/index';
+import { MathUtils, ModelStateCodec } from '../utils';
 
 /**
  * Gaussian Process Regression for soil moisture prediction
@@ -14,6 +15,7 @@ class GaussianProcessRegressor {
   private trainingY: Matrix | null = null;
   private kernel: (x1: number[], x2: number[]) => number;
   private sigma: number;
+  private gamma: number = 0.5; // RBF kernel width
   private alpha: Matrix | null = null;
 
   constructor(sigma: number = 1.0) {
@@ -22,12 +24,11 @@ class GaussianProcessRegressor {
   }
 
   private rbfKernel(x1: number[], x2: number[]): number {
-    const gamma = 0.5;
     let sum = 0;
     for (let i = 0; i < x1.length; i++) {
       sum += (x1[i] - x2[i]) ** 2;
     }
-    return Math.exp(-gamma * sum);
+    return Math.exp(-this.gamma * sum);
   }
 
   fit(X: number[][], y: number[]): void {
@@ -115,6 +116,10 @@ class GaussianProcessRegressor {
     
     return { mean: predictions, variance: variances };
   }
+
+  getHyperparameters(): Record<string, number> {
+    return { sigma: this.sigma, gamma: this.gamma };
+  }
 }
 
 /**
@@ -124,6 +129,8 @@ class SupportVectorRegressor {
   private weights: number[];
   private bias: number;
   private kernel: (x1: number[], x2: number[]) => number;
+  private learningRate: number = 0.01;
+  private epochs: number = 100;
 
   constructor() {
     this.weights = [];
@@ -145,19 +152,16 @@ class SupportVectorRegressor {
     const n = X[0].length;
     this.weights = new Array(n).fill(0);
     
-    const learningRate = 0.01;
-    const epochs = 100;
-    
-    for (let epoch = 0; epoch < epochs; epoch++) {
+    for (let epoch = 0; epoch < this.epochs; epoch++) {
       for (let i = 0; i < X.length; i++) {
         const prediction = this.predict([X[i]])[0];
         const error = y[i] - prediction;
         
         // Update weights
         for (let j = 0; j < n; j++) {
-          this.weights[j] += learningRate * error * X[i][j];
+          this.weights[j] += this.learningRate * error * X[i][j];
         }
-        this.bias += learningRate * error;
+        this.bias += this.learningRate * error;
       }
     }
   }
@@ -171,6 +175,11 @@ class SupportVectorRegressor {
       return result;
     });
   }
+
+  // The regression is linear; the RBF kernel is not used in fitting
+  getHyperparameters(): Record<string, number> {
+    return { learningRate: this.learningRate, epochs: this.epochs };
+  }
 }
 
 /**
@@ -182,6 +191,8 @@ export class SoilMonitoringModel implements BaseMLModel {
   private phPredictor: SupportVectorRegressor;
   private temperaturePredictor: GaussianProcessRegressor;
   private isInitialized: boolean = false;
+  private evaluationMetrics: Record<string, number> = {};
+  readonly stateVersion = 1;
 
   constructor() {
     this.moisturePredictor = new GaussianProcessRegressor(0.1);
@@ -206,6 +217,15 @@ export class SoilMonitoringModel implements BaseMLModel {
       
       // Train soil temperature model
       await this.trainTemperatureModel(trainingData.temperature);
+
+      // Score each predictor on fresh samples
+      const holdout = this.generateTrainingData(100);
+      this.evaluationMetrics = {
+        ...MathUtils.regressionMetrics(this.moisturePredictor.predict(holdout.moisture.features).mean, holdout.moisture.targets, 'moisture'),
+        ...MathUtils.regressionMetrics(this.nutrientPredictor.predict(holdout.nutrients.features), holdout.nutrients.targets, 'nutrient'),
+        ...MathUtils.regressionMetrics(this.phPredictor.predict(holdout.ph.features), holdout.ph.targets, 'ph'),
+        ...MathUtils.regressionMetrics(this.temperaturePredictor.predict(holdout.temperature.features).mean, holdout.temperature.targets, 'temperature')
+      };
       
       this.isInitialized = true;
       console.log('✅ Soil Monitoring ML Model initialized successfully');
@@ -271,6 +291,30 @@ export class SoilMonitoringModel implements BaseMLModel {
     }
   }
 
+  saveState(): ModelState {
+    return ModelStateCodec.capture(this, [
+      'moisturePredictor', 'nutrientPredictor', 'phPredictor', 'temperaturePredictor', 'evaluationMetrics'
+    ]);
+  }
+
+  loadState(state: ModelState): void {
+    ModelStateCodec.restore(this, state, [GaussianProcessRegressor, SupportVectorRegressor]);
+    this.isInitialized = true;
+  }
+
+  getEvaluationMetrics(): Record<string, number> {
+    return { ...this.evaluationMetrics };
+  }
+
+  getHyperparameters(): Record<string, any> {
+    return {
+      moisture: this.moisturePredictor.getHyperparameters(),
+      nutrient: this.nutrientPredictor.getHyperparameters(),
+      ph: this.phPredictor.getHyperparameters(),
+      temperature: this.temperaturePredictor.getHyperparameters()
+    };
+  }
+
   async evaluate(testData: any[]): Promise<{ accuracy: number; mse: number; r2: number }> {
     // Implementation for model evaluation
     let totalError = 0;
@@ -319,8 +363,7 @@ export class SoilMonitoringModel implements BaseMLModel {
     this.temperaturePredictor.fit(X, y);
   }
 
-  private generateTrainingData() {
-    const size = 1000;
+  private generateTrainingData(size: number = 1000) {
     
     // Generate moisture training data
     const moistureData: {
@@ -16,11 +16,14 @@ import {
   TimeSeriesForecast,
   EnsembleModel,
   MLAlgorithm,
+  ModelState,
+  PersistableModel,
   InsufficientDataError,
   ModelNotInitializedError
 } from '../types';
 import {
   StandardScaler,
+  ModelStateCodec,
   FeatureEngineering,
   TimeSeriesUtils,
   MathUtils,
@@ -146,6 +149,10 @@ export class ARIMAModel implements MLModel<number[], number[]> {
     return { ...this.metrics };
   }
 
+  getHyperparameters(): Record<string, number> {
+    return { p: this.p, d: this.d, q: this.q };
+  }
+
   private difference(series: number[], order: number): number[] {
     let result = [...series];
     
@@ -355,6 +362,10 @@ export class NeuralNetworkModel implements MLModel<number[], number[]> {
     return { ...this.metrics };
   }
 
+  getHyperparameters(): Record<string, number> {
+    return { hiddenSize: this.hiddenSize, learningRate: this.learningRate, epochs: this.epochs };
+  }
+
   private initializeWeights(): void {
     // Xavier initialization
     const scale = Math.sqrt(2.0 / (this.inputSize + this.hiddenSize));
@@ -466,6 +477,7 @@ export class AdvancedWeatherPredictor implements MLModel<WeatherData[], WeatherP
   version = '2.0.0';
   isInitialized = false;
   accuracy = 0;
+  readonly stateVersion = 1;
 
   private models: MLModel<number[], number[]>[] = [];
   weights: number[] = [];
@@ -558,8 +570,10 @@ export class AdvancedWeatherPredictor implements MLModel<WeatherData[], WeatherP
 
       // Get predictions from each model
       const tempPredictions = await this.arimaModel.predict(tempSeries);
+      // The network is trained to predict the next day's temperature from one day's readings
+      const latest = input[input.length - 1];
       const nnPredictions = await this.neuralNetModel.predict([
-        ...input.slice(-5).map(d => [d.temperature, d.humidity, d.rainfall, d.pressure]).flat()
+        latest.temperature, latest.humidity, latest.rainfall, latest.pressure
       ]);
 
       // Combine predictions using ensemble method
@@ -629,6 +643,39 @@ export class AdvancedWeatherPredictor implements MLModel<WeatherData[], WeatherP
     };
   }
 
+  // The ARIMA and network models are restored in place, so this.models keeps referring to them
+  saveState(): ModelState {
+    return ModelStateCodec.capture(this, [
+      'arimaModel', 'neuralNetModel', 'tempScaler', 'humidityScaler', 'rainfallScaler', 'weights'
+    ]);
+  }
+
+  loadState(state: ModelState): void {
+    ModelStateCodec.restore(this, state, [ARIMAModel, NeuralNetworkModel]);
+    this.isInitialized = true;
+  }
+
+  // The ensemble's evaluate() is not implemented, so only training sizes are reported
+  getEvaluationMetrics(): Record<string, number> {
+    return {
+      arimaTrainedSamples: this.arimaModel.getMetrics().trainedSamples,
+      neuralNetTrainedSamples: this.neuralNetModel.getMetrics().trainedSamples
+    };
+  }
+
+  // Until both models are trained, forecasts come from fallbackPrediction
+  isTrained(): boolean {
+    return this.arimaModel.getMetrics().trainedSamples > 0 && this.neuralNetModel.getMetrics().trainedSamples > 0;
+  }
+
+  getHyperparameters(): Record<string, any> {
+    return {
+      arima: this.arimaModel.getHyperparameters(),
+      neuralNet: this.neuralNetModel.getHyperparameters(),
+      votingStrategy: this.votingStrategy
+    };
+  }
+
   addModel(model: MLModel<number[], number[]>, weight: number = 1): void {
     this.models.push(model);
     this.weights.push(weight);
@@ -738,7 +785,7 @@ export class AdvancedWeatherPredictor implements MLModel<WeatherData[], WeatherP
 /**
  * Weather Prediction Service with enhanced forecasting capabilities
  */
-export class WeatherPredictionService {
+export class WeatherPredictionService implements PersistableModel {
   private predictor: AdvancedWeatherPredictor;
   private performanceMonitor = PerformanceMonitor;
 
@@ -750,6 +797,30 @@ export class WeatherPredictionService {
     await this.predictor.initialize();
   }
 
+  get stateVersion(): number {
+    return this.predictor.stateVersion;
+  }
+
+  saveState(): ModelState {
+    return this.predictor.saveState();
+  }
+
+  loadState(state: ModelState): void {
+    this.predictor.loadState(state);
+  }
+
+  getEvaluationMetrics(): Record<string, number> {
+    return this.predictor.getEvaluationMetrics();
+  }
+
+  getHyperparameters(): Record<string, any> {
+    return this.predictor.getHyperparameters();
+  }
+
+  isTrained(): boolean {
+    return this.predictor.isTrained();
+  }
+
   async predictWeather(
     cityName: string, 
     days: number = 7, 
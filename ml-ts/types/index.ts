@@ -8,8 +8,21 @@ export interface PredictionResult {
   metadata?: Record<string, any>;
 }
 
+// Trained parameters of a model as JSON-safe data, encoded with ModelStateCodec
+export type ModelState = Record<string, any>;
+
+// Model persistence: saved parameters are restored instead of retraining
+export interface PersistableModel {
+  readonly stateVersion: number; // increased when the saved fields change; older states are retrained
+  saveState(): ModelState;
+  loadState(state: ModelState): void; // the model is initialized afterwards
+  getEvaluationMetrics(): Record<string, number>; // measured when the model was last trained
+  getHyperparameters(): Record<string, any>; // fixed settings the model trains with
+  isTrained?(): boolean; // false until the model has learned from data; such a model is never stored as production
+}
+
 // Base ML Model Interface
-export interface BaseMLModel {
+export interface BaseMLModel extends Partial<PersistableModel> {
   initialize(): Promise<void>;
   predict(input: any): Promise<any>;
   evaluate(testData: any[]): Promise<{ accuracy: number; mse: number; r2: number }>;
@@ -200,7 +213,7 @@ export interface AlertRiskAssessment {
 }
 
 // ML Model interfaces
-export interface MLModel<TInput, TOutput> {
+export interface MLModel<TInput, TOutput> extends Partial<PersistableModel> {
   name: string;
   version: string;
   isInitialized: boolean;
@@ -10,7 +10,9 @@ import {
   FeatureScaler, 
   TimeSeriesData, 
   TimeSeriesPoint,
-  ValidationResult 
+  ValidationResult,
+  ModelState,
+  MLError
 } from '../types';
 
 /**
@@ -493,6 +495,133 @@ export class MathUtils {
     const sumExps = _.sum(exps);
     return exps.map(exp => exp / sumExps);
   }
+
+  /**
+   * MSE, MAE and R-squared over held-out samples, as evaluation metrics. A prefix names
+   * the part of a model they measure: 'ph' gives phMse, phMae and phR2.
+   */
+  static regressionMetrics(predicted: number[], actual: number[], prefix: string = ''): Record<string, number> {
+    const metrics: Record<string, number> = {
+      samples: actual.length,
+      mse: this.mse(predicted, actual),
+      mae: this.mae(predicted, actual),
+      r2: this.rSquared(predicted, actual)
+    };
+    return prefix ? _.mapKeys(metrics, (value, key) => prefix + _.upperFirst(key)) : metrics;
+  }
+}
+
+type StateClass = new (...args: any[]) => any;
+
+/**
+ * Model state serialization. Encodes a model's trained fields as JSON-safe data, tagging
+ * Maps, matrices, dates, non-finite numbers and class instances, and restores them into
+ * a newly constructed model. Class instances come back with their class, so trees of
+ * nodes keep their methods. Functions are not saved; fields restored into an existing
+ * instance keep the functions, such as kernels, that its constructor set.
+ */
+export class ModelStateCodec {
+  /**
+   * Encode the named fields of a model
+   */
+  static capture(model: object, fields: string[]): ModelState {
+    const state: ModelState = {};
+    for (const field of fields) {
+      state[field] = this.encode((model as any)[field]);
+    }
+    return state;
+  }
+
+  /**
+   * Write captured fields back into a model. Classes are the model's own classes that
+   * may appear in its state; the scalers here are always known.
+   */
+  static restore(model: object, state: ModelState, classes: StateClass[] = []): void {
+    const registry = new Map<string, StateClass>(
+      [StandardScaler, MinMaxScaler, ...classes].map(type => [type.name, type])
+    );
+    for (const [field, value] of Object.entries(state)) {
+      (model as any)[field] = this.decode(value, (model as any)[field], registry);
+    }
+  }
+
+  static encode(value: any): any {
+    if (typeof value === 'number') {
+      return Number.isFinite(value) ? value : { $number: String(value) };
+    }
+    if (value === null || value === undefined || typeof value === 'function') {
+      return null;
+    }
+    if (typeof value !== 'object') {
+      return value;
+    }
+    if (Array.isArray(value)) {
+      return value.map(item => this.encode(item));
+    }
+    if (value instanceof Map) {
+      return { $map: Array.from(value, ([key, item]) => [this.encode(key), this.encode(item)]) };
+    }
+    if (Matrix.isMatrix(value)) {
+      return { $matrix: this.encode(value.to2DArray()) };
+    }
+    if (value instanceof Date) {
+      return { $date: value.toISOString() };
+    }
+
+    const fields: Record<string, any> = {};
+    for (const [key, field] of Object.entries(value)) {
+      if (field !== undefined && typeof field !== 'function') {
+        fields[key] = this.encode(field);
+      }
+    }
+    const prototype = Object.getPrototypeOf(value);
+    return prototype === Object.prototype || prototype === null ? fields : { $class: value.constructor.name, fields };
+  }
+
+  /**
+   * @param current - The model's value in the same place, restored into when it is an
+   *   instance of the saved class
+   */
+  static decode(value: any, current: any, registry: Map<string, StateClass>): any {
+    if (value === null || typeof value !== 'object') {
+      return value;
+    }
+    if (Array.isArray(value)) {
+      return value.map((item, index) => this.decode(item, Array.isArray(current) ? current[index] : undefined, registry));
+    }
+    if ('$number' in value) {
+      return Number(value.$number);
+    }
+    if ('$map' in value) {
+      return new Map(value.$map.map(([encodedKey, item]: [any, any]) => {
+        const key = this.decode(encodedKey, undefined, registry);
+        return [key, this.decode(item, current instanceof Map ? current.get(key) : undefined, registry)];
+      }));
+    }
+    if ('$matrix' in value) {
+      const rows = this.decode(value.$matrix, undefined, registry);
+      return rows.length > 0 ? new Matrix(rows) : new Matrix(0, 0);
+    }
+    if ('$date' in value) {
+      return new Date(value.$date);
+    }
+    if ('$class' in value) {
+      let instance = current;
+      if (!instance || instance.constructor.name !== value.$class) {
+        const type = registry.get(value.$class);
+        if (!type) {
+          throw new MLError(`Model state has unknown class ${value.$class}`, 'INVALID_MODEL_STATE', { className: value.$class });
+        }
+        instance = Object.create(type.prototype);
+      }
+      for (const [key, field] of Object.entries(value.fields)) {
+        instance[key] = this.decode(field, instance[key], registry);
+      }
+      return instance;
+    }
+
+    return _.mapValues(value, (field, key) => this.decode(field, current?.[key], registry));
+  }
 }
 
 /**
@@ -479,8 +479,10 @@ class DroughtPredictor {
     async predict(currentWeather, forecastData) {
         const currentRainfall = currentWeather.rainfall || 0;
         
-        // Calculate rainfall deficit
-        const weeklyRainfall = this.calculateWeeklyRainfall(currentRainfall, forecastData);
+        // Calculate rainfall deficit, from the observed 7-day total when it is tracked
+        const weeklyRainfall = typeof currentWeather.rainfall_7d === 'number'
+            ? currentWeather.rainfall_7d
+            : this.calculateWeeklyRainfall(currentRainfall, forecastData);
         const expectedRainfall = this.getExpectedRainfall();
         const rainfallDeficit = Math.max(0, expectedRainfall - weeklyRainfall);
         
@@ -554,8 +556,12 @@ class DroughtPredictor {
         // Reduce based on low humidity
         moisture -= Math.max(0, 50 - currentWeather.humidity) * 0.5;
         
-        // Add based on recent rainfall
-        moisture += (currentWeather.rainfall || 0) * 2;
+        // Add based on recent rainfall; the past week's total outweighs the last hour
+        if (typeof currentWeather.rainfall_7d === 'number') {
+            moisture += currentWeather.rainfall_7d * 0.5;
+        } else {
+            moisture += (currentWeather.rainfall || 0) * 2;
+        }
         
         // Consider forecast
         forecastData.slice(0, 7).forEach(day => {
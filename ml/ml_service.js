@@ -7,6 +7,9 @@ const WeatherPredictor = require('./weather_predictor');
 const CropRecommendationModel = require('./crop_recommendation');
 const AlertPredictor = require('./alert_predictor');
 
+// Archived daily history is preferred over recent observations once it covers a week
+const MIN_ARCHIVE_DAYS = 7;
+
 class MLService {
     constructor(climateDB, climateAPI = null) {
         this.climateDB = climateDB;
@@ -59,7 +62,7 @@ class MLService {
 
         try {
             // Get historical weather data
-            let historicalData = this.climateDB.getWeatherHistory(cityName, 30);
+            let historicalData = this.getHistoricalData(cityName, 30);
             
             if (historicalData.length === 0 && currentWeather) {
                 // Create mock historical data from current weather
@@ -136,7 +139,7 @@ class MLService {
 
         try {
             // Get historical weather data
-            const historicalData = this.climateDB.getWeatherHistory(cityName, 30);
+            const historicalData = this.getHistoricalData(cityName, 30);
             
             if (historicalData.length === 0) {
                 // If no historical data, try to get recent data or create mock data
@@ -370,6 +373,17 @@ class MLService {
                 predictionData.valid_until
             );
 
+            // Archived by the hour it was issued, so forecast verification can score this
+            // engine beside the TypeScript one
+            this.climateDB.archivePrediction({
+                cityId: predictionData.city_id,
+                cityName: predictionData.city_name,
+                predictionType: predictionData.prediction_type,
+                engine: 'javascript',
+                predictionData: predictionData.prediction_data,
+                issuedAt: predictionData.generated_at
+            });
+
         } catch (error) {
             console.error('Error storing predictions:', error);
         }
@@ -425,10 +439,18 @@ class MLService {
         try {
             console.log('🔄 Updating ML predictions for all cities...');
             
-            const cities = this.climateDB.getAllCities().slice(0, 10); // Limit to top 10 cities
+            const cities = this.climateDB.getMonitoredSites(); // Every city and farm
+            let skipped = 0;
             
             for (const city of cities) {
+                // Sites the ingestion schedule has not fetched yet have nothing to predict from
+                if (!this.climateDB.getLatestWeather(city.name)) {
+                    skipped++;
+                    continue;
+                }
+
                 try {
+                    await this.getWeatherPredictions(city.name, 7);
                     await this.getCropRecommendations(city.name);
                     await this.getAlertPredictions(city.name);
                     
@@ -440,7 +462,7 @@ class MLService {
                 }
             }
             
-            console.log('✅ ML predictions updated for all cities');
+            console.log(`✅ ML predictions updated for all cities${skipped > 0 ? ` (${skipped} without weather data skipped)` : ''}`);
             
         } catch (error) {
             console.error('❌ Error in background prediction update:', error);
@@ -512,7 +534,7 @@ class MLService {
                 CREATE INDEX IF NOT EXISTS idx_ml_valid_until 
                 ON ml_predictions(valid_until)
             `);
-            
+
             console.log('✅ ML predictions table created/verified');
             
         } catch (error) {
@@ -521,6 +543,21 @@ class MLService {
         }
     }
     
+    /**
+     * Daily history from the weather archive when it covers at least a week,
+     * otherwise the most recent stored observations
+     * @param {string} cityName - Name of the city
+     * @param {number} days - Number of days to look back
+     * @returns {Array} Historical weather data
+     */
+    getHistoricalData(cityName, days = 30) {
+        const archived = this.climateDB.getDailyWeatherHistory(cityName, days);
+        if (archived.length >= MIN_ARCHIVE_DAYS) {
+            return archived;
+        }
+        return this.climateDB.getWeatherHistory(cityName, days);
+    }
+
     /**
      * Create mock historical data from latest weather data
      * @param {Object} latestWeather - Latest weather data
@@ -1,4 +1,8 @@
 const express = require('express');
+const crypto = require('crypto');
+const { NOTIFICATION_CHANNELS } = require('../services/notificationService');
+const { requireAdmin, requireOperator } = require('../utils/adminAuth');
+const { checkWebhookUrl } = require('../utils/webhookTargets');
 const router = express.Router();
 
 let alertService;
@@ -7,10 +11,11 @@ function initializeAlertRouter(alertServiceInstance) {
   alertService = alertServiceInstance;
 }
 
-// Get all active alerts
+// Get all active alerts, optionally filtered by ?type=FLOOD and ?category=WATCH or WARNING
 router.get('/active', (req, res) => {
   try {
-    const alerts = alertService.getActiveAlerts();
+    const category = req.query.category ? req.query.category.toUpperCase() : null;
+    const alerts = alertService.db.getAllActiveAlerts(req.query.type, category);
     res.json({
       success: true,
       data: alerts,
@@ -44,11 +49,13 @@ router.get('/city/:cityId', (req, res) => {
   }
 });
 
-// Get alert thresholds
+// Get alert thresholds, optionally filtered by ?type, ?scope and ?scope_value
 router.get('/thresholds', (req, res) => {
   try {
-    const alertType = req.query.type; // 'FLOOD' or 'HEAT'
-    const thresholds = alertService.db.getAlertThresholds(alertType);
+    const alertType = req.query.type; // a hazard such as 'HEAT', or 'FLOOD_24H' / 'FLOOD_72H'
+    const scope = req.query.scope ? req.query.scope.toUpperCase() : null; // DEFAULT, REGION, STATE or CITY
+    const scopeValue = req.query.scope_value !== undefined ? req.query.scope_value : null;
+    const thresholds = alertService.db.getAlertThresholds(alertType, scope, scopeValue);
     res.json({
       success: true,
       data: thresholds
@@ -62,23 +69,199 @@ router.get('/thresholds', (req, res) => {
   }
 });
 
+// Get the thresholds in effect for a city, and which scope each hazard's set comes from
+router.get('/thresholds/resolved/:cityId', (req, res) => {
+  try {
+    const city = alertService.db.getCityById(parseInt(req.params.cityId));
+    
+    if (!city) {
+      return res.status(404).json({
+        success: false,
+        error: `City ${req.params.cityId} not found`
+      });
+    }
+    
+    const resolved = {};
+    alertService.thresholdTypes.forEach(type => {
+      resolved[type] = alertService.resolveThresholds(city.id, type);
+    });
+    
+    res.json({
+      success: true,
+      city: { id: city.id, name: city.name, state: city.state, region: city.region },
+      data: resolved
+    });
+  } catch (error) {
+    console.error('Error resolving alert thresholds:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to resolve alert thresholds'
+    });
+  }
+});
+
+// Check that an override scope names a known region, state or city
+function validateThresholdScope(scope, scopeValue) {
+  const db = alertService.db;
+  const known = {
+    REGION: () => db.getCitiesByRegion(scopeValue).length > 0,
+    STATE: () => db.getCitiesByState(scopeValue).length > 0,
+    CITY: () => Boolean(db.getCityById(parseInt(scopeValue)))
+  };
+  
+  return known[scope]() ? null : `Unknown ${scope.toLowerCase()}: ${scopeValue}`;
+}
+
+// Save a full threshold set for a scope and reload the alert service
+function saveThresholds(req, res, scope, scopeValue) {
+  try {
+    const alertType = req.params.type.toUpperCase();
+    const { thresholds, updated_by } = req.body;
+    
+    if (!alertService.thresholdTypes.includes(alertType)) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid threshold type. Use: ${alertService.thresholdTypes.join(', ')}`
+      });
+    }
+    
+    const validationError = (scope !== 'DEFAULT' && validateThresholdScope(scope, scopeValue)) ||
+      alertService.validateThresholdSet(alertType, thresholds);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: validationError
+      });
+    }
+    
+    const saved = alertService.db.setAlertThresholds(scope, scopeValue, alertType, thresholds, updated_by || null);
+    alertService.loadThresholds();
+    
+    res.json({
+      success: true,
+      message: `${alertType} thresholds saved for ${scope === 'DEFAULT' ? 'national default' : `${scope.toLowerCase()} ${scopeValue}`}`,
+      data: saved
+    });
+  } catch (error) {
+    console.error('Error saving alert thresholds:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to save alert thresholds'
+    });
+  }
+}
+
+// Replace the national default thresholds of a hazard
+router.put('/thresholds/default/:type', requireAdmin, (req, res) => {
+  saveThresholds(req, res, 'DEFAULT', '');
+});
+
+// Set a region, state or city override for a hazard
+router.put('/thresholds/:scope(region|state|city)/:scopeValue/:type', requireAdmin, (req, res) => {
+  saveThresholds(req, res, req.params.scope.toUpperCase(), req.params.scopeValue);
+});
+
+// Remove an override so the next scope up applies again
+router.delete('/thresholds/:scope(region|state|city)/:scopeValue/:type', requireAdmin, (req, res) => {
+  try {
+    const scope = req.params.scope.toUpperCase();
+    const alertType = req.params.type.toUpperCase();
+    const result = alertService.db.deleteAlertThresholds(scope, req.params.scopeValue, alertType);
+    
+    if (result.changes === 0) {
+      return res.status(404).json({
+        success: false,
+        error: `No ${alertType} override for ${req.params.scope} ${req.params.scopeValue}`
+      });
+    }
+    
+    alertService.loadThresholds();
+    
+    res.json({
+      success: true,
+      message: `${alertType} override removed for ${req.params.scope} ${req.params.scopeValue}`
+    });
+  } catch (error) {
+    console.error('Error deleting alert thresholds:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete alert thresholds'
+    });
+  }
+});
+
+// Reload thresholds after editing the database directly
+router.post('/thresholds/reload', requireAdmin, (req, res) => {
+  try {
+    alertService.loadThresholds();
+    
+    res.json({
+      success: true,
+      message: 'Alert thresholds reloaded'
+    });
+  } catch (error) {
+    console.error('Error reloading alert thresholds:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to reload alert thresholds'
+    });
+  }
+});
+
+// Check alert_types / min_level from a request body, returning an error message or null
+function validateSubscriptionPreferences(alertTypes, minLevel) {
+  if (alertTypes !== undefined) {
+    if (!Array.isArray(alertTypes) || alertTypes.length === 0) {
+      return 'alert_types must be a non-empty array';
+    }
+    const unknown = alertTypes.filter(type => !alertService.alertTypes.includes(type));
+    if (unknown.length > 0) {
+      return `Unknown alert types: ${unknown.join(', ')}. Use: ${alertService.alertTypes.join(', ')}`;
+    }
+  }
+  
+  if (minLevel !== undefined && !alertService.alertLevels.includes(minLevel)) {
+    return `Invalid min_level. Use: ${alertService.alertLevels.join(', ')}`;
+  }
+  
+  return null;
+}
+
 // Subscribe to alerts (via HTTP, also handled via WebSocket)
 router.post('/subscribe', (req, res) => {
   try {
-    const { socket_id, city_id, city_name, alert_types } = req.body;
+    const { token, city_id, alert_types, min_level, user_id, display_name } = req.body;
+    
+    if (!token || !city_id) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing required fields: token, city_id'
+      });
+    }
     
-    if (!socket_id || !city_id || !city_name) {
+    const validationError = validateSubscriptionPreferences(alert_types, min_level);
+    if (validationError) {
       return res.status(400).json({
         success: false,
-        error: 'Missing required fields: socket_id, city_id, city_name'
+        error: validationError
+      });
+    }
+    
+    const city = alertService.db.getCityById(parseInt(city_id));
+    if (!city) {
+      return res.status(404).json({
+        success: false,
+        error: `City ${city_id} not found`
       });
     }
     
+    alertService.db.upsertSubscriber(token, user_id || null, display_name || null);
     const result = alertService.subscribeToAlerts(
-      socket_id, 
-      city_id, 
-      city_name, 
-      alert_types || ['FLOOD', 'HEAT']
+      token,
+      city.id, 
+      city.name, 
+      alert_types || alertService.alertTypes,
+      min_level || 'MEDIUM'
     );
     
     res.json({
@@ -95,31 +278,451 @@ router.post('/subscribe', (req, res) => {
   }
 });
 
+// Get a subscriber and all their city subscriptions
+router.get('/subscriptions/:token', (req, res) => {
+  try {
+    const subscriber = alertService.getSubscriptions(req.params.token);
+    
+    if (!subscriber) {
+      return res.status(404).json({
+        success: false,
+        error: 'Subscriber not found'
+      });
+    }
+    
+    res.json({
+      success: true,
+      data: subscriber
+    });
+  } catch (error) {
+    console.error('Error fetching subscriptions:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch subscriptions'
+    });
+  }
+});
+
+// Check quiet hours, rate limit and digest settings, returning an error message or null
+function validateNotificationPreferences(body) {
+  const timePattern = /^([01]\d|2[0-3]):[0-5]\d$/;
+  
+  if (body.timezone !== undefined) {
+    try {
+      new Intl.DateTimeFormat('en-GB', { timeZone: body.timezone });
+    } catch (error) {
+      return `Unknown timezone: ${body.timezone}`;
+    }
+  }
+  
+  for (const field of ['quiet_hours_start', 'quiet_hours_end']) {
+    if (body[field] !== undefined && body[field] !== null && !timePattern.test(body[field])) {
+      return `${field} must be HH:MM (24-hour) or null`;
+    }
+  }
+  
+  if (body.rate_limit_per_hour !== undefined &&
+      (!Number.isInteger(body.rate_limit_per_hour) || body.rate_limit_per_hour < 1)) {
+    return 'rate_limit_per_hour must be a positive integer';
+  }
+  
+  if (body.digest_mode !== undefined && typeof body.digest_mode !== 'boolean') {
+    return 'digest_mode must be true or false';
+  }
+  
+  // CRITICAL alerts are never held, so they cannot be sent to the digest
+  const digestLevels = alertService.alertLevels.filter(level => level !== 'CRITICAL');
+  if (body.digest_max_level !== undefined && !digestLevels.includes(body.digest_max_level)) {
+    return `Invalid digest_max_level. Use: ${digestLevels.join(', ')}`;
+  }
+  
+  if (body.digest_interval_minutes !== undefined &&
+      (!Number.isInteger(body.digest_interval_minutes) || body.digest_interval_minutes < 15)) {
+    return 'digest_interval_minutes must be an integer of at least 15';
+  }
+  
+  return null;
+}
+
+// Update quiet hours, rate limit and digest preferences for a subscriber
+router.put('/subscriptions/:token/preferences', (req, res) => {
+  try {
+    const subscriber = alertService.db.getSubscriberByToken(req.params.token);
+    
+    if (!subscriber) {
+      return res.status(404).json({
+        success: false,
+        error: 'Subscriber not found'
+      });
+    }
+    
+    const validationError = validateNotificationPreferences(req.body);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: validationError
+      });
+    }
+    
+    alertService.db.updateSubscriberPreferences(subscriber.id, {
+      timezone: req.body.timezone,
+      quietHoursStart: req.body.quiet_hours_start,
+      quietHoursEnd: req.body.quiet_hours_end,
+      rateLimitPerHour: req.body.rate_limit_per_hour,
+      digestMode: req.body.digest_mode,
+      digestMaxLevel: req.body.digest_max_level,
+      digestIntervalMinutes: req.body.digest_interval_minutes
+    });
+    
+    res.json({
+      success: true,
+      message: 'Notification preferences updated',
+      data: alertService.db.getSubscriberById(subscriber.id)
+    });
+  } catch (error) {
+    console.error('Error updating notification preferences:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update notification preferences'
+    });
+  }
+});
+
+// Update hazard types or minimum severity for one city subscription
+router.put('/subscriptions/:token/:cityId(\\d+)', (req, res) => {
+  try {
+    const cityId = parseInt(req.params.cityId);
+    const { alert_types, min_level } = req.body;
+    const subscriber = alertService.db.getSubscriberByToken(req.params.token);
+    
+    if (!subscriber) {
+      return res.status(404).json({
+        success: false,
+        error: 'Subscriber not found'
+      });
+    }
+    
+    if (alert_types === undefined && min_level === undefined) {
+      return res.status(400).json({
+        success: false,
+        error: 'Provide alert_types and/or min_level to update'
+      });
+    }
+    
+    const validationError = validateSubscriptionPreferences(alert_types, min_level);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: validationError
+      });
+    }
+    
+    const result = alertService.db.updateAlertSubscription(subscriber.id, cityId, alert_types || null, min_level || null);
+    if (result.changes === 0) {
+      return res.status(404).json({
+        success: false,
+        error: `No subscription for city ${cityId}`
+      });
+    }
+    
+    res.json({
+      success: true,
+      message: 'Subscription updated',
+      data: alertService.getSubscriptions(req.params.token)
+    });
+  } catch (error) {
+    console.error('Error updating subscription:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update subscription'
+    });
+  }
+});
+
+// Unsubscribe from one city
+router.delete('/subscriptions/:token/:cityId(\\d+)', (req, res) => {
+  try {
+    const cityId = parseInt(req.params.cityId);
+    const subscriber = alertService.db.getSubscriberByToken(req.params.token);
+    
+    if (!subscriber) {
+      return res.status(404).json({
+        success: false,
+        error: 'Subscriber not found'
+      });
+    }
+    
+    const result = alertService.db.deleteAlertSubscription(subscriber.id, cityId);
+    if (result.changes === 0) {
+      return res.status(404).json({
+        success: false,
+        error: `No subscription for city ${cityId}`
+      });
+    }
+    
+    res.json({
+      success: true,
+      message: `Unsubscribed from city ${cityId}`
+    });
+  } catch (error) {
+    console.error('Error deleting subscription:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete subscription'
+    });
+  }
+});
+
+// Remove a subscriber and all their subscriptions
+router.delete('/subscriptions/:token', (req, res) => {
+  try {
+    const subscriber = alertService.db.getSubscriberByToken(req.params.token);
+    
+    if (!subscriber) {
+      return res.status(404).json({
+        success: false,
+        error: 'Subscriber not found'
+      });
+    }
+    
+    alertService.db.deleteSubscriber(subscriber.id);
+    
+    res.json({
+      success: true,
+      message: 'Subscriber removed'
+    });
+  } catch (error) {
+    console.error('Error deleting subscriber:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete subscriber'
+    });
+  }
+});
+
+// Check a channel destination, returning an error message or null
+function validateChannelDestination(channel, destination) {
+  const patterns = {
+    webhook: /^https?:\/\/\S+$/,
+    email: /^[^\s@]+@[^\s@]+$/,
+    sms: /^\+?[0-9]{7,15}$/
+  };
+  
+  if (!NOTIFICATION_CHANNELS.includes(channel)) {
+    return `Invalid channel. Use: ${NOTIFICATION_CHANNELS.join(', ')}`;
+  }
+  
+  if (typeof destination !== 'string' || !patterns[channel].test(destination)) {
+    return `Invalid destination for ${channel} channel`;
+  }
+  
+  return null;
+}
+
+// Webhook secrets are only returned when a channel is created
+function publicChannel(channel) {
+  const { secret, ...rest } = channel;
+  return { ...rest, has_secret: Boolean(secret) };
+}
+
+// Get a subscriber's outbound delivery channels
+router.get('/subscriptions/:token/channels', (req, res) => {
+  try {
+    const subscriber = alertService.db.getSubscriberByToken(req.params.token);
+    
+    if (!subscriber) {
+      return res.status(404).json({
+        success: false,
+        error: 'Subscriber not found'
+      });
+    }
+    
+    const channels = alertService.db.getNotificationChannels(subscriber.id).map(publicChannel);
+    res.json({
+      success: true,
+      data: channels,
+      count: channels.length
+    });
+  } catch (error) {
+    console.error('Error fetching notification channels:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch notification channels'
+    });
+  }
+});
+
+// Add a webhook, email or SMS delivery channel for a subscriber
+router.post('/subscriptions/:token/channels', async (req, res) => {
+  try {
+    const { channel, destination, min_level, secret } = req.body;
+    const subscriber = alertService.db.getSubscriberByToken(req.params.token);
+    
+    if (!subscriber) {
+      return res.status(404).json({
+        success: false,
+        error: 'Subscriber not found'
+      });
+    }
+    
+    const validationError = validateChannelDestination(channel, destination) ||
+      validateSubscriptionPreferences(undefined, min_level) ||
+      (channel === 'webhook' ? await checkWebhookUrl(destination) : null);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: validationError
+      });
+    }
+    
+    // Webhooks are always signed; generate a secret when the caller does not supply one
+    const channelSecret = channel === 'webhook' ? (secret || crypto.randomBytes(24).toString('hex')) : null;
+    const created = alertService.db.upsertNotificationChannel(subscriber.id, channel, destination, {
+      secret: channelSecret,
+      minLevel: min_level || 'HIGH'
+    });
+    
+    res.json({
+      success: true,
+      message: `${channel} channel registered`,
+      data: channel === 'webhook' ? { ...publicChannel(created), secret: created.secret } : publicChannel(created)
+    });
+  } catch (error) {
+    console.error('Error adding notification channel:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to add notification channel'
+    });
+  }
+});
+
+// Change the minimum level of a channel, or enable/disable it
+router.put('/subscriptions/:token/channels/:channelId', (req, res) => {
+  try {
+    const { min_level, is_enabled } = req.body;
+    const subscriber = alertService.db.getSubscriberByToken(req.params.token);
+    const channel = alertService.db.getNotificationChannelById(parseInt(req.params.channelId));
+    
+    if (!subscriber || !channel || channel.subscriber_id !== subscriber.id) {
+      return res.status(404).json({
+        success: false,
+        error: 'Channel not found'
+      });
+    }
+    
+    const validationError = validateSubscriptionPreferences(undefined, min_level);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: validationError
+      });
+    }
+    
+    alertService.db.updateNotificationChannel(channel.id, {
+      minLevel: min_level || null,
+      isEnabled: is_enabled === undefined ? null : Boolean(is_enabled)
+    });
+    
+    res.json({
+      success: true,
+      message: 'Channel updated',
+      data: publicChannel(alertService.db.getNotificationChannelById(channel.id))
+    });
+  } catch (error) {
+    console.error('Error updating notification channel:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update notification channel'
+    });
+  }
+});
+
+// Remove a delivery channel
+router.delete('/subscriptions/:token/channels/:channelId', (req, res) => {
+  try {
+    const subscriber = alertService.db.getSubscriberByToken(req.params.token);
+    const channel = alertService.db.getNotificationChannelById(parseInt(req.params.channelId));
+    
+    if (!subscriber || !channel || channel.subscriber_id !== subscriber.id) {
+      return res.status(404).json({
+        success: false,
+        error: 'Channel not found'
+      });
+    }
+    
+    alertService.db.deleteNotificationChannel(channel.id);
+    
+    res.json({
+      success: true,
+      message: `${channel.channel} channel removed`
+    });
+  } catch (error) {
+    console.error('Error deleting notification channel:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete notification channel'
+    });
+  }
+});
+
+// Delivery log rows as shown to a subscriber, without the destination or payload
+function publicDelivery(delivery) {
+  const { destination, payload, ...rest } = delivery;
+  return rest;
+}
+
+// Get the outbound delivery log, filtered by ?alert_id, ?token or ?status. Without a
+// token this is every subscriber's log, so it is admin-only.
+router.get('/deliveries', (req, res, next) => {
+  if (req.query.token) {
+    return next();
+  }
+  requireAdmin(req, res, next);
+}, (req, res) => {
+  try {
+    const { alert_id, token, status, limit } = req.query;
+    let subscriberId = null;
+    
+    if (token) {
+      const subscriber = alertService.db.getSubscriberByToken(token);
+      if (!subscriber) {
+        return res.status(404).json({
+          success: false,
+          error: 'Subscriber not found'
+        });
+      }
+      subscriberId = subscriber.id;
+    }
+    
+    const deliveries = alertService.db.getNotificationDeliveries({
+      alertId: alert_id ? parseInt(alert_id) : null,
+      subscriberId: subscriberId,
+      status: status ? status.toUpperCase() : null,
+      limit: parseInt(limit) || 50
+    });
+    
+    res.json({
+      success: true,
+      data: token ? deliveries.map(publicDelivery) : deliveries,
+      count: deliveries.length
+    });
+  } catch (error) {
+    console.error('Error fetching notification deliveries:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch notification deliveries'
+    });
+  }
+});
+
 // Get alert history for a city
 router.get('/history/:cityId', (req, res) => {
   try {
     const cityId = parseInt(req.params.cityId);
     const limit = parseInt(req.query.limit) || 20;
+    const alertType = req.query.type; // Optional hazard filter
     
-    // Get recent flood and heat alerts for the city
-    const floodAlerts = alertService.db.db.prepare(`
-      SELECT 'FLOOD' as alert_type, * FROM flood_alerts 
-      WHERE city_id = ? 
-      ORDER BY created_at DESC 
-      LIMIT ?
-    `).all(cityId, limit);
-    
-    const heatAlerts = alertService.db.db.prepare(`
-      SELECT 'HEAT' as alert_type, * FROM heat_alerts 
-      WHERE city_id = ? 
-      ORDER BY created_at DESC 
-      LIMIT ?
-    `).all(cityId, limit);
-    
-    // Combine and sort by timestamp
-    const allAlerts = [...floodAlerts, ...heatAlerts]
-      .sort((a, b) => new Date(b.created_at) - new Date(a.created_at))
-      .slice(0, limit);
+    const allAlerts = alertService.db.getAlertHistory(cityId, limit, alertType);
     
     res.json({
       success: true,
@@ -139,33 +742,7 @@ router.get('/history/:cityId', (req, res) => {
 // Get alert statistics
 router.get('/stats', (req, res) => {
   try {
-    const stats = {
-      active_flood_alerts: alertService.db.db.prepare(`
-        SELECT COUNT(*) as count FROM flood_alerts 
-        WHERE is_active = 1 AND (expires_at IS NULL OR expires_at > datetime('now'))
-      `).get().count,
-      
-      active_heat_alerts: alertService.db.db.prepare(`
-        SELECT COUNT(*) as count FROM heat_alerts 
-        WHERE is_active = 1 AND (expires_at IS NULL OR expires_at > datetime('now'))
-      `).get().count,
-      
-      total_subscriptions: alertService.db.db.prepare(`
-        SELECT COUNT(*) as count FROM alert_subscriptions
-      `).get().count,
-      
-      cities_with_active_alerts: alertService.db.db.prepare(`
-        SELECT COUNT(DISTINCT city_id) as count FROM (
-          SELECT city_id FROM flood_alerts 
-          WHERE is_active = 1 AND (expires_at IS NULL OR expires_at > datetime('now'))
-          UNION
-          SELECT city_id FROM heat_alerts 
-          WHERE is_active = 1 AND (expires_at IS NULL OR expires_at > datetime('now'))
-        )
-      `).get().count
-    };
-    
-    stats.total_active_alerts = stats.active_flood_alerts + stats.active_heat_alerts;
+    const stats = alertService.db.getAlertStats();
     
     res.json({
       success: true,
@@ -180,4 +757,133 @@ router.get('/stats', (req, res) => {
   }
 });
 
+// Get a single alert with its lifecycle timeline
+router.get('/:id(\\d+)', (req, res) => {
+  try {
+    const alertId = parseInt(req.params.id);
+    const alert = alertService.db.getAlertById(alertId);
+    
+    if (!alert) {
+      return res.status(404).json({
+        success: false,
+        error: `Alert ${alertId} not found`
+      });
+    }
+    
+    res.json({
+      success: true,
+      data: {
+        ...alert,
+        events: alertService.db.getAlertEvents(alertId)
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching alert:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch alert'
+    });
+  }
+});
+
+// Get the audit trail of an alert
+router.get('/:id(\\d+)/events', (req, res) => {
+  try {
+    const alertId = parseInt(req.params.id);
+    
+    if (!alertService.db.getAlertById(alertId)) {
+      return res.status(404).json({
+        success: false,
+        error: `Alert ${alertId} not found`
+      });
+    }
+    
+    const events = alertService.db.getAlertEvents(alertId);
+    res.json({
+      success: true,
+      data: events,
+      alert_id: alertId,
+      count: events.length
+    });
+  } catch (error) {
+    console.error('Error fetching alert events:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch alert events'
+    });
+  }
+});
+
+// Acknowledge an alert, recorded under the caller's admin or operator identity
+router.post('/:id(\\d+)/acknowledge', requireOperator, (req, res) => {
+  try {
+    const alertId = parseInt(req.params.id);
+    const { note } = req.body;
+    const alert = alertService.db.getAlertById(alertId);
+    
+    if (!alert) {
+      return res.status(404).json({
+        success: false,
+        error: `Alert ${alertId} not found`
+      });
+    }
+    
+    if (alert.status === 'RESOLVED' || alert.status === 'ACKNOWLEDGED') {
+      return res.status(409).json({
+        success: false,
+        error: `Alert ${alertId} is already ${alert.status.toLowerCase()}`
+      });
+    }
+    
+    const result = alertService.acknowledgeAlert(alertId, req.actor, note);
+    res.json({
+      success: true,
+      message: 'Alert acknowledged',
+      data: result
+    });
+  } catch (error) {
+    console.error('Error acknowledging alert:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to acknowledge alert'
+    });
+  }
+});
+
+// Resolve an alert, recorded under the caller's admin or operator identity
+router.post('/:id(\\d+)/resolve', requireOperator, (req, res) => {
+  try {
+    const alertId = parseInt(req.params.id);
+    const { note } = req.body;
+    const alert = alertService.db.getAlertById(alertId);
+    
+    if (!alert) {
+      return res.status(404).json({
+        success: false,
+        error: `Alert ${alertId} not found`
+      });
+    }
+    
+    if (alert.status === 'RESOLVED') {
+      return res.status(409).json({
+        success: false,
+        error: `Alert ${alertId} is already resolved`
+      });
+    }
+    
+    const result = alertService.resolveAlert(alertId, req.actor, note);
+    res.json({
+      success: true,
+      message: 'Alert resolved',
+      data: result
+    });
+  } catch (error) {
+    console.error('Error resolving alert:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to resolve alert'
+    });
+  }
+});
+
 module.exports = { router, initializeAlertRouter };
\ No newline at end of file
@@ -0,0 +1,126 @@
+// routes/archive.js
+const express = require('express');
+const BackfillService = require('../services/backfillService');
+const { requireAdmin } = require('../utils/adminAuth');
+const router = express.Router();
+
+let backfillService;
+let climateDB;
+
+function initializeArchiveRouter(backfillServiceInstance, sharedDB) {
+  backfillService = backfillServiceInstance;
+  climateDB = sharedDB;
+}
+
+// Archived row count and date range per city and resolution
+router.get('/', (req, res) => {
+  try {
+    const coverage = climateDB.getArchiveCoverage();
+    return res.json({ success: true, count: coverage.length, data: coverage });
+  } catch (error) {
+    console.error('Error fetching archive coverage:', error);
+    return res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Backfill and import log, optionally for one ?city
+router.get('/imports', (req, res) => {
+  try {
+    let cityId = null;
+    if (req.query.city) {
+      const cityInfo = climateDB.getCityByName(req.query.city);
+      if (!cityInfo) {
+        return res.status(404).json({ success: false, error: `City '${req.query.city}' not found` });
+      }
+      cityId = cityInfo.id;
+    }
+
+    const imports = climateDB.getArchiveImports({
+      cityId: cityId,
+      limit: Math.min(parseInt(req.query.limit) || 50, 500)
+    });
+
+    return res.json({ success: true, count: imports.length, data: imports });
+  } catch (error) {
+    console.error('Error fetching archive imports:', error);
+    return res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Archived history, oldest first: ?resolution=daily|hourly&from=2024-01-01&to=2024-12-31&limit=366
+router.get('/:city', (req, res) => {
+  try {
+    const cityInfo = climateDB.getCityByName(req.params.city);
+    if (!cityInfo) {
+      return res.status(404).json({ success: false, error: `City '${req.params.city}' not found` });
+    }
+
+    const resolution = (req.query.resolution || 'DAILY').toUpperCase();
+    if (!BackfillService.ARCHIVE_RESOLUTIONS.includes(resolution)) {
+      return res.status(400).json({ success: false, error: 'resolution must be daily or hourly' });
+    }
+
+    const rows = climateDB.getArchiveRows(cityInfo.id, {
+      resolution: resolution,
+      from: req.query.from || null,
+      to: req.query.to || null,
+      limit: Math.min(parseInt(req.query.limit) || 366, 10000)
+    });
+
+    return res.json({ success: true, city: cityInfo.name, resolution: resolution, count: rows.length, data: rows });
+  } catch (error) {
+    console.error('Error fetching weather archive:', error);
+    return res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Backfill from the Open-Meteo archive: { "from": "2020-01-01", "to": "2024-12-31" }
+router.post('/:city/backfill', requireAdmin, async (req, res) => {
+  try {
+    const cityInfo = climateDB.getCityByName(req.params.city);
+    if (!cityInfo) {
+      return res.status(404).json({ success: false, error: `City '${req.params.city}' not found` });
+    }
+
+    const result = await backfillService.backfillFromArchive(cityInfo, req.body.from, req.body.to);
+    if (!result.valid) {
+      return res.status(400).json({ success: false, errors: result.errors });
+    }
+
+    const succeeded = result.import.status !== 'FAILED';
+    return res.status(succeeded ? 200 : 502).json({ success: succeeded, data: result.import });
+  } catch (error) {
+    console.error('Error backfilling weather archive:', error);
+    return res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Import a CSV file (text/csv body): ?resolution=hourly|daily&source=label
+router.post('/:city/import', requireAdmin, express.text({ type: 'text/csv', limit: '50mb' }), (req, res) => {
+  try {
+    const cityInfo = climateDB.getCityByName(req.params.city);
+    if (!cityInfo) {
+      return res.status(404).json({ success: false, error: `City '${req.params.city}' not found` });
+    }
+
+    if (!req.is('text/csv')) {
+      return res.status(415).json({ success: false, error: 'Send the file with Content-Type: text/csv' });
+    }
+
+    const result = backfillService.importCsv(cityInfo, req.body, {
+      resolution: (req.query.resolution || 'HOURLY').toUpperCase(),
+      source: req.query.source || 'CSV'
+    });
+    if (!result.valid) {
+      return res.status(400).json({ success: false, errors: result.errors });
+    }
+
+    const succeeded = result.import.status !== 'FAILED';
+    return res.status(succeeded ? 200 : 400).json({ success: succeeded, data: result.import, rejected: result.rejected });
+  } catch (error) {
+    console.error('Error importing weather archive:', error);
+    return res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+module.exports = { router, initializeArchiveRouter };
@@ -0,0 +1,73 @@
+// routes/exports.js
+const express = require('express');
+const ExportService = require('../services/exportService');
+const router = express.Router();
+
+let exportService;
+let climateDB;
+
+function initializeExportRouter(exportServiceInstance, sharedDB) {
+  exportService = exportServiceInstance;
+  climateDB = sharedDB;
+}
+
+const splitList = (value) => (value ? String(value).split(',').map(item => item.trim()).filter(Boolean) : []);
+
+/**
+ * Stream one dataset as a download. Filters: ?cities=Pune,Nashik&from&to, plus
+ * ?metrics, ?interval and ?agg for weather, ?type, ?level, ?status and ?category for
+ * alerts, and ?type for predictions. ?format=csv (default), excel or ndjson.
+ */
+function sendExport(dataset) {
+  return async (req, res) => {
+    try {
+      const format = (req.query.format || 'csv').toLowerCase();
+      if (!(format in ExportService.EXPORT_FORMATS)) {
+        return res.status(400).json({
+          success: false,
+          error: `format must be one of: ${Object.keys(ExportService.EXPORT_FORMATS).join(', ')}`
+        });
+      }
+
+      const names = splitList(req.query.cities);
+      const cities = names.map(name => climateDB.getCityByName(name));
+      const missing = names.filter((name, index) => !cities[index]);
+      if (missing.length > 0) {
+        return res.status(404).json({ success: false, error: `Cities not found: ${missing.join(', ')}` });
+      }
+
+      const plan = exportService.prepareExport(dataset, cities, {
+        ...req.query,
+        metrics: splitList(req.query.metrics).map(metric => metric.toLowerCase()),
+        interval: req.query.interval ? req.query.interval.toUpperCase() : undefined,
+        agg: req.query.agg ? req.query.agg.toUpperCase() : undefined
+      });
+      if (!plan.valid) {
+        return res.status(400).json({ success: false, errors: plan.errors });
+      }
+
+      const { contentType, extension } = ExportService.EXPORT_FORMATS[format];
+      const stamp = new Date().toISOString().slice(0, 10).replace(/-/g, '');
+      res.set({
+        'Content-Type': contentType,
+        'Content-Disposition': `attachment; filename="${dataset}-${stamp}.${extension}"`
+      });
+
+      await exportService.writeExport(res, format, plan);
+      return res.end();
+    } catch (error) {
+      console.error(`Error exporting ${dataset}:`, error);
+      if (res.headersSent) {
+        // The client sees a truncated download rather than a JSON error mid-file
+        return res.destroy(error);
+      }
+      return res.status(500).json({ success: false, error: error.message });
+    }
+  };
+}
+
+router.get('/weather', sendExport('weather'));
+router.get('/alerts', sendExport('alerts'));
+router.get('/predictions', sendExport('predictions'));
+
+module.exports = { router, initializeExportRouter };
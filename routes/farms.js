@@ -0,0 +1,113 @@
+// routes/farms.js
+const express = require('express');
+const { requireAdmin } = require('../utils/adminAuth');
+const router = express.Router();
+
+let farmService;
+let ingestionService;
+let alertService;
+let climateDB;
+
+function initializeFarmRouter(farmServiceInstance, ingestionServiceInstance, alertServiceInstance, sharedDB) {
+  farmService = farmServiceInstance;
+  ingestionService = ingestionServiceInstance;
+  alertService = alertServiceInstance;
+  climateDB = sharedDB;
+}
+
+// Threshold overrides resolve a site's state and region from a copy taken at load
+function refreshAlertScopes() {
+  try {
+    alertService.loadThresholds();
+  } catch (error) {
+    console.error('Error reloading alert thresholds:', error.message);
+  }
+}
+
+// Register a farm; it is monitored from now on, starting with an immediate fetch
+router.post('/', requireAdmin, (req, res) => {
+  try {
+    const result = farmService.createFarm(req.body || {});
+    if (!result.valid) {
+      return res.status(400).json({ success: false, errors: result.errors });
+    }
+
+    refreshAlertScopes();
+    const ingestion = ingestionService.addCity(climateDB.getCityById(result.farm.id));
+    if (ingestion) {
+      ingestion.catch(error => console.error(`Error ingesting new farm ${result.farm.name}:`, error.message));
+    }
+
+    return res.status(201).json({ success: true, data: result.farm });
+  } catch (error) {
+    console.error('Error registering farm:', error);
+    return res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// List active farms, optionally for one ?owner; ?include_inactive=true lists all
+router.get('/', (req, res) => {
+  try {
+    const farms = climateDB.getFarms({
+      owner: req.query.owner || null,
+      activeOnly: req.query.include_inactive !== 'true'
+    });
+
+    return res.json({ success: true, count: farms.length, data: farms });
+  } catch (error) {
+    console.error('Error fetching farms:', error);
+    return res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// A farm with its latest observation
+router.get('/:farmId(\\d+)', (req, res) => {
+  try {
+    const farm = climateDB.getFarmById(parseInt(req.params.farmId));
+    if (!farm) {
+      return res.status(404).json({ success: false, error: `Farm ${req.params.farmId} not found` });
+    }
+
+    return res.json({ success: true, data: { ...farm, latest_weather: climateDB.getLatestWeather(farm.name) || null } });
+  } catch (error) {
+    console.error('Error fetching farm:', error);
+    return res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Change a farm's location, owner, area, soil type or crops; the name is fixed
+router.put('/:farmId(\\d+)', requireAdmin, (req, res) => {
+  try {
+    const result = farmService.updateFarm(parseInt(req.params.farmId), req.body || {});
+    if (!result.valid) {
+      return res.status(400).json({ success: false, errors: result.errors });
+    }
+    if (!result.farm) {
+      return res.status(404).json({ success: false, error: `Farm ${req.params.farmId} not found` });
+    }
+
+    refreshAlertScopes();
+    return res.json({ success: true, data: result.farm });
+  } catch (error) {
+    console.error('Error updating farm:', error);
+    return res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Stop monitoring a farm; its history is kept
+router.delete('/:farmId(\\d+)', requireAdmin, (req, res) => {
+  try {
+    const farm = farmService.deactivateFarm(parseInt(req.params.farmId));
+    if (!farm) {
+      return res.status(404).json({ success: false, error: `Farm ${req.params.farmId} not found` });
+    }
+
+    ingestionService.removeCity(farm);
+    return res.json({ success: true, data: farm });
+  } catch (error) {
+    console.error('Error deactivating farm:', error);
+    return res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+module.exports = { router, initializeFarmRouter };
@@ -4,6 +4,7 @@
  */
 
 const express = require('express');
+const { requireAdmin } = require('../utils/adminAuth');
 const router = express.Router();
 
 const { 
@@ -11,10 +12,28 @@ const {
   getAdvancedCropRecommendations,
   getAdvancedAlertPredictions,
   getComprehensiveInsights,
+  getAdvancedMLModels,
+  runAdvancedMLModel,
+  getAdvancedMLModelVersions,
+  promoteAdvancedMLModelVersion,
+  rollbackAdvancedMLModel,
   getMLHealthStatus,
-  getMLPerformanceMetrics
+  getMLPerformanceMetrics,
+  compareMLEngines
 } = require('../ml-ts/bridge.js');
 
+// HTTP status for each MLError code the model endpoints can throw
+const MODEL_ERROR_STATUS = {
+    UNKNOWN_MODEL: 404,
+    UNKNOWN_CITY: 404,
+    UNKNOWN_MODEL_VERSION: 404,
+    INVALID_INPUT: 400,
+    NO_PREVIOUS_VERSION: 409,
+    INCOMPATIBLE_MODEL_VERSION: 409,
+    MODEL_BUSY: 409,
+    MODEL_NOT_INITIALIZED: 503
+};
+
 /**
  * Advanced Weather Predictions using TypeScript ML
  * GET /api/ml-advanced/weather/:city?days=7
@@ -129,6 +148,158 @@ router.get('/insights/:city', async (req, res) => {
     }
 });
 
+/**
+ * All twelve TypeScript ML models with their status
+ * GET /api/ml-advanced/models
+ */
+router.get('/models', (req, res) => {
+    try {
+        const models = getAdvancedMLModels();
+
+        res.json({
+            success: true,
+            count: models.length,
+            data: models,
+            source: 'TypeScript ML v2.0'
+        });
+
+    } catch (error) {
+        console.error('Error in advanced ML models route:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message,
+            source: 'TypeScript ML v2.0'
+        });
+    }
+});
+
+/**
+ * Stored versions of every model, newest first, with training date and evaluation metrics
+ * GET /api/ml-advanced/models/versions
+ * GET /api/ml-advanced/models/:model/versions
+ */
+const listModelVersions = (req, res) => {
+    try {
+        const versions = getAdvancedMLModelVersions(req.params.model);
+
+        res.json({
+            success: true,
+            count: versions.length,
+            data: versions,
+            source: 'TypeScript ML v2.0'
+        });
+
+    } catch (error) {
+        const status = MODEL_ERROR_STATUS[error.code] || 500;
+        if (status === 500) {
+            console.error('Error in advanced ML model versions route:', error);
+        }
+        res.status(status).json({
+            success: false,
+            error: error.message,
+            source: 'TypeScript ML v2.0'
+        });
+    }
+};
+
+router.get('/models/versions', listModelVersions);
+router.get('/models/:model/versions', listModelVersions);
+
+/**
+ * Serve a stored version of a model from now on; the production version it replaces can be rolled back to
+ * POST /api/ml-advanced/models/:model/versions/:version/promote
+ */
+router.post('/models/:model/versions/:version/promote', requireAdmin, (req, res) => {
+    try {
+        const { model } = req.params;
+        const version = Number(req.params.version);
+
+        console.log(`🚀 Promoting ${model} v${req.params.version} to production`);
+
+        const promoted = promoteAdvancedMLModelVersion(model, version);
+
+        res.json({
+            success: true,
+            data: promoted,
+            source: 'TypeScript ML v2.0'
+        });
+
+    } catch (error) {
+        const status = MODEL_ERROR_STATUS[error.code] || 500;
+        if (status === 500) {
+            console.error('Error in advanced ML model promotion route:', error);
+        }
+        res.status(status).json({
+            success: false,
+            error: error.message,
+            source: 'TypeScript ML v2.0'
+        });
+    }
+});
+
+/**
+ * Return a model to the version that was in production before the current one
+ * POST /api/ml-advanced/models/:model/rollback
+ */
+router.post('/models/:model/rollback', requireAdmin, (req, res) => {
+    try {
+        const { model } = req.params;
+
+        console.log(`⏪ Rolling back ${model}`);
+
+        const restored = rollbackAdvancedMLModel(model);
+
+        res.json({
+            success: true,
+            data: restored,
+            source: 'TypeScript ML v2.0'
+        });
+
+    } catch (error) {
+        const status = MODEL_ERROR_STATUS[error.code] || 500;
+        if (status === 500) {
+            console.error('Error in advanced ML model rollback route:', error);
+        }
+        res.status(status).json({
+            success: false,
+            error: error.message,
+            source: 'TypeScript ML v2.0'
+        });
+    }
+});
+
+/**
+ * Run one model; the body is the model's input, and { "city": ... } fills in that site's weather
+ * POST /api/ml-advanced/models/:model
+ */
+router.post('/models/:model', requireAdmin, async (req, res) => {
+    try {
+        const { model } = req.params;
+
+        console.log(`🧠 Running advanced ML model ${model}`);
+
+        const result = await runAdvancedMLModel(model, req.body || {});
+
+        res.json({
+            success: true,
+            model,
+            data: result,
+            source: 'TypeScript ML v2.0'
+        });
+
+    } catch (error) {
+        const status = MODEL_ERROR_STATUS[error.code] || 500;
+        if (status === 500) {
+            console.error('Error in advanced ML model route:', error);
+        }
+        res.status(status).json({
+            success: false,
+            error: error.message,
+            source: 'TypeScript ML v2.0'
+        });
+    }
+});
+
 /**
  * Advanced ML Performance Metrics
  * GET /api/ml-advanced/metrics
@@ -181,52 +352,35 @@ router.get('/health', (req, res) => {
 });
 
 /**
- * Compare ML Models (Old vs New)
- * GET /api/ml-advanced/compare/:city/:type
+ * Run the TypeScript and JavaScript ML services for the same city and stored observations,
+ * with their outputs aligned field by field, and for weather each engine's verified
+ * forecast error for the city
+ * GET /api/ml-advanced/compare/:city/:type?season=kharif
  */
 router.get('/compare/:city/:type', async (req, res) => {
     try {
         const { city, type } = req.params;
-        
-        console.log(`🔄 Comparing ML models for ${city} (${type})`);
-        
-        // This would compare old JS ML vs new TypeScript ML
-        // For now, just return the new TypeScript results
-        let result;
-        
-        switch (type) {
-            case 'weather':
-                result = await getAdvancedWeatherPredictions(city, 7);
-                break;
-            case 'crops':
-                result = await getAdvancedCropRecommendations(city);
-                break;
-            case 'alerts':
-                result = await getAdvancedAlertPredictions(city);
-                break;
-            default:
-                return res.status(400).json({
-                    success: false,
-                    error: 'Invalid comparison type. Use: weather, crops, or alerts'
-                });
-        }
-        
+        const { season } = req.query;
+
+        console.log(`🔄 Comparing ML engines for ${city} (${type})`);
+
+        const comparison = await compareMLEngines(city, type, season);
+
         res.json({
             success: true,
-            city,
-            type,
-            comparison: {
-                typescript_ml: result,
-                javascript_ml: { note: 'Available via /api/ml/' + type + '/' + city }
-            },
-            recommendation: 'TypeScript ML provides enhanced accuracy and features'
+            data: comparison,
+            source: 'TypeScript ML v2.0'
         });
-        
+
     } catch (error) {
-        console.error('Error in ML comparison route:', error);
-        res.status(500).json({
+        const status = MODEL_ERROR_STATUS[error.code] || 500;
+        if (status === 500) {
+            console.error('Error in ML comparison route:', error);
+        }
+        res.status(status).json({
             success: false,
-            error: error.message
+            error: error.message,
+            source: 'TypeScript ML v2.0'
         });
     }
 });
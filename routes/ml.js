@@ -4,6 +4,14 @@
 
 const express = require('express');
 const router = express.Router();
+const { getForecastVerification } = require('../ml-ts/bridge.js');
+
+// HTTP status for each error code of the forecast verification report
+const VERIFICATION_ERROR_STATUS = {
+    UNKNOWN_CITY: 404,
+    INVALID_INPUT: 400,
+    MODEL_NOT_INITIALIZED: 503
+};
 
 let mlService;
 
@@ -632,6 +640,36 @@ router.get('/cities', (req, res) => {
     }
 });
 
+/**
+ * How the archived 7-day weather forecasts for a city compared with what was observed:
+ * MAE, RMSE and bias per metric and lead day, with skill over persistence and climatology
+ * GET /api/ml/verification/:city?days=90&engine=typescript
+ */
+router.get('/verification/:city', (req, res) => {
+    try {
+        const { city } = req.params;
+        const { engine } = req.query;
+        const days = req.query.days !== undefined ? Number(req.query.days) : undefined;
+
+        const report = getForecastVerification(city, days, engine);
+
+        res.json({
+            success: true,
+            data: report
+        });
+
+    } catch (error) {
+        const status = VERIFICATION_ERROR_STATUS[error.code] || 500;
+        if (status === 500) {
+            console.error('Error in forecast verification route:', error);
+        }
+        res.status(status).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
 /**
  * Health check for ML service
  * GET /api/ml/health
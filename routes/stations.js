@@ -0,0 +1,186 @@
+// routes/stations.js
+const express = require('express');
+const { requireAdmin } = require('../utils/adminAuth');
+const router = express.Router();
+
+let stationService;
+let ingestionService;
+let climateDB;
+
+function initializeStationRouter(stationServiceInstance, ingestionServiceInstance, sharedDB) {
+  stationService = stationServiceInstance;
+  ingestionService = ingestionServiceInstance;
+  climateDB = sharedDB;
+}
+
+/**
+ * Express middleware for station uploads: the station must be active and send its
+ * own key in the X-Station-Key header. Sets req.station.
+ */
+function requireStation(req, res, next) {
+  const station = stationService.authenticate(req.params.stationId, req.get('X-Station-Key'));
+  if (!station) {
+    return res.status(401).json({ success: false, error: 'Valid station key required' });
+  }
+
+  req.station = station;
+  next();
+}
+
+// Register a station; the response carries its API key, which is not shown again
+router.post('/', requireAdmin, (req, res) => {
+  try {
+    const result = stationService.registerStation(req.body || {});
+    if (!result.valid) {
+      return res.status(400).json({ success: false, errors: result.errors });
+    }
+
+    return res.status(201).json({ success: true, data: result.station, api_key: result.apiKey });
+  } catch (error) {
+    console.error('Error registering station:', error);
+    return res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// List active stations, optionally for one ?city; ?include_inactive=true lists all
+router.get('/', (req, res) => {
+  try {
+    let cityId = null;
+    if (req.query.city) {
+      const cityInfo = climateDB.getCityByName(req.query.city);
+      if (!cityInfo) {
+        return res.status(404).json({ success: false, error: `City '${req.query.city}' not found` });
+      }
+      cityId = cityInfo.id;
+    }
+
+    const stations = climateDB
+      .getStations({ cityId, activeOnly: req.query.include_inactive !== 'true' })
+      .map(station => stationService.publicStation(station));
+
+    return res.json({ success: true, count: stations.length, data: stations });
+  } catch (error) {
+    console.error('Error fetching stations:', error);
+    return res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+router.get('/:stationId', (req, res) => {
+  try {
+    const station = climateDB.getStationById(req.params.stationId);
+    if (!station) {
+      return res.status(404).json({ success: false, error: `Station '${req.params.stationId}' not found` });
+    }
+
+    return res.json({ success: true, data: stationService.publicStation(station) });
+  } catch (error) {
+    console.error('Error fetching station:', error);
+    return res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Deactivate a station; its key stops working and its readings are no longer fused
+router.delete('/:stationId', requireAdmin, (req, res) => {
+  try {
+    if (!climateDB.updateStation(req.params.stationId, { isActive: false })) {
+      return res.status(404).json({ success: false, error: `Station '${req.params.stationId}' not found` });
+    }
+
+    return res.json({ success: true, data: stationService.publicStation(climateDB.getStationById(req.params.stationId)) });
+  } catch (error) {
+    console.error('Error deactivating station:', error);
+    return res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Issue a new key for a station; the old one stops working immediately
+router.post('/:stationId/key', requireAdmin, (req, res) => {
+  try {
+    const apiKey = stationService.rotateKey(req.params.stationId);
+    if (!apiKey) {
+      return res.status(404).json({ success: false, error: `Station '${req.params.stationId}' not found` });
+    }
+
+    return res.json({ success: true, data: { station_id: req.params.stationId }, api_key: apiKey });
+  } catch (error) {
+    console.error('Error rotating station key:', error);
+    return res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+router.get('/:stationId/observations', (req, res) => {
+  try {
+    const station = climateDB.getStationById(req.params.stationId);
+    if (!station) {
+      return res.status(404).json({ success: false, error: `Station '${req.params.stationId}' not found` });
+    }
+
+    const observations = climateDB.getStationObservations(
+      station.id,
+      Math.min(parseInt(req.query.limit) || 50, 1000)
+    );
+
+    return res.json({ success: true, count: observations.length, data: observations });
+  } catch (error) {
+    console.error('Error fetching station observations:', error);
+    return res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * Upload readings. Accepts JSON (one reading, an array, or { observations: [...] })
+ * or text/csv with a header row. Valid readings are stored even if others are rejected.
+ * The station key is checked before a CSV body is read.
+ */
+router.post('/:stationId/observations', requireStation, express.text({ type: 'text/csv', limit: '1mb' }), (req, res) => {
+  try {
+    if (!stationService.isValidationAvailable()) {
+      return res.status(503).json({
+        success: false,
+        error: 'Station validation is unavailable; build the TypeScript ML utilities with npm run build'
+      });
+    }
+
+    let readings;
+    if (req.is('text/csv')) {
+      readings = stationService.parseCsv(req.body || '');
+    } else if (Array.isArray(req.body)) {
+      readings = req.body;
+    } else if (req.body && Array.isArray(req.body.observations)) {
+      readings = req.body.observations;
+    } else {
+      readings = [req.body];
+    }
+
+    if (readings.length === 0) {
+      return res.status(400).json({ success: false, error: 'No observations in request' });
+    }
+
+    if (readings.length > stationService.config.maxBatchSize) {
+      return res.status(413).json({
+        success: false,
+        error: `At most ${stationService.config.maxBatchSize} observations per request`
+      });
+    }
+
+    const result = stationService.ingestObservations(req.station, readings);
+    if (result.accepted + result.duplicates === 0) {
+      return res.status(400).json({ success: false, data: result });
+    }
+
+    // Fold current readings into the city's observation and alerts without waiting for its schedule
+    if (result.accepted > 0 && stationService.isCurrent(result.latest_observed_at)) {
+      const city = climateDB.getCityById(req.station.city_id);
+      if (city) {
+        ingestionService.refreshFromStation(city);
+      }
+    }
+
+    return res.status(result.accepted > 0 ? 201 : 200).json({ success: true, data: result });
+  } catch (error) {
+    console.error('Error storing station observations:', error);
+    return res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+module.exports = { router, initializeStationRouter };
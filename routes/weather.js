@@ -1,12 +1,17 @@
 // routes/weather.js
 const express = require('express');
-const axios = require('axios');
 const router = express.Router();
 const ClimateDB = require('../database/db');
+const { requireAdmin } = require('../utils/adminAuth');
 
 // We'll receive the shared API instance as a parameter
 let climateAPI;
 let climateDB;
+let ingestionService;
+let weatherProviders;
+let retentionService;
+let historyService;
+let geocodingService;
 
 const cityIds = {
   Delhi: 42182,
@@ -15,9 +20,41 @@ const cityIds = {
 };
 
 // Initialize with shared instances
-function initializeRouter(sharedAPI, sharedDB) {
+function initializeRouter(sharedAPI, sharedDB, sharedIngestion, sharedProviders, sharedRetention, sharedHistory, sharedGeocoding) {
   climateAPI = sharedAPI;
   climateDB = sharedDB;
+  ingestionService = sharedIngestion;
+  weatherProviders = sharedProviders;
+  retentionService = sharedRetention;
+  historyService = sharedHistory;
+  geocodingService = sharedGeocoding;
+}
+
+const splitList = (value) => (value ? String(value).split(',').map(item => item.trim()).filter(Boolean) : []);
+
+// Run a history series query from request parameters and send the page
+function sendHistorySeries(req, res, cities) {
+  const result = historyService.query(cities, {
+    from: req.query.from,
+    to: req.query.to || null,
+    metrics: splitList(req.query.metrics).map(metric => metric.toLowerCase()),
+    interval: (req.query.interval || 'AUTO').toUpperCase(),
+    agg: (req.query.agg || 'MEAN').toUpperCase(),
+    page: req.query.page ? Number(req.query.page) : 1,
+    limit: req.query.limit ? Number(req.query.limit) : 500
+  });
+  if (!result.valid) {
+    return res.status(400).json({ success: false, errors: result.errors });
+  }
+
+  const { valid, errors, data, ...query } = result;
+  return res.json({
+    success: true,
+    cities: cities.map(city => city.name),
+    ...query,
+    count: data.length,
+    data
+  });
 }
 
 router.get('/current/:city', async (req, res) => {
@@ -42,26 +79,12 @@ router.get('/current/:city', async (req, res) => {
     }
 
     console.log(`Fetching weather data for ${city} (ID: ${cityInfo.id})...`);
-    const weather = await climateAPI.getComprehensiveWeather(city, cityInfo.imd_id);
     
-    console.log('Weather data received:', {
-      city: weather.city,
-      hasOpenWeather: !!weather.openWeatherData,
-      hasIMD: !!weather.imdData,
-      hasOpenMeteo: !!weather.openMeteoData
-    });
-
-    // Prioritize data sources: Open-Meteo (free, reliable) > OpenWeather > Mock
-    let primaryWeatherData;
-    let dataSource;
+    // Fetching on demand also stores the observation and runs alert analysis
+    const result = await ingestionService.ingestCity(cityInfo, 'ON_DEMAND');
+    const weather = result.weather;
     
-    if (weather?.openMeteoData?.data) {
-      primaryWeatherData = weather.openMeteoData.data;
-      dataSource = weather.openMeteoData.source;
-    } else if (weather?.openWeatherData?.data) {
-      primaryWeatherData = weather.openWeatherData.data;
-      dataSource = weather.openWeatherData.source;
-    } else {
+    if (result.status !== 'SUCCESS') {
       console.log(`No weather data available for ${city}`);
       return res.status(503).json({ 
         success: false, 
@@ -69,30 +92,14 @@ router.get('/current/:city', async (req, res) => {
       });
     }
 
-    // Save data to database
-    if (primaryWeatherData) {
-      const dataToSave = {
-        city_id: cityInfo.id,
-        city_name: city,
-        temperature: primaryWeatherData.main.temp ?? 0,
-        humidity: primaryWeatherData.main.humidity ?? 0,
-        rainfall: primaryWeatherData.rain?.['1h'] ?? 0,
-        weather_description: primaryWeatherData.weather?.[0]?.description ?? 'Unknown',
-        data_source: dataSource || 'Unknown',
-      };
-
-      try {
-        climateDB.insertWeatherData(dataToSave);
-        console.log(`Weather data saved for ${city} from ${dataSource}`);
-      } catch (dbError) {
-        console.error('Database save error:', dbError.message);
-        // Continue anyway - don't fail the request
-      }
-    }
-
     // Include city metadata in response
     const response = {
-      ...weather,
+      city: weather.city,
+      cityId: weather.cityId,
+      ...weather.sources,
+      source: weather.source,
+      attempts: weather.attempts,
+      observation: result.observation,
       cityInfo: cityInfo
     };
 
@@ -179,6 +186,7 @@ router.get('/latest/:city', async (req, res) => {
         rainfall: latestData.rainfall,
         weather_description: latestData.weather_description,
         data_source: latestData.data_source,
+        confidence: latestData.confidence,
         recorded_at: latestData.recorded_at,
         cityInfo: cityInfo
       };
@@ -370,6 +378,7 @@ router.get('/location/:location', async (req, res) => {
 });
 
 // Search for locations (cities, villages, areas) - LOCATION SEARCH ENDPOINT
+// Answered from the gazetteer cache first; see LOCATION_SEARCH.md
 router.get('/search/:query', async (req, res) => {
   try {
     const query = req.params.query;
@@ -378,51 +387,25 @@ router.get('/search/:query', async (req, res) => {
     
     console.log(`Searching for locations matching: ${query}`);
     
-    const searchParams = {
-      name: query,
-      count: limit,
-      language: 'en',
-      format: 'json'
-    };
-    
-    if (country) {
-      searchParams.country = country;
-    }
-    
-    const response = await axios.get(`${climateAPI.geocodingURL}/search`, {
-      params: searchParams
-    });
+    const { source, stale, results } = await geocodingService.search(query, { country, limit });
     
-    if (!response.data || !response.data.results) {
+    if (results.length === 0) {
       return res.json({
         success: false,
         message: 'No locations found',
         query: query,
+        source: source,
         results: []
       });
     }
     
-    const locations = response.data.results.map(result => ({
-      name: result.name,
-      country: result.country,
-      admin1: result.admin1, // State/Province
-      admin2: result.admin2, // District/County  
-      admin3: result.admin3, // City/Town
-      admin4: result.admin4, // Village/Neighborhood
-      latitude: result.latitude,
-      longitude: result.longitude,
-      elevation: result.elevation,
-      timezone: result.timezone,
-      population: result.population,
-      postcodes: result.postcodes,
-      feature_code: result.feature_code // PPL = populated place, PPLC = capital, etc.
-    }));
-    
     return res.json({
       success: true,
       query: query,
-      count: locations.length,
-      results: locations
+      source: source,
+      stale: stale,
+      count: results.length,
+      results: results
     });
     
   } catch (error) {
@@ -510,6 +493,26 @@ router.get('/all', async (req, res) => {
 });
 
 // Get weather history for a city
+// Compare cities: ?cities=Pune,Nashik&from=2025-06-01&to=2025-09-30&metrics=rainfall&interval=week&agg=sum&page=1&limit=500
+router.get('/history', (req, res) => {
+  try {
+    const names = splitList(req.query.cities);
+    const cities = names.map(name => climateDB.getCityByName(name));
+    const missing = names.filter((name, index) => !cities[index]);
+    if (missing.length > 0) {
+      return res.status(404).json({ success: false, error: `Cities not found: ${missing.join(', ')}` });
+    }
+
+    return sendHistorySeries(req, res, cities);
+  } catch (error) {
+    console.error('Error querying weather history:', error);
+    return res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Latest ?limit observations, or a time range with ?from&to, served from raw observations
+// or hourly, daily or monthly rollups depending on its length (override with ?resolution).
+// With ?interval, ?agg or ?metrics, an aggregated series as for /history?cities=
 router.get('/history/:city', async (req, res) => {
   try {
     const { city } = req.params;
@@ -523,12 +526,54 @@ router.get('/history/:city', async (req, res) => {
       });
     }
 
+    if (req.query.interval || req.query.agg || req.query.metrics) {
+      return sendHistorySeries(req, res, [cityInfo]);
+    }
+
+    if (req.query.from || req.query.to || req.query.resolution) {
+      const result = retentionService.getHistory(cityInfo, {
+        from: req.query.from,
+        to: req.query.to || null,
+        resolution: (req.query.resolution || 'AUTO').toUpperCase(),
+        limit: Math.min(parseInt(req.query.limit) || 1000, 5000)
+      });
+      if (!result.valid) {
+        return res.status(400).json({ success: false, errors: result.errors });
+      }
+
+      return res.json({
+        success: true,
+        city: cityInfo,
+        resolution: result.resolution,
+        from: result.from,
+        to: result.to,
+        count: result.data.length,
+        data: result.data
+      });
+    }
+
     const history = climateDB.getWeatherHistory(city, parseInt(limit));
+    const latest = history[0];
     
     return res.json({
       success: true,
       city: cityInfo,
       count: history.length,
+      // Rolling totals as of the most recent reading
+      rainfall: latest ? {
+        rainfall_24h: latest.rainfall_24h,
+        rainfall_72h: latest.rainfall_72h,
+        rainfall_7d: latest.rainfall_7d,
+        recorded_at: latest.recorded_at
+      } : null,
+      // How many providers the latest reading combines and how far they agree
+      quality: latest ? {
+        data_source: latest.data_source,
+        source_count: latest.source_count,
+        confidence: latest.confidence,
+        disagreement_count: latest.disagreement_count,
+        recorded_at: latest.recorded_at
+      } : null,
       data: history
     });
   } catch (error) {
@@ -537,4 +582,198 @@ router.get('/history/:city', async (req, res) => {
   }
 });
 
+// Ingestion log, filtered by ?city, ?status (SUCCESS, NO_DATA, FAILED), ?trigger and ?limit
+router.get('/ingestion/runs', (req, res) => {
+  try {
+    let cityId = null;
+    if (req.query.city) {
+      const cityInfo = climateDB.getCityByName(req.query.city);
+      if (!cityInfo) {
+        return res.status(404).json({ success: false, error: `City '${req.query.city}' not found` });
+      }
+      cityId = cityInfo.id;
+    }
+
+    const runs = climateDB.getIngestionRuns({
+      cityId: cityId,
+      status: req.query.status ? req.query.status.toUpperCase() : null,
+      trigger: req.query.trigger ? req.query.trigger.toUpperCase() : null,
+      limit: Math.min(parseInt(req.query.limit) || 50, 500)
+    });
+
+    return res.json({ success: true, count: runs.length, data: runs });
+  } catch (error) {
+    console.error('Error fetching ingestion runs:', error);
+    return res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Per-city success rate and latency over the last ?hours (default 24)
+router.get('/ingestion/stats', (req, res) => {
+  try {
+    const hours = parseInt(req.query.hours) || 24;
+    return res.json({ success: true, hours: hours, data: climateDB.getIngestionStats(hours) });
+  } catch (error) {
+    console.error('Error fetching ingestion stats:', error);
+    return res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Polling interval, last run and next run for each monitored city
+router.get('/ingestion/schedule', (req, res) => {
+  try {
+    return res.json({
+      success: true,
+      default_interval_minutes: ingestionService.config.defaultIntervalMinutes,
+      concurrency: ingestionService.config.concurrency,
+      data: ingestionService.getSchedule()
+    });
+  } catch (error) {
+    console.error('Error fetching ingestion schedule:', error);
+    return res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Set a city's polling interval; { "interval_minutes": null } restores the default
+router.put('/ingestion/schedule/:city', requireAdmin, (req, res) => {
+  try {
+    const cityInfo = climateDB.getCityByName(req.params.city);
+    if (!cityInfo) {
+      return res.status(404).json({ success: false, error: `City '${req.params.city}' not found` });
+    }
+
+    const minutes = req.body.interval_minutes;
+    if (minutes !== null && (!Number.isInteger(minutes) || minutes < 5 || minutes > 1440)) {
+      return res.status(400).json({
+        success: false,
+        error: 'interval_minutes must be a whole number from 5 to 1440, or null for the default'
+      });
+    }
+
+    climateDB.setCityIngestionInterval(cityInfo.id, minutes);
+    const schedule = ingestionService.getSchedule().find(entry => entry.city_id === cityInfo.id);
+
+    return res.json({
+      success: true,
+      data: schedule || {
+        city_id: cityInfo.id,
+        city_name: cityInfo.name,
+        interval_minutes: minutes || ingestionService.config.defaultIntervalMinutes,
+        uses_default_interval: minutes === null,
+        monitored: false
+      }
+    });
+  } catch (error) {
+    console.error('Error updating ingestion schedule:', error);
+    return res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Ingest a city now, outside its schedule
+router.post('/ingestion/run/:city', requireAdmin, async (req, res) => {
+  try {
+    const cityInfo = climateDB.getCityByName(req.params.city);
+    if (!cityInfo) {
+      return res.status(404).json({ success: false, error: `City '${req.params.city}' not found` });
+    }
+
+    const result = await ingestionService.ingestCity(cityInfo, 'MANUAL');
+    return res.status(result.status === 'SUCCESS' ? 200 : 502).json({
+      success: result.status === 'SUCCESS',
+      status: result.status,
+      source: result.source || null,
+      error: result.error || null,
+      data: result.observation || null
+    });
+  } catch (error) {
+    console.error('Error running ingestion:', error);
+    return res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Health, circuit state and priority order of each weather provider
+router.get('/providers', (req, res) => {
+  try {
+    return res.json({ success: true, data: weatherProviders.getStatus() });
+  } catch (error) {
+    console.error('Error fetching provider status:', error);
+    return res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Each provider's running error against the other providers per city and field, and its fusion weight
+router.get('/providers/accuracy', (req, res) => {
+  try {
+    let cityId = null;
+    if (req.query.city) {
+      const cityInfo = climateDB.getCityByName(req.query.city);
+      if (!cityInfo) {
+        return res.status(404).json({ success: false, error: `City '${req.query.city}' not found` });
+      }
+      cityId = cityInfo.id;
+    }
+
+    const accuracy = ingestionService.fusionService.getAccuracy(cityId);
+    return res.json({ success: true, count: accuracy.length, data: accuracy });
+  } catch (error) {
+    console.error('Error fetching provider accuracy:', error);
+    return res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Set the provider order for a region, or DEFAULT for every region without its own
+router.put('/providers/priority/:region', requireAdmin, (req, res) => {
+  try {
+    const region = req.params.region;
+    const regions = climateDB.getAllCities().map(city => city.region);
+    if (region !== 'DEFAULT' && !regions.includes(region)) {
+      return res.status(404).json({ success: false, error: `Region '${region}' not found` });
+    }
+
+    const result = weatherProviders.setPriority(region, req.body.providers, req.body.updated_by || null);
+    if (!result.valid) {
+      return res.status(400).json({ success: false, errors: result.errors });
+    }
+
+    return res.json({
+      success: true,
+      data: { region: region, providers: weatherProviders.getPriority(region) }
+    });
+  } catch (error) {
+    console.error('Error updating provider priority:', error);
+    return res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Remove a region's provider order so it falls back to DEFAULT
+router.delete('/providers/priority/:region', requireAdmin, (req, res) => {
+  try {
+    if (!weatherProviders.deletePriority(req.params.region)) {
+      return res.status(404).json({ success: false, error: `No provider priority set for '${req.params.region}'` });
+    }
+
+    return res.json({
+      success: true,
+      data: { region: req.params.region, providers: weatherProviders.getPriority(req.params.region) }
+    });
+  } catch (error) {
+    console.error('Error deleting provider priority:', error);
+    return res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Clear a provider's health and close its circuit, e.g. after fixing its configuration
+router.post('/providers/:name/reset', requireAdmin, (req, res) => {
+  try {
+    if (!weatherProviders.resetProvider(req.params.name)) {
+      return res.status(404).json({ success: false, error: `Provider '${req.params.name}' not found` });
+    }
+
+    return res.json({ success: true, data: weatherProviders.getStatus().providers.find(p => p.name === req.params.name) });
+  } catch (error) {
+    console.error('Error resetting provider:', error);
+    return res.status(500).json({ success: false, error: error.message });
+  }
+});
+
 module.exports = { router, initializeRouter };
@@ -8,7 +8,17 @@ require('dotenv').config();
 const ClimateAPIService = require('./utils/climateAPIs');
 const ClimateDB = require('./database/db');
 const AlertService = require('./services/alertService');
+const NotificationService = require('./services/notificationService');
+const IngestionService = require('./services/ingestionService');
+const WeatherProviderService = require('./services/weatherProviderService');
+const StationService = require('./services/stationService');
+const BackfillService = require('./services/backfillService');
+const RetentionService = require('./services/retentionService');
+const HistoryService = require('./services/historyService');
+const ExportService = require('./services/exportService');
 const FarmingService = require('./services/farmingService');
+const FarmService = require('./services/farmService');
+const GeocodingService = require('./services/geocodingService');
 const MLService = require('./ml/ml_service');
 const { 
   initializeAdvancedML, 
@@ -19,8 +29,12 @@ const {
   getMLHealthStatus
 } = require('./ml-ts/bridge.js');
 const { router: weatherRouter, initializeRouter } = require('./routes/weather');
+const { router: stationRouter, initializeStationRouter } = require('./routes/stations');
+const { router: archiveRouter, initializeArchiveRouter } = require('./routes/archive');
 const { router: alertRouter, initializeAlertRouter } = require('./routes/alerts');
+const { router: exportRouter, initializeExportRouter } = require('./routes/exports');
 const { router: farmingRouter, initializeFarmingRouter } = require('./routes/farming');
+const { router: farmRouter, initializeFarmRouter } = require('./routes/farms');
 const { router: mlRouter, initializeMLRouter } = require('./routes/ml');
 const mlAdvancedRouter = require('./routes/ml-advanced');
 const profitPredictionRouter = require('./routes/profit-prediction');
@@ -41,9 +55,13 @@ app.use(express.json());
 app.use(express.static(path.join(__dirname, 'frontend')));
 
 // API routes
+app.use('/api/weather/stations', stationRouter);
+app.use('/api/weather/archive', archiveRouter);
 app.use('/api/weather', weatherRouter);
 app.use('/api/alerts', alertRouter);
+app.use('/api/export', exportRouter);
 app.use('/api/farming', farmingRouter);
+app.use('/api/farms', farmRouter);
 app.use('/api/ml', mlRouter);
 app.use('/api/ml-advanced', mlAdvancedRouter);
 app.use('/api/profit', profitPredictionRouter);
@@ -56,13 +74,29 @@ app.get('/api/health', (req, res) => {
 // Initialize services
 const climateAPI = new ClimateAPIService();
 const climateDB = new ClimateDB();
-const alertService = new AlertService(climateDB, io);
+const notificationService = new NotificationService(climateDB);
+const alertService = new AlertService(climateDB, io, notificationService);
+const weatherProviders = new WeatherProviderService(climateDB, climateAPI);
+const stationService = new StationService(climateDB);
+const ingestionService = new IngestionService(climateDB, climateAPI, {
+  io,
+  alertService,
+  providers: weatherProviders,
+  stations: stationService
+});
+const backfillService = new BackfillService(climateDB, climateAPI);
+const retentionService = new RetentionService(climateDB);
+const historyService = new HistoryService(climateDB, retentionService);
+const exportService = new ExportService(climateDB, historyService);
 const farmingService = new FarmingService(climateDB);
+const farmService = new FarmService(climateDB);
+const geocodingService = new GeocodingService(climateDB, climateAPI);
+climateAPI.setGeocoder(geocodingService);
 const mlService = new MLService(climateDB, climateAPI);
 
 // Initialize Advanced TypeScript ML Service
 let advancedMLInitialized = false;
-initializeAdvancedML(climateDB, climateAPI)
+initializeAdvancedML(climateDB, climateAPI, mlService)
   .then(() => {
     advancedMLInitialized = true;
     console.log('🚀 Advanced TypeScript ML Service initialized successfully!');
@@ -72,53 +106,63 @@ initializeAdvancedML(climateDB, climateAPI)
   });
 
 // Initialize route handlers with shared instances
-initializeRouter(climateAPI, climateDB);
+initializeRouter(climateAPI, climateDB, ingestionService, weatherProviders, retentionService, historyService, geocodingService);
+initializeStationRouter(stationService, ingestionService, climateDB);
+initializeArchiveRouter(backfillService, climateDB);
 initializeAlertRouter(alertService);
+initializeExportRouter(exportService, climateDB);
 initializeFarmingRouter(farmingService, climateDB, climateAPI);
+initializeFarmRouter(farmService, ingestionService, alertService, climateDB);
 initializeMLRouter(mlService);
 
 // Get active cities from database
 let cities = [];
-let cityIds = {};
 
 // Load cities from database
 function loadCitiesFromDB() {
   try {
-    const allCities = climateDB.getAllCities();
-    cities = allCities.slice(0, 10).map(city => city.name);
-    cityIds = {};
-    
-    allCities.forEach(city => {
-      cityIds[city.name] = city.imd_id;
-    });
-    
-    console.log(`Loaded ${cities.length} cities for weather monitoring:`, cities);
-    console.log(`Total cities available: ${allCities.length}`);
+    cities = climateDB.getMonitoredSites().map(city => city.name);
+    console.log(`Loaded ${cities.length} cities and farms for weather monitoring`);
   } catch (error) {
     console.error('Error loading cities from database:', error.message);
     // Fallback to original cities
     cities = ['Delhi', 'Mumbai', 'Chennai'];
-    cityIds = { Delhi: 42182, Mumbai: 43003, Chennai: 43279 };
   }
 }
 
 io.on('connection', (socket) => {
   console.log('User connected via WebSocket');
 
+  // Re-attach returning devices to their saved alert subscriptions
+  try {
+    alertService.attachSocket(socket);
+  } catch (error) {
+    console.error('Error restoring alert subscriptions:', error.message);
+  }
+
   socket.on('subscribe_weather', (city) => {
     console.log(`User subscribed to ${city} weather`);
     socket.join(`weather_${city}`);
-    
+  });
+
+  socket.on('subscribe_alerts', (request = {}) => {
+    const token = socket.data.subscriberToken;
+    if (!token) {
+      return;
+    }
+
     // Save subscription to database
     try {
-      const cityInfo = climateDB.getCityByName(city);
+      const cityInfo = climateDB.getCityByName(request.city);
       if (cityInfo) {
-        alertService.subscribeToAlerts(
-          socket.id, 
+        alertService.ensureSubscription(
+          token,
           cityInfo.id, 
-          city, 
-          ['FLOOD', 'HEAT']
+          cityInfo.name, 
+          request.alertTypes || alertService.alertTypes,
+          request.minLevel
         );
+        socket.join(`weather_${cityInfo.name}`);
       }
     } catch (error) {
       console.error('Error subscribing to alerts:', error.message);
@@ -127,157 +171,15 @@ io.on('connection', (socket) => {
 
   socket.on('disconnect', () => {
     console.log('User disconnected');
-    // Clean up alert subscriptions for this socket
+    // Subscriptions are kept; only record when the device was last seen
     try {
-      climateDB.db.prepare('DELETE FROM alert_subscriptions WHERE socket_id = ?').run(socket.id);
+      alertService.detachSocket(socket);
     } catch (error) {
-      console.error('Error cleaning up subscriptions:', error.message);
+      console.error('Error updating subscriber on disconnect:', error.message);
     }
   });
 });
 
-// Fetch weather every 30 minutes and broadcast
-setInterval(async () => {
-  console.log('Fetching latest weather...');
-  for (const city of cities) {
-    try {
-      const weather = await climateAPI.getComprehensiveWeather(city, cityIds[city]);
-      
-      // Prioritize Open-Meteo data, then OpenWeather, then fallback to mock
-      let primaryWeatherData;
-      let dataSource;
-      
-      if (weather.openMeteoData && weather.openMeteoData.data) {
-        primaryWeatherData = weather.openMeteoData.data;
-        dataSource = weather.openMeteoData.source || 'Open-Meteo';
-      } else if (weather.openWeatherData && weather.openWeatherData.data) {
-        primaryWeatherData = weather.openWeatherData.data;
-        dataSource = weather.openWeatherData.source || 'OpenWeather';
-      }
-      
-      if (primaryWeatherData) {
-        const dataToSave = {
-          city_name: city,
-          city_id: cityIds[city],
-          temperature: primaryWeatherData.main.temp,
-          feels_like: primaryWeatherData.main.feels_like,
-          temp_min: primaryWeatherData.main.temp_min,
-          temp_max: primaryWeatherData.main.temp_max,
-          humidity: primaryWeatherData.main.humidity,
-          pressure: primaryWeatherData.main.pressure,
-          rainfall: primaryWeatherData.rain?.['1h'] || 0,
-          wind_speed: primaryWeatherData.wind?.speed,
-          wind_direction: primaryWeatherData.wind?.deg,
-          wind_gust: primaryWeatherData.wind?.gust,
-          visibility: primaryWeatherData.visibility,
-          uv_index: primaryWeatherData.uv_index,
-          cloud_cover: primaryWeatherData.clouds?.all,
-          dew_point: primaryWeatherData.dew_point,
-          // Enhanced agricultural parameters
-          heat_index: primaryWeatherData.heat_index,
-          wind_chill: primaryWeatherData.wind_chill,
-          soil_temperature: primaryWeatherData.soil_temperature,
-          soil_moisture: primaryWeatherData.soil_moisture,
-          evapotranspiration: primaryWeatherData.evapotranspiration,
-          growing_degree_days: primaryWeatherData.growing_degree_days,
-          air_quality_pm25: primaryWeatherData.air_quality?.pm25,
-          air_quality_pm10: primaryWeatherData.air_quality?.pm10,
-          air_quality_index: primaryWeatherData.air_quality?.aqi,
-          pressure_trend: primaryWeatherData.pressure_trend,
-          moon_phase: primaryWeatherData.moon_phase,
-          moon_illumination: primaryWeatherData.moon_illumination,
-          weather_description: primaryWeatherData.weather[0].description,
-          weather_condition: primaryWeatherData.weather[0].main,
-          data_source: dataSource,
-          sunrise: primaryWeatherData.sys?.sunrise,
-          sunset: primaryWeatherData.sys?.sunset,
-          // Open-Meteo specific enhancements
-          is_day: primaryWeatherData.is_day,
-          sunshine_duration: primaryWeatherData.sunshine_duration,
-        };
-        climateDB.insertWeatherData(dataToSave);
-        
-        // Analyze weather data for alerts
-        try {
-          alertService.analyzeWeatherData(dataToSave);
-        } catch (alertError) {
-          console.error(`Error analyzing weather data for alerts in ${city}:`, alertError.message);
-        }
-        
-        // Broadcast update to subscribed clients
-        io.to(`weather_${city}`).emit('weather_update', dataToSave);
-        console.log(`Successfully fetched and saved weather for ${city} from ${dataSource}`);
-      } else {
-        console.error(`No weather data received for ${city} from any source.`);
-      }
-    } catch (err) {
-      console.error(`Error fetching weather for ${city}:`, err.message);
-    }
-  }
-}, 30 * 60 * 1000); // every 30 minutes
-
-// Fetch initial weather data
-async function fetchInitialWeather() {
-  console.log('Fetching initial weather data...');
-  for (const cityName of cities) {
-    try {
-      const cityInfo = climateDB.getCityByName(cityName);
-      if (!cityInfo) {
-        console.warn(`City ${cityName} not found in database`);
-        continue;
-      }
-
-      const weather = await climateAPI.getComprehensiveWeather(cityName, cityInfo.imd_id);
-      
-      // Prioritize Open-Meteo data, then OpenWeather
-      let primaryWeatherData;
-      let dataSource;
-      
-      if (weather.openMeteoData && weather.openMeteoData.data) {
-        primaryWeatherData = weather.openMeteoData.data;
-        dataSource = weather.openMeteoData.source || 'Open-Meteo';
-      } else if (weather.openWeatherData && weather.openWeatherData.data) {
-        primaryWeatherData = weather.openWeatherData.data;
-        dataSource = weather.openWeatherData.source || 'OpenWeather';
-      }
-      
-      if (primaryWeatherData) {
-        const dataToSave = {
-          city_id: cityInfo.id,
-          city_name: cityName,
-          temperature: primaryWeatherData.main.temp,
-          feels_like: primaryWeatherData.main.feels_like,
-          temp_min: primaryWeatherData.main.temp_min,
-          temp_max: primaryWeatherData.main.temp_max,
-          humidity: primaryWeatherData.main.humidity,
-          pressure: primaryWeatherData.main.pressure,
-          rainfall: primaryWeatherData.rain?.['1h'] || 0,
-          wind_speed: primaryWeatherData.wind?.speed,
-          wind_direction: primaryWeatherData.wind?.deg,
-          weather_description: primaryWeatherData.weather[0].description,
-          weather_condition: primaryWeatherData.weather[0].main,
-          data_source: dataSource,
-        };
-        
-        climateDB.insertWeatherData(dataToSave);
-        
-        // Analyze weather data for alerts
-        try {
-          alertService.analyzeWeatherData(dataToSave);
-        } catch (alertError) {
-          console.error(`Error analyzing weather data for alerts in ${cityName}:`, alertError.message);
-        }
-        
-        console.log(`Successfully fetched and saved initial weather for ${cityName} from ${dataSource}`);
-      } else {
-        console.error(`No initial weather data received for ${cityName}`);
-      }
-    } catch (err) {
-      console.error(`Error fetching initial weather for ${cityName}:`, err.message);
-    }
-  }
-}
-
 // Initialize database and start server
 async function startServer() {
   try {
@@ -287,8 +189,14 @@ async function startServer() {
     // Initialize ML service (includes table creation)
     await mlService.initialize();
     
-    // Fetch initial weather data
-    await fetchInitialWeather();
+    // Fetch initial weather data, then keep polling each city on its schedule
+    await ingestionService.start(cities);
+
+    // Keep backfilled weather archives current
+    backfillService.start();
+
+    // Roll up and purge old observations
+    retentionService.start();
     
     // Start server
     const PORT = process.env.PORT || 4002;
@@ -9,7 +9,17 @@ import dotenv from 'dotenv';
 const ClimateAPIService = require('./utils/climateAPIs');
 const ClimateDB = require('./database/db');
 const AlertService = require('./services/alertService');
+const NotificationService = require('./services/notificationService');
+const IngestionService = require('./services/ingestionService');
+const WeatherProviderService = require('./services/weatherProviderService');
+const StationService = require('./services/stationService');
+const BackfillService = require('./services/backfillService');
+const RetentionService = require('./services/retentionService');
+const HistoryService = require('./services/historyService');
+const ExportService = require('./services/exportService');
 const FarmingService = require('./services/farmingService');
+const FarmService = require('./services/farmService');
+const GeocodingService = require('./services/geocodingService');
 const MLService = require('./ml/ml_service');
 
 // Import TypeScript ML bridge
@@ -19,13 +29,18 @@ const {
   getAdvancedCropRecommendations,
   getAdvancedAlertPredictions,
   getComprehensiveInsights,
+  getAdvancedMLModels,
   getMLHealthStatus
 } = require('./ml-ts/bridge.js');
 
 // Import route modules
 const { router: weatherRouter, initializeRouter } = require('./routes/weather');
+const { router: stationRouter, initializeStationRouter } = require('./routes/stations');
+const { router: archiveRouter, initializeArchiveRouter } = require('./routes/archive');
 const { router: alertRouter, initializeAlertRouter } = require('./routes/alerts');
+const { router: exportRouter, initializeExportRouter } = require('./routes/exports');
 const { router: farmingRouter, initializeFarmingRouter } = require('./routes/farming');
+const { router: farmRouter, initializeFarmRouter } = require('./routes/farms');
 const { router: mlRouter, initializeMLRouter } = require('./routes/ml');
 const mlAdvancedRouter = require('./routes/ml-advanced');
 
@@ -40,55 +55,16 @@ interface ServerConfig {
   staticPath: string;
 }
 
-interface WeatherData {
-  city_name: string;
-  city_id: number;
-  temperature: number;
-  feels_like?: number;
-  temp_min?: number;
-  temp_max?: number;
-  humidity: number;
-  pressure: number;
-  rainfall: number;
-  wind_speed?: number;
-  wind_direction?: number;
-  wind_gust?: number;
-  visibility?: number;
-  uv_index?: number;
-  cloud_cover?: number;
-  dew_point?: number;
-  heat_index?: number;
-  wind_chill?: number;
-  soil_temperature?: number;
-  soil_moisture?: number;
-  evapotranspiration?: number;
-  growing_degree_days?: number;
-  air_quality_pm25?: number;
-  air_quality_pm10?: number;
-  air_quality_index?: number;
-  pressure_trend?: string;
-  moon_phase?: number;
-  moon_illumination?: number;
-  weather_description: string;
-  weather_condition: string;
-  data_source: string;
-  sunrise?: number;
-  sunset?: number;
-  is_day?: boolean;
-  sunshine_duration?: number;
-}
-
 interface CityInfo {
   id: number;
   name: string;
   imd_id: number;
 }
 
-interface SocketSubscription {
-  socket_id: string;
-  city_id: number;
-  city_name: string;
-  alert_types: string[];
+interface AlertSubscriptionRequest {
+  city?: string;
+  alertTypes?: string[];
+  minLevel?: string;
 }
 
 /**
@@ -104,15 +80,23 @@ class ClimateServer {
   // Service instances
   private climateAPI: any;
   private climateDB: any;
+  private notificationService: any;
   private alertService: any;
+  private weatherProviders: any;
+  private stationService: any;
+  private ingestionService: any;
+  private backfillService: any;
+  private retentionService: any;
+  private historyService: any;
+  private exportService: any;
   private farmingService: any;
+  private farmService: any;
+  private geocodingService: any;
   private mlService: any;
   
   // Server state
   private cities: string[] = [];
-  private cityIds: Record<string, number> = {};
   private advancedMLInitialized: boolean = false;
-  private weatherUpdateInterval: NodeJS.Timeout | null = null;
 
   constructor() {
     this.app = express();
@@ -170,13 +154,29 @@ class ClimateServer {
       // Initialize core services
       this.climateAPI = new ClimateAPIService();
       this.climateDB = new ClimateDB();
-      this.alertService = new AlertService(this.climateDB, this.io);
+      this.notificationService = new NotificationService(this.climateDB);
+      this.alertService = new AlertService(this.climateDB, this.io, this.notificationService);
+      this.weatherProviders = new WeatherProviderService(this.climateDB, this.climateAPI);
+      this.stationService = new StationService(this.climateDB);
+      this.ingestionService = new IngestionService(this.climateDB, this.climateAPI, {
+        io: this.io,
+        alertService: this.alertService,
+        providers: this.weatherProviders,
+        stations: this.stationService
+      });
+      this.backfillService = new BackfillService(this.climateDB, this.climateAPI);
+      this.retentionService = new RetentionService(this.climateDB);
+      this.historyService = new HistoryService(this.climateDB, this.retentionService);
+      this.exportService = new ExportService(this.climateDB, this.historyService);
       this.farmingService = new FarmingService(this.climateDB);
+      this.farmService = new FarmService(this.climateDB);
+      this.geocodingService = new GeocodingService(this.climateDB, this.climateAPI);
+      this.climateAPI.setGeocoder(this.geocodingService);
       this.mlService = new MLService(this.climateDB, this.climateAPI);
 
       // Initialize Advanced TypeScript ML Service
       try {
-        await initializeAdvancedML(this.climateDB, this.climateAPI);
+        await initializeAdvancedML(this.climateDB, this.climateAPI, this.mlService);
         this.advancedMLInitialized = true;
         console.log('🚀 Advanced TypeScript ML Service initialized successfully!');
       } catch (error) {
@@ -198,15 +198,23 @@ class ClimateServer {
    */
   private initializeRoutes(): void {
     // Initialize route handlers with shared instances
-    initializeRouter(this.climateAPI, this.climateDB);
+    initializeRouter(this.climateAPI, this.climateDB, this.ingestionService, this.weatherProviders, this.retentionService, this.historyService, this.geocodingService);
+    initializeStationRouter(this.stationService, this.ingestionService, this.climateDB);
+    initializeArchiveRouter(this.backfillService, this.climateDB);
     initializeAlertRouter(this.alertService);
+    initializeExportRouter(this.exportService, this.climateDB);
     initializeFarmingRouter(this.farmingService, this.climateDB, this.climateAPI);
+    initializeFarmRouter(this.farmService, this.ingestionService, this.alertService, this.climateDB);
     initializeMLRouter(this.mlService);
 
     // Mount API routes
+    this.app.use('/api/weather/stations', stationRouter);
+    this.app.use('/api/weather/archive', archiveRouter);
     this.app.use('/api/weather', weatherRouter);
     this.app.use('/api/alerts', alertRouter);
+    this.app.use('/api/export', exportRouter);
     this.app.use('/api/farming', farmingRouter);
+    this.app.use('/api/farms', farmRouter);
     this.app.use('/api/ml', mlRouter);
     this.app.use('/api/ml-advanced', mlAdvancedRouter);
 
@@ -247,7 +255,7 @@ class ClimateServer {
           '/api/ml-advanced': 'Advanced TypeScript ML services'
         },
         websocket: {
-          events: ['subscribe_weather', 'weather_update', 'alert_notification'],
+          events: ['subscribe_weather', 'subscribe_alerts', 'weather_update', 'alert_notification', 'alert_digest', 'subscriptions_restored'],
           description: 'Real-time weather updates and alerts'
         }
       });
@@ -285,6 +293,13 @@ class ClimateServer {
     this.io.on('connection', (socket) => {
       console.log(`User connected via WebSocket: ${socket.id}`);
 
+      // Re-attach returning devices to their saved alert subscriptions
+      try {
+        this.alertService.attachSocket(socket);
+      } catch (error) {
+        console.error('Error restoring alert subscriptions:', error);
+      }
+
       socket.on('subscribe_weather', (city: string) => {
         if (!city || typeof city !== 'string') {
           socket.emit('error', { message: 'Invalid city name' });
@@ -294,28 +309,45 @@ class ClimateServer {
         console.log(`User ${socket.id} subscribed to ${city} weather`);
         socket.join(`weather_${city}`);
         
-        // Save subscription to database with error handling
         try {
           const cityInfo: CityInfo | null = this.climateDB.getCityByName(city);
           if (cityInfo) {
-            this.alertService.subscribeToAlerts(
-              socket.id, 
-              cityInfo.id, 
-              city, 
-              ['FLOOD', 'HEAT', 'DROUGHT', 'STORM']
-            );
-            
             // Send immediate weather update
             this.sendCurrentWeatherToSocket(socket, city);
           } else {
             socket.emit('error', { message: `City ${city} not found` });
           }
         } catch (error) {
-          console.error('Error subscribing to alerts:', error);
+          console.error('Error subscribing to weather:', error);
           socket.emit('error', { message: 'Failed to subscribe to weather updates' });
         }
       });
 
+      socket.on('subscribe_alerts', (request: AlertSubscriptionRequest = {}) => {
+        const token: string | undefined = socket.data.subscriberToken;
+        if (!token) {
+          return;
+        }
+
+        // Save subscription to database with error handling
+        try {
+          const cityInfo: CityInfo | null = this.climateDB.getCityByName(request.city);
+          if (cityInfo) {
+            this.alertService.ensureSubscription(
+              token,
+              cityInfo.id,
+              cityInfo.name,
+              request.alertTypes || this.alertService.alertTypes,
+              request.minLevel
+            );
+            socket.join(`weather_${cityInfo.name}`);
+          }
+        } catch (error) {
+          console.error('Error subscribing to alerts:', error);
+          socket.emit('error', { message: 'Failed to subscribe to alerts' });
+        }
+      });
+
       socket.on('unsubscribe_weather', (city: string) => {
         if (city && typeof city === 'string') {
           console.log(`User ${socket.id} unsubscribed from ${city} weather`);
@@ -327,22 +359,19 @@ class ClimateServer {
         socket.emit('ml_status', {
           advancedML: this.advancedMLInitialized,
           legacyML: this.mlService ? true : false,
-          availableModels: this.advancedMLInitialized ? [
-            'weather_prediction', 'crop_recommendation', 'alert_prediction',
-            'soil_monitoring', 'irrigation_optimization', 'energy_management',
-            'market_intelligence', 'pest_disease_prediction', 'seasonal_planning',
-            'air_quality_prediction', 'resource_management', 'climate_adaptation'
-          ] : ['legacy_models']
+          availableModels: this.advancedMLInitialized
+            ? getAdvancedMLModels().map((model: { name: string }) => model.name)
+            : ['legacy_models']
         });
       });
 
       socket.on('disconnect', (reason: string) => {
         console.log(`User ${socket.id} disconnected: ${reason}`);
-        // Clean up alert subscriptions for this socket
+        // Subscriptions are kept; only record when the device was last seen
         try {
-          this.climateDB.db.prepare('DELETE FROM alert_subscriptions WHERE socket_id = ?').run(socket.id);
+          this.alertService.detachSocket(socket);
         } catch (error) {
-          console.error('Error cleaning up subscriptions:', error);
+          console.error('Error updating subscriber on disconnect:', error);
         }
       });
 
@@ -357,27 +386,12 @@ class ClimateServer {
    */
   private loadCitiesFromDB(): void {
     try {
-      const allCities: CityInfo[] = this.climateDB.getAllCities();
-      this.cities = allCities.slice(0, 10).map(city => city.name);
-      this.cityIds = {};
-      
-      allCities.forEach(city => {
-        this.cityIds[city.name] = city.imd_id;
-      });
-      
-      console.log(`Loaded ${this.cities.length} cities for weather monitoring:`, this.cities);
-      console.log(`Total cities available: ${allCities.length}`);
+      this.cities = this.climateDB.getMonitoredSites().map((city: CityInfo) => city.name);
+      console.log(`Loaded ${this.cities.length} cities and farms for weather monitoring`);
     } catch (error) {
       console.error('Error loading cities from database:', error);
       // Fallback to default cities
       this.cities = ['Delhi', 'Mumbai', 'Chennai', 'Bangalore', 'Kolkata'];
-      this.cityIds = { 
-        Delhi: 42182, 
-        Mumbai: 43003, 
-        Chennai: 43279, 
-        Bangalore: 43295, 
-        Kolkata: 42809 
-      };
       console.log('Using fallback cities:', this.cities);
     }
   }
@@ -387,14 +401,14 @@ class ClimateServer {
    */
   private async sendCurrentWeatherToSocket(socket: any, city: string): Promise<void> {
     try {
-      const cityId = this.cityIds[city];
-      if (!cityId) return;
+      const cityInfo = this.climateDB.getCityByName(city);
+      if (!cityInfo) return;
 
-      const weather = await this.climateAPI.getComprehensiveWeather(city, cityId);
-      if (weather) {
+      const weather = await this.weatherProviders.fetchWeather(cityInfo);
+      if (weather.source) {
         socket.emit('weather_update', {
           city,
-          data: weather,
+          data: { city, cityId: weather.cityId, ...weather.sources },
           timestamp: new Date().toISOString()
         });
       }
@@ -404,99 +418,21 @@ class ClimateServer {
   }
 
   /**
-   * Start periodic weather updates
+   * Fetch initial weather, then keep polling each city on its schedule, extending
+   * backfilled archives daily and compacting old observations
    */
-  private startWeatherUpdates(): void {
-    // Fetch weather every 30 minutes
-    this.weatherUpdateInterval = setInterval(async () => {
-      console.log('Fetching latest weather updates...');
-      
-      for (const city of this.cities) {
-        try {
-          await this.fetchAndBroadcastWeather(city);
-        } catch (error) {
-          console.error(`Error updating weather for ${city}:`, error);
-        }
-      }
-    }, 30 * 60 * 1000); // 30 minutes
-  }
-
-  /**
-   * Fetch weather data and broadcast to subscribers
-   */
-  private async fetchAndBroadcastWeather(city: string): Promise<void> {
+  private async startWeatherUpdates(): Promise<void> {
     try {
-      const weather = await this.climateAPI.getComprehensiveWeather(city, this.cityIds[city]);
-      
-      // Process and validate weather data
-      let primaryWeatherData: any;
-      let dataSource: string = 'Unknown';
-      
-      if (weather.openMeteoData?.data) {
-        primaryWeatherData = weather.openMeteoData.data;
-        dataSource = weather.openMeteoData.source || 'Open-Meteo';
-      } else if (weather.openWeatherData?.data) {
-        primaryWeatherData = weather.openWeatherData.data;
-        dataSource = weather.openWeatherData.source || 'OpenWeather';
-      }
-      
-      if (primaryWeatherData) {
-        const weatherData: WeatherData = {
-          city_name: city,
-          city_id: this.cityIds[city],
-          temperature: primaryWeatherData.main.temp,
-          feels_like: primaryWeatherData.main.feels_like,
-          temp_min: primaryWeatherData.main.temp_min,
-          temp_max: primaryWeatherData.main.temp_max,
-          humidity: primaryWeatherData.main.humidity,
-          pressure: primaryWeatherData.main.pressure,
-          rainfall: primaryWeatherData.rain?.['1h'] || 0,
-          wind_speed: primaryWeatherData.wind?.speed,
-          wind_direction: primaryWeatherData.wind?.deg,
-          wind_gust: primaryWeatherData.wind?.gust,
-          visibility: primaryWeatherData.visibility,
-          uv_index: primaryWeatherData.uv_index,
-          cloud_cover: primaryWeatherData.clouds?.all,
-          dew_point: primaryWeatherData.dew_point,
-          heat_index: primaryWeatherData.heat_index,
-          wind_chill: primaryWeatherData.wind_chill,
-          soil_temperature: primaryWeatherData.soil_temperature,
-          soil_moisture: primaryWeatherData.soil_moisture,
-          evapotranspiration: primaryWeatherData.evapotranspiration,
-          growing_degree_days: primaryWeatherData.growing_degree_days,
-          air_quality_pm25: primaryWeatherData.air_quality?.pm25,
-          air_quality_pm10: primaryWeatherData.air_quality?.pm10,
-          air_quality_index: primaryWeatherData.air_quality?.aqi,
-          pressure_trend: primaryWeatherData.pressure_trend,
-          moon_phase: primaryWeatherData.moon_phase,
-          moon_illumination: primaryWeatherData.moon_illumination,
-          weather_description: primaryWeatherData.weather[0].description,
-          weather_condition: primaryWeatherData.weather[0].main,
-          data_source: dataSource,
-          sunrise: primaryWeatherData.sys?.sunrise,
-          sunset: primaryWeatherData.sys?.sunset,
-          is_day: primaryWeatherData.is_day,
-          sunshine_duration: primaryWeatherData.sunshine_duration,
-        };
-
-        // Save to database
-        this.climateDB.insertWeatherData(weatherData);
-        
-        // Analyze for alerts
-        this.alertService.analyzeWeatherData(weatherData);
-        
-        // Broadcast to WebSocket subscribers
-        this.io.to(`weather_${city}`).emit('weather_update', {
-          city,
-          data: weatherData,
-          timestamp: new Date().toISOString()
-        });
-        
-        console.log(`✅ Weather updated for ${city}: ${weatherData.temperature}°C, ${weatherData.humidity}% humidity`);
-      }
+      await this.ingestionService.start(this.cities);
     } catch (error) {
-      console.error(`Failed to fetch weather for ${city}:`, error);
+      console.error('Error starting weather ingestion:', error);
     }
+
+    // Keep backfilled weather archives current
+    this.backfillService.start();
+
+    // Roll up and purge old observations
+    this.retentionService.start();
   }
 
   /**
@@ -535,9 +471,9 @@ class ClimateServer {
       console.log(`\n🛑 Received ${signal}. Starting graceful shutdown...`);
       
       // Stop weather updates
-      if (this.weatherUpdateInterval) {
-        clearInterval(this.weatherUpdateInterval);
-      }
+      this.ingestionService.stop();
+      this.backfillService.stop();
+      this.retentionService.stop();
       
       // Close server
       this.server.close(() => {
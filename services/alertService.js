@@ -1,8 +1,54 @@
+// Fallback thresholds used when the database cannot be read. FLOOD_24H and FLOOD_72H are
+// rainfall accumulations (mm) used by flood checks, not hazards of their own
+const DEFAULT_THRESHOLDS = {
+  FLOOD: { LOW: 5, MEDIUM: 10, HIGH: 20, CRITICAL: 50 },
+  FLOOD_24H: { LOW: 35.5, MEDIUM: 64.5, HIGH: 115.6, CRITICAL: 204.5 },
+  FLOOD_72H: { LOW: 64.5, MEDIUM: 115.6, HIGH: 204.5, CRITICAL: 300 },
+  HEAT: { LOW: 35, MEDIUM: 40, HIGH: 45, CRITICAL: 50 },
+  DROUGHT: { LOW: 30, MEDIUM: 20, HIGH: 15, CRITICAL: 10 },
+  CYCLONE: { LOW: 1000, MEDIUM: 996, HIGH: 990, CRITICAL: 980 },
+  COLD: { LOW: 10, MEDIUM: 7, HIGH: 4, CRITICAL: 0 },
+  WIND: { LOW: 40, MEDIUM: 50, HIGH: 62, CRITICAL: 89 }
+};
+
+// Hazards where a lower reading is more severe
+const DESCENDING_ALERT_TYPES = ['DROUGHT', 'CYCLONE', 'COLD'];
+
+// Observation field each hazard is judged on; alerts are only auto-resolved
+// when that field was actually reported
+const HAZARD_INPUTS = {
+  FLOOD: 'rainfall',
+  HEAT: 'temperature',
+  DROUGHT: 'soil_moisture',
+  CYCLONE: 'pressure',
+  COLD: 'temperature',
+  WIND: 'wind_speed'
+};
+
+// Forecast days in a row a heat or cold threshold must be crossed to raise a watch
+const WATCH_CONSECUTIVE_DAYS = 3;
+
+// Hazards that get forecast-driven watches
+const WATCH_ALERT_TYPES = ['FLOOD', 'HEAT', 'COLD', 'WIND'];
+
+// How long a broadcast for a city/hazard/category/level suppresses an identical one, so an
+// event flapping around a threshold is not pushed again on every polling cycle
+const DEDUP_WINDOW_MINUTES = { LOW: 360, MEDIUM: 180, HIGH: 120, CRITICAL: 60 };
+
+// Minimum sustained wind (km/h) before low pressure is treated as a cyclone,
+// matching the coastal warning level in ml/alert_predictor.js
+const CYCLONE_MIN_WIND_SPEED = 30;
+
 class AlertService {
-  constructor(climateDB, io) {
+  constructor(climateDB, io, notificationService = null) {
     this.db = climateDB;
     this.io = io;
+    this.notificationService = notificationService;
+    this.recentBroadcasts = new Map(); // "cityId:type:level" -> last broadcast time (ms)
     this.alertLevels = ['LOW', 'MEDIUM', 'HIGH', 'CRITICAL'];
+    this.timers = [];
+    this.alertTypes = Object.keys(HAZARD_INPUTS);
+    this.thresholdTypes = Object.keys(DEFAULT_THRESHOLDS);
     
     // Load thresholds on initialization
     this.loadThresholds();
@@ -14,38 +60,137 @@ class AlertService {
   loadThresholds() {
     try {
       const thresholds = this.db.getAlertThresholds();
-      this.floodThresholds = {};
-      this.heatThresholds = {};
+      this.thresholds = {};
+      this.thresholdTypes.forEach(type => {
+        this.thresholds[type] = {};
+      });
+      
+      // Overrides by scope: { CITY: { '12': { HEAT: {...} } }, STATE: {...}, REGION: {...} }
+      this.thresholdOverrides = { CITY: {}, STATE: {}, REGION: {} };
       
       thresholds.forEach(threshold => {
-        if (threshold.alert_type === 'FLOOD') {
-          this.floodThresholds[threshold.level] = threshold.threshold_value;
-        } else if (threshold.alert_type === 'HEAT') {
-          this.heatThresholds[threshold.level] = threshold.threshold_value;
+        if (!this.thresholds[threshold.alert_type]) {
+          return;
+        }
+        
+        if (threshold.scope === 'DEFAULT') {
+          this.thresholds[threshold.alert_type][threshold.level] = threshold.threshold_value;
+          return;
+        }
+        
+        const scoped = this.thresholdOverrides[threshold.scope];
+        if (scoped) {
+          scoped[threshold.scope_value] = scoped[threshold.scope_value] || {};
+          scoped[threshold.scope_value][threshold.alert_type] = scoped[threshold.scope_value][threshold.alert_type] || {};
+          scoped[threshold.scope_value][threshold.alert_type][threshold.level] = threshold.threshold_value;
+        }
+      });
+
+      // Fill in any threshold type that has no configured thresholds
+      this.thresholdTypes.forEach(type => {
+        if (Object.keys(this.thresholds[type]).length === 0) {
+          this.thresholds[type] = { ...DEFAULT_THRESHOLDS[type] };
         }
       });
       
-      console.log('Alert thresholds loaded:', {
-        flood: this.floodThresholds,
-        heat: this.heatThresholds
+      // State and region of each city, for override resolution
+      this.cityScopes = {};
+      this.db.getAllCities().forEach(city => {
+        this.cityScopes[city.id] = { state: city.state, region: city.region };
       });
+      
+      console.log('Alert thresholds loaded:', this.thresholds);
+      console.log(`Threshold overrides loaded: ${Object.keys(this.thresholdOverrides.CITY).length} cities, ` +
+        `${Object.keys(this.thresholdOverrides.STATE).length} states, ${Object.keys(this.thresholdOverrides.REGION).length} regions`);
     } catch (error) {
       console.error('Error loading alert thresholds:', error.message);
       // Fallback to default thresholds
-      this.floodThresholds = { LOW: 5, MEDIUM: 10, HIGH: 20, CRITICAL: 50 };
-      this.heatThresholds = { LOW: 35, MEDIUM: 40, HIGH: 45, CRITICAL: 50 };
+      this.thresholds = JSON.parse(JSON.stringify(DEFAULT_THRESHOLDS));
+      this.thresholdOverrides = { CITY: {}, STATE: {}, REGION: {} };
+      this.cityScopes = {};
+    }
+  }
+
+  /**
+   * Resolve the thresholds that apply to a city for one hazard, in the order
+   * city → state → region → national default
+   * @param {number} cityId - City being checked
+   * @param {string} alertType - Hazard type
+   * @returns {Object} { scope, scope_value, thresholds }
+   */
+  resolveThresholds(cityId, alertType) {
+    const city = this.cityScopes[cityId] || {};
+    const candidates = [
+      ['CITY', cityId],
+      ['STATE', city.state],
+      ['REGION', city.region]
+    ];
+    
+    for (const [scope, value] of candidates) {
+      const override = value !== undefined && value !== null && this.thresholdOverrides[scope][value];
+      if (override && override[alertType]) {
+        return { scope, scope_value: String(value), thresholds: override[alertType] };
+      }
     }
+    
+    return { scope: 'DEFAULT', scope_value: '', thresholds: this.thresholds[alertType] };
+  }
+
+  getThresholdsForCity(cityId, alertType) {
+    return this.resolveThresholds(cityId, alertType).thresholds;
+  }
+
+  /**
+   * Check a LOW..CRITICAL threshold set before it is saved
+   * @returns {string|null} Error message, or null if valid
+   */
+  validateThresholdSet(alertType, values) {
+    if (!values || typeof values !== 'object') {
+      return 'thresholds must be an object of LOW, MEDIUM, HIGH and CRITICAL values';
+    }
+    
+    const missing = this.alertLevels.filter(level => typeof values[level] !== 'number' || !Number.isFinite(values[level]));
+    if (missing.length > 0) {
+      return `Numeric thresholds required for: ${missing.join(', ')}`;
+    }
+    
+    const unknown = Object.keys(values).filter(level => !this.alertLevels.includes(level));
+    if (unknown.length > 0) {
+      return `Unknown levels: ${unknown.join(', ')}`;
+    }
+    
+    // Severity must increase strictly from LOW to CRITICAL
+    const descending = DESCENDING_ALERT_TYPES.includes(alertType);
+    for (let i = 1; i < this.alertLevels.length; i++) {
+      const previous = values[this.alertLevels[i - 1]];
+      const current = values[this.alertLevels[i]];
+      if (descending ? current >= previous : current <= previous) {
+        return `${alertType} thresholds must ${descending ? 'decrease' : 'increase'} from LOW to CRITICAL`;
+      }
+    }
+    
+    return null;
   }
 
   startBackgroundTasks() {
-    // Clean expired alerts every hour
-    setInterval(() => {
-      this.db.cleanExpiredAlerts();
-    }, 60 * 60 * 1000);
+    // Resolve expired alerts every hour
+    this.timers.push(setInterval(() => {
+      this.expireAlerts();
+    }, 60 * 60 * 1000));
+    
+    // Send digests of held notifications every 15 minutes
+    this.timers.push(setInterval(() => {
+      this.sendDueDigests();
+    }, 15 * 60 * 1000));
     
     console.log('Alert service background tasks started');
   }
 
+  stop() {
+    this.timers.forEach(timer => clearInterval(timer));
+    this.timers = [];
+  }
+
   analyzeWeatherData(weatherData) {
     const alerts = [];
     
@@ -62,11 +207,23 @@ class AlertService {
         alerts.push(heatAlert);
       }
       
+      // Analyze for drought, cyclone, cold wave and high wind risk
+      const otherAlerts = [
+        this.checkDroughtRisk(weatherData),
+        this.checkCycloneRisk(weatherData),
+        this.checkColdRisk(weatherData),
+        this.checkWindRisk(weatherData)
+      ];
+      alerts.push(...otherAlerts.filter(Boolean));
+      
       // Process and save alerts
       for (const alert of alerts) {
         this.processAlert(alert);
       }
       
+      // Resolve alerts whose conditions have cleared
+      this.resolveClearedAlerts(weatherData, alerts.map(alert => alert.type));
+      
     } catch (error) {
       console.error('Error analyzing weather data for alerts:', error.message);
     }
@@ -77,28 +234,29 @@ class AlertService {
   checkFloodRisk(weatherData) {
     const rainfall = weatherData.rainfall || 0;
     
-    // Skip if no significant rainfall
-    if (rainfall < this.floodThresholds.LOW) {
-      return null;
-    }
+    // Intense short bursts use the city's hourly thresholds; sustained rain uses its
+    // accumulation thresholds. The most severe of the three decides the level.
+    const checks = [
+      { period: '1h', value: rainfall, thresholds: this.getThresholdsForCity(weatherData.city_id, 'FLOOD') },
+      { period: '24h', value: weatherData.rainfall_24h || 0, thresholds: this.getThresholdsForCity(weatherData.city_id, 'FLOOD_24H') },
+      { period: '72h', value: weatherData.rainfall_72h || 0, thresholds: this.getThresholdsForCity(weatherData.city_id, 'FLOOD_72H') }
+    ];
     
-    // Determine alert level
-    let alertLevel = 'LOW';
-    let threshold = this.floodThresholds.LOW;
+    let worst = null;
+    checks.forEach(check => {
+      const result = this.determineAlertLevel(check.value, check.thresholds);
+      if (result && (!worst || this.alertLevels.indexOf(result.level) > this.alertLevels.indexOf(worst.level))) {
+        worst = { ...result, period: check.period, value: check.value };
+      }
+    });
     
-    if (rainfall >= this.floodThresholds.CRITICAL) {
-      alertLevel = 'CRITICAL';
-      threshold = this.floodThresholds.CRITICAL;
-    } else if (rainfall >= this.floodThresholds.HIGH) {
-      alertLevel = 'HIGH';
-      threshold = this.floodThresholds.HIGH;
-    } else if (rainfall >= this.floodThresholds.MEDIUM) {
-      alertLevel = 'MEDIUM';
-      threshold = this.floodThresholds.MEDIUM;
+    // Skip if no significant rainfall
+    if (!worst) {
+      return null;
     }
     
     // Generate alert message
-    const message = this.generateFloodMessage(alertLevel, rainfall, weatherData.city_name);
+    const message = this.generateFloodMessage(worst.level, worst.value, weatherData.city_name, worst.period);
     
     // Calculate expiry (2 hours from now)
     const expiresAt = new Date(Date.now() + 2 * 60 * 60 * 1000).toISOString();
@@ -107,9 +265,15 @@ class AlertService {
       type: 'FLOOD',
       city_id: weatherData.city_id,
       city_name: weatherData.city_name,
-      alert_level: alertLevel,
-      rainfall_1h: rainfall,
-      threshold_exceeded: threshold,
+      alert_level: worst.level,
+      metrics: {
+        rainfall_1h: rainfall,
+        rainfall_24h: weatherData.rainfall_24h || 0,
+        rainfall_72h: weatherData.rainfall_72h || 0,
+        rainfall_7d: weatherData.rainfall_7d || 0,
+        trigger_period: worst.period
+      },
+      threshold_exceeded: worst.threshold,
       alert_message: message,
       expires_at: expiresAt,
       weatherData: weatherData
@@ -118,25 +282,26 @@ class AlertService {
 
   checkHeatRisk(weatherData) {
     const temperature = weatherData.temperature || 0;
+    const thresholds = this.getThresholdsForCity(weatherData.city_id, 'HEAT');
     
     // Skip if temperature is below threshold
-    if (temperature < this.heatThresholds.LOW) {
+    if (temperature < thresholds.LOW) {
       return null;
     }
     
     // Determine alert level
     let alertLevel = 'LOW';
-    let threshold = this.heatThresholds.LOW;
+    let threshold = thresholds.LOW;
     
-    if (temperature >= this.heatThresholds.CRITICAL) {
+    if (temperature >= thresholds.CRITICAL) {
       alertLevel = 'CRITICAL';
-      threshold = this.heatThresholds.CRITICAL;
-    } else if (temperature >= this.heatThresholds.HIGH) {
+      threshold = thresholds.CRITICAL;
+    } else if (temperature >= thresholds.HIGH) {
       alertLevel = 'HIGH';
-      threshold = this.heatThresholds.HIGH;
-    } else if (temperature >= this.heatThresholds.MEDIUM) {
+      threshold = thresholds.HIGH;
+    } else if (temperature >= thresholds.MEDIUM) {
       alertLevel = 'MEDIUM';
-      threshold = this.heatThresholds.MEDIUM;
+      threshold = thresholds.MEDIUM;
     }
     
     // Calculate heat index (simplified)
@@ -154,8 +319,10 @@ class AlertService {
       city_id: weatherData.city_id,
       city_name: weatherData.city_name,
       alert_level: alertLevel,
-      temperature: temperature,
-      heat_index: heatIndex,
+      metrics: {
+        temperature: temperature,
+        heat_index: heatIndex
+      },
       threshold_exceeded: threshold,
       alert_message: message,
       expires_at: expiresAt,
@@ -163,72 +330,720 @@ class AlertService {
     };
   }
 
+  /**
+   * Find the most severe level whose threshold the value has crossed
+   * @param {number} value - Observed metric
+   * @param {Object} thresholds - Threshold value per level
+   * @param {boolean} descending - True when lower values are more severe
+   * @returns {Object|null} { level, threshold } or null if below every threshold
+   */
+  determineAlertLevel(value, thresholds, descending = false) {
+    const crossed = (threshold) => descending ? value <= threshold : value >= threshold;
+    
+    for (const level of [...this.alertLevels].reverse()) {
+      if (thresholds[level] !== undefined && crossed(thresholds[level])) {
+        return { level, threshold: thresholds[level] };
+      }
+    }
+    return null;
+  }
+
+  checkDroughtRisk(weatherData) {
+    const soilMoisture = weatherData.soil_moisture;
+    
+    // Skip if soil moisture is not reported
+    if (soilMoisture === null || soilMoisture === undefined) {
+      return null;
+    }
+    
+    const result = this.determineAlertLevel(soilMoisture, this.getThresholdsForCity(weatherData.city_id, 'DROUGHT'), true);
+    if (!result) {
+      return null;
+    }
+    
+    const message = this.generateDroughtMessage(result.level, soilMoisture, weatherData.city_name);
+    
+    // Drought develops slowly, so keep the alert for 24 hours
+    const expiresAt = new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString();
+    
+    return {
+      type: 'DROUGHT',
+      city_id: weatherData.city_id,
+      city_name: weatherData.city_name,
+      alert_level: result.level,
+      metrics: {
+        soil_moisture: soilMoisture,
+        rainfall_7d: weatherData.rainfall_7d || 0
+      },
+      threshold_exceeded: result.threshold,
+      alert_message: message,
+      expires_at: expiresAt,
+      weatherData: weatherData
+    };
+  }
+
+  checkCycloneRisk(weatherData) {
+    const pressure = weatherData.pressure;
+    const windSpeed = Math.max(weatherData.wind_speed || 0, weatherData.wind_gust || 0);
+    
+    // Low pressure alone is common in the monsoon trough; require strong winds as well
+    if (!pressure || windSpeed < CYCLONE_MIN_WIND_SPEED) {
+      return null;
+    }
+    
+    const result = this.determineAlertLevel(pressure, this.getThresholdsForCity(weatherData.city_id, 'CYCLONE'), true);
+    if (!result) {
+      return null;
+    }
+    
+    const message = this.generateCycloneMessage(result.level, pressure, windSpeed, weatherData.city_name);
+    
+    // Calculate expiry (6 hours from now)
+    const expiresAt = new Date(Date.now() + 6 * 60 * 60 * 1000).toISOString();
+    
+    return {
+      type: 'CYCLONE',
+      city_id: weatherData.city_id,
+      city_name: weatherData.city_name,
+      alert_level: result.level,
+      metrics: {
+        pressure: pressure,
+        wind_speed: weatherData.wind_speed,
+        wind_gust: weatherData.wind_gust
+      },
+      threshold_exceeded: result.threshold,
+      alert_message: message,
+      expires_at: expiresAt,
+      weatherData: weatherData
+    };
+  }
+
+  checkColdRisk(weatherData) {
+    const temperature = weatherData.temperature;
+    
+    if (temperature === null || temperature === undefined) {
+      return null;
+    }
+    
+    // Wind chill makes cold waves harder on livestock and field workers
+    const effectiveTemperature = weatherData.wind_chill ?? temperature;
+    
+    const result = this.determineAlertLevel(effectiveTemperature, this.getThresholdsForCity(weatherData.city_id, 'COLD'), true);
+    if (!result) {
+      return null;
+    }
+    
+    const message = this.generateColdMessage(result.level, effectiveTemperature, weatherData.city_name);
+    
+    // Cold waves persist overnight, keep for 12 hours
+    const expiresAt = new Date(Date.now() + 12 * 60 * 60 * 1000).toISOString();
+    
+    return {
+      type: 'COLD',
+      city_id: weatherData.city_id,
+      city_name: weatherData.city_name,
+      alert_level: result.level,
+      metrics: {
+        temperature: temperature,
+        wind_chill: weatherData.wind_chill
+      },
+      threshold_exceeded: result.threshold,
+      alert_message: message,
+      expires_at: expiresAt,
+      weatherData: weatherData
+    };
+  }
+
+  checkWindRisk(weatherData) {
+    const windSpeed = Math.max(weatherData.wind_speed || 0, weatherData.wind_gust || 0);
+    
+    const result = this.determineAlertLevel(windSpeed, this.getThresholdsForCity(weatherData.city_id, 'WIND'));
+    if (!result) {
+      return null;
+    }
+    
+    const message = this.generateWindMessage(result.level, windSpeed, weatherData.city_name);
+    
+    // Calculate expiry (3 hours from now)
+    const expiresAt = new Date(Date.now() + 3 * 60 * 60 * 1000).toISOString();
+    
+    return {
+      type: 'WIND',
+      city_id: weatherData.city_id,
+      city_name: weatherData.city_name,
+      alert_level: result.level,
+      metrics: {
+        wind_speed: weatherData.wind_speed || windSpeed,
+        wind_gust: weatherData.wind_gust
+      },
+      threshold_exceeded: result.threshold,
+      alert_message: message,
+      expires_at: expiresAt,
+      weatherData: weatherData
+    };
+  }
+
+  /**
+   * Raise forecast-driven watch alerts before conditions are observed, and resolve
+   * watches the latest forecast no longer supports
+   * @param {Object} forecastData - { city_id, city_name, daily_forecast, hourly_forecast }
+   * @returns {Array} Watch alerts raised
+   */
+  analyzeForecast(forecastData) {
+    const watches = [];
+    
+    if (!forecastData.daily_forecast || forecastData.daily_forecast.length === 0) {
+      return watches;
+    }
+    
+    try {
+      watches.push(...[
+        this.checkFloodWatch(forecastData),
+        this.checkTemperatureWatch(forecastData, 'HEAT'),
+        this.checkTemperatureWatch(forecastData, 'COLD'),
+        this.checkWindWatch(forecastData)
+      ].filter(Boolean));
+      
+      for (const watch of watches) {
+        this.processAlert(watch);
+      }
+      
+      this.resolveClearedWatches(forecastData, watches.map(watch => watch.type));
+      
+    } catch (error) {
+      console.error('Error analyzing forecast for watches:', error.message);
+    }
+    
+    return watches;
+  }
+
+  // End of a forecast day as an ISO timestamp, used as a watch's expiry
+  endOfForecastDay(date) {
+    return new Date(new Date(`${date}T00:00:00Z`).getTime() + 24 * 60 * 60 * 1000).toISOString();
+  }
+
+  checkFloodWatch(forecastData) {
+    const days = forecastData.daily_forecast.slice(0, 3);
+    const rainfall72h = days.reduce((sum, day) => sum + (day.precipitation || 0), 0);
+    
+    const result = this.determineAlertLevel(rainfall72h, this.getThresholdsForCity(forecastData.city_id, 'FLOOD_72H'));
+    if (!result) {
+      return null;
+    }
+    
+    // Onset is the first forecast hour with measurable rain, else the first rainy day
+    const rainyHour = (forecastData.hourly_forecast || []).find(hour => (hour.precipitation || 0) >= 1);
+    const rainyDay = days.find(day => (day.precipitation || 0) >= 1) || days[0];
+    const onset = rainyHour ? rainyHour.time : rainyDay.date;
+    
+    return {
+      type: 'FLOOD',
+      category: 'WATCH',
+      city_id: forecastData.city_id,
+      city_name: forecastData.city_name,
+      alert_level: result.level,
+      metrics: {
+        forecast_rainfall_72h: Math.round(rainfall72h * 10) / 10,
+        daily_rainfall: days.map(day => day.precipitation || 0)
+      },
+      threshold_exceeded: result.threshold,
+      alert_message: this.generateWatchMessage('FLOOD', result.level, forecastData.city_name,
+        `${rainfall72h.toFixed(1)}mm of rain forecast over the next 72 hours`, onset),
+      expected_onset: onset,
+      expires_at: this.endOfForecastDay(days[days.length - 1].date)
+    };
+  }
+
+  /**
+   * Heat or cold watch when the daily maximum (heat) or minimum (cold) crosses a
+   * threshold on WATCH_CONSECUTIVE_DAYS forecast days in a row
+   */
+  checkTemperatureWatch(forecastData, alertType) {
+    const days = forecastData.daily_forecast;
+    const descending = alertType === 'COLD';
+    const field = descending ? 'temp_min' : 'temp_max';
+    const thresholds = this.getThresholdsForCity(forecastData.city_id, alertType);
+    
+    for (const level of [...this.alertLevels].reverse()) {
+      const crossed = (day) => day[field] !== null && day[field] !== undefined &&
+        (descending ? day[field] <= thresholds[level] : day[field] >= thresholds[level]);
+      
+      for (let start = 0; start + WATCH_CONSECUTIVE_DAYS <= days.length; start++) {
+        const run = days.slice(start, start + WATCH_CONSECUTIVE_DAYS);
+        if (!run.every(crossed)) {
+          continue;
+        }
+        
+        const extreme = descending
+          ? Math.min(...run.map(day => day[field]))
+          : Math.max(...run.map(day => day[field]));
+        const onset = run[0].date;
+        
+        return {
+          type: alertType,
+          category: 'WATCH',
+          city_id: forecastData.city_id,
+          city_name: forecastData.city_name,
+          alert_level: level,
+          metrics: {
+            [descending ? 'forecast_min_temperature' : 'forecast_max_temperature']: extreme,
+            consecutive_days: WATCH_CONSECUTIVE_DAYS,
+            dates: run.map(day => day.date)
+          },
+          threshold_exceeded: thresholds[level],
+          alert_message: this.generateWatchMessage(alertType, level, forecastData.city_name,
+            `${descending ? 'lows' : 'highs'} of ${extreme.toFixed(1)}°C forecast for ${WATCH_CONSECUTIVE_DAYS} days in a row`, onset),
+          expected_onset: onset,
+          expires_at: this.endOfForecastDay(run[run.length - 1].date)
+        };
+      }
+    }
+    
+    return null;
+  }
+
+  checkWindWatch(forecastData) {
+    const thresholds = this.getThresholdsForCity(forecastData.city_id, 'WIND');
+    let worst = null;
+    
+    forecastData.daily_forecast.forEach(day => {
+      const windSpeed = Math.max(day.wind_speed_max || 0, day.wind_gusts_max || 0);
+      const result = this.determineAlertLevel(windSpeed, thresholds);
+      if (result && (!worst || this.alertLevels.indexOf(result.level) > this.alertLevels.indexOf(worst.result.level))) {
+        worst = { day, windSpeed, result };
+      }
+    });
+    
+    if (!worst) {
+      return null;
+    }
+    
+    return {
+      type: 'WIND',
+      category: 'WATCH',
+      city_id: forecastData.city_id,
+      city_name: forecastData.city_name,
+      alert_level: worst.result.level,
+      metrics: {
+        forecast_wind_speed: worst.day.wind_speed_max,
+        forecast_wind_gust: worst.day.wind_gusts_max
+      },
+      threshold_exceeded: worst.result.threshold,
+      alert_message: this.generateWatchMessage('WIND', worst.result.level, forecastData.city_name,
+        `winds up to ${worst.windSpeed.toFixed(1)}km/h forecast`, worst.day.date),
+      expected_onset: worst.day.date,
+      expires_at: this.endOfForecastDay(worst.day.date)
+    };
+  }
+
+  resolveClearedWatches(forecastData, raisedTypes) {
+    const activeAlerts = this.db.getActiveAlertsForCity(forecastData.city_id);
+    
+    WATCH_ALERT_TYPES.filter(type => !raisedTypes.includes(type)).forEach(type => {
+      (activeAlerts[type.toLowerCase()] || [])
+        .filter(alert => alert.alert_category === 'WATCH')
+        .forEach(alert => {
+          this.transitionAlert(alert.id, {
+            eventType: 'RESOLVED',
+            status: 'RESOLVED',
+            note: 'Forecast no longer indicates risk'
+          });
+          console.log(`${type} watch resolved for ${forecastData.city_name}: forecast cleared`);
+        });
+    });
+  }
+
   processAlert(alert) {
     try {
-      // Check if similar alert already exists (avoid duplicates)
+      const category = alert.category || 'WARNING';
+      const label = category === 'WATCH' ? 'watch' : 'alert';
+      
+      // An ongoing event keeps a single alert per category that moves between levels
       const existingAlerts = this.db.getActiveAlertsForCity(alert.city_id);
-      const similarAlert = alert.type === 'FLOOD' 
-        ? existingAlerts.flood.find(a => a.alert_level === alert.alert_level)
-        : existingAlerts.heat.find(a => a.alert_level === alert.alert_level);
+      const sameType = existingAlerts[alert.type.toLowerCase()] || [];
+      const existingAlert = sameType.find(active => active.alert_category === category);
+      
+      if (category === 'WATCH' && sameType.some(active => active.alert_category === 'WARNING')) {
+        // Conditions are already observed, so the warning covers this event
+        return;
+      }
+      
+      if (category === 'WARNING') {
+        sameType.filter(active => active.alert_category === 'WATCH').forEach(watch => {
+          this.transitionAlert(watch.id, {
+            eventType: 'SUPERSEDED',
+            status: 'RESOLVED',
+            note: 'Superseded by an observed warning'
+          });
+        });
+      }
       
-      if (similarAlert) {
-        console.log(`Similar ${alert.type} alert already exists for ${alert.city_name} at ${alert.alert_level} level`);
+      if (!existingAlert) {
+        // Save alert to database
+        const result = this.db.insertAlert(alert);
+        alert.id = result.lastInsertRowid;
+        
+        // Broadcast alert to subscribed clients
+        this.broadcastAlert(alert);
+        
+        console.log(`${alert.type} ${label} generated for ${alert.city_name}: ${alert.alert_level} level`);
         return;
       }
       
-      // Save alert to database
-      if (alert.type === 'FLOOD') {
-        this.db.insertFloodAlert(alert);
-      } else if (alert.type === 'HEAT') {
-        this.db.insertHeatAlert(alert);
+      if (existingAlert.alert_level === alert.alert_level) {
+        console.log(`Similar ${alert.type} ${label} already exists for ${alert.city_name} at ${alert.alert_level} level`);
+        return;
       }
       
-      // Broadcast alert to subscribed clients
-      this.broadcastAlert(alert);
+      const escalating = this.alertLevels.indexOf(alert.alert_level) > this.alertLevels.indexOf(existingAlert.alert_level);
+      const eventType = escalating ? 'ESCALATED' : 'DEESCALATED';
+      
+      this.transitionAlert(existingAlert.id, {
+        eventType: eventType,
+        status: eventType,
+        level: alert.alert_level,
+        metrics: alert.metrics,
+        message: alert.alert_message,
+        thresholdExceeded: alert.threshold_exceeded,
+        expiresAt: alert.expires_at,
+        expectedOnset: alert.expected_onset,
+        note: `${existingAlert.alert_level} → ${alert.alert_level}`
+      });
+      
+      // Raised severity is pushed like a new alert
+      if (escalating) {
+        alert.id = existingAlert.id;
+        this.broadcastAlert(alert);
+      }
       
-      console.log(`${alert.type} alert generated for ${alert.city_name}: ${alert.alert_level} level`);
+      console.log(`${alert.type} ${label} for ${alert.city_name} ${eventType.toLowerCase()}: ${existingAlert.alert_level} → ${alert.alert_level}`);
       
     } catch (error) {
       console.error('Error processing alert:', error.message);
     }
   }
 
+  resolveClearedAlerts(weatherData, raisedTypes) {
+    const activeAlerts = this.db.getActiveAlertsForCity(weatherData.city_id);
+    
+    this.alertTypes.forEach(type => {
+      const input = weatherData[HAZARD_INPUTS[type]];
+      if (raisedTypes.includes(type) || input === null || input === undefined) {
+        return;
+      }
+      
+      // Watches follow the forecast, not the current observation
+      (activeAlerts[type.toLowerCase()] || []).filter(alert => alert.alert_category !== 'WATCH').forEach(alert => {
+        this.transitionAlert(alert.id, {
+          eventType: 'RESOLVED',
+          status: 'RESOLVED',
+          note: 'Conditions returned below alert thresholds'
+        });
+        console.log(`${type} alert resolved for ${weatherData.city_name}: conditions cleared`);
+      });
+    });
+  }
+
+  expireAlerts() {
+    const expiredAlerts = this.db.getExpiredActiveAlerts();
+    
+    expiredAlerts.forEach(alert => {
+      this.transitionAlert(alert.id, { eventType: 'EXPIRED', status: 'RESOLVED', note: 'Alert expired' });
+    });
+    
+    if (expiredAlerts.length > 0) {
+      console.log(`Resolved ${expiredAlerts.length} expired alerts.`);
+    }
+    
+    return expiredAlerts.length;
+  }
+
+  acknowledgeAlert(alertId, actor, note = null) {
+    return this.transitionAlert(alertId, {
+      eventType: 'ACKNOWLEDGED',
+      status: 'ACKNOWLEDGED',
+      actor: actor,
+      note: note
+    });
+  }
+
+  resolveAlert(alertId, actor, note = null) {
+    return this.transitionAlert(alertId, {
+      eventType: 'RESOLVED',
+      status: 'RESOLVED',
+      actor: actor,
+      note: note
+    });
+  }
+
+  /**
+   * Apply a lifecycle transition and notify clients watching the alert's city
+   * @param {number} alertId - Alert to transition
+   * @param {Object} transition - See ClimateDB.transitionAlert
+   * @returns {Object|null} Updated alert and recorded event
+   */
+  transitionAlert(alertId, transition) {
+    const result = this.db.transitionAlert(alertId, transition);
+    if (result) {
+      this.broadcastTransition(result.alert, result.event);
+    }
+    return result;
+  }
+
+  broadcastTransition(alert, event) {
+    try {
+      const payload = {
+        alert_id: alert.id,
+        type: alert.alert_type,
+        category: alert.alert_category,
+        city: alert.city_name,
+        event: event.event_type,
+        status: alert.status,
+        from_status: event.from_status,
+        level: alert.alert_level,
+        from_level: event.from_level,
+        actor: event.actor,
+        note: event.note,
+        timestamp: new Date().toISOString()
+      };
+      
+      // e.g. alert_acknowledged, alert_escalated, alert_resolved
+      this.io.to(`weather_${alert.city_name}`).emit(`alert_${event.event_type.toLowerCase()}`, payload);
+      
+      // Also broadcast to dashboards following every city
+      this.io.emit('alert_event', payload);
+      
+    } catch (error) {
+      console.error('Error broadcasting alert transition:', error.message);
+    }
+  }
+
+  /**
+   * Whether an alert repeats one broadcast for the same city, hazard and level
+   * within that level's dedup window; records the broadcast when it does not
+   * @param {Object} alert - Alert about to be broadcast
+   * @returns {boolean} True if the broadcast should be suppressed
+   */
+  isDuplicateBroadcast(alert) {
+    const key = `${alert.city_id}:${alert.type}:${alert.category || 'WARNING'}:${alert.alert_level}`;
+    const lastBroadcast = this.recentBroadcasts.get(key);
+    const now = Date.now();
+    
+    if (lastBroadcast && now - lastBroadcast < DEDUP_WINDOW_MINUTES[alert.alert_level] * 60 * 1000) {
+      return true;
+    }
+    
+    this.recentBroadcasts.set(key, now);
+    return false;
+  }
+
   broadcastAlert(alert) {
     try {
+      if (this.isDuplicateBroadcast(alert)) {
+        console.log(`Suppressed duplicate ${alert.type} ${alert.alert_level} broadcast for ${alert.city_name}`);
+        return;
+      }
+      
       // Broadcast to all clients subscribed to this city
       this.io.to(`weather_${alert.city_name}`).emit('alert_update', {
+        id: alert.id,
         type: alert.type,
+        category: alert.category || 'WARNING',
         level: alert.alert_level,
         city: alert.city_name,
         message: alert.alert_message,
+        expected_onset: alert.expected_onset || null,
         timestamp: new Date().toISOString(),
-        data: {
-          rainfall: alert.rainfall_1h,
-          temperature: alert.temperature,
-          heat_index: alert.heat_index
-        }
+        data: alert.metrics
       });
       
       // Also broadcast to general alert subscribers
       this.io.emit('new_alert', {
+        id: alert.id,
         type: alert.type,
+        category: alert.category || 'WARNING',
         level: alert.alert_level,
         city: alert.city_name,
         message: alert.alert_message,
+        expected_onset: alert.expected_onset || null,
         timestamp: new Date().toISOString()
       });
       
+      // Deliver to persistent subscribers whose preferences match
+      this.notifySubscribers(alert);
+      
     } catch (error) {
       console.error('Error broadcasting alert:', error.message);
     }
   }
 
-  generateFloodMessage(level, rainfall, cityName) {
+  /**
+   * Find subscriptions that want this alert, by city, hazard type and minimum level
+   * @param {Object} alert - Alert being delivered
+   * @returns {Array} Matching subscriptions, each with the subscriber token
+   */
+  getMatchingSubscriptions(alert) {
+    const levelRank = this.alertLevels.indexOf(alert.alert_level);
+    
+    return this.db.getAlertSubscriptions({ cityId: alert.city_id }).filter(subscription =>
+      subscription.alert_types.includes(alert.type) &&
+      levelRank >= this.alertLevels.indexOf(subscription.min_level)
+    );
+  }
+
+  /**
+   * Decide whether a subscriber's notification is held for their next digest.
+   * CRITICAL alerts are always delivered immediately.
+   * @param {Object} subscriber - alert_subscribers row with notification preferences
+   * @param {Object} alert - Alert being delivered
+   * @returns {string|null} DIGEST_MODE, QUIET_HOURS or RATE_LIMIT, or null to deliver now
+   */
+  getHoldReason(subscriber, alert) {
+    if (alert.alert_level === 'CRITICAL') {
+      return null;
+    }
+    
+    if (subscriber.digest_mode &&
+        this.alertLevels.indexOf(alert.alert_level) <= this.alertLevels.indexOf(subscriber.digest_max_level)) {
+      return 'DIGEST_MODE';
+    }
+    
+    if (this.isInQuietHours(subscriber)) {
+      return 'QUIET_HOURS';
+    }
+    
+    if (this.db.countRecentSubscriberNotifications(subscriber.id) >= subscriber.rate_limit_per_hour) {
+      return 'RATE_LIMIT';
+    }
+    
+    return null;
+  }
+
+  isInQuietHours(subscriber, date = new Date()) {
+    if (!subscriber.quiet_hours_start || !subscriber.quiet_hours_end) {
+      return false;
+    }
+    
+    const localTime = new Intl.DateTimeFormat('en-GB', {
+      timeZone: subscriber.timezone,
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23'
+    }).format(date);
+    
+    const start = subscriber.quiet_hours_start;
+    const end = subscriber.quiet_hours_end;
+    
+    // Windows such as 22:00-06:00 wrap past midnight
+    return start <= end
+      ? localTime >= start && localTime < end
+      : localTime >= start || localTime < end;
+  }
+
+  notifySubscribers(alert) {
+    const subscriptions = this.getMatchingSubscriptions(alert);
+    
+    subscriptions.forEach(subscription => {
+      const subscriber = this.db.getSubscriberById(subscription.subscriber_id);
+      const holdReason = this.getHoldReason(subscriber, alert);
+      
+      this.db.recordSubscriberNotification(subscriber.id, alert, holdReason);
+      if (holdReason) {
+        console.log(`Held ${alert.type} alert for subscriber ${subscriber.id} (${holdReason})`);
+        return;
+      }
+      
+      this.io.to(`subscriber_${subscription.token}`).emit('alert_notification', {
+        id: alert.id,
+        type: alert.type,
+        category: alert.category || 'WARNING',
+        level: alert.alert_level,
+        city: alert.city_name,
+        message: alert.alert_message,
+        timestamp: new Date().toISOString(),
+        data: alert.metrics
+      });
+      
+      // Outbound channels (webhook, email, sms) reach subscribers without the dashboard open
+      if (this.notificationService) {
+        this.notificationService.dispatch(alert, subscription.subscriber_id);
+      }
+    });
+    
+    return subscriptions.length;
+  }
+
+  /**
+   * Bundle each subscriber's held notifications into a single digest, once their
+   * quiet hours are over and their digest interval has passed
+   * @returns {number} Number of digests sent
+   */
+  sendDueDigests() {
+    let sent = 0;
+    
+    try {
+      this.db.getSubscribersWithHeldNotifications().forEach(subscriber => {
+        if (this.isInQuietHours(subscriber)) {
+          return;
+        }
+        
+        const lastDigest = subscriber.last_digest_at ? new Date(`${subscriber.last_digest_at}Z`).getTime() : 0;
+        if (Date.now() - lastDigest < subscriber.digest_interval_minutes * 60 * 1000) {
+          return;
+        }
+        
+        const held = this.db.getHeldNotifications(subscriber.id);
+        const digest = this.db.createDigest(subscriber.id, held.map(notification => notification.id));
+        const payload = {
+          id: digest.id,
+          alert_count: held.length,
+          period_start: held[0].created_at,
+          period_end: held[held.length - 1].created_at,
+          alerts: held.map(notification => ({
+            id: notification.alert_id,
+            type: notification.alert_type,
+            level: notification.alert_level,
+            city: notification.city_name,
+            message: notification.alert_message,
+            held_reason: notification.held_reason,
+            timestamp: notification.created_at
+          }))
+        };
+        
+        this.io.to(`subscriber_${subscriber.token}`).emit('alert_digest', payload);
+        if (this.notificationService) {
+          this.notificationService.dispatchDigest(payload, subscriber.id);
+        }
+        
+        sent++;
+        console.log(`Sent digest of ${held.length} alert(s) to subscriber ${subscriber.id}`);
+      });
+    } catch (error) {
+      console.error('Error sending alert digests:', error.message);
+    }
+    
+    return sent;
+  }
+
+  generateWatchMessage(alertType, level, cityName, summary, onset) {
+    const advice = {
+      FLOOD: 'Clear field drains and move stored produce and livestock to higher ground.',
+      HEAT: 'Plan extra irrigation and shade for crops and livestock.',
+      COLD: 'Prepare covers for nurseries and frost-sensitive crops.',
+      WIND: 'Stake tall crops and secure sheds and polyhouses.'
+    };
+    return `${level} ${alertType.toLowerCase()} watch for ${cityName}: ${summary}, expected from ${onset}. ${advice[alertType] || ''}`.trim();
+  }
+
+  generateFloodMessage(level, rainfall, cityName, period = '1h') {
+    const reading = period === '1h'
+      ? `Current: ${rainfall.toFixed(1)}mm/h.`
+      : `Past ${period}: ${rainfall.toFixed(1)}mm.`;
     const messages = {
-      LOW: `Light rainfall detected in ${cityName}. Current: ${rainfall.toFixed(1)}mm/h. Monitor weather conditions.`,
-      MEDIUM: `Moderate rainfall in ${cityName}. Current: ${rainfall.toFixed(1)}mm/h. Potential flooding in low-lying areas.`,
-      HIGH: `Heavy rainfall in ${cityName}. Current: ${rainfall.toFixed(1)}mm/h. Flooding likely in vulnerable areas. Exercise caution.`,
-      CRITICAL: `Extreme rainfall in ${cityName}. Current: ${rainfall.toFixed(1)}mm/h. Severe flooding expected. Avoid travel and seek higher ground.`
+      LOW: `Light rainfall detected in ${cityName}. ${reading} Monitor weather conditions.`,
+      MEDIUM: `Moderate rainfall in ${cityName}. ${reading} Potential flooding in low-lying areas.`,
+      HIGH: `Heavy rainfall in ${cityName}. ${reading} Flooding likely in vulnerable areas. Exercise caution.`,
+      CRITICAL: `Extreme rainfall in ${cityName}. ${reading} Severe flooding expected. Avoid travel and seek higher ground.`
     };
     return messages[level] || `Flood alert for ${cityName}`;
   }
@@ -243,6 +1058,47 @@ class AlertService {
     return messages[level] || `Heat alert for ${cityName}`;
   }
 
+  generateDroughtMessage(level, soilMoisture, cityName) {
+    const messages = {
+      LOW: `Soil drying out in ${cityName}. Soil moisture: ${soilMoisture.toFixed(1)}%. Plan irrigation for the coming days.`,
+      MEDIUM: `Low soil moisture in ${cityName}. Soil moisture: ${soilMoisture.toFixed(1)}%. Crop water stress likely; irrigate sensitive crops.`,
+      HIGH: `Severe soil moisture deficit in ${cityName}. Soil moisture: ${soilMoisture.toFixed(1)}%. Prioritise water for standing crops and use mulching.`,
+      CRITICAL: `Extreme drought conditions in ${cityName}. Soil moisture: ${soilMoisture.toFixed(1)}%. High risk of crop failure. Contact local agriculture office.`
+    };
+    return messages[level] || `Drought alert for ${cityName}`;
+  }
+
+  generateCycloneMessage(level, pressure, windSpeed, cityName) {
+    const conditions = `Pressure: ${pressure.toFixed(1)}hPa, wind: ${windSpeed.toFixed(1)}km/h.`;
+    const messages = {
+      LOW: `Low pressure area near ${cityName}. ${conditions} Monitor coastal weather bulletins.`,
+      MEDIUM: `Depression developing near ${cityName}. ${conditions} Secure boats and loose structures.`,
+      HIGH: `Deep depression near ${cityName}. ${conditions} Storm surge and heavy rain likely. Fishermen should not venture out.`,
+      CRITICAL: `Cyclonic storm approaching ${cityName}. ${conditions} Evacuate low-lying coastal areas and follow official instructions.`
+    };
+    return messages[level] || `Cyclone alert for ${cityName}`;
+  }
+
+  generateColdMessage(level, temperature, cityName) {
+    const messages = {
+      LOW: `Cold conditions in ${cityName}. Current: ${temperature.toFixed(1)}°C. Protect sensitive crops and livestock at night.`,
+      MEDIUM: `Cold wave in ${cityName}. Current: ${temperature.toFixed(1)}°C. Cover nurseries and young plants, keep livestock sheltered.`,
+      HIGH: `Severe cold wave in ${cityName}. Current: ${temperature.toFixed(1)}°C. Frost damage possible; apply light irrigation in the evening.`,
+      CRITICAL: `Frost conditions in ${cityName}. Current: ${temperature.toFixed(1)}°C. Severe crop damage expected. Protect crops and avoid exposure.`
+    };
+    return messages[level] || `Cold wave alert for ${cityName}`;
+  }
+
+  generateWindMessage(level, windSpeed, cityName) {
+    const messages = {
+      LOW: `Strong winds in ${cityName}. Current: ${windSpeed.toFixed(1)}km/h. Secure loose objects and avoid spraying.`,
+      MEDIUM: `Very strong winds in ${cityName}. Current: ${windSpeed.toFixed(1)}km/h. Support tall crops and postpone field operations.`,
+      HIGH: `Gale force winds in ${cityName}. Current: ${windSpeed.toFixed(1)}km/h. Damage to crops and structures likely. Stay away from trees.`,
+      CRITICAL: `Storm force winds in ${cityName}. Current: ${windSpeed.toFixed(1)}km/h. Dangerous conditions. Stay indoors.`
+    };
+    return messages[level] || `High wind alert for ${cityName}`;
+  }
+
   calculateHeatIndex(temperature, humidity) {
     // Simplified heat index calculation (approximation)
     if (temperature < 80) return temperature; // Fahrenheit, convert if needed
@@ -266,8 +1122,68 @@ class AlertService {
     return this.db.getAllActiveAlerts();
   }
 
-  subscribeToAlerts(socketId, cityId, cityName, alertTypes = ['FLOOD', 'HEAT']) {
-    return this.db.subscribeToAlerts(socketId, cityId, cityName, alertTypes);
+  subscribeToAlerts(token, cityId, cityName, alertTypes = this.alertTypes, minLevel = 'MEDIUM') {
+    const subscriber = this.db.upsertSubscriber(token);
+    this.db.subscribeToAlerts(subscriber.id, cityId, cityName, alertTypes, minLevel);
+    return this.getSubscriptions(token);
+  }
+
+  // Subscribe only if the subscriber has no preferences for this city yet,
+  // so automatic re-subscription from clients never overwrites saved settings
+  ensureSubscription(token, cityId, cityName, alertTypes = this.alertTypes, minLevel = 'MEDIUM') {
+    const subscriber = this.getSubscriptions(token);
+    const existing = subscriber && subscriber.subscriptions.find(sub => sub.city_id === cityId);
+    
+    if (existing) {
+      return subscriber;
+    }
+    return this.subscribeToAlerts(token, cityId, cityName, alertTypes, minLevel);
+  }
+
+  getSubscriptions(token) {
+    const subscriber = this.db.getSubscriberByToken(token);
+    if (!subscriber) {
+      return null;
+    }
+    
+    return {
+      ...subscriber,
+      subscriptions: this.db.getAlertSubscriptions({ subscriberId: subscriber.id })
+    };
+  }
+
+  /**
+   * Re-attach a connecting socket to its subscriber, identified by the token the
+   * client passes in the Socket.IO handshake auth (or query string)
+   * @param {Object} socket - Connected Socket.IO socket
+   * @returns {Object|null} The subscriber with their subscriptions, or null for anonymous sockets
+   */
+  attachSocket(socket) {
+    const token = socket.handshake.auth?.token || socket.handshake.query?.token;
+    if (!token) {
+      return null;
+    }
+    
+    socket.data.subscriberToken = token;
+    socket.join(`subscriber_${token}`);
+    this.db.touchSubscriber(token);
+    
+    const subscriber = this.getSubscriptions(token);
+    if (subscriber) {
+      subscriber.subscriptions.forEach(subscription => {
+        socket.join(`weather_${subscription.city_name}`);
+      });
+      socket.emit('subscriptions_restored', subscriber);
+      console.log(`Restored ${subscriber.subscriptions.length} alert subscription(s) for subscriber ${subscriber.id}`);
+    }
+    
+    return subscriber;
+  }
+
+  detachSocket(socket) {
+    if (socket.data.subscriberToken) {
+      this.db.touchSubscriber(socket.data.subscriberToken);
+    }
   }
 }
 
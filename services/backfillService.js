@@ -0,0 +1,418 @@
+const { parseCsv } = require('../utils/csv');
+
+// Archived metrics: how hourly values combine into a day, and the accepted range on import.
+// Units follow IngestionService.OBSERVATION_FIELDS.
+const ARCHIVE_METRICS = {
+  temperature: { daily: 'mean', min: -60, max: 60 },
+  humidity: { daily: 'mean', min: 0, max: 100 },
+  pressure: { daily: 'mean', min: 800, max: 1200 },
+  rainfall: { daily: 'sum', min: 0, max: 1000 },
+  wind_speed: { daily: 'mean', min: 0, max: 400 },
+  wind_direction: { daily: 'bearing', min: 0, max: 360 },
+  wind_gust: { daily: 'max', min: 0, max: 500 },
+  cloud_cover: { daily: 'mean', min: 0, max: 100 },
+  soil_moisture: { daily: 'mean', min: 0, max: 100 }
+};
+
+// Open-Meteo archive variable -> archive metric, with unit conversion
+const OPEN_METEO_ARCHIVE_FIELDS = {
+  temperature_2m: { metric: 'temperature' },
+  relative_humidity_2m: { metric: 'humidity' },
+  pressure_msl: { metric: 'pressure' },
+  precipitation: { metric: 'rainfall' },
+  wind_speed_10m: { metric: 'wind_speed' },
+  wind_direction_10m: { metric: 'wind_direction' },
+  wind_gusts_10m: { metric: 'wind_gust' },
+  cloud_cover: { metric: 'cloud_cover' },
+  soil_moisture_0_to_7cm: { metric: 'soil_moisture', scale: 100 } // m³/m³ -> %
+};
+
+const ARCHIVE_RESOLUTIONS = ['HOURLY', 'DAILY'];
+
+// A day built from fewer hourly values than this is left out rather than stored as a partial total
+const MIN_HOURS_PER_DAY = 20;
+
+// Most rejected CSV lines reported back; the count covers all of them
+const MAX_REPORTED_REJECTIONS = 20;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const round = (value) => Math.round(value * 10) / 10;
+const isDate = (value) => typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(Date.parse(value));
+const toDateString = (ms) => new Date(ms).toISOString().slice(0, 10);
+
+/**
+ * Long-term weather history per city in weather_archive, separate from the rolling
+ * weather_data observations. History is backfilled from the Open-Meteo archive or
+ * imported from CSV files. Hourly values are downsampled to daily rows; hourly rows
+ * are kept only for the most recent `hourlyDays`, daily rows indefinitely.
+ */
+class BackfillService {
+  constructor(climateDB, climateAPI, config = {}) {
+    this.db = climateDB;
+    this.api = climateAPI;
+    this.config = {
+      hourlyDays: parseInt(process.env.ARCHIVE_HOURLY_DAYS) || 90,
+      maxYears: 10,
+      chunkDays: 366,
+      // The Open-Meteo archive trails real time by about five days
+      archiveLagDays: 5,
+      ...config
+    };
+    this.dateFormatters = {};
+    this.timers = [];
+  }
+
+  /**
+   * Keep archives current: once a day, extend each city already backfilled from
+   * Open-Meteo up to the archive's latest day, and prune old hourly rows
+   */
+  start() {
+    this.timers.push(setInterval(() => {
+      this.runMaintenance();
+    }, DAY_MS));
+    console.log('Weather archive maintenance scheduled daily');
+  }
+
+  stop() {
+    this.timers.forEach(timer => clearInterval(timer));
+    this.timers = [];
+  }
+
+  async runMaintenance() {
+    try {
+      const latestAvailable = toDateString(Date.now() - this.config.archiveLagDays * DAY_MS);
+
+      for (const city of this.db.getAllCities()) {
+        const lastDay = this.db.getLatestArchiveDay(city.id, 'Open-Meteo');
+        if (!lastDay) {
+          continue;
+        }
+
+        const from = toDateString(Date.parse(lastDay) + DAY_MS);
+        if (from <= latestAvailable) {
+          await this.backfillFromArchive(city, from, latestAvailable);
+        }
+      }
+
+      const pruned = this.db.pruneArchiveHourly(this.config.hourlyDays);
+      if (pruned > 0) {
+        console.log(`Pruned ${pruned} hourly archive rows older than ${this.config.hourlyDays} days`);
+      }
+    } catch (error) {
+      console.error('Error in weather archive maintenance:', error.message);
+    }
+  }
+
+  // Local calendar day of a UTC instant in the city's time zone, as YYYY-MM-DD
+  localDate(ms, timeZone) {
+    if (!this.dateFormatters[timeZone]) {
+      this.dateFormatters[timeZone] = new Intl.DateTimeFormat('en-CA', {
+        timeZone, year: 'numeric', month: '2-digit', day: '2-digit'
+      });
+    }
+    return this.dateFormatters[timeZone].format(ms);
+  }
+
+  validateRange(from, to) {
+    const errors = [];
+
+    if (!isDate(from) || !isDate(to)) {
+      errors.push('from and to must be dates in YYYY-MM-DD format');
+      return errors;
+    }
+
+    if (from > to) {
+      errors.push('from must not be after to');
+    }
+
+    if (to > toDateString(Date.now())) {
+      errors.push('to must not be in the future');
+    }
+
+    if (Date.parse(to) - Date.parse(from) > this.config.maxYears * 366 * DAY_MS) {
+      errors.push(`A backfill may cover at most ${this.config.maxYears} years`);
+    }
+
+    return errors;
+  }
+
+  /**
+   * Import hourly history for a city from the Open-Meteo archive, one chunk per year
+   * @param {Object} city - Row from the cities table
+   * @param {string} from - First day, YYYY-MM-DD
+   * @param {string} to - Last day, YYYY-MM-DD
+   * @returns {Object} { valid, errors, import }; import is the archive_imports row
+   */
+  async backfillFromArchive(city, from, to) {
+    const errors = this.validateRange(from, to);
+    if (errors.length > 0) {
+      return { valid: false, errors };
+    }
+
+    const importId = this.db.insertArchiveImport({
+      cityId: city.id, cityName: city.name, source: 'Open-Meteo', startDate: from, endDate: to
+    });
+    const totals = { hourlyRows: 0, dailyRows: 0, rejectedRows: 0 };
+    let error = null;
+
+    for (let chunkStart = Date.parse(from); chunkStart <= Date.parse(to); chunkStart += this.config.chunkDays * DAY_MS) {
+      const chunkEnd = Math.min(chunkStart + (this.config.chunkDays - 1) * DAY_MS, Date.parse(to));
+
+      try {
+        const archive = await this.api.getOpenMeteoArchive(
+          city.latitude, city.longitude, toDateString(chunkStart), toDateString(chunkEnd), city.timezone || 'auto'
+        );
+        const stored = this.storeHourly(city, this.mapOpenMeteoArchive(archive), 'Open-Meteo');
+        totals.hourlyRows += stored.hourlyRows;
+        totals.dailyRows += stored.dailyRows;
+      } catch (chunkError) {
+        error = `${toDateString(chunkStart)} to ${toDateString(chunkEnd)}: ${chunkError.message}`;
+        console.error(`Error backfilling weather archive for ${city.name}:`, error);
+        break;
+      }
+    }
+
+    const status = !error ? 'SUCCESS' : (totals.dailyRows > 0 ? 'PARTIAL' : 'FAILED');
+    console.log(`Weather archive backfill for ${city.name} ${from} to ${to}: ${status}, ${totals.dailyRows} days`);
+
+    return {
+      valid: true,
+      errors,
+      import: this.db.completeArchiveImport(importId, { status, ...totals, error })
+    };
+  }
+
+  /**
+   * Convert an Open-Meteo archive response to hourly readings
+   * @returns {Array} [{ time: UTC ms, ...metrics }]
+   */
+  mapOpenMeteoArchive(archive) {
+    const hourly = archive.hourly;
+    const offsetMs = (archive.utc_offset_seconds || 0) * 1000;
+
+    return hourly.time.map((time, index) => {
+      // Times are local to the requested time zone, without an offset
+      const reading = { time: Date.parse(`${time}Z`) - offsetMs };
+      Object.entries(OPEN_METEO_ARCHIVE_FIELDS).forEach(([variable, { metric, scale = 1 }]) => {
+        const value = hourly[variable] ? hourly[variable][index] : null;
+        reading[metric] = typeof value === 'number' ? round(value * scale) : null;
+      });
+      return reading;
+    });
+  }
+
+  /**
+   * Import history from a CSV file. Hourly files have a `time` column (ISO 8601; UTC
+   * unless it carries an offset), daily files a `date` column (YYYY-MM-DD, local to
+   * the city) and may add temp_min and temp_max. Other columns are ARCHIVE_METRICS names.
+   * @param {Object} city - Row from the cities table
+   * @param {string} text - CSV document
+   * @param {Object} options - { resolution: HOURLY or DAILY, source: label stored with the rows }
+   * @returns {Object} { valid, errors, import, rejected: [{ line, errors }] }
+   */
+  importCsv(city, text, { resolution = 'HOURLY', source = 'CSV' } = {}) {
+    if (!ARCHIVE_RESOLUTIONS.includes(resolution)) {
+      return { valid: false, errors: [`resolution must be one of: ${ARCHIVE_RESOLUTIONS.join(', ')}`] };
+    }
+
+    const records = parseCsv(text || '', { stringColumns: ['time', 'date'] });
+    if (records.length === 0) {
+      return { valid: false, errors: ['CSV has no data rows'] };
+    }
+
+    const readings = [];
+    const rejected = [];
+    records.forEach((record, index) => {
+      const result = resolution === 'HOURLY' ? this.parseHourlyRecord(record) : this.parseDailyRecord(record);
+      if (result.errors.length > 0) {
+        // Line 1 is the header
+        rejected.push({ line: index + 2, errors: result.errors });
+      } else {
+        readings.push(result.reading);
+      }
+    });
+
+    const periods = readings.map(reading => reading.time ?? reading.date).sort();
+    const importId = this.db.insertArchiveImport({
+      cityId: city.id,
+      cityName: city.name,
+      source,
+      startDate: periods.length > 0 ? this.periodDate(periods[0], city) : null,
+      endDate: periods.length > 0 ? this.periodDate(periods[periods.length - 1], city) : null
+    });
+
+    const stored = resolution === 'HOURLY'
+      ? this.storeHourly(city, readings, source)
+      : { hourlyRows: 0, dailyRows: this.storeDaily(city, readings, source) };
+    const status = rejected.length === 0 ? 'SUCCESS' : (readings.length > 0 ? 'PARTIAL' : 'FAILED');
+
+    return {
+      valid: true,
+      errors: [],
+      import: this.db.completeArchiveImport(importId, {
+        status,
+        ...stored,
+        rejectedRows: rejected.length,
+        error: rejected.length > 0 ? `${rejected.length} rows rejected` : null
+      }),
+      rejected: rejected.slice(0, MAX_REPORTED_REJECTIONS)
+    };
+  }
+
+  periodDate(period, city) {
+    return typeof period === 'number' ? this.localDate(period, city.timezone || 'UTC') : period;
+  }
+
+  // Check a record's metric columns against ARCHIVE_METRICS and copy them to the reading
+  parseMetrics(record, reading, errors, extraColumns = []) {
+    Object.keys(record)
+      .filter(key => !(key in ARCHIVE_METRICS) && !extraColumns.includes(key))
+      .forEach(key => errors.push(`Unknown column: ${key}`));
+
+    Object.entries(ARCHIVE_METRICS).forEach(([metric, { min, max }]) => {
+      const value = record[metric];
+      if (value === undefined) {
+        reading[metric] = null;
+        return;
+      }
+      if (typeof value !== 'number' || value < min || value > max) {
+        errors.push(`${metric} ${value} is outside valid range (${min} to ${max})`);
+        return;
+      }
+      reading[metric] = value;
+    });
+  }
+
+  parseHourlyRecord(record) {
+    const errors = [];
+    const time = Date.parse(/[zZ]|[+-]\d{2}:?\d{2}$/.test(record.time || '') ? record.time : `${record.time}Z`);
+    if (!record.time || isNaN(time)) {
+      errors.push(`time '${record.time}' is not a valid timestamp`);
+    } else if (time > Date.now()) {
+      errors.push('time is in the future');
+    }
+
+    const reading = { time };
+    this.parseMetrics(record, reading, errors, ['time']);
+    return { errors, reading };
+  }
+
+  parseDailyRecord(record) {
+    const errors = [];
+    if (!isDate(record.date)) {
+      errors.push(`date '${record.date}' is not a valid YYYY-MM-DD date`);
+    }
+
+    const reading = { date: record.date };
+    this.parseMetrics(record, reading, errors, ['date', 'temp_min', 'temp_max']);
+    ['temp_min', 'temp_max'].forEach(column => {
+      if (record[column] !== undefined && typeof record[column] !== 'number') {
+        errors.push(`${column} must be a number`);
+      }
+      reading[column] = typeof record[column] === 'number' ? record[column] : null;
+    });
+    return { errors, reading };
+  }
+
+  /**
+   * Store hourly readings: hourly rows inside the retention window, and daily rows
+   * downsampled from every complete local day
+   * @returns {Object} { hourlyRows, dailyRows }
+   */
+  storeHourly(city, allReadings, source) {
+    // The archive returns empty hours for days it has not processed yet
+    const readings = allReadings.filter(reading =>
+      Object.keys(ARCHIVE_METRICS).some(metric => typeof reading[metric] === 'number')
+    );
+    const hourlyCutoff = Date.now() - this.config.hourlyDays * DAY_MS;
+    const hourlyRows = readings
+      .filter(reading => reading.time >= hourlyCutoff)
+      .map(reading => ({
+        ...reading,
+        city_id: city.id,
+        city_name: city.name,
+        resolution: 'HOURLY',
+        period_start: new Date(reading.time).toISOString().slice(0, 13).replace('T', ' ') + ':00:00',
+        temp_min: reading.temperature,
+        temp_max: reading.temperature,
+        samples: 1,
+        source
+      }));
+
+    this.db.upsertArchiveRows(hourlyRows);
+    const dailyRows = this.storeDaily(city, this.downsampleDaily(city, readings), source);
+
+    return { hourlyRows: hourlyRows.length, dailyRows };
+  }
+
+  // Daily readings: { date, temp_min, temp_max, samples, ...metrics }
+  storeDaily(city, readings, source) {
+    return this.db.upsertArchiveRows(readings.map(reading => ({
+      ...reading,
+      city_id: city.id,
+      city_name: city.name,
+      resolution: 'DAILY',
+      period_start: reading.date,
+      source
+    })));
+  }
+
+  /**
+   * Aggregate hourly readings into local days, skipping days with fewer than
+   * MIN_HOURS_PER_DAY hours so a partial day never looks like a dry one
+   * @returns {Array} Daily readings
+   */
+  downsampleDaily(city, readings) {
+    const days = new Map();
+    readings.forEach(reading => {
+      const date = this.localDate(reading.time, city.timezone || 'UTC');
+      if (!days.has(date)) {
+        days.set(date, []);
+      }
+      days.get(date).push(reading);
+    });
+
+    const daily = [];
+    days.forEach((hours, date) => {
+      if (hours.length < MIN_HOURS_PER_DAY) {
+        return;
+      }
+
+      const day = { date, samples: hours.length };
+      Object.entries(ARCHIVE_METRICS).forEach(([metric, { daily: method }]) => {
+        const values = hours.map(hour => hour[metric]).filter(value => typeof value === 'number');
+        day[metric] = values.length > 0 ? this.aggregate(method, values) : null;
+      });
+
+      const temperatures = hours.map(hour => hour.temperature).filter(value => typeof value === 'number');
+      day.temp_min = temperatures.length > 0 ? Math.min(...temperatures) : null;
+      day.temp_max = temperatures.length > 0 ? Math.max(...temperatures) : null;
+      daily.push(day);
+    });
+
+    return daily;
+  }
+
+  aggregate(method, values) {
+    switch (method) {
+      case 'sum':
+        return round(values.reduce((sum, value) => sum + value, 0));
+      case 'max':
+        return Math.max(...values);
+      case 'bearing': {
+        // Mean of the bearings as unit vectors
+        const x = values.reduce((sum, value) => sum + Math.cos(value * Math.PI / 180), 0);
+        const y = values.reduce((sum, value) => sum + Math.sin(value * Math.PI / 180), 0);
+        return Math.round((Math.atan2(y, x) * 180 / Math.PI + 360) % 360);
+      }
+      default:
+        return round(values.reduce((sum, value) => sum + value, 0) / values.length);
+    }
+  }
+}
+
+BackfillService.ARCHIVE_METRICS = ARCHIVE_METRICS;
+BackfillService.ARCHIVE_RESOLUTIONS = ARCHIVE_RESOLUTIONS;
+
+module.exports = BackfillService;
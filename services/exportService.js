@@ -0,0 +1,225 @@
+const { once } = require('events');
+const { formatCsvRow } = require('../utils/csv');
+
+const EXPORT_FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  // CSV that opens cleanly in Excel: a byte order mark so it is read as UTF-8, and text
+  // cells that would be evaluated as formulas prefixed with an apostrophe
+  excel: { contentType: 'text/csv; charset=utf-8', extension: 'csv', byteOrderMark: true, guardFormulas: true },
+  ndjson: { contentType: 'application/x-ndjson; charset=utf-8', extension: 'ndjson' }
+};
+
+// Column layouts are part of the export format; add new columns at the end
+const EXPORT_DATASETS = {
+  weather: {
+    table: 'weather_data',
+    time: 'recorded_at',
+    keyColumns: ['id', 'city_id', 'city_name', 'recorded_at'],
+    metricColumns: [
+      'temperature', 'feels_like', 'temp_min', 'temp_max', 'humidity', 'pressure',
+      'rainfall', 'rainfall_24h', 'rainfall_72h', 'rainfall_7d',
+      'wind_speed', 'wind_direction', 'wind_gust', 'visibility', 'uv_index', 'cloud_cover',
+      'dew_point', 'heat_index', 'wind_chill', 'soil_temperature', 'soil_moisture', 'evapotranspiration',
+      'air_quality_pm25', 'air_quality_pm10', 'air_quality_index',
+      'weather_condition', 'weather_description', 'data_source', 'source_count', 'confidence'
+    ],
+    jsonColumns: [],
+    filters: {}
+  },
+  alerts: {
+    table: 'alerts',
+    time: 'created_at',
+    keyColumns: [
+      'id', 'city_id', 'city_name', 'alert_type', 'alert_level', 'alert_category', 'status',
+      'threshold_exceeded', 'alert_message', 'metrics', 'expected_onset', 'created_at', 'updated_at',
+      'expires_at', 'acknowledged_at', 'acknowledged_by', 'resolved_at'
+    ],
+    metricColumns: [],
+    jsonColumns: ['metrics'],
+    filters: { type: 'alert_type', level: 'alert_level', status: 'status', category: 'alert_category' }
+  },
+  predictions: {
+    table: 'ml_predictions',
+    // generated_at is stored as an ISO 8601 string
+    time: 'datetime(generated_at)',
+    keyColumns: [
+      'id', 'city_id', 'city_name', 'prediction_type', 'confidence', 'generated_at', 'valid_until', 'prediction_data'
+    ],
+    metricColumns: [],
+    jsonColumns: ['prediction_data'],
+    filters: { type: 'prediction_type' }
+  }
+};
+
+const CHUNK_SIZE = 1000;
+
+const toTimestamp = (ms) => new Date(ms).toISOString().replace('T', ' ').slice(0, 19);
+
+/**
+ * Streamed CSV and NDJSON exports of weather observations and series, alert history
+ * and ML predictions. Rows are read and written a chunk at a time, waiting for the
+ * client to catch up, so an export of any size uses a bounded amount of memory.
+ */
+class ExportService {
+  constructor(climateDB, historyService) {
+    this.db = climateDB;
+    this.history = historyService;
+  }
+
+  /**
+   * Validate an export request and plan how to read it
+   * @param {string} dataset - weather, alerts or predictions
+   * @param {Array} cities - Rows from the cities table; all cities if empty
+   * @param {Object} options - { from, to, metrics, interval, agg, and the dataset's filters (type, level, ...) }.
+   *   A weather export with interval or agg is an aggregated series, as in HistoryService.
+   * @returns {Object} { valid, errors, columns, jsonColumns, fetchChunk }; fetchChunk() returns
+   *   the next rows, or an empty array when done
+   */
+  prepareExport(dataset, cities, options = {}) {
+    if (dataset === 'weather' && (options.interval || options.agg)) {
+      return this.prepareSeriesExport(cities, options);
+    }
+
+    const config = EXPORT_DATASETS[dataset];
+    const errors = [];
+    const metrics = options.metrics || [];
+    const range = {};
+
+    ['from', 'to'].forEach(bound => {
+      if (options[bound]) {
+        const ms = this.history.retention.parseTime(options[bound]);
+        if (isNaN(ms)) {
+          errors.push(`${bound} '${options[bound]}' is not a valid timestamp`);
+        } else {
+          range[bound] = toTimestamp(ms);
+        }
+      }
+    });
+
+    const unknownMetrics = metrics.filter(metric => !config.metricColumns.includes(metric));
+    if (unknownMetrics.length > 0) {
+      errors.push(config.metricColumns.length > 0
+        ? `Unknown metrics: ${unknownMetrics.join(', ')}. Available: ${config.metricColumns.join(', ')}`
+        : `metrics does not apply to ${dataset} exports`);
+    }
+
+    if (errors.length > 0) {
+      return { valid: false, errors };
+    }
+
+    const columns = [...config.keyColumns, ...(metrics.length > 0 ? metrics : config.metricColumns)];
+    const filters = {};
+    Object.entries(config.filters).forEach(([parameter, column]) => {
+      if (options[parameter]) {
+        filters[column] = String(options[parameter]).toUpperCase();
+      }
+    });
+
+    // The ML services create ml_predictions when they first start
+    const available = this.db.hasTable(config.table);
+    let afterId = 0;
+
+    return {
+      valid: true,
+      errors,
+      columns,
+      jsonColumns: config.jsonColumns,
+      fetchChunk: () => {
+        if (!available) {
+          return [];
+        }
+        const rows = this.db.getExportRows(config.table, {
+          columns,
+          time: config.time,
+          cityNames: cities.map(city => city.name),
+          ...range,
+          filters,
+          afterId,
+          limit: CHUNK_SIZE
+        });
+        if (rows.length > 0) {
+          afterId = rows[rows.length - 1].id;
+        }
+        return rows;
+      }
+    };
+  }
+
+  prepareSeriesExport(cities, options) {
+    const resolved = this.history.resolveQuery(cities, { ...options, page: 1, limit: CHUNK_SIZE });
+    if (!resolved.valid) {
+      return resolved;
+    }
+
+    const series = { ...resolved.series };
+    let done = false;
+
+    return {
+      valid: true,
+      errors: [],
+      columns: ['city_id', 'city_name', 'period_start', ...series.metrics],
+      jsonColumns: [],
+      fetchChunk: () => {
+        if (done) {
+          return [];
+        }
+        const { rows } = this.db.getWeatherSeries(series);
+        series.offset += rows.length;
+        done = rows.length < series.limit;
+        return rows;
+      }
+    };
+  }
+
+  /**
+   * Write a prepared export to a stream in the given format, a chunk at a time. Stops
+   * early if the stream is closed, for example when the client disconnects.
+   * @param {Object} stream - Writable stream, such as an Express response
+   * @param {string} format - Key of EXPORT_FORMATS
+   * @param {Object} plan - Result of prepareExport
+   * @returns {number} Rows written
+   */
+  async writeExport(stream, format, plan) {
+    const { byteOrderMark, guardFormulas } = EXPORT_FORMATS[format];
+    const isCsv = format !== 'ndjson';
+    let written = 0;
+
+    if (isCsv) {
+      await this.write(stream, (byteOrderMark ? '\uFEFF' : '') + formatCsvRow(plan.columns));
+    }
+
+    for (let rows = plan.fetchChunk(); rows.length > 0 && !stream.destroyed; rows = plan.fetchChunk()) {
+      const lines = rows.map(row => (isCsv
+        ? formatCsvRow(plan.columns.map(column => row[column]), { guardFormulas })
+        : JSON.stringify(this.parseJsonColumns(row, plan.jsonColumns)) + '\n'));
+      await this.write(stream, lines.join(''));
+      written += rows.length;
+    }
+
+    return written;
+  }
+
+  // Nested JSON as objects in NDJSON; CSV keeps the JSON text in one cell
+  parseJsonColumns(row, jsonColumns) {
+    jsonColumns.forEach(column => {
+      try {
+        row[column] = row[column] ? JSON.parse(row[column]) : null;
+      } catch (error) {
+        // Leave text that is not valid JSON as it is
+      }
+    });
+    return row;
+  }
+
+  // Write, then wait for the stream to drain before producing more
+  async write(stream, chunk) {
+    if (!stream.write(chunk)) {
+      await Promise.race([once(stream, 'drain'), once(stream, 'close')]);
+    }
+  }
+}
+
+ExportService.EXPORT_FORMATS = EXPORT_FORMATS;
+ExportService.EXPORT_DATASETS = EXPORT_DATASETS;
+
+module.exports = ExportService;
@@ -0,0 +1,139 @@
+const { findNearest, isValidCoordinates } = require('../utils/geo');
+
+// Soil classes the irrigation optimizer distinguishes
+const SOIL_TYPES = ['clay', 'loam', 'sand', 'silt'];
+
+const MAX_CROPS = 20;
+
+/**
+ * User-defined farm locations. Each farm is registered as a site in the cities table,
+ * so it is polled, fused, alerted on and predicted for like any city, under its own
+ * name. State, region and timezone are taken from the nearest seeded city.
+ */
+class FarmService {
+  constructor(climateDB) {
+    this.db = climateDB;
+  }
+
+  /**
+   * Check farm details; on create, name, latitude and longitude are required
+   * @param {Object} details - { name, latitude, longitude, owner, area_hectares, soil_type, crops }
+   * @param {boolean} isUpdate - Validate only the fields given
+   * @returns {Array} Error messages
+   */
+  validate(details, isUpdate = false) {
+    const errors = [];
+    const { name, latitude, longitude, owner, area_hectares: area, soil_type: soilType, crops } = details;
+
+    if (isUpdate) {
+      if (name !== undefined) {
+        errors.push('name cannot be changed; weather history and alerts are stored under it');
+      }
+    } else if (!name || typeof name !== 'string' || !name.trim()) {
+      errors.push('name is required');
+    } else if (this.db.isSiteNameTaken(name.trim())) {
+      errors.push(`A city or farm named '${name.trim()}' already exists`);
+    }
+
+    const hasCoordinates = latitude !== undefined || longitude !== undefined;
+    if ((!isUpdate || hasCoordinates) && !isValidCoordinates(latitude, longitude)) {
+      errors.push('latitude and longitude must both be numbers in range');
+    }
+
+    if (owner !== undefined && (typeof owner !== 'string' || !owner.trim())) {
+      errors.push('owner must be a non-empty string');
+    }
+
+    if (area !== undefined && (typeof area !== 'number' || !(area > 0))) {
+      errors.push('area_hectares must be a positive number');
+    }
+
+    if (soilType !== undefined && !SOIL_TYPES.includes(soilType)) {
+      errors.push(`soil_type must be one of: ${SOIL_TYPES.join(', ')}`);
+    }
+
+    if (crops !== undefined && (!Array.isArray(crops) || crops.length > MAX_CROPS ||
+        crops.some(crop => typeof crop !== 'string' || !crop.trim()))) {
+      errors.push(`crops must be a list of at most ${MAX_CROPS} crop names`);
+    }
+
+    return errors;
+  }
+
+  // State, region and timezone of the seeded city nearest to a point
+  locate(latitude, longitude) {
+    const cities = this.db.getAllCities().filter(city => city.site_type !== 'FARM');
+    const nearest = findNearest(cities, latitude, longitude);
+    return {
+      state: nearest ? nearest.state : 'Unknown',
+      region: nearest ? nearest.region : null,
+      timezone: nearest ? nearest.timezone : 'Asia/Kolkata'
+    };
+  }
+
+  normalizeCrops(crops) {
+    return crops === undefined ? undefined : [...new Set(crops.map(crop => crop.trim().toLowerCase()))];
+  }
+
+  /**
+   * Register a farm
+   * @param {Object} details - As for validate
+   * @returns {Object} { valid, errors, farm }
+   */
+  createFarm(details) {
+    const errors = this.validate(details);
+    if (errors.length > 0) {
+      return { valid: false, errors };
+    }
+
+    const farm = this.db.insertFarm({
+      name: details.name.trim(),
+      latitude: details.latitude,
+      longitude: details.longitude,
+      ...this.locate(details.latitude, details.longitude),
+      owner: details.owner ? details.owner.trim() : null,
+      areaHectares: details.area_hectares,
+      soilType: details.soil_type,
+      crops: this.normalizeCrops(details.crops) || []
+    });
+
+    return { valid: true, errors, farm };
+  }
+
+  /**
+   * Change a farm's details; moving it also updates its state, region and timezone
+   * @param {number} id - Farm id
+   * @param {Object} details - Fields to change, as for validate
+   * @returns {Object} { valid, errors, farm }; farm is null when it does not exist
+   */
+  updateFarm(id, details) {
+    const errors = this.validate(details, true);
+    if (errors.length > 0) {
+      return { valid: false, errors };
+    }
+
+    const moved = details.latitude !== undefined;
+    const updated = this.db.updateFarm(id, {
+      ...(moved ? { latitude: details.latitude, longitude: details.longitude, ...this.locate(details.latitude, details.longitude) } : {}),
+      owner: details.owner ? details.owner.trim() : null,
+      areaHectares: details.area_hectares ?? null,
+      soilType: details.soil_type ?? null,
+      crops: this.normalizeCrops(details.crops) ?? null
+    });
+
+    return { valid: true, errors, farm: updated ? this.db.getFarmById(id) : null };
+  }
+
+  /**
+   * Stop monitoring a farm. Its site is deactivated rather than deleted, so the weather
+   * and alert history stored under its name is kept.
+   * @returns {Object|null} The farm, or null when it does not exist
+   */
+  deactivateFarm(id) {
+    return this.db.updateFarm(id, { isActive: false }) ? this.db.getFarmById(id) : null;
+  }
+}
+
+FarmService.SOIL_TYPES = SOIL_TYPES;
+
+module.exports = FarmService;
@@ -0,0 +1,193 @@
+const { searchKey, similarity } = require('../utils/placeNames');
+const { distanceKm } = require('../utils/geo');
+
+// Results asked of the geocoder per search, so any limit up to this is served from cache
+const GEOCODER_RESULTS = 20;
+
+// Lowest score for a gazetteer place to count as a match, and to be offered as a suggestion
+const MATCH_SCORE = 0.75;
+const SUGGESTION_SCORE = 0.6;
+
+// Places with the same search key closer than this are the same place from two sources
+const SAME_PLACE_KM = 10;
+
+/**
+ * Location search with a local gazetteer in front of the Open-Meteo geocoder. Each
+ * search is answered from the query cache while it is fresh, then by the geocoder,
+ * whose results are added to the gazetteer. When the geocoder fails or finds nothing,
+ * the gazetteer is searched with spelling-insensitive matching, so Hindi and English
+ * spellings of a place find each other.
+ */
+class GeocodingService {
+  constructor(climateDB, climateAPI) {
+    this.db = climateDB;
+    this.climateAPI = climateAPI;
+    this.cacheDays = parseInt(process.env.GEOCODING_CACHE_DAYS) || 30;
+    this.missCacheHours = parseInt(process.env.GEOCODING_MISS_CACHE_HOURS) || 24;
+  }
+
+  // Query text as cached: trimmed, lower-case, single-spaced
+  normalizeQuery(query) {
+    return String(query || '').normalize('NFC').trim().toLowerCase().replace(/\s+/g, ' ');
+  }
+
+  // Whether a cached answer is still used without asking the geocoder
+  isFresh(cached) {
+    const ageHours = (Date.now() - new Date(cached.fetched_at.replace(' ', 'T') + 'Z').getTime()) / 3600000;
+    return ageHours < (cached.place_ids.length > 0 ? this.cacheDays * 24 : this.missCacheHours);
+  }
+
+  matchesCountry(place, country) {
+    if (!country) {
+      return true;
+    }
+    const wanted = country.toLowerCase();
+    return [place.country_code, place.country].some(value => value && value.toLowerCase() === wanted);
+  }
+
+  // A gazetteer row in the shape the geocoder returns results in
+  toResult(place) {
+    return {
+      name: place.name,
+      country: place.country,
+      admin1: place.admin1, // State/Province
+      admin2: place.admin2, // District/County
+      admin3: place.admin3, // City/Town
+      admin4: place.admin4, // Village/Neighborhood
+      latitude: place.latitude,
+      longitude: place.longitude,
+      elevation: place.elevation,
+      timezone: place.timezone,
+      population: place.population,
+      postcodes: place.postcodes,
+      feature_code: place.feature_code // PPL = populated place, PPLC = capital, etc.
+    };
+  }
+
+  // Add geocoder results to the gazetteer and return their ids
+  savePlaces(results) {
+    return this.db.upsertGazetteerPlaces(results.map(result => ({
+      placeKey: result.id ? `open-meteo:${result.id}` :
+        `${result.name}:${result.latitude.toFixed(3)},${result.longitude.toFixed(3)}`,
+      name: result.name,
+      country: result.country,
+      countryCode: result.country_code,
+      admin1: result.admin1,
+      admin2: result.admin2,
+      admin3: result.admin3,
+      admin4: result.admin4,
+      latitude: result.latitude,
+      longitude: result.longitude,
+      elevation: result.elevation,
+      timezone: result.timezone,
+      population: result.population,
+      postcodes: result.postcodes,
+      featureCode: result.feature_code,
+      source: 'GEOCODER'
+    })));
+  }
+
+  /**
+   * Gazetteer places whose name resembles the query, best first. Places scoring the
+   * same are ordered by population; a place known from both the seed and the geocoder
+   * is listed once.
+   * @param {string} query - Place name in any spelling
+   * @param {Object} options - { country, minScore, limit }
+   * @returns {Array} Gazetteer rows, each with its score
+   */
+  findLocal(query, { country = null, minScore = MATCH_SCORE, limit = 10 } = {}) {
+    const key = searchKey(query);
+    if (!key) {
+      return [];
+    }
+
+    const ranked = this.db.getGazetteerCandidates(key[0])
+      .filter(place => this.matchesCountry(place, country))
+      .map(place => ({ ...place, score: similarity(key, place.search_key) }))
+      .filter(place => place.score >= minScore)
+      .sort((a, b) => b.score - a.score || (b.population || 0) - (a.population || 0));
+
+    const matches = [];
+    for (const place of ranked) {
+      const duplicate = matches.some(match => match.search_key === place.search_key &&
+        distanceKm(match.latitude, match.longitude, place.latitude, place.longitude) < SAME_PLACE_KM);
+      if (!duplicate) {
+        matches.push(place);
+      }
+      if (matches.length >= limit) {
+        break;
+      }
+    }
+    return matches;
+  }
+
+  /**
+   * Find places by name
+   * @param {string} query - Place name, in English or Hindi spelling
+   * @param {Object} options - { country: ISO code or name, limit: at most 20 }
+   * @returns {Promise<Object>} { source: CACHE, GEOCODER or GAZETTEER, stale, results }; stale
+   *   is true when the geocoder could not be reached and a cached answer past its expiry was used
+   */
+  async search(query, { country = null, limit = 10 } = {}) {
+    const normalized = this.normalizeQuery(query);
+    const countryKey = country ? country.trim().toUpperCase() : '';
+    const count = Math.min(Math.max(parseInt(limit) || 10, 1), GEOCODER_RESULTS);
+
+    const cached = this.db.getGeocodingQuery(normalized, countryKey);
+    if (cached && this.isFresh(cached) && cached.place_ids.length > 0) {
+      return {
+        source: 'CACHE',
+        stale: false,
+        results: this.db.getGazetteerPlaces(cached.place_ids).slice(0, count).map(place => this.toResult(place))
+      };
+    }
+
+    let geocoderFailed = false;
+    if (!cached || !this.isFresh(cached)) {
+      try {
+        const results = (await this.climateAPI.geocode(query, { count: GEOCODER_RESULTS, country: countryKey || null }))
+          .filter(result => this.matchesCountry(result, countryKey));
+        const placeIds = this.savePlaces(results);
+        this.db.saveGeocodingQuery(normalized, countryKey, placeIds);
+        if (results.length > 0) {
+          return {
+            source: 'GEOCODER',
+            stale: false,
+            results: this.db.getGazetteerPlaces(placeIds).slice(0, count).map(place => this.toResult(place))
+          };
+        }
+      } catch (error) {
+        console.error(`Geocoder unavailable for '${query}', searching the gazetteer:`, error.message);
+        geocoderFailed = true;
+      }
+    }
+
+    if (geocoderFailed && cached && cached.place_ids.length > 0) {
+      return {
+        source: 'CACHE',
+        stale: true,
+        results: this.db.getGazetteerPlaces(cached.place_ids).slice(0, count).map(place => this.toResult(place))
+      };
+    }
+
+    return {
+      source: 'GAZETTEER',
+      stale: false,
+      results: this.findLocal(query, { country: countryKey || null, limit: count }).map(place => this.toResult(place))
+    };
+  }
+
+  /**
+   * Looser matches from the gazetteer alone, for "did you mean" suggestions
+   * @param {string} query - Place name that found nothing
+   * @returns {Array} Up to 5 results
+   */
+  suggest(query) {
+    return this.findLocal(query, { minScore: SUGGESTION_SCORE, limit: 5 }).map(place => this.toResult(place));
+  }
+}
+
+GeocodingService.MATCH_SCORE = MATCH_SCORE;
+GeocodingService.SUGGESTION_SCORE = SUGGESTION_SCORE;
+
+module.exports = GeocodingService;
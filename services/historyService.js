@@ -0,0 +1,152 @@
+const ClimateDB = require('../database/db');
+const RetentionService = require('./retentionService');
+
+// History query intervals, and the tiers each can be built from, finest first
+const SERIES_INTERVALS = {
+  HOUR: ['RAW', 'HOURLY'],
+  DAY: ['RAW', 'HOURLY', 'DAILY'],
+  WEEK: ['RAW', 'HOURLY', 'DAILY'],
+  MONTH: ['RAW', 'HOURLY', 'DAILY', 'MONTHLY']
+};
+
+// Interval used when none is given, by the resolution RetentionService picks for the range
+const AUTO_INTERVALS = { RAW: 'HOUR', HOURLY: 'HOUR', DAILY: 'DAY', MONTHLY: 'MONTH' };
+
+const SERIES_AGGREGATES = ['MEAN', 'MIN', 'MAX', 'SUM'];
+
+const MAX_CITIES = 10;
+const MAX_PAGE_SIZE = 5000;
+
+/**
+ * Time-series queries over weather history: chosen metrics for one or more cities,
+ * bucketed by hour, day, week or month with one aggregate, and paginated. Each query
+ * reads the finest retention tier that still covers its start.
+ */
+class HistoryService {
+  constructor(climateDB, retentionService) {
+    this.db = climateDB;
+    this.retention = retentionService;
+  }
+
+  /**
+   * Validate a query and settle its interval and the tier it reads
+   * @param {Array} cities - Rows from the cities table
+   * @param {Object} options - { from, to (ISO 8601, UTC unless offset), metrics (names; all if empty),
+   *   interval (HOUR, DAY, WEEK, MONTH or AUTO), agg (MEAN, MIN, MAX or SUM), page (from 1), limit }
+   * @returns {Object} { valid, errors, series }; series holds the getWeatherSeries arguments
+   */
+  resolveQuery(cities, { from, to = null, metrics = [], interval = 'AUTO', agg = 'MEAN', page = 1, limit = 500 } = {}) {
+    const errors = [];
+    const fromMs = this.retention.parseTime(from || '');
+    const toMs = to ? this.retention.parseTime(to) : Date.now();
+
+    if (cities.length === 0) {
+      errors.push('At least one city is required');
+    } else if (cities.length > MAX_CITIES) {
+      errors.push(`At most ${MAX_CITIES} cities per query`);
+    }
+
+    if (!from) {
+      errors.push('from is required');
+    } else if (isNaN(fromMs)) {
+      errors.push(`from '${from}' is not a valid timestamp`);
+    }
+    if (isNaN(toMs)) {
+      errors.push(`to '${to}' is not a valid timestamp`);
+    }
+    if (errors.length === 0 && fromMs > toMs) {
+      errors.push('from must not be after to');
+    }
+
+    const unknownMetrics = metrics.filter(metric => !ClimateDB.ROLLUP_METRICS.includes(metric));
+    if (unknownMetrics.length > 0) {
+      errors.push(`Unknown metrics: ${unknownMetrics.join(', ')}. Available: ${ClimateDB.ROLLUP_METRICS.join(', ')}`);
+    }
+
+    if (interval !== 'AUTO' && !(interval in SERIES_INTERVALS)) {
+      errors.push(`interval must be one of: ${Object.keys(SERIES_INTERVALS).join(', ')}`);
+    }
+
+    if (!SERIES_AGGREGATES.includes(agg)) {
+      errors.push(`agg must be one of: ${SERIES_AGGREGATES.join(', ')}`);
+    }
+
+    if (!Number.isInteger(page) || page < 1) {
+      errors.push('page must be a positive integer');
+    }
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+      errors.push(`limit must be between 1 and ${MAX_PAGE_SIZE}`);
+    }
+
+    if (errors.length > 0) {
+      return { valid: false, errors };
+    }
+
+    const chosenInterval = interval === 'AUTO'
+      ? AUTO_INTERVALS[this.retention.chooseResolution(fromMs, toMs)]
+      : interval;
+    const tiers = SERIES_INTERVALS[chosenInterval];
+    const source = tiers.find(tier => this.retention.isRetained(tier, fromMs));
+
+    if (!source) {
+      const coarsest = RetentionService.HISTORY_RESOLUTIONS[tiers[tiers.length - 1]];
+      return {
+        valid: false,
+        errors: [`${chosenInterval} intervals are only available for the last ${this.retention.config[coarsest.retention]} days; use a coarser interval or a later from`]
+      };
+    }
+
+    return {
+      valid: true,
+      errors,
+      series: {
+        source,
+        cityIds: cities.map(city => city.id),
+        metrics: metrics.length > 0 ? metrics : ClimateDB.ROLLUP_METRICS,
+        interval: chosenInterval,
+        agg,
+        from: source === 'RAW' ? RetentionService.toTimestamp(fromMs) : RetentionService.toPeriodStart(fromMs, source),
+        to: RetentionService.toTimestamp(toMs),
+        limit,
+        offset: (page - 1) * limit
+      }
+    };
+  }
+
+  /**
+   * Run one page of a query
+   * @param {Array} cities - Rows from the cities table
+   * @param {Object} options - As for resolveQuery
+   * @returns {Object} { valid, errors, source, interval, agg, metrics, from, to, pagination, data };
+   *   data rows are { city_id, city_name, period_start, <metric>: value }, oldest first
+   */
+  query(cities, options = {}) {
+    const resolved = this.resolveQuery(cities, options);
+    if (!resolved.valid) {
+      return resolved;
+    }
+
+    const { series } = resolved;
+    const { total, rows } = this.db.getWeatherSeries(series);
+    const page = series.offset / series.limit + 1;
+
+    return {
+      valid: true,
+      errors: [],
+      source: series.source,
+      interval: series.interval,
+      agg: series.agg,
+      metrics: series.metrics,
+      from: series.from,
+      to: series.to,
+      pagination: { page, limit: series.limit, total, pages: Math.ceil(total / series.limit) },
+      data: rows
+    };
+  }
+}
+
+HistoryService.SERIES_INTERVALS = SERIES_INTERVALS;
+HistoryService.SERIES_AGGREGATES = SERIES_AGGREGATES;
+HistoryService.MAX_CITIES = MAX_CITIES;
+
+module.exports = HistoryService;
@@ -0,0 +1,595 @@
+const RainfallService = require('./rainfallService');
+const WeatherProviderService = require('./weatherProviderService');
+const WeatherFusionService = require('./weatherFusionService');
+const StationService = require('./stationService');
+
+// Normalized observation schema: every mapper returns exactly these fields, null when unknown.
+// Units: °C, %, hPa, mm, km/h, metres, µg/m³.
+const OBSERVATION_FIELDS = [
+  'temperature', 'feels_like', 'temp_min', 'temp_max', 'humidity', 'pressure',
+  'rainfall', 'wind_speed', 'wind_direction', 'wind_gust', 'visibility', 'uv_index',
+  'cloud_cover', 'dew_point', 'heat_index', 'wind_chill', 'soil_temperature',
+  'soil_moisture', 'evapotranspiration', 'growing_degree_days', 'air_quality_pm25',
+  'air_quality_pm10', 'air_quality_index', 'pressure_trend', 'moon_phase',
+  'moon_illumination', 'weather_description', 'weather_condition', 'sunrise', 'sunset',
+  'is_day', 'sunshine_duration'
+];
+
+const MS_TO_KMH = 3.6;
+
+const INGESTION_TRIGGERS = ['INITIAL', 'SCHEDULED', 'ON_DEMAND', 'MANUAL'];
+
+const valueOrNull = (value) => (value === undefined ? null : value);
+
+// Stored timestamps are UTC 'YYYY-MM-DD HH:MM:SS'
+const toTimestamp = (ms) => new Date(ms).toISOString().replace('T', ' ').slice(0, 19);
+const parseTimestamp = (timestamp) => Date.parse(`${timestamp.replace(' ', 'T')}Z`);
+
+// OpenWeather reports sunrise/sunset as unix seconds; store local HH:MM like the other sources
+function toLocalTime(value, utcOffsetSeconds = 0) {
+  if (typeof value !== 'number') {
+    return valueOrNull(value);
+  }
+  return new Date((value + utcOffsetSeconds) * 1000).toISOString().slice(11, 16);
+}
+
+/**
+ * Map the OpenWeather-style payload shared by OpenWeather, the static mock data and
+ * ClimateAPIService.transformOpenMeteoData. Only wind units differ between them.
+ */
+function mapOpenWeatherShape(data, windFactor) {
+  const wind = data.wind || {};
+  const scaleWind = (speed) => (typeof speed === 'number' ? Math.round(speed * windFactor * 10) / 10 : null);
+
+  return {
+    temperature: valueOrNull(data.main?.temp),
+    feels_like: valueOrNull(data.main?.feels_like),
+    temp_min: valueOrNull(data.main?.temp_min),
+    temp_max: valueOrNull(data.main?.temp_max),
+    humidity: valueOrNull(data.main?.humidity),
+    pressure: valueOrNull(data.main?.pressure),
+    rainfall: data.rain?.['1h'] || 0,
+    wind_speed: scaleWind(wind.speed),
+    wind_direction: valueOrNull(wind.deg),
+    wind_gust: scaleWind(wind.gust),
+    visibility: valueOrNull(data.visibility),
+    uv_index: valueOrNull(data.uv_index),
+    cloud_cover: valueOrNull(data.clouds?.all),
+    dew_point: valueOrNull(data.dew_point),
+    heat_index: valueOrNull(data.heat_index),
+    wind_chill: valueOrNull(data.wind_chill),
+    soil_temperature: valueOrNull(data.soil_temperature),
+    soil_moisture: valueOrNull(data.soil_moisture),
+    evapotranspiration: valueOrNull(data.evapotranspiration),
+    growing_degree_days: valueOrNull(data.growing_degree_days),
+    air_quality_pm25: valueOrNull(data.air_quality?.pm25),
+    air_quality_pm10: valueOrNull(data.air_quality?.pm10),
+    air_quality_index: valueOrNull(data.air_quality?.aqi),
+    pressure_trend: valueOrNull(data.pressure_trend),
+    moon_phase: valueOrNull(data.moon_phase),
+    moon_illumination: valueOrNull(data.moon_illumination),
+    weather_description: valueOrNull(data.weather?.[0]?.description),
+    weather_condition: valueOrNull(data.weather?.[0]?.main),
+    sunrise: toLocalTime(data.sys?.sunrise, data.timezone),
+    sunset: toLocalTime(data.sys?.sunset, data.timezone),
+    is_day: valueOrNull(data.is_day),
+    sunshine_duration: valueOrNull(data.sunshine_duration)
+  };
+}
+
+/**
+ * Map an IMD current weather record (current_wx_api.php). IMD answers with a list
+ * holding one station record whose values are strings, already in °C, %, km/h,
+ * degrees and hPa. Its rainfall is a 24-hour total, so it is not mapped to rainfall.
+ */
+function mapIMD(data) {
+  const record = (Array.isArray(data) ? data[0] : data) || {};
+  const toNumber = (value) => {
+    const number = parseFloat(value);
+    return Number.isFinite(number) ? number : null;
+  };
+
+  return {
+    temperature: toNumber(record.Temperature),
+    feels_like: toNumber(record['Feel Like']),
+    humidity: toNumber(record.Humidity),
+    pressure: toNumber(record['Mean Sea Level Pressure']),
+    wind_speed: toNumber(record['Wind Speed KMPH']),
+    wind_direction: toNumber(record['Wind Direction']),
+    sunrise: valueOrNull(record.Sunrise),
+    sunset: valueOrNull(record.Sunset)
+  };
+}
+
+// Provider name -> payload mapper. Providers without a mapper are not used for ingestion.
+const PROVIDER_MAPPERS = {
+  'Open-Meteo': (data) => mapOpenWeatherShape(data, 1),
+  OpenWeather: (data) => mapOpenWeatherShape(data, MS_TO_KMH),
+  IMD: mapIMD,
+  Mock: (data) => mapOpenWeatherShape(data, MS_TO_KMH)
+};
+
+/**
+ * Fetches weather for monitored cities from every available provider, fuses the
+ * normalized observations into one stored reading, then runs alert analysis and
+ * broadcasts the update. Every city fetch is recorded in ingestion_runs with its
+ * sources, latency and any error.
+ */
+class IngestionService {
+  constructor(climateDB, climateAPI, { io = null, alertService = null, providers = null, stations = null, config = {} } = {}) {
+    this.db = climateDB;
+    this.api = climateAPI;
+    this.io = io;
+    this.alertService = alertService;
+    this.providers = providers || new WeatherProviderService(climateDB, climateAPI);
+    this.fusionService = new WeatherFusionService(climateDB);
+    this.stations = stations || new StationService(climateDB);
+    this.rainfallService = new RainfallService(climateDB);
+    this.config = {
+      defaultIntervalMinutes: parseInt(process.env.INGESTION_INTERVAL_MINUTES) || 30,
+      concurrency: parseInt(process.env.INGESTION_CONCURRENCY) || 3,
+      // Sites that are new or overdue at startup are spread over this window
+      staggerMinutes: parseInt(process.env.INGESTION_STAGGER_MINUTES) || 10,
+      // Shorter intervals while the monsoon is on and while a site has an active alert
+      monsoonMonths: (process.env.INGESTION_MONSOON_MONTHS || '6,7,8,9').split(',').map(Number),
+      monsoonIntervalMinutes: parseInt(process.env.INGESTION_MONSOON_INTERVAL_MINUTES) || 15,
+      alertIntervalMinutes: parseInt(process.env.INGESTION_ALERT_INTERVAL_MINUTES) || 10,
+      tickMs: 15 * 1000,
+      // A station report refreshes its city at most this often
+      stationRefreshMinutes: parseInt(process.env.STATION_REFRESH_MINUTES) || 5,
+      logRetentionDays: 30,
+      ...config
+    };
+    this.cityNames = [];
+    this.lastRunAt = new Map();
+    // City id -> { at, minutes }: the planned run and the interval it was planned with
+    this.nextRunAt = new Map();
+    this.alertedCityIds = new Set();
+    this.inFlight = new Set();
+    this.cycleRunning = false;
+    this.timers = [];
+  }
+
+  /**
+   * Resume the saved schedule, spreading new and overdue sites over `staggerMinutes`,
+   * then keep polling each site on its own interval
+   * @param {Array} cityNames - Names of the cities and farms to monitor
+   */
+  async start(cityNames) {
+    this.cityNames = cityNames;
+    this.loadSchedule();
+    await this.runCycle('SCHEDULED');
+
+    this.timers.push(setInterval(() => {
+      this.runCycle('SCHEDULED');
+    }, this.config.tickMs));
+
+    this.timers.push(setInterval(() => {
+      this.db.cleanOldIngestionRuns(this.config.logRetentionDays);
+    }, 24 * 60 * 60 * 1000));
+
+    console.log(`Ingestion service started for ${cityNames.length} sites`);
+  }
+
+  stop() {
+    this.timers.forEach(timer => clearInterval(timer));
+    this.timers = [];
+  }
+
+  /**
+   * Load saved run times, and give every site that is new or overdue a slot in the next
+   * `staggerMinutes`, most overdue first. After a restart the providers therefore see
+   * the usual steady rate of requests rather than every site at once.
+   * @param {number} now - Current time in ms
+   */
+  loadSchedule(now = Date.now()) {
+    this.db.getIngestionSchedule().forEach(entry => {
+      if (entry.last_run_at) {
+        this.lastRunAt.set(entry.city_id, parseTimestamp(entry.last_run_at));
+      }
+      this.nextRunAt.set(entry.city_id, { at: parseTimestamp(entry.next_run_at), minutes: entry.interval_minutes });
+    });
+    this.alertedCityIds = new Set(this.db.getCityIdsWithActiveAlerts());
+
+    const pending = this.getMonitoredCities()
+      .filter(city => !this.nextRunAt.has(city.id) || this.isDue(city, now))
+      .sort((a, b) => (this.nextRunAt.get(a.id)?.at ?? Infinity) - (this.nextRunAt.get(b.id)?.at ?? Infinity));
+    const spacingMs = pending.length > 0 ? this.config.staggerMinutes * 60 * 1000 / pending.length : 0;
+
+    pending.forEach((city, index) => {
+      this.nextRunAt.set(city.id, { at: Math.round(now + index * spacingMs), minutes: this.getIntervalMinutes(city) });
+    });
+    this.saveSchedule(pending);
+
+    if (pending.length > 0) {
+      console.log(`Scheduled ${pending.length} new or overdue sites over the next ${this.config.staggerMinutes} minutes`);
+    }
+  }
+
+  // Persist the run times of some sites
+  saveSchedule(cities) {
+    this.db.saveIngestionSchedule(cities.map(city => {
+      const lastRun = this.lastRunAt.get(city.id);
+      const nextRun = this.nextRunAt.get(city.id);
+      return {
+        cityId: city.id,
+        lastRunAt: lastRun ? toTimestamp(lastRun) : null,
+        nextRunAt: toTimestamp(nextRun.at),
+        intervalMinutes: nextRun.minutes,
+        intervalReason: this.getInterval(city).reason
+      };
+    }));
+  }
+
+  /**
+   * Start monitoring a site added while running, such as a new farm, and ingest it now
+   * @param {Object} city - Row from the cities table
+   * @returns {Promise|null} The ingestCity promise, or null when already monitored
+   */
+  addCity(city) {
+    if (this.cityNames.includes(city.name)) {
+      return null;
+    }
+    this.cityNames.push(city.name);
+    return this.ingestCity(city, 'INITIAL');
+  }
+
+  removeCity(city) {
+    this.cityNames = this.cityNames.filter(name => name !== city.name);
+    this.lastRunAt.delete(city.id);
+    this.nextRunAt.delete(city.id);
+    this.db.deleteIngestionSchedule(city.id);
+  }
+
+  getMonitoredCities() {
+    return this.cityNames
+      .map(name => this.db.getCityByName(name))
+      .filter(Boolean);
+  }
+
+  /**
+   * Polling interval for a site: its own interval or the default, shortened while it
+   * has an active alert or while the monsoon is on
+   * @param {Object} city - Row from the cities table
+   * @param {number} now - Current time in ms
+   * @returns {Object} { minutes, reason }; reason is DEFAULT, CITY, MONSOON or ALERT
+   */
+  getInterval(city, now = Date.now()) {
+    let interval = city.ingestion_interval_minutes
+      ? { minutes: city.ingestion_interval_minutes, reason: 'CITY' }
+      : { minutes: this.config.defaultIntervalMinutes, reason: 'DEFAULT' };
+
+    if (this.config.monsoonMonths.includes(new Date(now).getUTCMonth() + 1) &&
+        this.config.monsoonIntervalMinutes < interval.minutes) {
+      interval = { minutes: this.config.monsoonIntervalMinutes, reason: 'MONSOON' };
+    }
+    if (this.alertedCityIds.has(city.id) && this.config.alertIntervalMinutes < interval.minutes) {
+      interval = { minutes: this.config.alertIntervalMinutes, reason: 'ALERT' };
+    }
+
+    return interval;
+  }
+
+  getIntervalMinutes(city) {
+    return this.getInterval(city).minutes;
+  }
+
+  // The planned run, brought forward if the interval has become shorter since it was planned
+  getNextRunAt(city, now = Date.now()) {
+    const planned = this.nextRunAt.get(city.id);
+    const lastRun = this.lastRunAt.get(city.id);
+    if (!planned) {
+      return lastRun ? lastRun + this.getIntervalMinutes(city) * 60 * 1000 : null;
+    }
+
+    const { minutes } = this.getInterval(city, now);
+    return lastRun && minutes < planned.minutes
+      ? Math.min(planned.at, lastRun + minutes * 60 * 1000)
+      : planned.at;
+  }
+
+  isDue(city, now = Date.now()) {
+    const nextRun = this.getNextRunAt(city, now);
+    return nextRun === null || now >= nextRun;
+  }
+
+  /**
+   * Current schedule for each monitored site
+   * @returns {Array} { city_id, city_name, interval_minutes, interval_reason, last_run_at, next_run_at }
+   */
+  getSchedule() {
+    return this.getMonitoredCities().map(city => {
+      const lastRun = this.lastRunAt.get(city.id);
+      const nextRun = this.getNextRunAt(city);
+      const { minutes, reason } = this.getInterval(city);
+      return {
+        city_id: city.id,
+        city_name: city.name,
+        interval_minutes: minutes,
+        interval_reason: reason,
+        uses_default_interval: !city.ingestion_interval_minutes,
+        monitored: true,
+        last_run_at: lastRun ? new Date(lastRun).toISOString() : null,
+        next_run_at: nextRun ? new Date(nextRun).toISOString() : null
+      };
+    });
+  }
+
+  /**
+   * Ingest the sites that are due, most overdue first, at most `concurrency` at a time
+   * @param {string} trigger - INITIAL or SCHEDULED
+   * @returns {Array} Results of ingestCity for the sites processed
+   */
+  async runCycle(trigger) {
+    // A slow cycle must not overlap the next tick, or queued cities would be fetched twice
+    if (this.cycleRunning) {
+      return [];
+    }
+    this.cycleRunning = true;
+
+    const results = [];
+    try {
+      this.alertedCityIds = new Set(this.db.getCityIdsWithActiveAlerts());
+
+      const now = Date.now();
+      const queue = this.getMonitoredCities()
+        .filter(city => !this.inFlight.has(city.id) && this.isDue(city, now))
+        .sort((a, b) => (this.getNextRunAt(a, now) ?? 0) - (this.getNextRunAt(b, now) ?? 0));
+
+      const worker = async () => {
+        while (queue.length > 0) {
+          const city = queue.shift();
+          results.push(await this.ingestCity(city, trigger));
+        }
+      };
+
+      const workers = Array.from({ length: Math.min(this.config.concurrency, queue.length) }, worker);
+      await Promise.all(workers);
+    } catch (error) {
+      console.error('Error running ingestion cycle:', error.message);
+    } finally {
+      this.cycleRunning = false;
+    }
+
+    return results;
+  }
+
+  /**
+   * Fetch, normalize, store, analyze and broadcast one city's weather
+   * @param {Object} city - Row from the cities table
+   * @param {string} trigger - One of INGESTION_TRIGGERS
+   * @returns {Object} { status, source, observation, weather, error }
+   */
+  async ingestCity(city, trigger = 'MANUAL') {
+    const startedAt = Date.now();
+    const run = { cityId: city.id, cityName: city.name, trigger, sourcesAvailable: [] };
+    let result;
+
+    this.inFlight.add(city.id);
+    try {
+      // Mock data would only dilute real station readings, so it is used only without them
+      const stationReadings = this.stations.getFusionReadings(city);
+      const weather = await this.providers.fetchAll(city, {
+        accept: name => Boolean(PROVIDER_MAPPERS[name]),
+        mockFallback: stationReadings.length === 0
+      });
+      run.sourcesAvailable = [
+        ...stationReadings.map(entry => entry.provider),
+        ...weather.results.map(entry => entry.provider)
+      ];
+
+      if (run.sourcesAvailable.length === 0) {
+        run.status = 'NO_DATA';
+        run.error = weather.attempts.length > 0
+          ? weather.attempts.map(attempt => `${attempt.provider}: ${attempt.error || attempt.status}`).join('; ')
+          : 'No provider available';
+        console.error(`No weather data received for ${city.name} from any source.`);
+        result = { status: run.status, weather, error: run.error };
+      } else {
+        const observation = this.saveObservation(city, weather.results, stationReadings);
+        run.source = observation.data_source;
+
+        // Forecasts are not fused; use the first provider that has one
+        const forecast = weather.results.find(entry => entry.payload.data.daily_forecast);
+        this.analyze(city, observation, forecast ? forecast.payload.data : {});
+
+        if (this.io) {
+          this.io.to(`weather_${city.name}`).emit('weather_update', observation);
+        }
+
+        run.status = 'SUCCESS';
+        console.log(`Successfully fetched and saved weather for ${city.name} from ${observation.data_source}`);
+        result = { status: run.status, source: observation.data_source, observation, weather };
+      }
+    } catch (error) {
+      run.status = 'FAILED';
+      run.error = error.message;
+      console.error(`Error fetching weather for ${city.name}:`, error.message);
+      result = { status: run.status, error: error.message };
+    } finally {
+      this.inFlight.delete(city.id);
+    }
+
+    this.lastRunAt.set(city.id, startedAt);
+    const intervalMinutes = this.getIntervalMinutes(city);
+    this.nextRunAt.set(city.id, { at: startedAt + intervalMinutes * 60 * 1000, minutes: intervalMinutes });
+    run.latencyMs = Date.now() - startedAt;
+    run.startedAt = toTimestamp(startedAt);
+
+    try {
+      this.saveSchedule([city]);
+    } catch (error) {
+      console.error(`Error saving ingestion schedule for ${city.name}:`, error.message);
+    }
+
+    try {
+      this.db.insertIngestionRun(run);
+    } catch (error) {
+      console.error(`Error recording ingestion run for ${city.name}:`, error.message);
+    }
+
+    return result;
+  }
+
+  /**
+   * Re-ingest a city after one of its stations reported, unless it was ingested in the
+   * last `stationRefreshMinutes`; skipped readings are picked up by the next run.
+   * @returns {Promise|null} The ingestCity promise, or null when skipped
+   */
+  refreshFromStation(city) {
+    const lastRun = this.lastRunAt.get(city.id);
+    if (this.inFlight.has(city.id) ||
+        (lastRun && Date.now() - lastRun < this.config.stationRefreshMinutes * 60 * 1000)) {
+      return null;
+    }
+    return this.ingestCity(city, 'ON_DEMAND');
+  }
+
+  /**
+   * Map a provider payload to the normalized schema, without deriving missing fields
+   * @param {string} source - Provider name
+   * @param {Object} data - Provider payload
+   * @returns {Object} Every OBSERVATION_FIELDS key
+   */
+  mapPayload(source, data) {
+    const mapped = PROVIDER_MAPPERS[source](data);
+    const observation = {};
+
+    OBSERVATION_FIELDS.forEach(field => {
+      observation[field] = valueOrNull(mapped[field]);
+    });
+
+    return observation;
+  }
+
+  // Station readings carry only what the station measures; every other field is null
+  mapStationReading(reading) {
+    const observation = {};
+    OBSERVATION_FIELDS.forEach(field => {
+      observation[field] = valueOrNull(reading[field]);
+    });
+    return observation;
+  }
+
+  /**
+   * Map and fuse the readings of every station and provider that reported. Stations
+   * come first, so fields only they measure, such as soil moisture, override estimates.
+   * @param {Object} city - Row from the cities table
+   * @param {Array} results - [{ provider, payload }] in priority order
+   * @param {Array} stationReadings - [{ provider, reading }] from StationService.getFusionReadings
+   * @returns {Object} Observation with every OBSERVATION_FIELDS key plus its fusion quality
+   */
+  normalize(city, results, stationReadings = []) {
+    const mapped = [
+      ...stationReadings.map(entry => ({
+        provider: entry.provider,
+        observation: this.mapStationReading(entry.reading)
+      })),
+      ...results.map(entry => ({
+        provider: entry.provider,
+        observation: this.mapPayload(entry.provider, entry.payload.data)
+      }))
+    ];
+
+    const { observation: fused, quality } = this.fusionService.fuse(city, mapped);
+    const observation = { city_id: city.id, city_name: city.name, ...fused };
+
+    const missing = OBSERVATION_FIELDS.filter(field => observation[field] === null);
+    this.deriveMissingFields(observation);
+    missing.filter(field => observation[field] !== null).forEach(field => {
+      quality.field_provenance[field] = { derived: true };
+    });
+
+    if (quality.disagreement_count > 0) {
+      console.warn(`Providers disagree for ${city.name} on ${quality.disagreements.map(entry => entry.field).join(', ')}`);
+    }
+
+    this.fusionService.updateAccuracy(city, mapped);
+
+    observation.data_source = mapped.map(entry => entry.provider).join('+');
+    observation.source_count = quality.source_count;
+    observation.confidence = quality.confidence;
+    observation.disagreement_count = quality.disagreement_count;
+    observation.field_provenance = quality.field_provenance;
+
+    return observation;
+  }
+
+  // Fill agricultural fields a provider does not report from the core readings
+  deriveMissingFields(observation) {
+    const { temperature, humidity, pressure, wind_speed: windSpeed, rainfall } = observation;
+    if (temperature === null || humidity === null) {
+      return;
+    }
+
+    const month = new Date().getMonth() + 1;
+    const derived = {
+      dew_point: () => this.api.calculateDewPoint(temperature, humidity),
+      heat_index: () => this.api.calculateHeatIndex(temperature, humidity),
+      wind_chill: () => this.api.calculateWindChill(temperature, windSpeed || 0),
+      soil_temperature: () => this.api.estimateSoilTemperature(temperature, month),
+      soil_moisture: () => this.api.estimateSoilMoisture(rainfall || 0, humidity, temperature),
+      evapotranspiration: () => this.api.calculateEvapotranspiration(temperature, humidity, windSpeed || 0),
+      growing_degree_days: () => this.api.calculateGrowingDegreeDays(
+        observation.temp_min ?? temperature, observation.temp_max ?? temperature
+      ),
+      pressure_trend: () => (pressure === null ? null : this.api.getPressureTrend(pressure)),
+      moon_phase: () => this.api.getMoonPhase(),
+      moon_illumination: () => this.api.getMoonIllumination()
+    };
+
+    Object.entries(derived).forEach(([field, derive]) => {
+      if (observation[field] === null) {
+        observation[field] = derive();
+      }
+    });
+
+    if (observation.air_quality_index === null) {
+      const airQuality = this.api.estimateAirQuality(observation.city_name, temperature, humidity, windSpeed || 0);
+      observation.air_quality_pm25 = airQuality.pm25;
+      observation.air_quality_pm10 = airQuality.pm10;
+      observation.air_quality_index = airQuality.aqi;
+    }
+  }
+
+  saveObservation(city, results, stationReadings = []) {
+    const observation = this.normalize(city, results, stationReadings);
+
+    // Rolling 24h/72h/7-day totals from stored readings, gaps filled from the provider
+    const withHistory = results.find(entry => entry.payload.data.precipitation_history);
+    Object.assign(observation, this.rainfallService.getAccumulations(
+      city.name, observation.rainfall, withHistory ? withHistory.payload.data.precipitation_history : []
+    ));
+
+    this.db.insertWeatherData(observation);
+    return observation;
+  }
+
+  analyze(city, observation, data) {
+    if (!this.alertService) {
+      return;
+    }
+
+    try {
+      this.alertService.analyzeWeatherData(observation);
+
+      // Raise watches from the forecast ahead of observed conditions
+      if (data.daily_forecast) {
+        this.alertService.analyzeForecast({
+          city_id: city.id,
+          city_name: city.name,
+          daily_forecast: data.daily_forecast,
+          hourly_forecast: data.hourly_forecast
+        });
+      }
+    } catch (error) {
+      console.error(`Error analyzing weather data for alerts in ${city.name}:`, error.message);
+    }
+  }
+}
+
+IngestionService.OBSERVATION_FIELDS = OBSERVATION_FIELDS;
+IngestionService.PROVIDER_MAPPERS = PROVIDER_MAPPERS;
+IngestionService.INGESTION_TRIGGERS = INGESTION_TRIGGERS;
+
+module.exports = IngestionService;
@@ -0,0 +1,381 @@
+const axios = require('axios');
+const crypto = require('crypto');
+const nodemailer = require('nodemailer');
+const { checkWebhookUrl, publicLookup } = require('../utils/webhookTargets');
+
+// Delivery channels a subscriber can register
+const NOTIFICATION_CHANNELS = ['webhook', 'email', 'sms'];
+
+const ALERT_LEVELS = ['LOW', 'MEDIUM', 'HIGH', 'CRITICAL'];
+
+// Client errors that are still worth retrying; any other 4xx means the request itself is wrong
+const RETRYABLE_HTTP_STATUSES = [408, 425, 429];
+
+const HTTP_TIMEOUT_MS = 10000;
+
+/**
+ * Signed JSON POST to a subscriber-supplied URL. The signature is an HMAC-SHA256
+ * of "<timestamp>.<body>" using the channel's secret, so receivers can verify
+ * both the sender and the freshness of the request. Private, loopback and link-local
+ * targets are refused (see utils/webhookTargets.js), and redirects are not followed.
+ */
+class WebhookChannel {
+  constructor(config = {}) {
+    this.signingSecret = config.signingSecret || process.env.WEBHOOK_SIGNING_SECRET;
+    this.timeout = config.timeout || HTTP_TIMEOUT_MS;
+  }
+
+  isConfigured() {
+    return true;
+  }
+
+  static sign(secret, timestamp, body) {
+    return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  }
+
+  async send(channel, notification) {
+    const targetError = await checkWebhookUrl(channel.destination);
+    if (targetError) {
+      const error = new Error(targetError);
+      error.permanent = true;
+      throw error;
+    }
+
+    const body = JSON.stringify(notification);
+    const timestamp = Math.floor(Date.now() / 1000);
+    const secret = channel.secret || this.signingSecret;
+
+    const headers = {
+      'Content-Type': 'application/json',
+      'User-Agent': 'ClimateSync-Alerts/1.0',
+      'X-ClimateSync-Event': notification.event,
+      'X-ClimateSync-Delivery': String(notification.delivery_id),
+      'X-ClimateSync-Timestamp': String(timestamp)
+    };
+
+    if (secret) {
+      headers['X-ClimateSync-Signature'] = `sha256=${WebhookChannel.sign(secret, timestamp, body)}`;
+    }
+
+    await axios.post(channel.destination, body, {
+      headers,
+      timeout: this.timeout,
+      maxRedirects: 0,
+      lookup: publicLookup
+    });
+  }
+}
+
+/**
+ * Plain-text email over SMTP. Disabled unless SMTP_HOST is set, or a nodemailer
+ * transport is passed in config.transport (such as { jsonTransport: true } for testing).
+ */
+class EmailChannel {
+  constructor(config = {}) {
+    this.config = {
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      user: process.env.SMTP_USER,
+      pass: process.env.SMTP_PASS,
+      from: process.env.ALERT_EMAIL_FROM || 'ClimateSync Alerts <alerts@climatesync.local>',
+      ...config
+    };
+    this.transporter = null;
+  }
+
+  isConfigured() {
+    return Boolean(this.config.host || this.config.transport);
+  }
+
+  getTransporter() {
+    if (!this.transporter) {
+      this.transporter = nodemailer.createTransport(this.config.transport || {
+        host: this.config.host,
+        port: this.config.port,
+        secure: this.config.secure,
+        auth: this.config.user ? { user: this.config.user, pass: this.config.pass } : undefined
+      });
+    }
+    return this.transporter;
+  }
+
+  async send(channel, notification) {
+    if (notification.event === 'digest') {
+      const { digest } = notification;
+      await this.getTransporter().sendMail({
+        from: this.config.from,
+        to: channel.destination,
+        subject: `[ClimateSync] Alert digest: ${digest.alerts.length} alert(s)`,
+        text: digest.alerts
+          .map(alert => `[${alert.timestamp}] ${alert.level} ${alert.type} - ${alert.city}\n  ${alert.message}`)
+          .join('\n\n')
+      });
+      return;
+    }
+
+    const { alert } = notification;
+    const readings = Object.entries(alert.metrics || {})
+      .map(([name, value]) => `  ${name}: ${value}`)
+      .join('\n');
+
+    await this.getTransporter().sendMail({
+      from: this.config.from,
+      to: channel.destination,
+      subject: `[ClimateSync] ${alert.level} ${alert.type} ${alert.category === 'WATCH' ? 'watch' : 'alert'} for ${alert.city}`,
+      text: [
+        alert.message,
+        '',
+        readings ? `Readings:\n${readings}` : null,
+        `Issued: ${alert.timestamp}`
+      ].filter(line => line !== null).join('\n')
+    });
+  }
+}
+
+/**
+ * Generic HTTP SMS gateway: POSTs { to, from, message } as JSON to SMS_GATEWAY_URL,
+ * with SMS_GATEWAY_API_KEY as a bearer token when set. Disabled unless the URL is set.
+ */
+class SmsChannel {
+  constructor(config = {}) {
+    this.config = {
+      url: process.env.SMS_GATEWAY_URL,
+      apiKey: process.env.SMS_GATEWAY_API_KEY,
+      sender: process.env.SMS_GATEWAY_SENDER || 'CLMSYN',
+      timeout: HTTP_TIMEOUT_MS,
+      ...config
+    };
+  }
+
+  isConfigured() {
+    return Boolean(this.config.url);
+  }
+
+  async send(channel, notification) {
+    // Digests only list hazards and cities to stay within a few SMS segments
+    const message = notification.event === 'digest'
+      ? `ClimateSync digest: ${notification.digest.alerts.map(alert => `${alert.level} ${alert.type} ${alert.city}`).join('; ')}`
+      : `ClimateSync ${notification.alert.level} ${notification.alert.type}: ${notification.alert.message}`;
+
+    await axios.post(this.config.url, {
+      to: channel.destination,
+      from: this.config.sender,
+      message: message
+    }, {
+      headers: this.config.apiKey ? { Authorization: `Bearer ${this.config.apiKey}` } : {},
+      timeout: this.config.timeout
+    });
+  }
+}
+
+class NotificationService {
+  constructor(climateDB, config = {}) {
+    this.db = climateDB;
+    this.config = {
+      maxAttempts: parseInt(process.env.NOTIFICATION_MAX_ATTEMPTS) || 5,
+      retryBaseSeconds: parseInt(process.env.NOTIFICATION_RETRY_BASE_SECONDS) || 30,
+      retryPollMs: 30 * 1000,
+      ...config
+    };
+    this.channels = {};
+    this.inFlight = new Set();
+    this.timers = [];
+
+    this.registerChannel('webhook', new WebhookChannel());
+    this.registerChannel('email', new EmailChannel());
+    this.registerChannel('sms', new SmsChannel());
+
+    this.startBackgroundTasks();
+  }
+
+  /**
+   * Register (or replace) the adapter used for a channel
+   * @param {string} name - Channel name stored in notification_channels
+   * @param {Object} adapter - Object with isConfigured() and async send(channel, notification)
+   */
+  registerChannel(name, adapter) {
+    this.channels[name] = adapter;
+  }
+
+  startBackgroundTasks() {
+    // Pick up retries, including any left pending by a restart
+    this.timers.push(setInterval(() => {
+      this.processDueDeliveries();
+    }, this.config.retryPollMs));
+
+    console.log('Notification service background tasks started');
+  }
+
+  stop() {
+    this.timers.forEach(timer => clearInterval(timer));
+    this.timers = [];
+  }
+
+  buildNotification(alert) {
+    return {
+      event: 'alert',
+      alert: {
+        id: alert.id,
+        type: alert.type,
+        category: alert.category || 'WARNING',
+        level: alert.alert_level,
+        city_id: alert.city_id,
+        city: alert.city_name,
+        message: alert.alert_message,
+        metrics: alert.metrics,
+        expected_onset: alert.expected_onset || null,
+        timestamp: new Date().toISOString()
+      }
+    };
+  }
+
+  /**
+   * Queue and attempt delivery of an alert on every enabled channel of a subscriber
+   * whose minimum level the alert meets
+   * @param {Object} alert - Alert being delivered
+   * @param {number} subscriberId - Subscriber whose channels are used
+   * @returns {Array} Delivery log rows created
+   */
+  dispatch(alert, subscriberId) {
+    const levelRank = ALERT_LEVELS.indexOf(alert.alert_level);
+    const payload = this.buildNotification(alert);
+
+    const deliveries = this.db.getNotificationChannels(subscriberId, true)
+      .filter(channel => levelRank >= ALERT_LEVELS.indexOf(channel.min_level))
+      .map(channel => this.db.insertNotificationDelivery({
+        alertId: alert.id,
+        subscriberId: subscriberId,
+        channelId: channel.id,
+        channel: channel.channel,
+        destination: channel.destination,
+        payload: payload
+      }));
+
+    deliveries.forEach(delivery => {
+      this.attemptDelivery(delivery);
+    });
+
+    return deliveries;
+  }
+
+  /**
+   * Queue and attempt delivery of a digest. Each channel receives only the
+   * alerts that meet its minimum level, and is skipped if none do.
+   * @param {Object} digest - Digest payload built by AlertService.sendDueDigests
+   * @param {number} subscriberId - Subscriber whose channels are used
+   * @returns {Array} Delivery log rows created
+   */
+  dispatchDigest(digest, subscriberId) {
+    const deliveries = [];
+
+    this.db.getNotificationChannels(subscriberId, true).forEach(channel => {
+      const minRank = ALERT_LEVELS.indexOf(channel.min_level);
+      const alerts = digest.alerts.filter(alert => ALERT_LEVELS.indexOf(alert.level) >= minRank);
+      if (alerts.length === 0) {
+        return;
+      }
+
+      deliveries.push(this.db.insertNotificationDelivery({
+        digestId: digest.id,
+        subscriberId: subscriberId,
+        channelId: channel.id,
+        channel: channel.channel,
+        destination: channel.destination,
+        payload: { event: 'digest', digest: { ...digest, alert_count: alerts.length, alerts } }
+      }));
+    });
+
+    deliveries.forEach(delivery => {
+      this.attemptDelivery(delivery);
+    });
+
+    return deliveries;
+  }
+
+  async attemptDelivery(delivery) {
+    if (this.inFlight.has(delivery.id)) {
+      return;
+    }
+
+    const adapter = this.channels[delivery.channel];
+    if (!adapter || !adapter.isConfigured()) {
+      this.db.skipNotificationDelivery(delivery.id, `Channel ${delivery.channel} is not configured`);
+      return;
+    }
+
+    const channel = this.db.getNotificationChannelById(delivery.channel_id);
+    if (!channel) {
+      this.db.skipNotificationDelivery(delivery.id, 'Channel was removed');
+      return;
+    }
+
+    this.inFlight.add(delivery.id);
+    try {
+      await adapter.send(channel, { ...delivery.payload, delivery_id: delivery.id });
+      this.db.recordDeliveryAttempt(delivery.id, { status: 'SENT' });
+      const subject = delivery.alert_id ? `alert ${delivery.alert_id}` : `digest ${delivery.digest_id}`;
+      console.log(`Delivered ${subject} via ${delivery.channel} (delivery ${delivery.id})`);
+    } catch (error) {
+      const attempts = delivery.attempts + 1;
+      const retry = this.isRetryable(error) && attempts < this.config.maxAttempts;
+      const message = this.describeError(error);
+
+      // Exponential backoff: base, 2x base, 4x base, ...
+      this.db.recordDeliveryAttempt(delivery.id, {
+        status: retry ? 'PENDING' : 'FAILED',
+        error: message,
+        retryInSeconds: retry ? this.config.retryBaseSeconds * 2 ** (attempts - 1) : null
+      });
+      console.error(`Delivery ${delivery.id} via ${delivery.channel} failed (attempt ${attempts}${retry ? ', will retry' : ''}):`, message);
+    } finally {
+      this.inFlight.delete(delivery.id);
+    }
+  }
+
+  async processDueDeliveries() {
+    try {
+      const due = this.db.getDueNotificationDeliveries();
+      for (const delivery of due) {
+        await this.attemptDelivery(delivery);
+      }
+      return due.length;
+    } catch (error) {
+      console.error('Error processing notification retries:', error.message);
+      return 0;
+    }
+  }
+
+  isRetryable(error) {
+    if (error.permanent) {
+      return false;
+    }
+
+    // HTTP adapters: retry server errors, timeouts and network failures
+    if (error.response) {
+      const status = error.response.status;
+      return status >= 500 || RETRYABLE_HTTP_STATUSES.includes(status);
+    }
+
+    // SMTP: 5xx replies are permanent rejections
+    if (error.responseCode) {
+      return error.responseCode < 500;
+    }
+
+    return true;
+  }
+
+  describeError(error) {
+    if (error.response) {
+      return `HTTP ${error.response.status} ${error.response.statusText || ''}`.trim();
+    }
+    return error.message;
+  }
+}
+
+NotificationService.NOTIFICATION_CHANNELS = NOTIFICATION_CHANNELS;
+NotificationService.WebhookChannel = WebhookChannel;
+NotificationService.EmailChannel = EmailChannel;
+NotificationService.SmsChannel = SmsChannel;
+
+module.exports = NotificationService;
@@ -0,0 +1,83 @@
+// Accumulation windows in hours, keyed by the weather_data column they populate
+const ACCUMULATION_WINDOWS = {
+  rainfall_24h: 24,
+  rainfall_72h: 72,
+  rainfall_7d: 168
+};
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Rolling rainfall totals per city. Stored observations are bucketed by UTC hour;
+ * hours with no observation are filled from the provider's hourly precipitation
+ * history, and hours with neither count as dry.
+ */
+class RainfallService {
+  constructor(climateDB) {
+    this.db = climateDB;
+  }
+
+  // 'YYYY-MM-DD HH' in UTC, matching strftime('%Y-%m-%d %H', recorded_at)
+  static hourKey(time) {
+    return new Date(time).toISOString().slice(0, 13).replace('T', ' ');
+  }
+
+  /**
+   * Compute 24h, 72h and 7-day rainfall totals for a city, ending with the current reading
+   * @param {string} cityName - Name of the city
+   * @param {number} currentRainfall - Rainfall over the last hour (mm) about to be stored
+   * @param {Array} precipitationHistory - Optional [{ time, precipitation }] from Open-Meteo
+   * @returns {Object} rainfall_24h, rainfall_72h and rainfall_7d in mm
+   */
+  getAccumulations(cityName, currentRainfall, precipitationHistory = []) {
+    const maxHours = Math.max(...Object.values(ACCUMULATION_WINDOWS));
+    const now = Date.now();
+
+    const observed = new Map();
+    this.db.getHourlyRainfall(cityName, maxHours).forEach(row => {
+      observed.set(row.hour, row.rainfall);
+    });
+
+    const currentKey = RainfallService.hourKey(now);
+    if (currentRainfall !== null && currentRainfall !== undefined && !observed.has(currentKey)) {
+      observed.set(currentKey, currentRainfall);
+    }
+
+    const history = new Map();
+    (precipitationHistory || []).forEach(entry => {
+      history.set(RainfallService.hourKey(entry.time), entry.precipitation || 0);
+    });
+
+    const totals = {};
+    Object.keys(ACCUMULATION_WINDOWS).forEach(column => {
+      totals[column] = 0;
+    });
+
+    for (let offset = 0; offset < maxHours; offset++) {
+      const key = RainfallService.hourKey(now - offset * HOUR_MS);
+      let rainfall = 0;
+
+      if (observed.has(key)) {
+        rainfall = observed.get(key);
+      } else if (history.has(key)) {
+        rainfall = history.get(key);
+      }
+
+      Object.entries(ACCUMULATION_WINDOWS).forEach(([column, hours]) => {
+        if (offset < hours) {
+          totals[column] += rainfall;
+        }
+      });
+    }
+
+    Object.keys(totals).forEach(column => {
+      totals[column] = Math.round(totals[column] * 10) / 10;
+    });
+
+    return totals;
+  }
+}
+
+RainfallService.ACCUMULATION_WINDOWS = ACCUMULATION_WINDOWS;
+
+module.exports = RainfallService;
@@ -0,0 +1,175 @@
+// Resolutions /api/weather/history can serve, finest first. A range is served at the
+// first resolution that still covers its start and keeps it to about a thousand points.
+const HISTORY_RESOLUTIONS = {
+  RAW: { maxSpanDays: 2, retention: 'rawDays' },
+  HOURLY: { maxSpanDays: 31, retention: 'hourlyDays' },
+  DAILY: { maxSpanDays: 731, retention: 'dailyDays' },
+  MONTHLY: { maxSpanDays: Infinity, retention: null }
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const toTimestamp = (ms) => new Date(ms).toISOString().replace('T', ' ').slice(0, 19);
+
+// First period_start of a rollup resolution that overlaps the instant
+function toPeriodStart(ms, resolution) {
+  const timestamp = toTimestamp(ms);
+  switch (resolution) {
+    case 'HOURLY':
+      return timestamp.slice(0, 13) + ':00:00';
+    case 'DAILY':
+      return timestamp.slice(0, 10);
+    default:
+      return timestamp.slice(0, 7) + '-01';
+  }
+}
+
+/**
+ * Tiered retention for weather_data. A scheduled compaction rolls observations up into
+ * hourly, daily and monthly aggregates before purging them, and each tier is kept for
+ * its own period. History queries are answered from whichever tier suits the range.
+ */
+class RetentionService {
+  constructor(climateDB, config = {}) {
+    this.db = climateDB;
+    this.config = {
+      rawDays: parseInt(process.env.WEATHER_RAW_DAYS) || 30,
+      hourlyDays: parseInt(process.env.ROLLUP_HOURLY_DAYS) || 90,
+      dailyDays: parseInt(process.env.ROLLUP_DAILY_DAYS) || 730,
+      compactionIntervalMinutes: parseInt(process.env.COMPACTION_INTERVAL_MINUTES) || 60,
+      ...config
+    };
+    this.timers = [];
+  }
+
+  // Compact now, then on every interval
+  start() {
+    this.runCompaction();
+    this.timers.push(setInterval(() => {
+      this.runCompaction();
+    }, this.config.compactionIntervalMinutes * 60 * 1000));
+    console.log(`Weather data compaction scheduled every ${this.config.compactionIntervalMinutes} minutes`);
+  }
+
+  stop() {
+    this.timers.forEach(timer => clearInterval(timer));
+    this.timers = [];
+  }
+
+  /**
+   * Roll up new observations and purge each tier past its retention
+   * @returns {Object|null} { rolledUp, purged } row counts, or null if compaction failed
+   */
+  runCompaction() {
+    try {
+      const { rawDays, hourlyDays, dailyDays } = this.config;
+      const result = this.db.compactWeatherData({ rawDays, hourlyDays, dailyDays });
+      const { purged } = result;
+
+      if (purged.raw + purged.hourly + purged.daily > 0) {
+        console.log(`Weather compaction purged ${purged.raw} observations, ${purged.hourly} hourly and ${purged.daily} daily rollups`);
+      }
+      return result;
+    } catch (error) {
+      console.error('Error compacting weather data:', error.message);
+      return null;
+    }
+  }
+
+  // Whether a tier still holds data from `fromMs` onward
+  isRetained(resolution, fromMs) {
+    const { retention } = HISTORY_RESOLUTIONS[resolution];
+    return !retention || fromMs >= Date.now() - this.config[retention] * DAY_MS;
+  }
+
+  // Finest resolution that still holds `fromMs` and spans the range in few enough points
+  chooseResolution(fromMs, toMs) {
+    const spanDays = (toMs - fromMs) / DAY_MS;
+    return Object.keys(HISTORY_RESOLUTIONS).find(resolution =>
+      this.isRetained(resolution, fromMs) && spanDays <= HISTORY_RESOLUTIONS[resolution].maxSpanDays
+    );
+  }
+
+  parseTime(value) {
+    // A timestamp without an offset is UTC, like the stored ones
+    return Date.parse(/[zZ]|[+-]\d{2}:?\d{2}$|^\d{4}-\d{2}-\d{2}$/.test(value) ? value : `${value}Z`);
+  }
+
+  /**
+   * History for a city over a time range, at the given resolution or the one that suits it
+   * @param {Object} city - Row from the cities table
+   * @param {Object} options - { from, to (ISO 8601, UTC unless offset), resolution (RAW, HOURLY, DAILY, MONTHLY or AUTO), limit }
+   * @returns {Object} { valid, errors, resolution, from, to, data }. RAW data are observations;
+   *   rollup data are { period_start, <metric>: { min, max, mean, sum, samples } }. Newest first.
+   */
+  getHistory(city, { from, to = null, resolution = 'AUTO', limit = 1000 } = {}) {
+    const errors = [];
+    const fromMs = this.parseTime(from || '');
+    const toMs = to ? this.parseTime(to) : Date.now();
+
+    if (!from) {
+      errors.push('from is required');
+    } else if (isNaN(fromMs)) {
+      errors.push(`from '${from}' is not a valid timestamp`);
+    }
+    if (isNaN(toMs)) {
+      errors.push(`to '${to}' is not a valid timestamp`);
+    }
+    if (errors.length === 0 && fromMs > toMs) {
+      errors.push('from must not be after to');
+    }
+    if (resolution !== 'AUTO' && !(resolution in HISTORY_RESOLUTIONS)) {
+      errors.push(`resolution must be one of: AUTO, ${Object.keys(HISTORY_RESOLUTIONS).join(', ')}`);
+    }
+
+    if (errors.length > 0) {
+      return { valid: false, errors };
+    }
+
+    const chosen = resolution === 'AUTO' ? this.chooseResolution(fromMs, toMs) : resolution;
+    const range = { from: toTimestamp(fromMs), to: toTimestamp(toMs) };
+
+    if (chosen === 'RAW') {
+      return {
+        valid: true,
+        errors,
+        resolution: chosen,
+        ...range,
+        data: this.db.getWeatherHistoryRange(city.name, range.from, range.to, limit)
+      };
+    }
+
+    const rows = this.db.getWeatherRollups(city.id, {
+      resolution: chosen,
+      from: toPeriodStart(fromMs, chosen),
+      to: range.to,
+      limit
+    });
+
+    return { valid: true, errors, resolution: chosen, ...range, data: this.groupRollups(rows) };
+  }
+
+  // One entry per period, with each metric's statistics under its name
+  groupRollups(rows) {
+    const periods = new Map();
+    rows.forEach(row => {
+      if (!periods.has(row.period_start)) {
+        periods.set(row.period_start, { period_start: row.period_start });
+      }
+      periods.get(row.period_start)[row.metric] = {
+        min: row.min_value,
+        max: row.max_value,
+        mean: row.mean_value,
+        sum: row.sum_value,
+        samples: row.samples
+      };
+    });
+    return [...periods.values()];
+  }
+}
+
+RetentionService.HISTORY_RESOLUTIONS = HISTORY_RESOLUTIONS;
+RetentionService.toTimestamp = toTimestamp;
+RetentionService.toPeriodStart = toPeriodStart;
+
+module.exports = RetentionService;
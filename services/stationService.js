@@ -0,0 +1,290 @@
+const crypto = require('crypto');
+const { parseCsv } = require('../utils/csv');
+const { findNearest, isValidCoordinates } = require('../utils/geo');
+
+const STATION_TYPES = ['RAIN_GAUGE', 'SOIL_PROBE', 'WEATHER_STATION', 'OTHER'];
+
+// Readings a station may report, in the units of IngestionService.OBSERVATION_FIELDS.
+// Ranges cover what ValidationUtils.validateWeatherData does not check.
+const STATION_FIELDS = {
+  temperature: null,
+  humidity: null,
+  pressure: null,
+  rainfall: null,
+  wind_speed: { min: 0, max: 400 },
+  wind_direction: { min: 0, max: 360 },
+  wind_gust: { min: 0, max: 500 },
+  soil_moisture: { min: 0, max: 100 },
+  soil_temperature: { min: -30, max: 80 },
+  uv_index: { min: 0, max: 20 }
+};
+
+// A reading may be timestamped slightly ahead of the server clock
+const CLOCK_SKEW_MS = 5 * 60 * 1000;
+
+const hashKey = (apiKey) => crypto.createHash('sha256').update(apiKey).digest('hex');
+
+// ValidationUtils is TypeScript: use the source under ts-node, otherwise the build output in dist/
+function loadValidationUtils() {
+  for (const modulePath of ['../ml-ts/utils', '../dist/ml-ts/utils']) {
+    try {
+      return require(modulePath).ValidationUtils;
+    } catch (error) {
+      if (error.code !== 'MODULE_NOT_FOUND') {
+        throw error;
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Local weather stations and IoT sensors: registration, per-station API keys, and
+ * validation and storage of the readings they push. Recent readings are handed to
+ * ingestion, which fuses them with the remote providers for the station's city.
+ */
+class StationService {
+  constructor(climateDB, config = {}) {
+    this.db = climateDB;
+    this.config = {
+      maxAgeMinutes: parseInt(process.env.STATION_MAX_AGE_MINUTES) || 60,
+      maxBatchSize: 1000,
+      ...config
+    };
+    this.validationUtils = loadValidationUtils();
+
+    if (!this.validationUtils) {
+      console.warn('ValidationUtils not found; run "npm run build" to accept station observations');
+    }
+  }
+
+  isValidationAvailable() {
+    return Boolean(this.validationUtils);
+  }
+
+  generateApiKey() {
+    return crypto.randomBytes(24).toString('hex');
+  }
+
+  /**
+   * Register a station against a city, or against the nearest city to its coordinates
+   * @param {Object} details - { id, name, station_type, city, latitude, longitude }
+   * @returns {Object} { valid, errors, station, apiKey }; the key is only returned here
+   */
+  registerStation(details) {
+    const errors = [];
+    const { id, name, station_type: stationType = 'OTHER', city: cityName } = details;
+    const latitude = details.latitude ?? null;
+    const longitude = details.longitude ?? null;
+
+    if (!id || !/^[A-Za-z0-9_-]{3,64}$/.test(id)) {
+      errors.push('id must be 3-64 letters, digits, hyphens or underscores');
+    } else if (this.db.getStationById(id)) {
+      errors.push(`Station '${id}' already exists`);
+    }
+
+    if (!name) {
+      errors.push('name is required');
+    }
+
+    if (!STATION_TYPES.includes(stationType)) {
+      errors.push(`station_type must be one of: ${STATION_TYPES.join(', ')}`);
+    }
+
+    const hasCoordinates = latitude !== null || longitude !== null;
+    if (hasCoordinates && !isValidCoordinates(latitude, longitude)) {
+      errors.push('latitude and longitude must both be numbers in range');
+    }
+
+    let city = null;
+    if (cityName) {
+      city = this.db.getCityByName(cityName);
+      if (!city) {
+        errors.push(`City '${cityName}' not found`);
+      }
+    } else if (!hasCoordinates) {
+      errors.push('Either city or latitude and longitude is required');
+    }
+
+    if (errors.length > 0) {
+      return { valid: false, errors };
+    }
+
+    city = city || this.findNearestCity(latitude, longitude);
+    const apiKey = this.generateApiKey();
+    const station = this.db.insertStation({
+      id,
+      name,
+      stationType,
+      cityId: city.id,
+      latitude,
+      longitude,
+      apiKeyHash: hashKey(apiKey)
+    });
+
+    return { valid: true, errors, station: this.publicStation(station), apiKey };
+  }
+
+  findNearestCity(latitude, longitude) {
+    return findNearest(this.db.getAllCities(), latitude, longitude);
+  }
+
+  // Station row without its key hash
+  publicStation(station) {
+    if (!station) {
+      return station;
+    }
+    const { api_key_hash: apiKeyHash, ...rest } = station;
+    return rest;
+  }
+
+  /**
+   * Look up an active station by id and key
+   * @returns {Object|null} The station row, or null if the id or key is wrong
+   */
+  authenticate(stationId, apiKey) {
+    const station = this.db.getStationById(stationId);
+    if (!station || !station.is_active || !apiKey) {
+      return null;
+    }
+
+    const expected = Buffer.from(station.api_key_hash, 'hex');
+    const given = Buffer.from(hashKey(apiKey), 'hex');
+    return crypto.timingSafeEqual(expected, given) ? station : null;
+  }
+
+  rotateKey(stationId) {
+    const apiKey = this.generateApiKey();
+    return this.db.updateStation(stationId, { apiKeyHash: hashKey(apiKey) }) ? apiKey : null;
+  }
+
+  /**
+   * Parse a CSV batch: a header row of field names, then one reading per line.
+   * Empty cells are treated as not reported.
+   * @returns {Array} Readings keyed by header
+   */
+  parseCsv(text) {
+    return parseCsv(text, { stringColumns: ['observed_at'] });
+  }
+
+  /**
+   * Validate one reading and normalize its timestamp
+   * @param {Object} raw - { observed_at, temperature, ... }
+   * @returns {Object} { valid, errors, warnings, reading }
+   */
+  validateReading(raw) {
+    const errors = [];
+    const reading = {};
+
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+      return { valid: false, errors: ['Reading must be an object'], warnings: [] };
+    }
+
+    Object.keys(raw).filter(key => key !== 'observed_at' && !(key in STATION_FIELDS)).forEach(key => {
+      errors.push(`Unknown field: ${key}`);
+    });
+
+    Object.entries(STATION_FIELDS).forEach(([field, range]) => {
+      const value = raw[field];
+      if (value === undefined || value === null) {
+        return;
+      }
+      if (typeof value !== 'number' || !isFinite(value)) {
+        errors.push(`${field} must be a number`);
+        return;
+      }
+      if (range && (value < range.min || value > range.max)) {
+        errors.push(`${field} ${value} is outside valid range (${range.min} to ${range.max})`);
+      }
+      reading[field] = value;
+    });
+
+    if (Object.keys(reading).length === 0 && errors.length === 0) {
+      errors.push(`Reading has no values; expected any of: ${Object.keys(STATION_FIELDS).join(', ')}`);
+    }
+
+    const observedAt = raw.observed_at ? new Date(raw.observed_at) : new Date();
+    if (isNaN(observedAt.getTime())) {
+      errors.push(`observed_at '${raw.observed_at}' is not a valid timestamp`);
+    } else if (observedAt.getTime() > Date.now() + CLOCK_SKEW_MS) {
+      errors.push('observed_at is in the future');
+    } else {
+      reading.observed_at = observedAt.toISOString().replace('T', ' ').slice(0, 19);
+    }
+
+    const result = this.validationUtils.validateWeatherData({
+      temperature: reading.temperature,
+      humidity: reading.humidity,
+      rainfall: reading.rainfall,
+      pressure: reading.pressure,
+      windSpeed: reading.wind_speed,
+      windDirection: reading.wind_direction,
+      uvIndex: reading.uv_index,
+      recordedAt: reading.observed_at
+    });
+    errors.push(...result.errors);
+    reading.warnings = result.warnings;
+
+    return { valid: errors.length === 0, errors, warnings: result.warnings, reading };
+  }
+
+  /**
+   * Validate and store a batch of readings from a station. Valid readings are stored
+   * even when others in the batch are rejected.
+   * @param {Object} station - Authenticated station row
+   * @param {Array} rawReadings - Readings from the request body
+   * @returns {Object} { received, accepted, duplicates, rejected: [{ index, errors }], warnings, latest_observed_at }
+   */
+  ingestObservations(station, rawReadings) {
+    const accepted = [];
+    const rejected = [];
+    const warnings = [];
+
+    rawReadings.forEach((raw, index) => {
+      const result = this.validateReading(raw);
+      if (!result.valid) {
+        rejected.push({ index, errors: result.errors });
+        return;
+      }
+      accepted.push(result.reading);
+      result.warnings.forEach(warning => warnings.push({ index, warning }));
+    });
+
+    const stored = accepted.length > 0
+      ? this.db.insertStationObservations(station, accepted)
+      : { inserted: 0, duplicates: 0 };
+
+    return {
+      received: rawReadings.length,
+      accepted: stored.inserted,
+      duplicates: stored.duplicates,
+      rejected,
+      warnings,
+      latest_observed_at: accepted.length > 0
+        ? accepted.map(reading => reading.observed_at).sort().pop()
+        : null
+    };
+  }
+
+  // Whether a reading is recent enough to be fused into the city's current observation
+  isCurrent(observedAt) {
+    const observedMs = new Date(observedAt.replace(' ', 'T') + 'Z').getTime();
+    return Date.now() - observedMs <= this.config.maxAgeMinutes * 60 * 1000;
+  }
+
+  /**
+   * Latest recent reading of each active station in a city, as fusion sources
+   * @returns {Array} [{ provider: 'Station:<id>', reading }]
+   */
+  getFusionReadings(city) {
+    return this.db.getRecentStationReadings(city.id, this.config.maxAgeMinutes).map(row => ({
+      provider: `Station:${row.station_id}`,
+      reading: Object.fromEntries(Object.keys(STATION_FIELDS).map(field => [field, row[field]]))
+    }));
+  }
+}
+
+StationService.STATION_TYPES = STATION_TYPES;
+StationService.STATION_FIELDS = STATION_FIELDS;
+
+module.exports = StationService;
@@ -0,0 +1,260 @@
+// Numeric fields combined across providers, with the spread beyond which providers disagree.
+// Units follow IngestionService.OBSERVATION_FIELDS.
+const FUSED_FIELDS = {
+  temperature: { tolerance: 2 },
+  feels_like: { tolerance: 3 },
+  temp_min: { tolerance: 3 },
+  temp_max: { tolerance: 3 },
+  humidity: { tolerance: 15 },
+  pressure: { tolerance: 4 },
+  rainfall: { tolerance: 2 },
+  wind_speed: { tolerance: 10 },
+  wind_direction: { tolerance: 60, circular: true },
+  wind_gust: { tolerance: 15 },
+  visibility: { tolerance: 3000 },
+  uv_index: { tolerance: 2 },
+  cloud_cover: { tolerance: 30 }
+};
+
+// A provider is weighted by its accuracy only once this many comparisons are recorded
+const MIN_ACCURACY_SAMPLES = 10;
+
+// Confidence of a field reported by a single provider, which nothing corroborates
+const SINGLE_SOURCE_CONFIDENCE = 0.5;
+
+const round = (value, places = 2) => Math.round(value * 10 ** places) / 10 ** places;
+
+// Station readings are fused as provider `Station:<id>` (see StationService.getFusionReadings)
+const isStation = (provider) => provider.startsWith('Station:');
+
+// Smallest angle between two compass bearings
+function angularDifference(a, b) {
+  const diff = Math.abs(a - b) % 360;
+  return diff > 180 ? 360 - diff : diff;
+}
+
+/**
+ * Combines the normalized observations of several providers into one. Overlapping
+ * numeric fields are averaged, each provider weighted by its historical accuracy against
+ * the city's stations; other fields come from the most preferred provider that reports them.
+ * Every fused field records which providers reported what, their spread and a
+ * confidence, and spreads beyond the field's tolerance are flagged as disagreements.
+ */
+class WeatherFusionService {
+  constructor(climateDB) {
+    this.db = climateDB;
+  }
+
+  /**
+   * Fusion weight of a provider_accuracy row. A provider whose error equals the field's
+   * tolerance gets half the weight of an exact one; too few samples weigh 1.
+   */
+  weightFor(row) {
+    const field = FUSED_FIELDS[row.field];
+    if (!field || row.samples < MIN_ACCURACY_SAMPLES) {
+      return 1;
+    }
+    return round(1 / (1 + row.mean_abs_error / field.tolerance), 3);
+  }
+
+  /**
+   * Weight per provider and field for a city
+   * @returns {Object} { [provider]: { [field]: weight } }; missing entries weigh 1
+   */
+  getWeights(cityId) {
+    const weights = {};
+
+    this.db.getProviderAccuracy({ cityId }).forEach(row => {
+      weights[row.provider] = weights[row.provider] || {};
+      weights[row.provider][row.field] = this.weightFor(row);
+    });
+
+    return weights;
+  }
+
+  /**
+   * Fuse provider observations for a city
+   * @param {Object} city - Row from the cities table
+   * @param {Array} observations - [{ provider, observation }] in priority order
+   * @returns {Object} { observation, quality } where observation holds the fused values and
+   *   quality is { source_count, confidence, disagreement_count, field_provenance, disagreements }
+   */
+  fuse(city, observations) {
+    const weights = observations.length > 1 ? this.getWeights(city.id) : {};
+    const fused = {};
+    const provenance = {};
+    const disagreements = [];
+
+    Object.keys(observations[0].observation).forEach(field => {
+      const reports = observations
+        .filter(entry => entry.observation[field] !== null && entry.observation[field] !== undefined)
+        .map(entry => ({ provider: entry.provider, value: entry.observation[field] }));
+
+      if (reports.length === 0) {
+        fused[field] = null;
+        return;
+      }
+
+      const definition = FUSED_FIELDS[field];
+      if (!definition) {
+        fused[field] = reports[0].value;
+        provenance[field] = { source: reports[0].provider };
+        return;
+      }
+
+      const result = this.fuseField(definition, reports, weights, field);
+      fused[field] = result.value;
+      provenance[field] = result.provenance;
+
+      if (result.provenance.disagreement) {
+        disagreements.push({
+          field,
+          spread: result.provenance.spread,
+          tolerance: definition.tolerance,
+          values: result.provenance.values
+        });
+      }
+    });
+
+    const fieldConfidences = Object.values(provenance)
+      .filter(entry => entry.confidence !== undefined)
+      .map(entry => entry.confidence);
+
+    return {
+      observation: fused,
+      quality: {
+        source_count: observations.length,
+        confidence: fieldConfidences.length > 0
+          ? round(fieldConfidences.reduce((sum, value) => sum + value, 0) / fieldConfidences.length)
+          : null,
+        disagreement_count: disagreements.length,
+        field_provenance: provenance,
+        disagreements
+      }
+    };
+  }
+
+  fuseField(definition, reports, weights, field) {
+    const values = {};
+    const fieldWeights = {};
+    reports.forEach(report => {
+      values[report.provider] = report.value;
+      fieldWeights[report.provider] = weights[report.provider]?.[field] ?? 1;
+    });
+
+    if (reports.length === 1) {
+      return {
+        value: reports[0].value,
+        provenance: { values, spread: 0, confidence: SINGLE_SOURCE_CONFIDENCE, disagreement: false }
+      };
+    }
+
+    const value = definition.circular
+      ? this.weightedBearing(reports, fieldWeights)
+      : round(this.weightedMean(reports, fieldWeights), 1);
+    const spread = round(this.spread(definition, reports.map(report => report.value)), 1);
+
+    return {
+      value,
+      provenance: {
+        values,
+        weights: fieldWeights,
+        spread,
+        confidence: round(Math.max(0, 1 - spread / (2 * definition.tolerance))),
+        disagreement: spread > definition.tolerance
+      }
+    };
+  }
+
+  weightedMean(reports, weights) {
+    const totalWeight = reports.reduce((sum, report) => sum + weights[report.provider], 0);
+    return reports.reduce((sum, report) => sum + report.value * weights[report.provider], 0) / totalWeight;
+  }
+
+  // Mean of compass bearings as unit vectors, so 350° and 10° average to 0°, not 180°
+  weightedBearing(reports, weights) {
+    let x = 0;
+    let y = 0;
+    reports.forEach(report => {
+      const radians = report.value * Math.PI / 180;
+      x += Math.cos(radians) * weights[report.provider];
+      y += Math.sin(radians) * weights[report.provider];
+    });
+    return Math.round((Math.atan2(y, x) * 180 / Math.PI + 360) % 360);
+  }
+
+  spread(definition, values) {
+    if (!definition.circular) {
+      return Math.max(...values) - Math.min(...values);
+    }
+
+    let widest = 0;
+    values.forEach((a, i) => {
+      values.slice(i + 1).forEach(b => {
+        widest = Math.max(widest, angularDifference(a, b));
+      });
+    });
+    return widest;
+  }
+
+  /**
+   * Score each remote provider against the city's station readings for every fused field
+   * they both reported, and fold the errors into its stored accuracy for the city.
+   * Stations are the only ground truth at ingestion, so without a station reading for a
+   * field nothing is scored and providers keep their current weight.
+   * @param {Object} city - Row from the cities table
+   * @param {Array} observations - [{ provider, observation }] that were fused
+   */
+  updateAccuracy(city, observations) {
+    const stations = observations.filter(entry => isStation(entry.provider));
+    const providers = observations.filter(entry => !isStation(entry.provider));
+    if (stations.length === 0 || providers.length === 0) {
+      return;
+    }
+
+    const reportsOf = (entries, field) => entries
+      .filter(entry => typeof entry.observation[field] === 'number')
+      .map(entry => ({ provider: entry.provider, value: entry.observation[field] }));
+
+    const errors = [];
+    Object.entries(FUSED_FIELDS).forEach(([field, definition]) => {
+      const measured = reportsOf(stations, field);
+      if (measured.length === 0) {
+        return;
+      }
+
+      const unitWeights = Object.fromEntries(measured.map(report => [report.provider, 1]));
+      const reference = definition.circular
+        ? this.weightedBearing(measured, unitWeights)
+        : this.weightedMean(measured, unitWeights);
+
+      reportsOf(providers, field).forEach(report => {
+        const error = definition.circular
+          ? angularDifference(report.value, reference)
+          : Math.abs(report.value - reference);
+        errors.push({ provider: report.provider, field, error: round(error, 3) });
+      });
+    });
+
+    if (errors.length > 0) {
+      this.db.recordProviderErrors(city.id, errors);
+    }
+  }
+
+  /**
+   * Stored accuracy with the weight each provider currently gets
+   * @param {number} cityId - Optional city filter
+   */
+  getAccuracy(cityId = null) {
+    return this.db.getProviderAccuracy({ cityId }).map(row => ({
+      ...row,
+      mean_abs_error: round(row.mean_abs_error, 3),
+      weight: this.weightFor(row)
+    }));
+  }
+}
+
+WeatherFusionService.FUSED_FIELDS = FUSED_FIELDS;
+WeatherFusionService.MIN_ACCURACY_SAMPLES = MIN_ACCURACY_SAMPLES;
+
+module.exports = WeatherFusionService;
@@ -0,0 +1,433 @@
+// Provider order used when neither the city's region nor DEFAULT has a stored priority
+const DEFAULT_PROVIDER_PRIORITY = ['Open-Meteo', 'OpenWeather', 'IMD'];
+
+const CIRCUIT_STATES = ['CLOSED', 'OPEN', 'HALF_OPEN'];
+
+// Weight of the newest request in the moving average latency
+const LATENCY_SMOOTHING = 0.2;
+
+/**
+ * A source of current weather for a city. Subclasses implement fetch(), which
+ * resolves to { source, data } or throws; a null result also counts as a failure.
+ */
+class WeatherProvider {
+  constructor(name, resultKey) {
+    this.name = name;
+    // Key under which getComprehensiveWeather has always returned this provider's payload
+    this.resultKey = resultKey;
+  }
+
+  isConfigured() {
+    return true;
+  }
+
+  supports(city) {
+    return true;
+  }
+
+  async fetch(city) {
+    throw new Error(`${this.name} provider does not implement fetch`);
+  }
+}
+
+// Sites are fetched at their stored coordinates; a farm's name cannot be geocoded
+const siteCoordinates = (city) => ({ latitude: city.latitude, longitude: city.longitude });
+
+class OpenMeteoProvider extends WeatherProvider {
+  constructor(climateAPI) {
+    super('Open-Meteo', 'openMeteoData');
+    this.api = climateAPI;
+  }
+
+  async fetch(city) {
+    return this.api.getOpenMeteoWeather(city.name, { throwErrors: true, coordinates: siteCoordinates(city) });
+  }
+}
+
+class OpenWeatherProvider extends WeatherProvider {
+  constructor(climateAPI) {
+    super('OpenWeather', 'openWeatherData');
+    this.api = climateAPI;
+  }
+
+  isConfigured() {
+    return !this.api.usesMockData();
+  }
+
+  async fetch(city) {
+    return this.api.getOpenWeatherData(city.name, { throwErrors: true, coordinates: siteCoordinates(city) });
+  }
+}
+
+class ImdProvider extends WeatherProvider {
+  constructor(climateAPI) {
+    super('IMD', 'imdData');
+    this.api = climateAPI;
+  }
+
+  // IMD is queried by station id, which not every city has
+  supports(city) {
+    return Boolean(city.imd_id);
+  }
+
+  async fetch(city) {
+    return this.api.getIMDWeather(city.imd_id, { throwErrors: true });
+  }
+}
+
+/**
+ * Fetches current weather through the registered providers in each region's
+ * priority order, failing over to the next provider on error. Tracks health per
+ * provider and opens a circuit after repeated failures so a dead provider is
+ * skipped until its cooldown has passed; one trial request then decides whether
+ * the circuit closes again.
+ */
+class WeatherProviderService {
+  constructor(climateDB, climateAPI, config = {}) {
+    this.db = climateDB;
+    this.api = climateAPI;
+    this.config = {
+      failureThreshold: parseInt(process.env.PROVIDER_FAILURE_THRESHOLD) || 3,
+      cooldownSeconds: parseInt(process.env.PROVIDER_COOLDOWN_SECONDS) || 300,
+      ...config
+    };
+    this.providers = {};
+    this.health = {};
+    this.priorities = {};
+
+    this.registerProvider(new OpenMeteoProvider(climateAPI));
+    this.registerProvider(new OpenWeatherProvider(climateAPI));
+    this.registerProvider(new ImdProvider(climateAPI));
+
+    this.loadPriorities();
+  }
+
+  /**
+   * Register (or replace) a provider
+   * @param {WeatherProvider} provider - Provider with a unique name
+   */
+  registerProvider(provider) {
+    this.providers[provider.name] = provider;
+    this.health[provider.name] = this.createHealth();
+  }
+
+  createHealth() {
+    return {
+      attempts: 0,
+      successes: 0,
+      failures: 0,
+      consecutive_failures: 0,
+      avg_latency_ms: null,
+      last_latency_ms: null,
+      last_success_at: null,
+      last_failure_at: null,
+      last_error: null,
+      circuit: 'CLOSED',
+      opened_at: null,
+      trial_in_flight: false
+    };
+  }
+
+  loadPriorities() {
+    try {
+      this.priorities = {};
+      this.db.getProviderPriorities().forEach(row => {
+        this.priorities[row.region] = row.providers;
+      });
+    } catch (error) {
+      console.error('Error loading provider priorities:', error.message);
+      this.priorities = {};
+    }
+  }
+
+  /**
+   * Provider order for a region: its own priority, else DEFAULT, else the built-in order
+   * @param {string} region - Region from the cities table
+   * @returns {Array} Provider names, most preferred first
+   */
+  getPriority(region) {
+    return this.priorities[region] || this.priorities.DEFAULT || DEFAULT_PROVIDER_PRIORITY;
+  }
+
+  /**
+   * Validate and store a region's provider order
+   * @param {string} region - Region name, or DEFAULT
+   * @param {Array} providers - Provider names, most preferred first
+   * @param {string} updatedBy - Who made the change
+   * @returns {Object} { valid, errors }
+   */
+  setPriority(region, providers, updatedBy = null) {
+    const errors = [];
+
+    if (!Array.isArray(providers) || providers.length === 0) {
+      errors.push('providers must be a non-empty array of provider names');
+    } else {
+      providers.filter(name => !this.providers[name]).forEach(name => {
+        errors.push(`Unknown provider: ${name}. Valid providers: ${Object.keys(this.providers).join(', ')}`);
+      });
+      if (new Set(providers).size !== providers.length) {
+        errors.push('providers must not repeat a provider');
+      }
+    }
+
+    if (errors.length > 0) {
+      return { valid: false, errors };
+    }
+
+    this.db.setProviderPriority(region, providers, updatedBy);
+    this.loadPriorities();
+    return { valid: true, errors };
+  }
+
+  deletePriority(region) {
+    const deleted = this.db.deleteProviderPriority(region);
+    this.loadPriorities();
+    return deleted;
+  }
+
+  /**
+   * Whether a request may be sent to a provider now. An open circuit moves to
+   * HALF_OPEN once the cooldown has passed and lets a single trial through.
+   */
+  canAttempt(name) {
+    const health = this.health[name];
+
+    if (health.circuit === 'OPEN') {
+      const elapsed = Date.now() - new Date(health.opened_at).getTime();
+      if (elapsed < this.config.cooldownSeconds * 1000) {
+        return false;
+      }
+      health.circuit = 'HALF_OPEN';
+    }
+
+    if (health.circuit === 'HALF_OPEN') {
+      if (health.trial_in_flight) {
+        return false;
+      }
+      health.trial_in_flight = true;
+    }
+
+    return true;
+  }
+
+  recordSuccess(name, latencyMs) {
+    const health = this.health[name];
+    health.attempts++;
+    health.successes++;
+    health.consecutive_failures = 0;
+    health.last_success_at = new Date().toISOString();
+    this.recordLatency(health, latencyMs);
+
+    if (health.circuit !== 'CLOSED') {
+      console.log(`Weather provider ${name} recovered; circuit closed`);
+    }
+    health.circuit = 'CLOSED';
+    health.opened_at = null;
+    health.trial_in_flight = false;
+  }
+
+  recordFailure(name, latencyMs, error) {
+    const health = this.health[name];
+    health.attempts++;
+    health.failures++;
+    health.consecutive_failures++;
+    health.last_failure_at = new Date().toISOString();
+    health.last_error = error.message;
+    this.recordLatency(health, latencyMs);
+
+    // A failed trial reopens the circuit for another cooldown
+    if (health.circuit === 'HALF_OPEN' || health.consecutive_failures >= this.config.failureThreshold) {
+      if (health.circuit !== 'OPEN') {
+        console.warn(`Weather provider ${name} circuit opened after ${health.consecutive_failures} consecutive failures`);
+      }
+      health.circuit = 'OPEN';
+      health.opened_at = new Date().toISOString();
+    }
+    health.trial_in_flight = false;
+  }
+
+  recordLatency(health, latencyMs) {
+    health.last_latency_ms = latencyMs;
+    health.avg_latency_ms = health.avg_latency_ms === null
+      ? latencyMs
+      : Math.round(health.avg_latency_ms * (1 - LATENCY_SMOOTHING) + latencyMs * LATENCY_SMOOTHING);
+  }
+
+  createResult(city) {
+    return {
+      city: city.name,
+      cityId: city.imd_id,
+      source: null,
+      payload: null,
+      results: [],
+      attempts: [],
+      sources: { imdData: null, openWeatherData: null, openMeteoData: null }
+    };
+  }
+
+  // Providers that may be asked for this city, in its region's priority order
+  getEligibleProviders(city, accept, result) {
+    const eligible = [];
+
+    for (const name of this.getPriority(city.region)) {
+      const provider = this.providers[name];
+      if (!provider || !accept(name)) {
+        continue;
+      }
+
+      if (!provider.isConfigured() || !provider.supports(city)) {
+        result.attempts.push({ provider: name, status: 'SKIPPED', error: 'Not configured for this city' });
+        continue;
+      }
+
+      eligible.push(provider);
+    }
+
+    return eligible;
+  }
+
+  /**
+   * Send one request to a provider, recording its health
+   * @returns {Object} { provider, payload, attempt }; payload is null unless the request succeeded
+   */
+  async attemptProvider(provider, city) {
+    const name = provider.name;
+    if (!this.canAttempt(name)) {
+      return {
+        provider,
+        payload: null,
+        attempt: { provider: name, status: 'CIRCUIT_OPEN', error: this.health[name].last_error }
+      };
+    }
+
+    const startedAt = Date.now();
+    try {
+      const payload = await provider.fetch(city);
+      if (!payload || !payload.data) {
+        throw new Error('No data returned');
+      }
+
+      const latencyMs = Date.now() - startedAt;
+      this.recordSuccess(name, latencyMs);
+      return { provider, payload, attempt: { provider: name, status: 'SUCCESS', latency_ms: latencyMs } };
+    } catch (error) {
+      const latencyMs = Date.now() - startedAt;
+      this.recordFailure(name, latencyMs, error);
+      return {
+        provider,
+        payload: null,
+        attempt: { provider: name, status: 'FAILED', latency_ms: latencyMs, error: error.message }
+      };
+    }
+  }
+
+  addSuccess(result, provider, payload) {
+    if (!result.source) {
+      result.source = provider.name;
+      result.payload = payload;
+    }
+    result.results.push({ provider: provider.name, payload });
+    result.sources[provider.resultKey] = payload;
+  }
+
+  // Every provider failed: serve the static mock data when no OpenWeather key is configured.
+  // Sites without a mock entry of their own, such as farms, get none rather than Delhi's.
+  applyMockFallback(result, city) {
+    if (!result.source && this.api.usesMockData() && this.api.hasMockWeather(city.name)) {
+      result.source = 'Mock';
+      result.payload = this.api.getMockWeather(city.name);
+      result.results.push({ provider: 'Mock', payload: result.payload });
+      result.sources.openWeatherData = result.payload;
+    }
+    return result;
+  }
+
+  /**
+   * Fetch current weather for a city from the first provider in its region's
+   * priority order that responds. Falls back to static mock data when every
+   * provider fails, no OpenWeather key is configured and the city has mock data.
+   * @param {Object} city - Row from the cities table
+   * @param {Object} options - accept(name) limits which providers may be used; mockFallback
+   *   false skips the mock data, e.g. when the caller has station readings instead
+   * @returns {Object} { city, cityId, source, payload, results, attempts, sources }. `sources` has
+   *   the imdData/openWeatherData/openMeteoData keys of getComprehensiveWeather.
+   */
+  async fetchWeather(city, { accept = () => true, mockFallback = true } = {}) {
+    const result = this.createResult(city);
+
+    for (const provider of this.getEligibleProviders(city, accept, result)) {
+      const { payload, attempt } = await this.attemptProvider(provider, city);
+      result.attempts.push(attempt);
+      if (payload) {
+        this.addSuccess(result, provider, payload);
+        break;
+      }
+    }
+
+    return mockFallback ? this.applyMockFallback(result, city) : result;
+  }
+
+  /**
+   * Fetch current weather for a city from every eligible provider at once. Providers
+   * with an open circuit are skipped as in fetchWeather.
+   * @param {Object} city - Row from the cities table
+   * @param {Object} options - accept and mockFallback as in fetchWeather
+   * @returns {Object} Same shape as fetchWeather; `results` lists every successful
+   *   { provider, payload } in priority order, and `source`/`payload` are the first of them.
+   */
+  async fetchAll(city, { accept = () => true, mockFallback = true } = {}) {
+    const result = this.createResult(city);
+    const eligible = this.getEligibleProviders(city, accept, result);
+
+    const responses = await Promise.all(eligible.map(provider => this.attemptProvider(provider, city)));
+    responses.forEach(({ provider, payload, attempt }) => {
+      result.attempts.push(attempt);
+      if (payload) {
+        this.addSuccess(result, provider, payload);
+      }
+    });
+
+    return mockFallback ? this.applyMockFallback(result, city) : result;
+  }
+
+  resetProvider(name) {
+    if (!this.providers[name]) {
+      return false;
+    }
+    this.health[name] = this.createHealth();
+    return true;
+  }
+
+  /**
+   * Health and configuration of every provider, plus the stored priorities
+   */
+  getStatus() {
+    return {
+      providers: Object.values(this.providers).map(provider => {
+        const health = this.health[provider.name];
+        const state = { ...health };
+        delete state.trial_in_flight;
+        return {
+          name: provider.name,
+          configured: provider.isConfigured(),
+          success_rate: health.attempts > 0
+            ? Math.round((health.successes / health.attempts) * 1000) / 1000
+            : null,
+          ...state
+        };
+      }),
+      default_priority: this.getPriority('DEFAULT'),
+      region_priorities: this.priorities,
+      circuit_breaker: {
+        failure_threshold: this.config.failureThreshold,
+        cooldown_seconds: this.config.cooldownSeconds
+      }
+    };
+  }
+}
+
+WeatherProviderService.WeatherProvider = WeatherProvider;
+WeatherProviderService.DEFAULT_PROVIDER_PRIORITY = DEFAULT_PROVIDER_PRIORITY;
+WeatherProviderService.CIRCUIT_STATES = CIRCUIT_STATES;
+
+module.exports = WeatherProviderService;
@@ -0,0 +1,105 @@
+/**
+ * Alert lifecycle: expiring alerts whose ISO 8601 expiry has passed, and acknowledging
+ * or resolving an alert under the caller's admin or operator identity
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const express = require('express');
+
+const ClimateDatabase = require('../database/db');
+const AlertService = require('../services/alertService');
+const { router: alertRouter, initializeAlertRouter } = require('../routes/alerts');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Socket.IO stand-in that drops broadcasts
+const io = { to: () => io, emit: () => {} };
+
+function withAlertService(callback) {
+  const db = new ClimateDatabase(':memory:');
+  const alertService = new AlertService(db, io);
+  try {
+    return callback(alertService, db);
+  } finally {
+    alertService.stop();
+    db.close();
+  }
+}
+
+const heatAlert = (city, expiresAt) => ({
+  city_id: city.id,
+  city_name: city.name,
+  type: 'HEAT',
+  alert_level: 'HIGH',
+  metrics: { temperature: 46 },
+  threshold_exceeded: 45,
+  alert_message: 'Dangerous heat',
+  expires_at: expiresAt
+});
+
+test('expires an alert whose ISO expiry passed an hour ago, and no longer lists it as active', () => {
+  withAlertService((alertService, db) => {
+    const city = db.getCityByName('Jaisalmer');
+    const expired = Number(db.insertAlert(heatAlert(city, new Date(Date.now() - HOUR_MS).toISOString())).lastInsertRowid);
+    const current = Number(db.insertAlert(heatAlert(city, new Date(Date.now() + HOUR_MS).toISOString())).lastInsertRowid);
+
+    assert.deepStrictEqual(db.getExpiredActiveAlerts().map(alert => alert.id), [expired]);
+    assert.deepStrictEqual(db.getActiveAlertsForCity(city.id).heat.map(alert => alert.id), [current]);
+    assert.deepStrictEqual(db.getAllActiveAlerts().map(alert => alert.id), [current]);
+
+    assert.strictEqual(alertService.expireAlerts(), 1);
+    assert.deepStrictEqual(db.getExpiredActiveAlerts(), []);
+  });
+});
+
+test('acknowledges and resolves alerts only with a key, recording who did it', async () => {
+  const keys = { ADMIN_API_KEY: 'admin-key', OPERATOR_API_KEYS: 'duty-officer:operator-key' };
+  const previous = {};
+  Object.entries(keys).forEach(([name, value]) => {
+    previous[name] = process.env[name];
+    process.env[name] = value;
+  });
+
+  const db = new ClimateDatabase(':memory:');
+  const alertService = new AlertService(db, io);
+  initializeAlertRouter(alertService);
+  const app = express();
+  app.use(express.json());
+  app.use('/api/alerts', alertRouter);
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+
+  const post = (path, headers) => fetch(`http://127.0.0.1:${server.address().port}/api/alerts${path}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify({ actor: 'someone-else', note: 'checked' })
+  });
+
+  try {
+    const city = db.getCityByName('Jaisalmer');
+    const alertId = Number(db.insertAlert(heatAlert(city, new Date(Date.now() + HOUR_MS).toISOString())).lastInsertRowid);
+
+    assert.strictEqual((await post(`/${alertId}/acknowledge`, {})).status, 401);
+    assert.strictEqual((await post(`/${alertId}/resolve`, { 'X-Operator-Key': 'guess' })).status, 401);
+    assert.strictEqual(db.getAlertById(alertId).status, 'NEW');
+
+    assert.strictEqual((await post(`/${alertId}/acknowledge`, { 'X-Operator-Key': 'operator-key' })).status, 200);
+    assert.strictEqual((await post(`/${alertId}/resolve`, { 'X-Admin-Key': 'admin-key' })).status, 200);
+
+    const events = db.getAlertEvents(alertId).map(event => [event.event_type, event.actor]);
+    assert.deepStrictEqual(events.slice(1), [['ACKNOWLEDGED', 'duty-officer'], ['RESOLVED', 'admin']]);
+  } finally {
+    server.close();
+    alertService.stop();
+    db.close();
+    Object.entries(previous).forEach(([name, value]) => {
+      if (value === undefined) {
+        delete process.env[name];
+      } else {
+        process.env[name] = value;
+      }
+    });
+  }
+});
@@ -0,0 +1,137 @@
+/**
+ * Alert thresholds: resolving city, state and region overrides, and the rainfall
+ * accumulation thresholds resolved the same way
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Database = require('better-sqlite3');
+
+const ClimateDatabase = require('../database/db');
+const AlertService = require('../services/alertService');
+
+// Alert service over a fresh in-memory database, stopped and closed after the callback
+function withAlertService(callback) {
+  const db = new ClimateDatabase(':memory:');
+  const alertService = new AlertService(db, null);
+  try {
+    return callback(alertService, db);
+  } finally {
+    alertService.stop();
+    db.close();
+  }
+}
+
+const forecast = (city, dailyRainfall) => ({
+  city_id: city.id,
+  city_name: city.name,
+  daily_forecast: dailyRainfall.map((precipitation, day) => ({
+    date: `2026-10-${19 + day}`,
+    precipitation
+  }))
+});
+
+const HEAT = (low) => ({ LOW: low, MEDIUM: low + 3, HIGH: low + 5, CRITICAL: low + 7 });
+
+test('resolves a city\'s thresholds from the city, then its state, then its region, then the default', () => {
+  withAlertService((alertService, db) => {
+    const jaisalmer = db.getCityByName('Jaisalmer'); // Rajasthan, North West
+    const banswara = db.getCityByName('Banswara'); // Rajasthan, North West
+    const raichur = db.getCityByName('Raichur'); // Karnataka, South
+
+    db.setAlertThresholds('REGION', 'North West', 'HEAT', HEAT(40));
+    db.setAlertThresholds('STATE', 'Rajasthan', 'HEAT', HEAT(42));
+    db.setAlertThresholds('CITY', jaisalmer.id, 'HEAT', HEAT(44));
+    alertService.loadThresholds();
+
+    const scopeOf = (city) => {
+      const { scope, scope_value, thresholds } = alertService.resolveThresholds(city.id, 'HEAT');
+      return [scope, scope_value, thresholds.LOW];
+    };
+    assert.deepStrictEqual(scopeOf(jaisalmer), ['CITY', String(jaisalmer.id), 44]);
+    assert.deepStrictEqual(scopeOf(banswara), ['STATE', 'Rajasthan', 42]);
+    assert.deepStrictEqual(scopeOf(raichur), ['DEFAULT', '', 35]);
+
+    // Removing an override falls back to the next scope up
+    db.deleteAlertThresholds('STATE', 'Rajasthan', 'HEAT');
+    alertService.loadThresholds();
+    assert.deepStrictEqual(scopeOf(banswara), ['REGION', 'North West', 40]);
+
+    // Overrides are per hazard
+    assert.strictEqual(alertService.resolveThresholds(jaisalmer.id, 'COLD').scope, 'DEFAULT');
+  });
+});
+
+test('rejects threshold sets that are incomplete or do not grow more severe', () => {
+  withAlertService((alertService) => {
+    assert.strictEqual(alertService.validateThresholdSet('HEAT', HEAT(40)), null);
+    assert.strictEqual(alertService.validateThresholdSet('COLD', { LOW: 10, MEDIUM: 6, HIGH: 3, CRITICAL: -1 }), null);
+
+    assert.match(alertService.validateThresholdSet('HEAT', { LOW: 40, MEDIUM: 43 }), /HIGH, CRITICAL/);
+    assert.match(alertService.validateThresholdSet('HEAT', { ...HEAT(40), EXTREME: 50 }), /Unknown levels: EXTREME/);
+    assert.match(alertService.validateThresholdSet('HEAT', { LOW: 40, MEDIUM: 40, HIGH: 45, CRITICAL: 47 }), /increase/);
+    assert.match(alertService.validateThresholdSet('COLD', HEAT(0)), /decrease/);
+  });
+});
+
+test('flood checks use a state\'s FLOOD_72H override and the national default elsewhere', () => {
+  withAlertService((alertService, db) => {
+    const jaisalmer = db.getCityByName('Jaisalmer'); // Rajasthan
+    const raichur = db.getCityByName('Raichur'); // Karnataka
+
+    db.setAlertThresholds('STATE', 'Rajasthan', 'FLOOD_72H', { LOW: 30, MEDIUM: 50, HIGH: 80, CRITICAL: 120 });
+    alertService.loadThresholds();
+
+    assert.strictEqual(alertService.checkFloodWatch(forecast(jaisalmer, [30, 30, 30])).alert_level, 'HIGH');
+    assert.strictEqual(alertService.checkFloodWatch(forecast(raichur, [30, 30, 30])).alert_level, 'LOW');
+
+    const warning = alertService.checkFloodRisk({
+      city_id: jaisalmer.id,
+      city_name: jaisalmer.name,
+      rainfall: 0,
+      rainfall_24h: 0,
+      rainfall_72h: 90
+    });
+    assert.strictEqual(warning.alert_level, 'HIGH');
+    assert.strictEqual(warning.metrics.trigger_period, '72h');
+  });
+});
+
+test('rebuilds a thresholds table whose CHECK constraint predates the rainfall types', () => {
+  const dbPath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'climatesync-')), 'thresholds.db');
+  const legacy = new Database(dbPath);
+  legacy.exec(`
+    CREATE TABLE alert_thresholds (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      alert_type TEXT NOT NULL CHECK (alert_type IN ('FLOOD', 'HEAT', 'DROUGHT', 'CYCLONE', 'COLD', 'WIND')),
+      level TEXT NOT NULL CHECK (level IN ('LOW', 'MEDIUM', 'HIGH', 'CRITICAL')),
+      threshold_value REAL NOT NULL,
+      threshold_unit TEXT NOT NULL,
+      description TEXT,
+      scope TEXT NOT NULL DEFAULT 'DEFAULT',
+      scope_value TEXT NOT NULL DEFAULT '',
+      is_active BOOLEAN DEFAULT 1,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP,
+      updated_by TEXT
+    );
+    INSERT INTO alert_thresholds (id, alert_type, level, threshold_value, threshold_unit, scope, scope_value, updated_by)
+    VALUES (40, 'HEAT', 'LOW', 42, '°C', 'STATE', 'Rajasthan', 'ops');
+  `);
+  legacy.close();
+
+  const db = new ClimateDatabase(dbPath);
+  try {
+    const [kept] = db.getAlertThresholds('HEAT', 'STATE', 'Rajasthan');
+    assert.deepStrictEqual([kept.id, kept.threshold_value, kept.updated_by], [40, 42, 'ops']);
+
+    const seeded = db.getAlertThresholds('FLOOD_72H', 'DEFAULT');
+    assert.deepStrictEqual(seeded.map(row => row.threshold_value), [64.5, 115.6, 204.5, 300]);
+  } finally {
+    db.close();
+    fs.rmSync(path.dirname(dbPath), { recursive: true });
+  }
+});
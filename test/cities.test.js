@@ -0,0 +1,27 @@
+/**
+ * Reloading the seed cities on start
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const ClimateDatabase = require('../database/db');
+
+test('keeps a city\'s ingestion interval when the seed cities are reloaded', () => {
+  const dbPath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'climatesync-')), 'cities.db');
+  let db = new ClimateDatabase(dbPath);
+  const city = db.getCityByName('Jaisalmer');
+  db.setCityIngestionInterval(city.id, 45);
+  db.close();
+
+  db = new ClimateDatabase(dbPath);
+  try {
+    assert.strictEqual(db.getCityByName('Jaisalmer').ingestion_interval_minutes, 45);
+  } finally {
+    db.close();
+    fs.rmSync(path.dirname(dbPath), { recursive: true });
+  }
+});
@@ -0,0 +1,71 @@
+/**
+ * Operator-only /api/ml-advanced model routes: running a model, promoting a version
+ * and rolling back need the admin key when one is configured
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const express = require('express');
+
+const mlAdvancedRouter = require('../routes/ml-advanced');
+
+const ADMIN_KEY = 'test-admin-key';
+
+const ROUTES = [
+  '/api/ml-advanced/models/weather_prediction/versions/1/promote',
+  '/api/ml-advanced/models/weather_prediction/rollback',
+  '/api/ml-advanced/models/weather_prediction'
+];
+
+let server;
+let baseUrl;
+let previousKey;
+
+before(async () => {
+  previousKey = process.env.ADMIN_API_KEY;
+  process.env.ADMIN_API_KEY = ADMIN_KEY;
+
+  const app = express();
+  app.use(express.json());
+  app.use('/api/ml-advanced', mlAdvancedRouter);
+  await new Promise(resolve => {
+    server = app.listen(0, '127.0.0.1', resolve);
+  });
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  server.close();
+  if (previousKey === undefined) {
+    delete process.env.ADMIN_API_KEY;
+  } else {
+    process.env.ADMIN_API_KEY = previousKey;
+  }
+});
+
+const post = (route, headers = {}) => fetch(baseUrl + route, {
+  method: 'POST',
+  headers: { 'Content-Type': 'application/json', ...headers },
+  body: '{}'
+});
+
+test('refuses to run, promote or roll back models without the admin key', async () => {
+  for (const route of ROUTES) {
+    const response = await post(route);
+    assert.strictEqual(response.status, 401, route);
+    assert.deepStrictEqual(await response.json(), { success: false, error: 'Admin key required' });
+
+    const wrongKey = await post(route, { 'X-Admin-Key': 'guess' });
+    assert.strictEqual(wrongKey.status, 401, route);
+  }
+});
+
+test('passes requests with the admin key on to the model service', async (t) => {
+  // The routes log with emoji, which the Node 20 test runner cannot read back from a test file
+  t.mock.method(console, 'log', () => {});
+
+  for (const route of ROUTES) {
+    const response = await post(route, { 'X-Admin-Key': ADMIN_KEY });
+    assert.notStrictEqual(response.status, 401, route);
+  }
+});
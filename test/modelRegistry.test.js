@@ -0,0 +1,87 @@
+/**
+ * Stored ml-ts model versions: storing untrained and trained weather models, reporting the
+ * untrained one as degraded, promotion, rollback and reloading the production version on start
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+
+require('ts-node').register({ transpileOnly: true, project: path.join(__dirname, '..', 'tsconfig.json') });
+
+const ClimateDatabase = require('../database/db');
+const { AdvancedMLService } = require('../ml-ts/ml-service');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Three weeks of daily readings, enough for both weather models to train
+const history = Array.from({ length: 21 }, (_, day) => ({
+  temperature: 30 + 3 * Math.sin(day / 3),
+  humidity: 55 + (day % 5),
+  rainfall: day % 4,
+  pressure: 1008 + (day % 3),
+  recordedAt: new Date(Date.now() - (21 - day) * DAY_MS).toISOString()
+}));
+
+const stages = (service) => service.listModelVersions('weather_prediction')
+  .map(version => [version.version, version.stage]);
+
+const weatherStatus = (service) => service.listModels()
+  .find(model => model.name === 'weather_prediction').status;
+
+let db;
+let service;
+
+before(async () => {
+  db = new ClimateDatabase(':memory:');
+  service = new AdvancedMLService(db);
+  await service.initialize();
+});
+
+after(async () => {
+  await service.shutdown();
+  db.close();
+});
+
+test('does not store the untrained weather model, and serves the first trained one at once', async () => {
+  assert.deepStrictEqual(stages(service), []);
+  assert.strictEqual(weatherStatus(service), 'degraded');
+
+  await service.trainModels([history]);
+  assert.deepStrictEqual(stages(service), [[1, 'production']]);
+
+  const forecast = await service.getWeatherPredictions('Jaisalmer', 3, history[history.length - 1]);
+  assert.strictEqual(forecast.predictions.length, 3);
+  assert.ok(forecast.predictions.every(day => !day.metadata?.fallback));
+  assert.strictEqual(weatherStatus(service), 'ready');
+});
+
+test('stores later training as a candidate until it is promoted', async () => {
+  await service.trainModels([history]);
+  assert.deepStrictEqual(stages(service), [[2, 'candidate'], [1, 'production']]);
+
+  const promoted = service.promoteModelVersion('weather_prediction', 2);
+  assert.strictEqual(promoted.stage, 'production');
+  assert.deepStrictEqual(stages(service), [[2, 'production'], [1, 'retired']]);
+  assert.strictEqual(service.listModels().find(model => model.name === 'weather_prediction').version, 2);
+});
+
+test('rolls back to the previous production version, then has nothing earlier', () => {
+  const restored = service.rollbackModel('weather_prediction');
+  assert.strictEqual(restored.version, 1);
+  assert.deepStrictEqual(stages(service), [[2, 'rolled_back'], [1, 'production']]);
+
+  assert.throws(() => service.rollbackModel('weather_prediction'), { code: 'NO_PREVIOUS_VERSION' });
+  assert.throws(() => service.promoteModelVersion('weather_prediction', 9), { code: 'UNKNOWN_MODEL_VERSION' });
+});
+
+test('loads the production version when the service starts again', async () => {
+  const restarted = new AdvancedMLService(db);
+  await restarted.initialize();
+  try {
+    assert.strictEqual(restarted.listModels().find(model => model.name === 'weather_prediction').version, 1);
+    assert.deepStrictEqual(stages(restarted), [[2, 'rolled_back'], [1, 'production']]);
+  } finally {
+    await restarted.shutdown();
+  }
+});
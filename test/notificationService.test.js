@@ -0,0 +1,162 @@
+/**
+ * Outbound alert delivery against local stand-ins: an HTTP webhook receiver, an HTTP
+ * SMS gateway and nodemailer's JSON transport in place of SMTP
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+
+const ClimateDatabase = require('../database/db');
+const NotificationService = require('../services/notificationService');
+const { WebhookChannel, EmailChannel, SmsChannel } = NotificationService;
+const { checkWebhookUrl } = require('../utils/webhookTargets');
+
+// Local HTTP receiver that answers with the next status in `statuses`, then 200
+function startStandIn(statuses = []) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      requests.push({ headers: req.headers, body });
+      res.statusCode = statuses.shift() || 200;
+      res.end();
+    });
+  });
+
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => {
+    resolve({ server, requests, url: `http://127.0.0.1:${server.address().port}/hook` });
+  }));
+}
+
+const waitFor = async (condition, timeoutMs = 5000) => {
+  const start = Date.now();
+  while (!condition()) {
+    if (Date.now() - start > timeoutMs) throw new Error('Timed out waiting for delivery');
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+};
+
+let db;
+let service;
+let subscriber;
+let alert;
+let webhook;
+let sms;
+const sentMail = [];
+
+before(async () => {
+  process.env.WEBHOOK_ALLOWED_HOSTS = '127.0.0.1';
+  db = new ClimateDatabase(':memory:');
+  webhook = await startStandIn([503, 503]);
+  sms = await startStandIn();
+
+  service = new NotificationService(db, { maxAttempts: 3, retryBaseSeconds: 0 });
+  service.stop();
+  service.registerChannel('sms', new SmsChannel({ url: sms.url }));
+  const email = new EmailChannel({ transport: { jsonTransport: true } });
+  const send = email.send.bind(email);
+  email.send = async (channel, notification) => {
+    await send(channel, notification);
+    sentMail.push(channel.destination);
+  };
+  service.registerChannel('email', email);
+
+  subscriber = db.upsertSubscriber('delivery-test-token');
+  const city = db.getCityByName('Jaisalmer');
+  const alertId = db.insertAlert({
+    city_id: city.id, city_name: city.name, type: 'FLOOD', alert_level: 'CRITICAL',
+    metrics: { rainfall: 120 }, threshold_exceeded: 'rainfall', alert_message: 'Heavy rain'
+  }).lastInsertRowid;
+  alert = { ...db.getAlertById(alertId), type: 'FLOOD' };
+});
+
+after(() => {
+  webhook.server.close();
+  sms.server.close();
+  db.close();
+});
+
+test('retries a failing webhook until it is delivered, and signs every attempt', async () => {
+  const channel = db.upsertNotificationChannel(subscriber.id, 'webhook', webhook.url, { secret: 's3cret' });
+  const [delivery] = service.dispatch(alert, subscriber.id);
+
+  await waitFor(() => webhook.requests.length === 1 && !service.inFlight.size);
+  assert.strictEqual(db.getNotificationDeliveryById(delivery.id).status, 'PENDING');
+
+  await service.processDueDeliveries();
+  await service.processDueDeliveries();
+
+  const logged = db.getNotificationDeliveryById(delivery.id);
+  assert.strictEqual(logged.status, 'SENT');
+  assert.strictEqual(logged.attempts, 3);
+  assert.strictEqual(webhook.requests.length, 3);
+
+  const { headers, body } = webhook.requests[2];
+  const expected = WebhookChannel.sign('s3cret', headers['x-climatesync-timestamp'], body);
+  assert.strictEqual(headers['x-climatesync-signature'], `sha256=${expected}`);
+  assert.strictEqual(JSON.parse(body).alert.id, alert.id);
+
+  db.deleteNotificationChannel(channel.id);
+});
+
+test('gives up after the last attempt and logs the error', async () => {
+  const failing = await startStandIn([500, 500, 500]);
+  const channel = db.upsertNotificationChannel(subscriber.id, 'webhook', failing.url);
+  const [delivery] = service.dispatch(alert, subscriber.id);
+
+  await waitFor(() => failing.requests.length === 1 && !service.inFlight.size);
+  await service.processDueDeliveries();
+  await service.processDueDeliveries();
+
+  const logged = db.getNotificationDeliveryById(delivery.id);
+  assert.strictEqual(logged.status, 'FAILED');
+  assert.strictEqual(logged.attempts, 3);
+  assert.strictEqual(logged.last_error, 'HTTP 500 Internal Server Error');
+
+  failing.server.close();
+  db.deleteNotificationChannel(channel.id);
+});
+
+test('delivers SMS to the gateway and email through the transport', async () => {
+  const smsChannel = db.upsertNotificationChannel(subscriber.id, 'sms', '+919800000000');
+  const emailChannel = db.upsertNotificationChannel(subscriber.id, 'email', 'farmer@example.com');
+  const deliveries = service.dispatch(alert, subscriber.id);
+
+  await waitFor(() => deliveries.every(delivery => db.getNotificationDeliveryById(delivery.id).status === 'SENT'));
+  assert.deepStrictEqual(JSON.parse(sms.requests[0].body), {
+    to: '+919800000000',
+    from: 'CLMSYN',
+    message: 'ClimateSync CRITICAL FLOOD: Heavy rain'
+  });
+  assert.deepStrictEqual(sentMail, ['farmer@example.com']);
+
+  db.deleteNotificationChannel(smsChannel.id);
+  db.deleteNotificationChannel(emailChannel.id);
+});
+
+test('refuses webhooks to private, loopback and link-local addresses', async () => {
+  delete process.env.WEBHOOK_ALLOWED_HOSTS;
+
+  for (const url of ['http://127.0.0.1/', 'http://10.1.2.3/', 'http://169.254.169.254/latest',
+    'http://[::1]/', 'http://[::ffff:192.168.0.1]/', 'http://localhost/']) {
+    assert.ok(await checkWebhookUrl(url), url);
+  }
+  assert.strictEqual(await checkWebhookUrl('http://93.184.216.34/hook'), null);
+  assert.ok(await checkWebhookUrl('ftp://93.184.216.34/'));
+
+  // A channel stored before the check is failed at once, without a request or a retry
+  const requestsBefore = webhook.requests.length;
+  const channel = db.upsertNotificationChannel(subscriber.id, 'webhook', webhook.url);
+  const [delivery] = service.dispatch(alert, subscriber.id);
+  await waitFor(() => db.getNotificationDeliveryById(delivery.id).status !== 'PENDING');
+
+  const logged = db.getNotificationDeliveryById(delivery.id);
+  assert.strictEqual(logged.status, 'FAILED');
+  assert.strictEqual(logged.attempts, 1);
+  assert.strictEqual(webhook.requests.length, requestsBefore);
+
+  db.deleteNotificationChannel(channel.id);
+  process.env.WEBHOOK_ALLOWED_HOSTS = '127.0.0.1';
+});
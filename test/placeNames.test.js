@@ -0,0 +1,46 @@
+/**
+ * Place name matching: romanizing Devanagari, folding diacritics and spelling
+ * variants into one search key, and scoring near matches
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const { transliterate, searchKey, similarity } = require('../utils/placeNames');
+
+test('romanizes Devanagari, dropping the inherent vowel where Hindi drops it', () => {
+  assert.strictEqual(transliterate('कानपुर'), 'kaanpur');
+  assert.strictEqual(transliterate('कमल'), 'kamal');
+  // A nasal keeps the schwa it sits on
+  assert.strictEqual(transliterate('औरंगाबाद'), 'aurangaabaad');
+  // Nukta letters
+  assert.strictEqual(transliterate('ज़ीरकपुर'), 'ziirakpur');
+  assert.strictEqual(transliterate('Jaisalmer 2'), 'Jaisalmer 2');
+});
+
+test('gives a name the same key in Devanagari, with diacritics and in plain Latin', () => {
+  const spellings = [
+    ['कानपुर', 'Kānpur', 'Kanpur'],
+    ['भोपाल', 'Bhopāl', 'Bhopal', 'Bopal'],
+    ['जैसलमेर', 'Jaisalmer'],
+    ['बांसवाड़ा', 'Bānswāra', 'Banswara'],
+    ['ज़ीरकपुर', 'Zirakpur']
+  ];
+
+  spellings.forEach(([first, ...others]) => {
+    others.forEach(other => assert.strictEqual(searchKey(other), searchKey(first), other));
+  });
+  assert.strictEqual(searchKey('Meerut'), searchKey('Mirut'));
+  assert.strictEqual(searchKey('...'), '');
+});
+
+test('scores exact keys over prefixes over near misses', () => {
+  const jaisalmer = searchKey('Jaisalmer');
+
+  assert.strictEqual(similarity(searchKey('जैसलमेर'), jaisalmer), 1);
+  assert.strictEqual(similarity(searchKey('Jaisal'), jaisalmer), 0.9);
+  const misspelt = similarity(searchKey('Jesalmer'), jaisalmer);
+  assert.ok(misspelt > 0.7 && misspelt < 0.9, String(misspelt));
+  assert.ok(similarity(searchKey('Kanpur'), jaisalmer) < 0.5);
+  assert.strictEqual(similarity('', jaisalmer), 0);
+});
@@ -0,0 +1,74 @@
+/**
+ * The ML prediction archive shared by the TypeScript and JavaScript engines
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Database = require('better-sqlite3');
+
+const ClimateDatabase = require('../database/db');
+
+const prediction = (engine, data) => ({
+  cityId: 1,
+  cityName: 'Jaisalmer',
+  predictionType: 'weather',
+  engine,
+  predictionData: JSON.stringify(data),
+  issuedAt: '2026-10-18T06:42:10.000Z'
+});
+
+test('keeps each engine\'s prediction for the same hour, and updates a row in place', () => {
+  const db = new ClimateDatabase(':memory:');
+  try {
+    const first = db.archivePrediction(prediction('typescript', { run: 1 }));
+    db.archivePrediction(prediction('javascript', { run: 1 }));
+    db.archivePrediction(prediction('typescript', { run: 2 }));
+
+    const rows = db.db.prepare('SELECT id, engine, prediction_data, issued_at FROM ml_prediction_archive ORDER BY engine').all();
+    assert.deepStrictEqual(rows.map(row => [row.engine, JSON.parse(row.prediction_data).run]), [
+      ['javascript', 1],
+      ['typescript', 2]
+    ]);
+    assert.strictEqual(rows[1].id, Number(first.lastInsertRowid));
+    assert.strictEqual(rows[0].issued_at, '2026-10-18T06:00:00Z');
+  } finally {
+    db.close();
+  }
+});
+
+test('rebuilds an archive keyed without the engine and keeps its row ids', () => {
+  const dbPath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'climatesync-')), 'archive.db');
+  const legacy = new Database(dbPath);
+  legacy.exec(`
+    CREATE TABLE ml_prediction_archive (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      city_id INTEGER,
+      city_name TEXT NOT NULL,
+      prediction_type TEXT NOT NULL,
+      prediction_data TEXT NOT NULL,
+      model_version TEXT,
+      issued_at TEXT NOT NULL,
+      verified_at TEXT,
+      UNIQUE(city_name, prediction_type, issued_at)
+    );
+    INSERT INTO ml_prediction_archive (id, city_id, city_name, prediction_type, prediction_data, issued_at, verified_at)
+    VALUES (7, 1, 'Jaisalmer', 'weather', '{"run":1}', '2026-10-18T06:00:00Z', '2026-10-19T01:00:00Z');
+  `);
+  legacy.close();
+
+  const db = new ClimateDatabase(dbPath);
+  try {
+    db.archivePrediction(prediction('javascript', { run: 1 }));
+
+    const rows = db.db.prepare('SELECT id, engine, verified_at FROM ml_prediction_archive ORDER BY id').all();
+    assert.strictEqual(rows.length, 2);
+    assert.deepStrictEqual(rows[0], { id: 7, engine: 'typescript', verified_at: '2026-10-19T01:00:00Z' });
+    assert.strictEqual(rows[1].engine, 'javascript');
+  } finally {
+    db.close();
+    fs.rmSync(path.dirname(dbPath), { recursive: true });
+  }
+});
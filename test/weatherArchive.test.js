@@ -0,0 +1,79 @@
+/**
+ * The long-term weather archive: CSV imports, downsampling hourly values to local days,
+ * and keeping hourly rows only for the recent past
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const ClimateDatabase = require('../database/db');
+const BackfillService = require('../services/backfillService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const IST_OFFSET_MS = 5.5 * 60 * 60 * 1000;
+
+// Calendar day in India `days` ago, as YYYY-MM-DD
+const indianDate = (days) => new Date(Date.now() - days * DAY_MS + IST_OFFSET_MS).toISOString().slice(0, 10);
+
+// Hourly CSV lines for hours `from`..`to` of an Indian day, temperature rising 1°C an hour
+const hourlyLines = (date, from, to) => Array.from({ length: to - from + 1 }, (_, index) => {
+  const hour = from + index;
+  return `${date}T${String(hour).padStart(2, '0')}:00:00+05:30,${20 + hour},0.5,${hour % 2 ? 10 : 350},50`;
+});
+
+const HOURLY_HEADER = 'time,temperature,rainfall,wind_direction,humidity';
+
+function withArchive(config, callback) {
+  const db = new ClimateDatabase(':memory:');
+  try {
+    return callback(new BackfillService(db, null, config), db, db.getCityByName('Jaisalmer'));
+  } finally {
+    db.close();
+  }
+}
+
+test('imports hourly CSV rows and downsamples each complete local day', () => {
+  withArchive({}, (backfill, db, city) => {
+    const date = indianDate(10);
+    const nextDate = indianDate(9);
+    const csv = [
+      HOURLY_HEADER,
+      ...hourlyLines(date, 0, 23),
+      `${date}T12:30:00+05:30,30,0,0,150`,
+      ...hourlyLines(nextDate, 0, 4)
+    ].join('\n');
+
+    const result = backfill.importCsv(city, csv);
+    assert.strictEqual(result.valid, true);
+    assert.deepStrictEqual(result.rejected, [{ line: 26, errors: ['humidity 150 is outside valid range (0 to 100)'] }]);
+    assert.strictEqual(result.import.status, 'PARTIAL');
+    assert.deepStrictEqual([result.import.hourly_rows, result.import.daily_rows, result.import.rejected_rows], [29, 1, 1]);
+
+    // The five hours of the next day are too few to make a daily row
+    const [day] = db.getArchiveRows(city.id, { resolution: 'DAILY' });
+    assert.strictEqual(day.period_start, date);
+    assert.deepStrictEqual(
+      [day.samples, day.temp_min, day.temp_max, day.temperature, day.rainfall, day.wind_direction],
+      [24, 20, 43, 31.5, 12, 0]
+    );
+    assert.strictEqual(db.getArchiveRows(city.id, { resolution: 'HOURLY' }).length, 29);
+  });
+});
+
+test('keeps daily rows after their hourly rows age out, and overwrites a re-imported day', () => {
+  withArchive({ hourlyDays: 200 }, (backfill, db, city) => {
+    const date = indianDate(120);
+    backfill.importCsv(city, [HOURLY_HEADER, ...hourlyLines(date, 0, 23)].join('\n'));
+    assert.strictEqual(db.getArchiveRows(city.id, { resolution: 'HOURLY' }).length, 24);
+
+    assert.strictEqual(db.pruneArchiveHourly(90), 24);
+    assert.deepStrictEqual(db.getArchiveCoverage(city.id).map(row => [row.resolution, row.rows]), [['DAILY', 1]]);
+
+    const daily = backfill.importCsv(city, `date,temp_min,temp_max,rainfall\n${date},18,41,30`, { resolution: 'DAILY' });
+    assert.strictEqual(daily.import.status, 'SUCCESS');
+
+    const rows = db.getArchiveRows(city.id, { resolution: 'DAILY' });
+    assert.strictEqual(rows.length, 1);
+    assert.deepStrictEqual([rows[0].temp_min, rows[0].temp_max, rows[0].rainfall, rows[0].source], [18, 41, 30, 'CSV']);
+  });
+});
@@ -0,0 +1,94 @@
+/**
+ * Multi-source fusion: weighted means, circular bearings, disagreement flags and the
+ * provider weights learned from station readings
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const ClimateDatabase = require('../database/db');
+const WeatherFusionService = require('../services/weatherFusionService');
+
+const { MIN_ACCURACY_SAMPLES } = WeatherFusionService;
+
+function withFusion(callback) {
+  const db = new ClimateDatabase(':memory:');
+  try {
+    return callback(new WeatherFusionService(db), db, db.getCityByName('Jaisalmer'));
+  } finally {
+    db.close();
+  }
+}
+
+const report = (provider, observation) => ({ provider, observation });
+
+test('weights providers by their error against station readings, so the closer one counts more', () => {
+  withFusion((fusion, db, city) => {
+    for (let i = 0; i < MIN_ACCURACY_SAMPLES; i++) {
+      fusion.updateAccuracy(city, [
+        report('Station:farm-12', { temperature: 30, wind_direction: 350 }),
+        report('Open-Meteo', { temperature: 30.5, wind_direction: 0 }),
+        report('OpenWeather', { temperature: 33, wind_direction: 60 })
+      ]);
+    }
+
+    const weights = fusion.getWeights(city.id);
+    assert.strictEqual(weights['Open-Meteo'].temperature, 0.8); // error 0.5 against a 2 °C tolerance
+    assert.strictEqual(weights.OpenWeather.temperature, 0.4); // error 3
+    assert.ok(weights['Open-Meteo'].wind_direction > weights.OpenWeather.wind_direction);
+    assert.strictEqual(weights['Station:farm-12'], undefined);
+
+    // Without a station the learned weights still apply
+    const { observation } = fusion.fuse(city, [
+      report('Open-Meteo', { temperature: 30 }),
+      report('OpenWeather', { temperature: 36 })
+    ]);
+    assert.strictEqual(observation.temperature, 32);
+  });
+});
+
+test('does not score providers against each other when no station reported', () => {
+  withFusion((fusion, db, city) => {
+    fusion.updateAccuracy(city, [
+      report('Open-Meteo', { temperature: 30 }),
+      report('OpenWeather', { temperature: 33 })
+    ]);
+    assert.deepStrictEqual(db.getProviderAccuracy({ cityId: city.id }), []);
+  });
+});
+
+test('averages numeric fields, takes the circular mean of bearings and flags spreads beyond tolerance', () => {
+  withFusion((fusion, db, city) => {
+    const { observation, quality } = fusion.fuse(city, [
+      report('Open-Meteo', { temperature: 30, humidity: 40, wind_direction: 350, weather_description: 'haze' }),
+      report('OpenWeather', { temperature: 31.5, humidity: 60, wind_direction: 10, weather_description: 'clear sky' }),
+      report('IMD', { temperature: 31, humidity: null, wind_direction: 20, weather_description: null })
+    ]);
+
+    assert.strictEqual(observation.temperature, 30.8);
+    assert.strictEqual(observation.humidity, 50);
+    // 350°, 10° and 20° average to 7°, not to the arithmetic 126.7°
+    assert.strictEqual(observation.wind_direction, 7);
+    assert.strictEqual(observation.weather_description, 'haze');
+
+    // Humidity spreads 20 points against a tolerance of 15; the others are within theirs
+    assert.deepStrictEqual(quality.disagreements, [{
+      field: 'humidity', spread: 20, tolerance: 15, values: { 'Open-Meteo': 40, OpenWeather: 60 }
+    }]);
+    assert.strictEqual(quality.field_provenance.wind_direction.spread, 30);
+    assert.strictEqual(quality.field_provenance.wind_direction.disagreement, false);
+    assert.strictEqual(quality.field_provenance.humidity.confidence, 0.33);
+    assert.deepStrictEqual(quality.field_provenance.weather_description, { source: 'Open-Meteo' });
+  });
+});
+
+test('weights each provider\'s bearing by its accuracy', () => {
+  withFusion((fusion) => {
+    const bearing = fusion.weightedBearing(
+      [{ provider: 'Open-Meteo', value: 0 }, { provider: 'OpenWeather', value: 90 }],
+      { 'Open-Meteo': 1, OpenWeather: 0.5 }
+    );
+    // atan2(0.5, 1) is 26.6°, pulled towards the more accurate provider
+    assert.strictEqual(bearing, 27);
+  });
+});
@@ -0,0 +1,103 @@
+/**
+ * Ingestion: mapping each provider's payload onto the normalized observation, and
+ * when the static mock data stands in for providers that all failed
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const ClimateDatabase = require('../database/db');
+const IngestionService = require('../services/ingestionService');
+const ClimateAPIService = require('../utils/climateAPIs');
+
+async function withIngestion(options, callback) {
+  const db = new ClimateDatabase(':memory:');
+  const api = new ClimateAPIService();
+  const ingestion = new IngestionService(db, api, options);
+  try {
+    return await callback(ingestion, db, db.getCityByName('Jaisalmer'), api);
+  } finally {
+    ingestion.stop();
+    db.close();
+  }
+}
+
+// Every provider request fails, as when the network is down
+function failProviders(t, api) {
+  const offline = async () => {
+    throw new Error('Network unreachable');
+  };
+  ['getOpenMeteoWeather', 'getOpenWeatherData', 'getIMDWeather'].forEach(method => {
+    t.mock.method(api, method, offline);
+  });
+  // Ingestion logs with emoji, which the Node 20 test runner cannot read back from a test file
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'error', () => {});
+}
+
+test('maps the IMD station record, whose values are strings, onto the observation', async () => {
+  await withIngestion({}, (ingestion, db, city) => {
+    const observation = ingestion.normalize(city, [{
+      provider: 'IMD',
+      payload: {
+        source: 'IMD',
+        data: [{
+          Station: 'Jaisalmer',
+          Temperature: '41.2',
+          'Feel Like': '44',
+          Humidity: '18',
+          'Mean Sea Level Pressure': '998.4',
+          'Wind Speed KMPH': '14',
+          'Wind Direction': '270',
+          'Last 24 hrs Rainfall': '12.5',
+          Sunrise: '06:02',
+          Sunset: '19:31'
+        }]
+      }
+    }]);
+
+    assert.deepStrictEqual(
+      [observation.temperature, observation.feels_like, observation.humidity, observation.pressure],
+      [41.2, 44, 18, 998.4]
+    );
+    assert.deepStrictEqual([observation.wind_speed, observation.wind_direction], [14, 270]);
+    assert.deepStrictEqual([observation.sunrise, observation.sunset], ['06:02', '19:31']);
+    // A 24-hour total is not an hourly rainfall reading
+    assert.strictEqual(observation.rainfall, null);
+  });
+});
+
+test('fuses only the station readings when every provider fails, without the mock data', async (t) => {
+  const stations = {
+    getFusionReadings: () => [{ provider: 'Station:farm-12', reading: { temperature: 31, humidity: 40 } }]
+  };
+
+  await withIngestion({ stations }, async (ingestion, db, city, api) => {
+    failProviders(t, api);
+    const result = await ingestion.ingestCity(city);
+
+    assert.strictEqual(result.status, 'SUCCESS');
+    assert.strictEqual(result.source, 'Station:farm-12');
+    assert.deepStrictEqual(result.weather.results, []);
+    assert.deepStrictEqual([result.observation.temperature, result.observation.humidity], [31, 40]);
+  });
+});
+
+test('records a farm as NO_DATA when every provider fails, instead of serving Delhi\'s mock data', async (t) => {
+  await withIngestion({}, async (ingestion, db, city, api) => {
+    failProviders(t, api);
+    const farm = db.insertFarm({
+      name: 'Kheda Farm 7', state: city.state, region: city.region, timezone: city.timezone,
+      latitude: 26.95, longitude: 70.85
+    });
+
+    const result = await ingestion.ingestCity(db.getCityByName(farm.name));
+    assert.strictEqual(result.status, 'NO_DATA');
+    assert.strictEqual(db.getLatestWeather(farm.name), undefined);
+    assert.strictEqual(db.getIngestionRuns({ cityId: farm.id })[0].status, 'NO_DATA');
+
+    // A city with mock data of its own still gets it
+    const jaipur = await ingestion.providers.fetchAll({ ...city, name: 'Jaipur' });
+    assert.strictEqual(jaipur.source, 'Mock');
+  });
+});
@@ -0,0 +1,79 @@
+/**
+ * Weather provider failover: the circuit breaker that opens after repeated failures,
+ * lets one trial request through once its cooldown has passed, and closes on success
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const ClimateDatabase = require('../database/db');
+const ClimateAPIService = require('../utils/climateAPIs');
+const WeatherProviderService = require('../services/weatherProviderService');
+
+const { WeatherProvider } = WeatherProviderService;
+
+// Open-Meteo stand-in that answers with whatever the test queues next
+class ScriptedProvider extends WeatherProvider {
+  constructor() {
+    super('Open-Meteo', 'openMeteoData');
+    this.calls = 0;
+    this.next = () => Promise.reject(new Error('Service unavailable'));
+  }
+
+  async fetch() {
+    this.calls++;
+    return this.next();
+  }
+}
+
+test('opens the circuit after repeated failures, then closes it after a successful trial', async (t) => {
+  const db = new ClimateDatabase(':memory:');
+  try {
+    const service = new WeatherProviderService(db, new ClimateAPIService(), { failureThreshold: 2, cooldownSeconds: 60 });
+    const provider = new ScriptedProvider();
+    service.registerProvider(provider);
+    t.mock.method(console, 'log', () => {});
+    t.mock.method(console, 'warn', () => {});
+
+    const city = db.getCityByName('Jaisalmer');
+    const fetchOpenMeteo = () => service.fetchWeather(city, { accept: name => name === 'Open-Meteo', mockFallback: false });
+    const circuit = () => service.health['Open-Meteo'].circuit;
+    t.mock.timers.enable({ apis: ['Date'], now: Date.now() });
+    const advance = (seconds) => t.mock.timers.tick(seconds * 1000);
+
+    await fetchOpenMeteo();
+    assert.strictEqual(circuit(), 'CLOSED');
+    await fetchOpenMeteo();
+    assert.strictEqual(circuit(), 'OPEN');
+
+    // While open the provider is skipped without a request
+    const skipped = await fetchOpenMeteo();
+    assert.strictEqual(skipped.attempts[0].status, 'CIRCUIT_OPEN');
+    assert.strictEqual(provider.calls, 2);
+
+    // After the cooldown one trial goes through; a failed trial reopens the circuit
+    advance(61);
+    const failedTrial = await fetchOpenMeteo();
+    assert.strictEqual(failedTrial.attempts[0].status, 'FAILED');
+    assert.strictEqual(circuit(), 'OPEN');
+    assert.strictEqual((await fetchOpenMeteo()).attempts[0].status, 'CIRCUIT_OPEN');
+
+    // Only one request is let through while the trial is in flight
+    advance(61);
+    let answerTrial;
+    provider.next = () => new Promise(resolve => {
+      answerTrial = () => resolve({ source: 'Open-Meteo', data: { main: { temp: 30 } } });
+    });
+    const trial = fetchOpenMeteo();
+    assert.strictEqual(circuit(), 'HALF_OPEN');
+    assert.strictEqual((await fetchOpenMeteo()).attempts[0].status, 'CIRCUIT_OPEN');
+
+    answerTrial();
+    assert.strictEqual((await trial).source, 'Open-Meteo');
+    assert.strictEqual(circuit(), 'CLOSED');
+    assert.strictEqual(provider.calls, 4);
+    assert.strictEqual(service.health['Open-Meteo'].consecutive_failures, 0);
+  } finally {
+    db.close();
+  }
+});
@@ -0,0 +1,108 @@
+/**
+ * Tiered retention of weather_data: hourly, daily and monthly rollups, the purge of each
+ * tier, and the resolution history queries are served at
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const ClimateDatabase = require('../database/db');
+const RetentionService = require('../services/retentionService');
+
+const { toTimestamp } = RetentionService;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+
+// 06:00 UTC on the day `days` ago
+const morningOf = (days) => {
+  const day = new Date(Date.now() - days * DAY_MS);
+  return Date.UTC(day.getUTCFullYear(), day.getUTCMonth(), day.getUTCDate(), 6);
+};
+
+function insertObservation(db, city, ms, temperature, rainfall) {
+  db.db.prepare(`
+    INSERT INTO weather_data (city_id, city_name, temperature, rainfall, recorded_at)
+    VALUES (?, ?, ?, ?, ?)
+  `).run(city.id, city.name, temperature, rainfall, toTimestamp(ms));
+}
+
+function rollup(db, city, resolution, periodStart, metric) {
+  return db.db.prepare(`
+    SELECT min_value, max_value, mean_value, sum_value, samples FROM weather_rollups
+    WHERE city_id = ? AND resolution = ? AND period_start = ? AND metric = ?
+  `).get(city.id, resolution, periodStart, metric);
+}
+
+test('rolls observations up through each tier before purging them, and does not count them twice', () => {
+  const db = new ClimateDatabase(':memory:');
+  try {
+    const city = db.getCityByName('Jaisalmer');
+    const old = morningOf(40);
+    const older = morningOf(100);
+
+    insertObservation(db, city, old, 30, 2);
+    insertObservation(db, city, old + 30 * 60 * 1000, 34, 4);
+    insertObservation(db, city, old + HOUR_MS, 20, 1);
+    insertObservation(db, city, older, 25, 0);
+    insertObservation(db, city, Date.now() - HOUR_MS, 31, 0);
+
+    const { purged } = db.compactWeatherData({ rawDays: 30, hourlyDays: 90, dailyDays: 730 });
+    assert.strictEqual(purged.raw, 4);
+
+    const hour = toTimestamp(old).slice(0, 13) + ':00:00';
+    const day = hour.slice(0, 10);
+    assert.deepStrictEqual(rollup(db, city, 'HOURLY', hour, 'temperature'),
+      { min_value: 30, max_value: 34, mean_value: 32, sum_value: 64, samples: 2 });
+    assert.strictEqual(rollup(db, city, 'HOURLY', hour, 'rainfall').sum_value, 6);
+    assert.deepStrictEqual(rollup(db, city, 'DAILY', day, 'temperature'),
+      { min_value: 20, max_value: 34, mean_value: 28, sum_value: 84, samples: 3 });
+    assert.strictEqual(rollup(db, city, 'MONTHLY', day.slice(0, 7) + '-01', 'rainfall').sum_value, 7);
+
+    // Hourly rollups past their retention are purged; the daily ones remain
+    const olderDay = toTimestamp(older).slice(0, 10);
+    assert.strictEqual(rollup(db, city, 'HOURLY', toTimestamp(older).slice(0, 13) + ':00:00', 'temperature'), undefined);
+    assert.strictEqual(rollup(db, city, 'DAILY', olderDay, 'temperature').mean_value, 25);
+
+    db.compactWeatherData({ rawDays: 30, hourlyDays: 90, dailyDays: 730 });
+    assert.strictEqual(rollup(db, city, 'DAILY', day, 'temperature').samples, 3);
+    assert.strictEqual(rollup(db, city, 'MONTHLY', day.slice(0, 7) + '-01', 'temperature').samples, 3);
+  } finally {
+    db.close();
+  }
+});
+
+test('serves history at the finest tier that still holds the start of the range', () => {
+  const db = new ClimateDatabase(':memory:');
+  try {
+    const retention = new RetentionService(db, { rawDays: 30, hourlyDays: 90, dailyDays: 730 });
+    const now = Date.now();
+
+    assert.strictEqual(retention.chooseResolution(now - DAY_MS, now), 'RAW');
+    assert.strictEqual(retention.chooseResolution(now - 10 * DAY_MS, now), 'HOURLY');
+    assert.strictEqual(retention.chooseResolution(now - 60 * DAY_MS, now - 59 * DAY_MS), 'HOURLY');
+    assert.strictEqual(retention.chooseResolution(now - 60 * DAY_MS, now), 'DAILY');
+    assert.strictEqual(retention.chooseResolution(now - 1000 * DAY_MS, now), 'MONTHLY');
+
+    const city = db.getCityByName('Jaisalmer');
+    const old = morningOf(40);
+    insertObservation(db, city, old, 30, 2);
+    insertObservation(db, city, old + 30 * 60 * 1000, 34, 4);
+    retention.runCompaction();
+
+    const history = retention.getHistory(city, {
+      from: new Date(old - HOUR_MS).toISOString(),
+      to: new Date(old + HOUR_MS).toISOString()
+    });
+    assert.strictEqual(history.resolution, 'HOURLY');
+    assert.strictEqual(history.data.length, 1);
+    assert.deepStrictEqual(history.data[0].temperature, { min: 30, max: 34, mean: 32, sum: 64, samples: 2 });
+
+    assert.deepStrictEqual(retention.getHistory(city, { resolution: 'WEEKLY' }).errors, [
+      'from is required',
+      'resolution must be one of: AUTO, RAW, HOURLY, DAILY, MONTHLY'
+    ]);
+  } finally {
+    db.close();
+  }
+});
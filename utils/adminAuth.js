@@ -0,0 +1,64 @@
+/**
+ * Express middleware for operator-only endpoints. When ADMIN_API_KEY is set,
+ * requests must send it in the X-Admin-Key header; otherwise the check is skipped.
+ */
+function requireAdmin(req, res, next) {
+  const adminKey = process.env.ADMIN_API_KEY;
+  
+  if (adminKey && req.get('X-Admin-Key') !== adminKey) {
+    return res.status(401).json({
+      success: false,
+      error: 'Admin key required'
+    });
+  }
+  
+  next();
+}
+
+// Named operator keys from OPERATOR_API_KEYS ("name:key,name:key"), as key -> name
+function getOperatorKeys() {
+  const operators = new Map();
+  (process.env.OPERATOR_API_KEYS || '').split(',').forEach(entry => {
+    const separator = entry.indexOf(':');
+    const name = entry.slice(0, separator).trim();
+    const key = entry.slice(separator + 1).trim();
+    if (separator > 0 && name && key) {
+      operators.set(key, name);
+    }
+  });
+  return operators;
+}
+
+/**
+ * Express middleware for actions recorded under the caller's name, such as acknowledging
+ * an alert. Accepts the admin key in X-Admin-Key (recorded as 'admin') or a named
+ * operator key in X-Operator-Key. Sets req.actor. When neither ADMIN_API_KEY nor
+ * OPERATOR_API_KEYS is set the check is skipped and the actor is 'anonymous'.
+ */
+function requireOperator(req, res, next) {
+  const adminKey = process.env.ADMIN_API_KEY;
+  const operators = getOperatorKeys();
+
+  if (!adminKey && operators.size === 0) {
+    req.actor = 'anonymous';
+    return next();
+  }
+
+  if (adminKey && req.get('X-Admin-Key') === adminKey) {
+    req.actor = 'admin';
+    return next();
+  }
+
+  const operator = operators.get(req.get('X-Operator-Key'));
+  if (!operator) {
+    return res.status(401).json({
+      success: false,
+      error: 'Admin or operator key required'
+    });
+  }
+
+  req.actor = operator;
+  next();
+}
+
+module.exports = { requireAdmin, requireOperator };
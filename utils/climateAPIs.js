@@ -9,6 +9,13 @@ class ClimateAPIService {
     // Open-Meteo API (free, no API key required)
     this.openMeteoURL = 'https://api.open-meteo.com/v1';
     this.geocodingURL = 'https://geocoding-api.open-meteo.com/v1';
+    this.openMeteoArchiveURL = 'https://archive-api.open-meteo.com/v1';
+    
+    // Upper bound for any single provider request
+    this.requestTimeout = parseInt(process.env.WEATHER_API_TIMEOUT_MS) || 10000;
+    
+    // Location search with a local gazetteer (services/geocodingService.js), once set
+    this.geocoder = null;
     
     // Fixed static mock data with comprehensive weather parameters
     this.staticMockData = {
@@ -485,10 +492,16 @@ class ClimateAPIService {
     };
   }
 
-  async getIMDWeather(cityId) {
+  /**
+   * Failures are logged and return null, unless options.throwErrors is set so
+   * callers tracking provider health can see the error
+   */
+  async getIMDWeather(cityId, { throwErrors = false } = {}) {
     try {
       console.log(`Attempting to fetch IMD data for city ID: ${cityId}`);
-      const response = await axios.get(`${this.imdBaseURL}/current_wx_api.php?id=${cityId}`);
+      const response = await axios.get(`${this.imdBaseURL}/current_wx_api.php?id=${cityId}`, {
+        timeout: this.requestTimeout
+      });
       console.log('IMD API Response status:', response.status);
       console.log('IMD API Response data:', response.data);
       return { source: 'IMD', data: response.data };
@@ -499,11 +512,14 @@ class ClimateAPIService {
         console.error('IMD API Error status:', error.response.status);
         console.error('IMD API Error data:', error.response.data);
       }
+      if (throwErrors) {
+        throw error;
+      }
       return null;
     }
   }
 
-  async getOpenWeatherData(city) {
+  async getOpenWeatherData(city, { throwErrors = false, coordinates = null } = {}) {
     try {
       if (!this.openWeatherKey || this.openWeatherKey === 'your_openweather_api_key_here' || this.openWeatherKey === 'your_actual_api_key_here') {
         console.error('OpenWeather API key is not configured properly. Current key:', this.openWeatherKey);
@@ -512,11 +528,12 @@ class ClimateAPIService {
       
       console.log(`Attempting to fetch OpenWeather data for city: ${city}`);
       const url = `${this.openWeatherURL}/weather`;
-      const params = { q: city, appid: this.openWeatherKey, units: 'metric' };
+      const location = coordinates ? { lat: coordinates.latitude, lon: coordinates.longitude } : { q: city };
+      const params = { ...location, appid: this.openWeatherKey, units: 'metric' };
       console.log('OpenWeather API URL:', url);
       console.log('OpenWeather API Params:', { ...params, appid: '[HIDDEN]' });
       
-      const response = await axios.get(url, { params });
+      const response = await axios.get(url, { params, timeout: this.requestTimeout });
       console.log('OpenWeather API Response status:', response.status);
       console.log('OpenWeather API Response data keys:', Object.keys(response.data));
       return { source: 'OpenWeather', data: response.data };
@@ -530,6 +547,9 @@ class ClimateAPIService {
       } else {
         console.error('Error fetching OpenWeather:', error.message);
       }
+      if (throwErrors) {
+        throw error;
+      }
       return null;
     }
   }
@@ -544,23 +564,10 @@ class ClimateAPIService {
     try {
       console.log(`Fetching weather for any location: ${location}${country ? `, ${country}` : ''}`);
       
-      // Enhanced geocoding search with multiple results
-      const geocodingParams = {
-        name: location,
-        count: 5, // Get multiple results to find best match
-        language: 'en',
-        format: 'json'
-      };
+      // Several results, to find the best match
+      const allResults = await this.searchLocations(location, { country, limit: 5 });
       
-      if (country) {
-        geocodingParams.country = country;
-      }
-      
-      const geocodingResponse = await axios.get(`${this.geocodingURL}/search`, {
-        params: geocodingParams
-      });
-      
-      if (!geocodingResponse.data || !geocodingResponse.data.results || geocodingResponse.data.results.length === 0) {
+      if (allResults.length === 0) {
         console.log(`No coordinates found for location: ${location}`);
         return {
           success: false,
@@ -570,8 +577,7 @@ class ClimateAPIService {
       }
       
       // Get the best match (first result is usually most relevant)
-      const bestMatch = geocodingResponse.data.results[0];
-      const allResults = geocodingResponse.data.results;
+      const bestMatch = allResults[0];
       
       console.log(`Found ${allResults.length} location(s) for '${location}':`);
       allResults.forEach((result, index) => {
@@ -820,6 +826,14 @@ class ClimateAPIService {
    * Get similar locations for suggestions when location not found
    */
   async getSimilarLocations(location) {
+    if (this.geocoder) {
+      return this.geocoder.suggest(location).map(r => ({
+        name: r.name,
+        country: r.country,
+        admin1: r.admin1
+      }));
+    }
+
     try {
       // Try with partial matches or common variations
       const variations = [
@@ -832,22 +846,12 @@ class ClimateAPIService {
       
       for (const variation of variations) {
         try {
-          const response = await axios.get(`${this.geocodingURL}/search`, {
-            params: {
-              name: variation,
-              count: 3,
-              language: 'en',
-              format: 'json'
-            }
-          });
-          
-          if (response.data && response.data.results) {
-            suggestions.push(...response.data.results.map(r => ({
-              name: r.name,
-              country: r.country,
-              admin1: r.admin1
-            })));
-          }
+          const results = await this.geocode(variation, { count: 3 });
+          suggestions.push(...results.map(r => ({
+            name: r.name,
+            country: r.country,
+            admin1: r.admin1
+          })));
         } catch (err) {
           // Continue to next variation
         }
@@ -866,33 +870,79 @@ class ClimateAPIService {
     }
   }
 
+  /**
+   * Look a place name up with the Open-Meteo geocoding API
+   * @param {string} name - Place name
+   * @param {Object} options - { count, country: ISO 3166-1 alpha-2 code; other values are ignored }
+   * @returns {Promise<Array>} Geocoder results, best match first; empty if none
+   */
+  async geocode(name, { count = 10, country = null } = {}) {
+    const params = {
+      name,
+      count,
+      language: 'en',
+      format: 'json'
+    };
+    
+    if (country && /^[a-z]{2}$/i.test(country)) {
+      params.countryCode = country.toUpperCase();
+    }
+    
+    const response = await axios.get(`${this.geocodingURL}/search`, {
+      params,
+      timeout: this.requestTimeout
+    });
+    
+    return (response.data && response.data.results) || [];
+  }
+
+  /**
+   * Use a location search service for name lookups instead of calling the geocoder directly
+   * @param {Object} geocoder - GeocodingService
+   */
+  setGeocoder(geocoder) {
+    this.geocoder = geocoder;
+  }
+
+  /**
+   * Find places by name, through the gazetteer when one is set
+   * @param {string} name - Place name
+   * @param {Object} options - { country, limit }
+   * @returns {Promise<Array>} Results in the geocoder's shape, best match first
+   */
+  async searchLocations(name, { country = null, limit = 5 } = {}) {
+    if (this.geocoder) {
+      return (await this.geocoder.search(name, { country, limit })).results;
+    }
+    return this.geocode(name, { count: limit, country });
+  }
+
   /**
    * Get current weather data from Open-Meteo API
    * @param {string} city - City name
+   * @param {Object} options - { throwErrors, coordinates: { latitude, longitude } to skip geocoding the name }
    * @returns {Object|null} Weather data or null if failed
    */
-  async getOpenMeteoWeather(city) {
+  async getOpenMeteoWeather(city, { throwErrors = false, coordinates = null } = {}) {
     try {
       console.log(`Fetching Open-Meteo weather data for ${city}...`);
       
-      // First get coordinates using the new geocoding method
-      const geocodingResponse = await axios.get(`${this.geocodingURL}/search`, {
-        params: {
-          name: city,
-          count: 1,
-          language: 'en',
-          format: 'json'
+      let coords = coordinates ? { name: city, ...coordinates } : null;
+      if (!coords) {
+        const results = await this.searchLocations(city, { limit: 1 });
+        
+        if (results.length === 0) {
+          console.error(`Could not find coordinates for ${city}`);
+          if (throwErrors) {
+            throw new Error(`Could not find coordinates for ${city}`);
+          }
+          return null;
         }
-      });
-      
-      if (!geocodingResponse.data || !geocodingResponse.data.results || geocodingResponse.data.results.length === 0) {
-        console.error(`Could not find coordinates for ${city}`);
-        return null;
+        
+        coords = results[0];
+        console.log(`Coordinates found for ${city}: ${coords.latitude}, ${coords.longitude}`);
       }
       
-      const coords = geocodingResponse.data.results[0];
-      console.log(`Coordinates found for ${city}: ${coords.latitude}, ${coords.longitude}`);
-      
       // Get current weather
       const weatherResponse = await axios.get(`${this.openMeteoURL}/forecast`, {
         params: {
@@ -932,8 +982,10 @@ class ClimateAPIService {
             'sunshine_duration'
           ].join(','),
           timezone: 'auto',
-          forecast_days: 7
-        }
+          forecast_days: 7,
+          past_days: 7 // Hourly precipitation history for rainfall accumulations
+        },
+        timeout: this.requestTimeout
       });
       
       const data = weatherResponse.data;
@@ -948,10 +1000,52 @@ class ClimateAPIService {
       if (error.response) {
         console.error('Open-Meteo API Error:', error.response.status, error.response.data);
       }
+      if (throwErrors) {
+        throw error;
+      }
       return null;
     }
   }
 
+  /**
+   * Get hourly reanalysis history from the Open-Meteo archive API. Recent days lag by
+   * about five days. Errors are thrown to the caller.
+   * @param {number} latitude - Latitude
+   * @param {number} longitude - Longitude
+   * @param {string} startDate - First day, YYYY-MM-DD
+   * @param {string} endDate - Last day, YYYY-MM-DD
+   * @param {string} timezone - IANA time zone the days are counted in
+   * @returns {Object} { utc_offset_seconds, hourly } as returned by Open-Meteo
+   */
+  async getOpenMeteoArchive(latitude, longitude, startDate, endDate, timezone = 'auto') {
+    console.log(`Fetching Open-Meteo archive for ${latitude}, ${longitude} from ${startDate} to ${endDate}...`);
+
+    const response = await axios.get(`${this.openMeteoArchiveURL}/archive`, {
+      params: {
+        latitude,
+        longitude,
+        start_date: startDate,
+        end_date: endDate,
+        hourly: [
+          'temperature_2m',
+          'relative_humidity_2m',
+          'pressure_msl',
+          'precipitation',
+          'wind_speed_10m',
+          'wind_direction_10m',
+          'wind_gusts_10m',
+          'cloud_cover',
+          'soil_moisture_0_to_7cm'
+        ].join(','),
+        timezone
+      },
+      // A year of hourly data is a large response
+      timeout: this.requestTimeout * 6
+    });
+
+    return { utc_offset_seconds: response.data.utc_offset_seconds || 0, hourly: response.data.hourly };
+  }
+
   /**
    * Transform Open-Meteo data to match existing data structure
    * @param {Object} data - Raw Open-Meteo data
@@ -972,13 +1066,17 @@ class ClimateAPIService {
     const now = new Date();
     const month = now.getMonth() + 1;
     
+    // The response starts past_days before today, so locate the current hour and day
+    const currentHour = Math.max(0, hourly.time.indexOf(`${current.time.slice(0, 13)}:00`));
+    const today = Math.max(0, daily.time.indexOf(current.time.slice(0, 10)));
+    
     return {
       // Main weather parameters (OpenWeather format compatibility)
       main: {
         temp: temp,
         feels_like: current.apparent_temperature,
-        temp_min: daily.temperature_2m_min[0],
-        temp_max: daily.temperature_2m_max[0],
+        temp_min: daily.temperature_2m_min[today],
+        temp_max: daily.temperature_2m_max[today],
         humidity: humidity,
         pressure: current.pressure_msl || current.surface_pressure
       },
@@ -1017,7 +1115,7 @@ class ClimateAPIService {
         temp, humidity, current.wind_speed_10m
       ),
       growing_degree_days: this.calculateGrowingDegreeDays(
-        daily.temperature_2m_min[0], daily.temperature_2m_max[0]
+        daily.temperature_2m_min[today], daily.temperature_2m_max[today]
       ),
       air_quality: this.estimateAirQuality(
         coords.name, temp, humidity, current.wind_speed_10m
@@ -1031,8 +1129,11 @@ class ClimateAPIService {
       sunshine_duration: current.sunshine_duration,
       
       // Forecast data (next 24 hours)
-      hourly_forecast: this.extractHourlyForecast(hourly),
-      daily_forecast: this.extractDailyForecast(daily),
+      hourly_forecast: this.extractHourlyForecast(hourly, currentHour),
+      daily_forecast: this.extractDailyForecast(daily, today),
+      
+      // Hourly precipitation for the past 7 days, used to fill gaps in stored observations
+      precipitation_history: this.extractPrecipitationHistory(hourly, currentHour, data.utc_offset_seconds),
       
       // Coordinates
       coord: {
@@ -1050,11 +1151,10 @@ class ClimateAPIService {
   /**
    * Extract hourly forecast for next 24 hours
    */
-  extractHourlyForecast(hourly) {
+  extractHourlyForecast(hourly, startIndex = 0) {
     const forecast = [];
-    const currentHour = new Date().getHours();
     
-    for (let i = 0; i < Math.min(24, hourly.time.length); i++) {
+    for (let i = startIndex; i < Math.min(startIndex + 24, hourly.time.length); i++) {
       forecast.push({
         time: hourly.time[i],
         temperature: hourly.temperature_2m[i],
@@ -1071,10 +1171,10 @@ class ClimateAPIService {
   /**
    * Extract daily forecast
    */
-  extractDailyForecast(daily) {
+  extractDailyForecast(daily, startIndex = 0) {
     const forecast = [];
     
-    for (let i = 0; i < Math.min(7, daily.time.length); i++) {
+    for (let i = startIndex; i < Math.min(startIndex + 7, daily.time.length); i++) {
       forecast.push({
         date: daily.time[i],
         temp_min: daily.temperature_2m_min[i],
@@ -1091,6 +1191,25 @@ class ClimateAPIService {
     return forecast;
   }
 
+  /**
+   * Extract hourly precipitation up to the current hour. Open-Meteo times are local
+   * and each value is the total for the preceding hour, so each entry is keyed by
+   * the UTC start of the hour it covers.
+   */
+  extractPrecipitationHistory(hourly, currentIndex, utcOffsetSeconds = 0) {
+    const history = [];
+    
+    for (let i = Math.max(0, currentIndex - 167); i <= currentIndex && i < hourly.time.length; i++) {
+      const hourEnd = Date.parse(`${hourly.time[i]}Z`) - utcOffsetSeconds * 1000;
+      history.push({
+        time: new Date(hourEnd - 60 * 60 * 1000).toISOString(),
+        precipitation: hourly.precipitation[i] || 0
+      });
+    }
+    
+    return history;
+  }
+
   /**
    * Get weather description from WMO weather code
    * @param {number} code - WMO weather code
@@ -1163,6 +1282,84 @@ class ClimateAPIService {
     return sunset.toTimeString().slice(0, 5);
   }
 
+  /**
+   * Whether to fall back to static mock data when every provider fails,
+   * which is the case until an OpenWeather key is configured
+   */
+  usesMockData() {
+    return !this.openWeatherKey || 
+      this.openWeatherKey === 'your_openweather_api_key_here' || 
+      this.openWeatherKey === 'your_actual_api_key_here';
+  }
+
+  // Whether the static mock data has an entry of its own for this city
+  hasMockWeather(city) {
+    return Boolean(this.staticMockData[city]);
+  }
+
+  /**
+   * Static mock data for a city, with derived parameters filled in
+   * @param {string} city - City name
+   * @returns {Object} { source: 'Mock', data } in the OpenWeather format
+   */
+  getMockWeather(city) {
+    console.log(`Using enhanced static mock data for ${city}`);
+    let mockData = this.staticMockData[city] || this.staticMockData['Delhi'];
+    
+    // Enhance mock data with real-time calculations
+    const data = mockData.data;
+    const now = new Date();
+    const month = now.getMonth() + 1;
+    
+    // Calculate additional weather parameters if not already present
+    if (!data.heat_index) {
+      data.heat_index = this.calculateHeatIndex(data.main.temp, data.main.humidity);
+    }
+    
+    if (!data.wind_chill) {
+      data.wind_chill = this.calculateWindChill(data.main.temp, data.wind.speed);
+    }
+    
+    if (!data.growing_degree_days) {
+      data.growing_degree_days = this.calculateGrowingDegreeDays(
+        data.main.temp_min, data.main.temp_max
+      );
+    }
+    
+    if (!data.evapotranspiration) {
+      data.evapotranspiration = this.calculateEvapotranspiration(
+        data.main.temp, data.main.humidity, data.wind.speed
+      );
+    }
+    
+    if (!data.soil_temperature) {
+      data.soil_temperature = this.estimateSoilTemperature(data.main.temp, month);
+    }
+    
+    if (!data.soil_moisture) {
+      data.soil_moisture = this.estimateSoilMoisture(
+        data.rain ? data.rain['1h'] : 0, data.main.humidity, data.main.temp
+      );
+    }
+    
+    if (!data.pressure_trend) {
+      data.pressure_trend = this.getPressureTrend(data.main.pressure);
+    }
+    
+    if (!data.moon_phase) {
+      data.moon_phase = this.getMoonPhase();
+      data.moon_illumination = this.getMoonIllumination();
+    }
+    
+    if (!data.air_quality) {
+      data.air_quality = this.estimateAirQuality(
+        city, data.main.temp, data.main.humidity, data.wind.speed
+      );
+    }
+    
+    return mockData;
+  }
+
   async getComprehensiveWeather(city, cityId) {
     const [imdData, openWeatherData, openMeteoData] = await Promise.all([
       this.getIMDWeather(cityId),
@@ -1171,66 +1368,8 @@ class ClimateAPIService {
     ]);
     
     // If all APIs fail, return enhanced static mock data
-    if (!imdData && !openWeatherData && !openMeteoData && 
-        (!this.openWeatherKey || 
-         this.openWeatherKey === 'your_openweather_api_key_here' || 
-         this.openWeatherKey === 'your_actual_api_key_here')) {
-      
-      console.log(`Using enhanced static mock data for ${city}`);
-      let mockData = this.staticMockData[city] || this.staticMockData['Delhi'];
-      
-      // Enhance mock data with real-time calculations
-      const data = mockData.data;
-      const now = new Date();
-      const month = now.getMonth() + 1;
-      
-      // Calculate additional weather parameters if not already present
-      if (!data.heat_index) {
-        data.heat_index = this.calculateHeatIndex(data.main.temp, data.main.humidity);
-      }
-      
-      if (!data.wind_chill) {
-        data.wind_chill = this.calculateWindChill(data.main.temp, data.wind.speed);
-      }
-      
-      if (!data.growing_degree_days) {
-        data.growing_degree_days = this.calculateGrowingDegreeDays(
-          data.main.temp_min, data.main.temp_max
-        );
-      }
-      
-      if (!data.evapotranspiration) {
-        data.evapotranspiration = this.calculateEvapotranspiration(
-          data.main.temp, data.main.humidity, data.wind.speed
-        );
-      }
-      
-      if (!data.soil_temperature) {
-        data.soil_temperature = this.estimateSoilTemperature(data.main.temp, month);
-      }
-      
-      if (!data.soil_moisture) {
-        data.soil_moisture = this.estimateSoilMoisture(
-          data.rain ? data.rain['1h'] : 0, data.main.humidity, data.main.temp
-        );
-      }
-      
-      if (!data.pressure_trend) {
-        data.pressure_trend = this.getPressureTrend(data.main.pressure);
-      }
-      
-      if (!data.moon_phase) {
-        data.moon_phase = this.getMoonPhase();
-        data.moon_illumination = this.getMoonIllumination();
-      }
-      
-      if (!data.air_quality) {
-        data.air_quality = this.estimateAirQuality(
-          city, data.main.temp, data.main.humidity, data.wind.speed
-        );
-      }
-      
-      return { city, cityId, imdData: null, openWeatherData: mockData, openMeteoData: null };
+    if (!imdData && !openWeatherData && !openMeteoData && this.usesMockData()) {
+      return { city, cityId, imdData: null, openWeatherData: this.getMockWeather(city), openMeteoData: null };
     }
     
     // Return all available data sources
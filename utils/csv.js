@@ -0,0 +1,55 @@
+/**
+ * Parse a simple CSV document: a header row of field names, then one record per line.
+ * Quoted cells are not supported. Empty cells are left out of the record; numeric
+ * cells become numbers unless their column is listed in stringColumns.
+ * @param {string} text - CSV document
+ * @param {Object} options - { stringColumns: column names kept as strings }
+ * @returns {Array} Records keyed by header
+ */
+function parseCsv(text, { stringColumns = [] } = {}) {
+  const lines = text.split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+  if (lines.length === 0) {
+    return [];
+  }
+
+  const headers = lines[0].split(',').map(header => header.trim());
+  return lines.slice(1).map(line => {
+    const cells = line.split(',');
+    const record = {};
+    headers.forEach((header, index) => {
+      const cell = (cells[index] || '').trim();
+      if (cell === '') {
+        return;
+      }
+      record[header] = stringColumns.includes(header) || isNaN(Number(cell)) ? cell : Number(cell);
+    });
+    return record;
+  });
+}
+
+// Leading characters that make a spreadsheet read a cell as a formula
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+/**
+ * Format one CSV line (RFC 4180, ending in CRLF). Cells containing commas, quotes or
+ * line breaks are quoted; null and undefined become empty cells.
+ * @param {Array} values - Cell values
+ * @param {Object} options - { guardFormulas: prefix text cells that a spreadsheet would
+ *   evaluate as formulas with an apostrophe }
+ * @returns {string} CSV line
+ */
+function formatCsvRow(values, { guardFormulas = false } = {}) {
+  return values.map(value => {
+    if (value === null || value === undefined) {
+      return '';
+    }
+
+    let cell = String(value);
+    if (guardFormulas && typeof value === 'string' && FORMULA_PREFIX.test(cell)) {
+      cell = `'${cell}`;
+    }
+    return /[",\r\n]/.test(cell) ? `"${cell.replace(/"/g, '""')}"` : cell;
+  }).join(',') + '\r\n';
+}
+
+module.exports = { parseCsv, formatCsvRow };
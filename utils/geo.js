@@ -0,0 +1,42 @@
+const EARTH_RADIUS_KM = 6371;
+
+/**
+ * Great-circle distance between two points
+ * @returns {number} Distance in kilometres
+ */
+function distanceKm(lat1, lon1, lat2, lon2) {
+  const toRadians = (degrees) => degrees * Math.PI / 180;
+  const dLat = toRadians(lat2 - lat1);
+  const dLon = toRadians(lon2 - lon1);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLon / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+}
+
+/**
+ * Closest of a list of places to a point
+ * @param {Array} places - Objects with latitude and longitude, such as cities rows
+ * @returns {Object|null} The nearest place, or null if the list is empty
+ */
+function findNearest(places, latitude, longitude) {
+  let nearest = null;
+  let nearestDistance = Infinity;
+
+  places.forEach(place => {
+    const distance = distanceKm(latitude, longitude, place.latitude, place.longitude);
+    if (distance < nearestDistance) {
+      nearest = place;
+      nearestDistance = distance;
+    }
+  });
+
+  return nearest;
+}
+
+// Both coordinates present, numeric and in range
+function isValidCoordinates(latitude, longitude) {
+  return typeof latitude === 'number' && typeof longitude === 'number' &&
+    latitude >= -90 && latitude <= 90 && longitude >= -180 && longitude <= 180;
+}
+
+module.exports = { distanceKm, findNearest, isValidCoordinates };
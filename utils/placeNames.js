@@ -0,0 +1,187 @@
+// Devanagari letters in the romanization most Indian place names are spelled with
+const DEVANAGARI_CONSONANTS = {
+  'क': 'k', 'ख': 'kh', 'ग': 'g', 'घ': 'gh', 'ङ': 'n',
+  'च': 'ch', 'छ': 'chh', 'ज': 'j', 'झ': 'jh', 'ञ': 'n',
+  'ट': 't', 'ठ': 'th', 'ड': 'd', 'ढ': 'dh', 'ण': 'n',
+  'त': 't', 'थ': 'th', 'द': 'd', 'ध': 'dh', 'न': 'n', 'ऩ': 'n',
+  'प': 'p', 'फ': 'ph', 'ब': 'b', 'भ': 'bh', 'म': 'm',
+  'य': 'y', 'र': 'r', 'ऱ': 'r', 'ल': 'l', 'ळ': 'l', 'ऴ': 'l', 'व': 'v',
+  'श': 'sh', 'ष': 'sh', 'स': 's', 'ह': 'h',
+  // Nukta letters, which NFC keeps as the base letter followed by U+093C
+  'क\u093C': 'q', 'ख\u093C': 'kh', 'ग\u093C': 'gh', 'ज\u093C': 'z',
+  'ड\u093C': 'r', 'ढ\u093C': 'rh', 'फ\u093C': 'f', 'य\u093C': 'y'
+};
+
+const DEVANAGARI_VOWELS = {
+  'अ': 'a', 'आ': 'aa', 'इ': 'i', 'ई': 'ii', 'उ': 'u', 'ऊ': 'uu', 'ऋ': 'ri',
+  'ए': 'e', 'ऐ': 'ai', 'ओ': 'o', 'औ': 'au', 'ऑ': 'o', 'ऍ': 'e'
+};
+
+// Vowel signs that replace a consonant's inherent 'a'
+const DEVANAGARI_MATRAS = {
+  'ा': 'aa', 'ि': 'i', 'ी': 'ii', 'ु': 'u', 'ू': 'uu', 'ृ': 'ri',
+  'े': 'e', 'ै': 'ai', 'ो': 'o', 'ौ': 'au', 'ॉ': 'o', 'ॅ': 'e'
+};
+
+const VIRAMA = '्';
+const NUKTA = '\u093C';
+const NASALS = { 'ं': 'n', 'ँ': 'n' };
+const VISARGA = 'ः';
+
+const LABIALS = ['p', 'ph', 'b', 'bh', 'm'];
+
+/**
+ * Romanize Devanagari text; other characters pass through unchanged. The inherent
+ * 'a' is dropped where Hindi drops it in speech, at the end of a word and between a
+ * vowel and a consonant followed by a vowel, so कानपुर becomes "kaanpur".
+ * @param {string} text - Place name in any script
+ * @returns {string} Romanized text
+ */
+function transliterate(text) {
+  const chars = Array.from(text.normalize('NFC'));
+  const words = [];
+  let tokens = [];
+
+  const flush = () => {
+    if (tokens.length > 0) {
+      words.push(renderSyllables(tokens));
+      tokens = [];
+    }
+  };
+
+  for (let i = 0; i < chars.length; i++) {
+    let char = chars[i];
+    if (chars[i + 1] === NUKTA && DEVANAGARI_CONSONANTS[char + NUKTA]) {
+      char += NUKTA;
+      i++;
+    }
+
+    if (DEVANAGARI_CONSONANTS[char]) {
+      tokens.push({ consonant: DEVANAGARI_CONSONANTS[char], vowel: 'a', inherent: true });
+    } else if (DEVANAGARI_MATRAS[char] && tokens.length > 0) {
+      Object.assign(tokens[tokens.length - 1], { vowel: DEVANAGARI_MATRAS[char], inherent: false });
+    } else if (char === VIRAMA && tokens.length > 0) {
+      Object.assign(tokens[tokens.length - 1], { vowel: '', inherent: false });
+    } else if (DEVANAGARI_VOWELS[char]) {
+      tokens.push({ consonant: '', vowel: DEVANAGARI_VOWELS[char], inherent: false });
+    } else if (NASALS[char] && tokens.length > 0) {
+      tokens[tokens.length - 1].nasal = true;
+    } else if (char === VISARGA && tokens.length > 0) {
+      tokens[tokens.length - 1].vowel += 'h';
+    } else if (char === NUKTA) {
+      continue;
+    } else {
+      flush();
+      words.push(char);
+    }
+  }
+  flush();
+
+  return words.join('');
+}
+
+// Render one Devanagari word, deleting schwas and placing nasals
+function renderSyllables(tokens) {
+  const hasVowel = (token) => Boolean(token && token.vowel);
+
+  // Right to left, so a schwa is kept before a syllable that lost its own (कमल, "kamal").
+  // A schwa carrying a nasal is pronounced (औरंगाबाद, "aurangaabaad").
+  for (let index = tokens.length - 1; index >= 0; index--) {
+    const token = tokens[index];
+    const previous = tokens[index - 1];
+    const next = tokens[index + 1];
+    if (token.inherent && token.consonant && !token.nasal &&
+        (!next || (hasVowel(previous) && next.consonant && hasVowel(next)))) {
+      token.vowel = '';
+    }
+  }
+
+  return tokens.map((token, index) => {
+    let syllable = token.consonant + token.vowel;
+    if (token.nasal) {
+      const next = tokens[index + 1];
+      syllable += next && LABIALS.includes(next.consonant) ? 'm' : 'n';
+    }
+    return syllable;
+  }).join('');
+}
+
+/**
+ * Spelling-insensitive key for a place name. Devanagari is romanized, then common
+ * variations in romanized Indian names are folded together: aspirates (Bhopal, Bopal),
+ * long vowels (Meerut, Mirut), au/o, doubled letters, ph/f, w/v, z/j, c/k/q and a final
+ * schwa (Patna, Patn).
+ * @param {string} name - Place name
+ * @returns {string} Lower-case key; empty if the name has no letters
+ */
+function searchKey(name) {
+  let key = transliterate(String(name || ''))
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z]/g, '');
+
+  key = key
+    .replace(/x/g, 'ks')
+    .replace(/ph/g, 'f')
+    .replace(/chh/g, 'ch')
+    .replace(/ch/g, 'C')
+    .replace(/c/g, 'k')
+    .replace(/q/g, 'k')
+    .replace(/w/g, 'v')
+    .replace(/z/g, 'j')
+    .replace(/([bdgjklmnprstvC])h/g, '$1')
+    .replace(/ee/g, 'i')
+    .replace(/oo/g, 'u')
+    .replace(/au/g, 'o')
+    .replace(/(.)\1+/g, '$1')
+    .replace(/y$/, 'i')
+    .replace(/C/g, 'c');
+
+  if (key.length > 3) {
+    key = key.replace(/([^aeiou])a$/, '$1');
+  }
+
+  return key;
+}
+
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (value, index) => index);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+
+  return previous[b.length];
+}
+
+/**
+ * How closely a place name matches a search, from 0 to 1. An exact key match is 1,
+ * a search that starts the name (as while typing) 0.9, otherwise the share of the
+ * longer key that needs no edits.
+ * @param {string} queryKey - searchKey of the search
+ * @param {string} placeKey - searchKey of the place name
+ * @returns {number} Score
+ */
+function similarity(queryKey, placeKey) {
+  if (!queryKey || !placeKey) {
+    return 0;
+  }
+  if (queryKey === placeKey) {
+    return 1;
+  }
+  if (queryKey.length >= 2 && placeKey.startsWith(queryKey)) {
+    return 0.9;
+  }
+  return 1 - editDistance(queryKey, placeKey) / Math.max(queryKey.length, placeKey.length);
+}
+
+module.exports = { transliterate, searchKey, similarity };
@@ -0,0 +1,100 @@
+const dns = require('dns');
+const net = require('net');
+
+/**
+ * Address ranges webhooks may not be sent to: unspecified, loopback, private,
+ * carrier-grade NAT, link-local (which includes cloud metadata endpoints),
+ * benchmarking, multicast and reserved
+ */
+const BLOCKED_RANGES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+].forEach(([network, prefix]) => BLOCKED_RANGES.addSubnet(network, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([network, prefix]) => BLOCKED_RANGES.addSubnet(network, prefix, 'ipv6'));
+
+/**
+ * Hosts exempt from the address check, from the comma-separated WEBHOOK_ALLOWED_HOSTS,
+ * such as a receiver on the same network or a local stand-in during testing
+ */
+function getAllowedHosts() {
+  return (process.env.WEBHOOK_ALLOWED_HOSTS || '')
+    .split(',')
+    .map(host => host.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+function isAllowedHost(hostname) {
+  return getAllowedHosts().includes(hostname.toLowerCase().replace(/^\[|\]$/g, ''));
+}
+
+/**
+ * Whether an IP address is in a range webhooks may not reach. BlockList checks IPv4
+ * addresses mapped into IPv6 against the IPv4 ranges.
+ */
+function isBlockedAddress(address) {
+  const family = net.isIP(address);
+  return family === 0 || BLOCKED_RANGES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+/**
+ * Check that a webhook URL is http(s) and that its host resolves only to public
+ * addresses, unless the host is allowed
+ * @param {string} destination - Webhook URL
+ * @returns {Promise<string|null>} Error message, or null when the URL may be used
+ */
+async function checkWebhookUrl(destination) {
+  let url;
+  try {
+    url = new URL(destination);
+  } catch (error) {
+    return 'Invalid webhook URL';
+  }
+
+  if (!['http:', 'https:'].includes(url.protocol)) {
+    return 'Webhook URL must use http or https';
+  }
+
+  const hostname = url.hostname.replace(/^\[|\]$/g, '');
+  if (isAllowedHost(hostname)) {
+    return null;
+  }
+
+  let addresses;
+  try {
+    addresses = net.isIP(hostname) ? [hostname] : (await dns.promises.lookup(hostname, { all: true })).map(entry => entry.address);
+  } catch (error) {
+    return `Webhook host ${hostname} could not be resolved`;
+  }
+
+  if (addresses.some(isBlockedAddress)) {
+    return 'Webhook URL must not point to a private, loopback or link-local address';
+  }
+
+  return null;
+}
+
+/**
+ * dns.lookup replacement for outgoing webhook requests that fails when a host resolves
+ * to a blocked address, so a host cannot be re-pointed after it was checked
+ */
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) {
+      return callback(error);
+    }
+
+    if (!isAllowedHost(hostname) && addresses.some(entry => isBlockedAddress(entry.address))) {
+      return callback(new Error(`Webhook host ${hostname} resolves to a blocked address`));
+    }
+
+    if (options.all) {
+      return callback(null, addresses);
+    }
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+module.exports = { checkWebhookUrl, isBlockedAddress, publicLookup };